@@ -0,0 +1,25 @@
+// app/api/admin/bulletins/[name]/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { BulletinFileError, BulletinNotFoundError, deleteBulletinFile } from '@/lib/bulletins';
+import { EditionError, parseCatalogYear } from '@/lib/editions';
+
+type Params = { params: Promise<{ name: string }> };
+
+// Delete a bulletin file of ?catalogYear=; its chunks are removed by the next ingest
+export const DELETE = withAuth(async (request, { params }: Params) => {
+  const { name } = await params;
+  try {
+    const catalogYear = parseCatalogYear(new URL(request.url).searchParams.get('catalogYear'));
+    deleteBulletinFile(name, catalogYear);
+    return new Response(null, { status: 204 });
+  } catch (error: any) {
+    if (error instanceof BulletinFileError || error instanceof EditionError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof BulletinNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+}, ['admin']);
@@ -0,0 +1,43 @@
+// app/api/admin/bulletins/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { BulletinFileError, listBulletinFiles, saveBulletinFile } from '@/lib/bulletins';
+import { EditionError, parseCatalogYear } from '@/lib/editions';
+
+// Bulletin files an ingest of ?catalogYear= reads, with the folder they are in
+export const GET = withAuth(async (request) => {
+  try {
+    const catalogYear = parseCatalogYear(new URL(request.url).searchParams.get('catalogYear'));
+    return NextResponse.json(listBulletinFiles(catalogYear));
+  } catch (error: any) {
+    if (error instanceof EditionError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    throw error;
+  }
+}, ['admin']);
+
+// Upload bulletin files - multipart form: one or more `file` fields and an
+// optional `catalogYear`, which stores them in that edition's own folder.
+// A file replaces one with the same name; nothing is indexed until an ingest runs.
+export const POST = withAuth(async (request) => {
+  const form = await request.formData().catch(() => null);
+  const files = form ? form.getAll('file').filter((entry): entry is File => typeof entry !== 'string') : [];
+  if (files.length === 0) {
+    return NextResponse.json({ error: 'Send the bulletin files as multipart form fields named "file"' }, { status: 400 });
+  }
+
+  const catalogYear = form!.get('catalogYear');
+  try {
+    const saved = [];
+    for (const file of files) {
+      saved.push(saveBulletinFile(file.name, Buffer.from(await file.arrayBuffer()), typeof catalogYear === 'string' ? catalogYear : null));
+    }
+    return NextResponse.json({ files: saved }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof BulletinFileError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    throw error;
+  }
+}, ['admin']);
@@ -0,0 +1,43 @@
+// app/api/admin/chunks/[id]/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { ChunkNotFoundError, deleteChunk, inspectChunk, openEdition } from '@/lib/corpus';
+import { EditionError, EditionNotFoundError } from '@/lib/editions';
+
+type Params = { params: Promise<{ id: string }> };
+
+function errorResponse(error: any) {
+  if (error instanceof EditionError) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+  if (error instanceof EditionNotFoundError || error instanceof ChunkNotFoundError) {
+    return NextResponse.json({ error: error.message }, { status: 404 });
+  }
+  console.error('Chunk error:', error);
+  return NextResponse.json({ error: `Failed to read the collection: ${error.message}` }, { status: 500 });
+}
+
+// Everything stored for one chunk of the ?catalogYear= edition: its text and
+// metadata, the head of its embedding, and its keyword index and manifest entries
+export const GET = withAuth(async (request, { params }: Params) => {
+  const { id } = await params;
+  try {
+    const collection = await openEdition(new URL(request.url).searchParams.get('catalogYear'));
+    return NextResponse.json({ chunk: await inspectChunk(collection, id) });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+}, ['admin']);
+
+// Delete the chunk from the vector store, the keyword index and the manifest.
+// It comes back when its file changes or the edition is reindexed.
+export const DELETE = withAuth(async (request, { params }: Params) => {
+  const { id } = await params;
+  try {
+    const collection = await openEdition(new URL(request.url).searchParams.get('catalogYear'));
+    await deleteChunk(collection, id);
+    return new Response(null, { status: 204 });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+}, ['admin']);
@@ -0,0 +1,38 @@
+// app/api/admin/chunks/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { listChunks, openEdition } from '@/lib/corpus';
+import { EditionError, EditionNotFoundError } from '@/lib/editions';
+
+// Browse the ?catalogYear= edition's chunks (default the latest), without
+// their embeddings: ?source= keeps one file's chunks, ?q= those whose id or
+// text contains it; ?offset= and ?limit= (at most 100) page through them.
+// `total` counts every matching chunk.
+export const GET = withAuth(async (request) => {
+  const params = new URL(request.url).searchParams;
+  const offset = Number(params.get('offset') ?? 0);
+  const limit = Number(params.get('limit') ?? 20);
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1) {
+    return NextResponse.json({ error: 'offset and limit must be whole numbers, limit at least 1' }, { status: 400 });
+  }
+
+  try {
+    const collection = await openEdition(params.get('catalogYear'));
+    const page = await listChunks(collection, {
+      source: params.get('source') || undefined,
+      q: params.get('q') || undefined,
+      offset,
+      limit,
+    });
+    return NextResponse.json({ collection: collection.name, ...page });
+  } catch (error: any) {
+    if (error instanceof EditionError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof EditionNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    console.error('Chunk listing error:', error);
+    return NextResponse.json({ error: `Failed to read the collection: ${error.message}` }, { status: 500 });
+  }
+}, ['admin']);
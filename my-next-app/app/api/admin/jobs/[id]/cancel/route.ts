@@ -0,0 +1,22 @@
+// app/api/admin/jobs/[id]/cancel/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { cancelJob, JobError, JobNotFoundError } from '@/lib/jobs/store';
+
+type Params = { params: Promise<{ id: string }> };
+
+// Stop a queued or running job; what it embedded stays
+export const POST = withAuth(async (request, { params }: Params) => {
+  const { id } = await params;
+  try {
+    return NextResponse.json({ job: cancelJob(id) });
+  } catch (error: any) {
+    if (error instanceof JobError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof JobNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+}, ['admin']);
@@ -0,0 +1,79 @@
+// app/api/admin/jobs/[id]/events/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { getJob, JobNotFoundError } from '@/lib/jobs/store';
+import { encodeEvent } from '@/lib/sse';
+
+type Params = { params: Promise<{ id: string }> };
+
+// The job may be worked by another process, so its row is polled
+const POLL_MS = 1000;
+
+const isUnfinished = (job: { status: string }) => job.status === 'queued' || job.status === 'running';
+
+// Streams a job's progress as Server-Sent Events:
+//   job  - the whole job, now and whenever it changes
+//   done - the job finished; its last `job` event has the outcome
+export const GET = withAuth(async (request, { params }: Params) => {
+  const { id } = await params;
+  let job;
+  try {
+    job = getJob(id);
+  } catch (error: any) {
+    if (error instanceof JobNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+
+  const encoder = new TextEncoder();
+  let timer: ReturnType<typeof setInterval> | undefined;
+  const stop = () => clearInterval(timer);
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const send = (event: string, data: unknown) =>
+        controller.enqueue(encoder.encode(encodeEvent(event, data)));
+      const finish = () => {
+        stop();
+        send('done', {});
+        controller.close();
+      };
+
+      let last = JSON.stringify(job);
+      send('job', job);
+      if (!isUnfinished(job)) {
+        finish();
+        return;
+      }
+      timer = setInterval(() => {
+        try {
+          const update = getJob(id);
+          const current = JSON.stringify(update);
+          if (current !== last) {
+            last = current;
+            send('job', update);
+          }
+          if (!isUnfinished(update)) finish();
+        } catch (error: any) {
+          // Pruned, or the database went away
+          stop();
+          controller.error(error);
+        }
+      }, POLL_MS);
+      // The page was closed or navigated away
+      request.signal.addEventListener('abort', stop);
+    },
+    cancel() {
+      stop();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+    },
+  });
+}, ['admin']);
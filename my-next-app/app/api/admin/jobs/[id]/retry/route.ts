@@ -0,0 +1,30 @@
+// app/api/admin/jobs/[id]/retry/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { JobConflictError, JobError, JobNotFoundError, retryJob } from '@/lib/jobs/store';
+import { startWorker } from '@/lib/jobs/worker';
+
+type Params = { params: Promise<{ id: string }> };
+
+// Queue a finished job again: its dead letters get fresh attempts, and a
+// failed or cancelled job carries on from its checkpoint. Answers 202, or 409
+// with the newer job once another job for the collection was queued.
+export const POST = withAuth(async (request, { params }: Params) => {
+  const { id } = await params;
+  try {
+    const job = retryJob(id);
+    startWorker();
+    return NextResponse.json({ job }, { status: 202 });
+  } catch (error: any) {
+    if (error instanceof JobError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof JobNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    if (error instanceof JobConflictError) {
+      return NextResponse.json({ error: error.message, job: error.job }, { status: 409 });
+    }
+    throw error;
+  }
+}, ['admin']);
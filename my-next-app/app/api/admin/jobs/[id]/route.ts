@@ -0,0 +1,19 @@
+// app/api/admin/jobs/[id]/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { getJob, JobNotFoundError, listDeadLetters } from '@/lib/jobs/store';
+
+type Params = { params: Promise<{ id: string }> };
+
+// A job with its dead letters: the chunks that used up their attempts
+export const GET = withAuth(async (request, { params }: Params) => {
+  const { id } = await params;
+  try {
+    return NextResponse.json({ job: getJob(id), deadLetters: listDeadLetters(id) });
+  } catch (error: any) {
+    if (error instanceof JobNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+}, ['admin']);
@@ -0,0 +1,36 @@
+// app/api/admin/jobs/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { EditionError, EditionNotFoundError } from '@/lib/editions';
+import { JobConflictError, JobError, listJobs } from '@/lib/jobs/store';
+import { queueJob } from '@/lib/jobs/worker';
+
+// The latest ingest jobs, newest first
+export const GET = withAuth(async () => {
+  return NextResponse.json({ jobs: listJobs() });
+}, ['admin']);
+
+// Queue a job for the server's worker - body: { kind, catalogYear? } where kind is
+//   ingest  - embed new and changed chunks, like `advisor ingest`
+//   reindex - re-embed every chunk, like `advisor reindex`
+//   keyword - rebuild the keyword index, like `advisor reindex --keyword-only`
+// Answers 202 with the job; follow it at /api/admin/jobs/<id>/events.
+// 409 with the unfinished one while the collection already has a job.
+export const POST = withAuth(async (request, context, user) => {
+  const body = await request.json().catch(() => ({}));
+  try {
+    const job = queueJob({ kind: body.kind, catalogYear: body.catalogYear }, user);
+    return NextResponse.json({ job }, { status: 202 });
+  } catch (error: any) {
+    if (error instanceof JobError || error instanceof EditionError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof EditionNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    if (error instanceof JobConflictError) {
+      return NextResponse.json({ error: error.message, job: error.job }, { status: 409 });
+    }
+    throw error;
+  }
+}, ['admin']);
@@ -0,0 +1,24 @@
+// app/api/admin/stats/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { collectionStats, openEdition } from '@/lib/corpus';
+import { EditionError, EditionNotFoundError } from '@/lib/editions';
+
+// Sizes of the ?catalogYear= edition's collection (default the latest): chunks,
+// chunks per source file, how many chunks carry each metadata key, the keyword
+// index and the indexer manifest
+export const GET = withAuth(async (request) => {
+  try {
+    const collection = await openEdition(new URL(request.url).searchParams.get('catalogYear'));
+    return NextResponse.json(await collectionStats(collection));
+  } catch (error: any) {
+    if (error instanceof EditionError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof EditionNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    console.error('Collection stats error:', error);
+    return NextResponse.json({ error: `Failed to read the collection: ${error.message}` }, { status: 500 });
+  }
+}, ['admin']);
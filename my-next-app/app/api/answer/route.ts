@@ -0,0 +1,140 @@
+// app/api/answer/route.ts
+import { NextResponse } from 'next/server';
+import { prepareTurn, recordTurn } from '@/lib/advisor';
+import { withAuth } from '@/lib/auth/route';
+import { extractCitations } from '@/lib/citations';
+import { EditionNotFoundError, parseCatalogYear } from '@/lib/editions';
+import { EmbeddingDimensionError } from '@/lib/embeddings';
+import { parseFilters } from '@/lib/filters';
+import { describeProviders, ProviderError, streamGenerate } from '@/lib/providers';
+import { parseRerankOptions } from '@/lib/rerank';
+import { isValidWeight } from '@/lib/retrieval';
+import { createSession, getSession, SessionNotFoundError } from '@/lib/sessions';
+import { encodeEvent } from '@/lib/sse';
+import { resolveStudentEdition } from '@/lib/students/context';
+import { getProfile, ProfileNotFoundError } from '@/lib/students/store';
+import { getBackend, openStore } from '@/lib/vectorstore';
+
+// Streams a grounded answer as Server-Sent Events:
+//   session   - the conversation id, the standalone query used for retrieval
+//               and the catalog year answered from
+//   sources   - the retrieved chunks, sent before generation starts, with
+//               the latency of each retrieval stage; with a profile, each
+//               lists its courses' courseStatus for the student
+//   token     - the next piece of the answer
+//   citations - markers in the finished answer mapped to their chunks
+//   done      - generation finished and the turn was saved to the session
+//   error     - generation failed part-way through
+//
+// body: { query, sessionId?, profileId?, catalogYear?, lexicalWeight?, filters?, rerank? },
+// as for /api/search. The profile's major, catalog year and courses are added
+// to the prompt, so the answer can say what the student has completed or may take.
+// Needs a signed-in user; a new conversation belongs to them.
+export const POST = withAuth(async (request, context, user) => {
+  const body = await request.json().catch(() => undefined);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return NextResponse.json(
+      { error: 'The request body must be a JSON object' },
+      { status: 400 }
+    );
+  }
+  const { query, sessionId, profileId, lexicalWeight } = body;
+  let filters, rerank, catalogYear;
+
+  if (typeof query !== 'string' || query.trim() === '') {
+    return NextResponse.json(
+      { error: 'Query is required' },
+      { status: 400 }
+    );
+  }
+
+  if (!isValidWeight(lexicalWeight)) {
+    return NextResponse.json(
+      { error: 'lexicalWeight must be a number from 0 (embeddings only) to 1 (keywords only)' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    filters = parseFilters(body.filters);
+    rerank = parseRerankOptions(body.rerank);
+    catalogYear = parseCatalogYear(body.catalogYear);
+  } catch (error: any) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+
+  // Setup errors are reported as plain JSON, before the stream opens
+  let session, edition, turn;
+  try {
+    session = sessionId ? getSession(sessionId, user) : createSession(user);
+    const profile = profileId ? getProfile(profileId, user) : null;
+    edition = resolveStudentEdition(profile, catalogYear);
+    const collection = await openStore(edition.collection);
+    turn = await prepareTurn(collection, session, query, { lexicalWeight, filters, rerank }, edition.catalogYear, profile);
+  } catch (error: any) {
+    console.error('Answer retrieval error:', error);
+
+    if (error instanceof SessionNotFoundError || error instanceof EditionNotFoundError || error instanceof ProfileNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+
+    if (error instanceof EmbeddingDimensionError) {
+      return NextResponse.json({ error: error.message }, { status: 500 });
+    }
+
+    if (error instanceof ProviderError) {
+      return NextResponse.json({ error: error.message }, { status: 502 });
+    }
+
+    const code = error.code || error.cause?.code;
+    if (code === 'ECONNREFUSED' || code === 'ENOTFOUND') {
+      return NextResponse.json(
+        { error: `Cannot connect to the vector store at ${getBackend().location} or the model provider, ${describeProviders()}. Make sure both are running and accessible.` },
+        { status: 503 }
+      );
+    }
+
+    return NextResponse.json(
+      { error: `Failed to retrieve context: ${error.message}` },
+      { status: 500 }
+    );
+  }
+
+  const { retrievalQuery, sources, prompt, retrieval } = turn;
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event: string, data: unknown) =>
+        controller.enqueue(encoder.encode(encodeEvent(event, data)));
+
+      send('session', { sessionId: session.id, retrievalQuery, catalogYear: edition.catalogYear });
+      send('sources', { sources, timings: retrieval.timings, rerank: retrieval.rerank });
+
+      try {
+        let answer = '';
+        for await (const token of streamGenerate(prompt)) {
+          answer += token;
+          send('token', { text: token });
+        }
+        const citations = extractCitations(answer, sources);
+        send('citations', { citations });
+        await recordTurn(session, { query, retrievalQuery, sources, answer, citations });
+        send('done', {});
+      } catch (error: any) {
+        console.error('Answer generation error:', error);
+        send('error', { error: `Failed to generate an answer: ${error.message}` });
+      } finally {
+        controller.close();
+      }
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+    },
+  });
+});
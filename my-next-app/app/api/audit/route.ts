@@ -0,0 +1,17 @@
+// app/api/audit/route.ts
+import { NextResponse } from 'next/server';
+import { getCourse } from '@/lib/catalog/store';
+import { auditProgram } from '@/lib/degree/audit';
+import { readStudentRequest } from '@/lib/students/route';
+
+// Degree audit - body: { programId, transcript: [{ code, grade?, units? }] }
+// or { programId, completed: ["CSEN 10", ...] } when grades and units are not at hand,
+// or { profileId, programId? } to audit a saved profile's courses against its
+// major. A profile needs a signed-in user who may read it, so advisors can
+// audit their assigned students.
+export async function POST(request: Request) {
+  const student = await readStudentRequest(request, { transcriptRequired: true });
+  if (student instanceof Response) return student;
+
+  return NextResponse.json(auditProgram(student.program, student.transcript, getCourse));
+}
@@ -0,0 +1,22 @@
+// app/api/auth/login/route.ts
+import { NextResponse } from 'next/server';
+import { createLogin, loginCookie } from '@/lib/auth/logins';
+import { verifyLogin } from '@/lib/auth/users';
+
+// Sign in with a password - body: { email, password }
+// Sets the login cookie for the browser and also returns the token, for API
+// clients to send as "Authorization: Bearer <token>".
+export async function POST(request: Request) {
+  const { email, password } = await request.json().catch(() => ({}));
+
+  const user = await verifyLogin(email, password);
+  if (!user) {
+    return NextResponse.json({ error: 'Wrong email or password' }, { status: 401 });
+  }
+
+  const login = createLogin(user.id);
+  return NextResponse.json(
+    { user, token: login.token, expiresAt: login.expiresAt },
+    { headers: { 'Set-Cookie': loginCookie(login) } }
+  );
+}
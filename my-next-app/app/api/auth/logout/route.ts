@@ -0,0 +1,8 @@
+// app/api/auth/logout/route.ts
+import { endLogin, logoutCookie, tokenFromRequest } from '@/lib/auth/logins';
+
+// End the login the request carries and clear the cookie
+export async function POST(request: Request) {
+  endLogin(tokenFromRequest(name => request.headers.get(name)));
+  return new Response(null, { status: 204, headers: { 'Set-Cookie': logoutCookie() } });
+}
@@ -0,0 +1,16 @@
+// app/api/auth/me/route.ts
+import { NextResponse } from 'next/server';
+import { authenticate } from '@/lib/auth/access';
+import { oidcEnabled } from '@/lib/auth/oidc';
+import { config } from '@/lib/config';
+
+// The signed-in user, or null, and the ways to sign in the login form offers:
+// signup when anyone may create an account, sso with the provider's label
+// when single sign-on is configured
+export async function GET(request: Request) {
+  return NextResponse.json({
+    user: authenticate(request),
+    signup: config.auth.allowSignup,
+    sso: oidcEnabled() ? config.oidc.name : null,
+  });
+}
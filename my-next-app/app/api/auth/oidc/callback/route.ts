@@ -0,0 +1,23 @@
+// app/api/auth/oidc/callback/route.ts
+import { NextResponse } from 'next/server';
+import { createLogin, loginCookie } from '@/lib/auth/logins';
+import { finishOidcLogin, OidcError } from '@/lib/auth/oidc';
+
+// The identity provider redirects here after sign-in. On success the login
+// cookie is set and the browser goes to the app; on failure it goes to the
+// app with ?loginError=<message> for the login form to show.
+export async function GET(request: Request) {
+  const url = new URL(request.url);
+  const home = new URL('/', url.origin);
+
+  try {
+    const user = await finishOidcLogin(url.searchParams);
+    const response = NextResponse.redirect(home);
+    response.headers.set('Set-Cookie', loginCookie(createLogin(user.id)));
+    return response;
+  } catch (error: any) {
+    console.error('OIDC callback error:', error);
+    home.searchParams.set('loginError', error instanceof OidcError ? error.message : 'Single sign-on failed; please try again');
+    return NextResponse.redirect(home);
+  }
+}
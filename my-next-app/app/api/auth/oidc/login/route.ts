@@ -0,0 +1,19 @@
+// app/api/auth/oidc/login/route.ts
+import { NextResponse } from 'next/server';
+import { oidcEnabled, startOidcLogin } from '@/lib/auth/oidc';
+import { ProviderError } from '@/lib/providers';
+
+// Start single sign-on: redirects the browser to the identity provider
+export async function GET(request: Request) {
+  if (!oidcEnabled()) {
+    return NextResponse.json({ error: 'Single sign-on is not configured' }, { status: 404 });
+  }
+
+  try {
+    return NextResponse.redirect(await startOidcLogin(new URL(request.url).origin));
+  } catch (error: any) {
+    console.error('OIDC login error:', error);
+    const status = error instanceof ProviderError ? 502 : 500;
+    return NextResponse.json({ error: `Could not reach the identity provider: ${error.message}` }, { status });
+  }
+}
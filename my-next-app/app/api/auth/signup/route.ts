@@ -0,0 +1,28 @@
+// app/api/auth/signup/route.ts
+import { NextResponse } from 'next/server';
+import { createLogin, loginCookie } from '@/lib/auth/logins';
+import { createUser, UserError } from '@/lib/auth/users';
+import { config } from '@/lib/config';
+
+// Create a student account and sign in - body: { email, password, name? }
+// Only when auth.allowSignup is on; otherwise an admin creates accounts.
+export async function POST(request: Request) {
+  if (!config.auth.allowSignup) {
+    return NextResponse.json({ error: 'Sign-up is turned off; ask an admin for an account' }, { status: 403 });
+  }
+
+  const { email, password, name } = await request.json().catch(() => ({}));
+  try {
+    const user = await createUser({ email, password: password ?? '', name, role: 'student' });
+    const login = createLogin(user.id);
+    return NextResponse.json(
+      { user, token: login.token, expiresAt: login.expiresAt },
+      { status: 201, headers: { 'Set-Cookie': loginCookie(login) } }
+    );
+  } catch (error: any) {
+    if (error instanceof UserError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    throw error;
+  }
+}
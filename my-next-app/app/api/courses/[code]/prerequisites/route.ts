@@ -0,0 +1,36 @@
+// app/api/courses/[code]/prerequisites/route.ts
+import { NextResponse } from 'next/server';
+import { normalizeCourseCode } from '@/lib/catalog/codes';
+import { prerequisiteGraph } from '@/lib/catalog/eligibility';
+import { parseRequirement } from '@/lib/catalog/prereqs';
+import { getCourse } from '@/lib/catalog/store';
+
+type Params = { params: Promise<{ code: string }> };
+
+// Parsed prerequisite/corequisite trees and the prerequisite graph behind a course
+export async function GET(request: Request, { params }: Params) {
+  const { code } = await params;
+  const normalized = normalizeCourseCode(decodeURIComponent(code));
+
+  if (!normalized) {
+    return NextResponse.json(
+      { error: `"${code}" is not a course code like CSEN 146` },
+      { status: 400 }
+    );
+  }
+
+  const course = getCourse(normalized);
+  if (!course) {
+    return NextResponse.json(
+      { error: `Course ${normalized} is not in the catalog` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({
+    code: normalized,
+    prerequisites: { text: course.prerequisites, tree: parseRequirement(course.prerequisites) },
+    corequisites: { text: course.corequisites, tree: parseRequirement(course.corequisites) },
+    graph: prerequisiteGraph(normalized, getCourse),
+  });
+}
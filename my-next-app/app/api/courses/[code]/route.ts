@@ -0,0 +1,29 @@
+// app/api/courses/[code]/route.ts
+import { NextResponse } from 'next/server';
+import { normalizeCourseCode } from '@/lib/catalog/codes';
+import { getCourse } from '@/lib/catalog/store';
+
+type Params = { params: Promise<{ code: string }> };
+
+// One course, addressed as /api/courses/CSEN-146 or /api/courses/CSEN%20146
+export async function GET(request: Request, { params }: Params) {
+  const { code } = await params;
+  const normalized = normalizeCourseCode(decodeURIComponent(code));
+
+  if (!normalized) {
+    return NextResponse.json(
+      { error: `"${code}" is not a course code like CSEN 146` },
+      { status: 400 }
+    );
+  }
+
+  const course = getCourse(normalized);
+  if (!course) {
+    return NextResponse.json(
+      { error: `Course ${normalized} is not in the catalog` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ course });
+}
@@ -0,0 +1,26 @@
+// app/api/courses/route.ts
+import { NextResponse } from 'next/server';
+import { listCourses } from '@/lib/catalog/store';
+
+// List courses, e.g. /api/courses?department=CSEN&q=networks&limit=20&offset=0
+export async function GET(request: Request) {
+  const params = new URL(request.url).searchParams;
+  const limit = params.has('limit') ? parseInt(params.get('limit')!, 10) : undefined;
+  const offset = params.has('offset') ? parseInt(params.get('offset')!, 10) : undefined;
+
+  if ((limit !== undefined && !(limit > 0)) || (offset !== undefined && !(offset >= 0))) {
+    return NextResponse.json(
+      { error: 'limit must be a positive integer and offset a non-negative integer' },
+      { status: 400 }
+    );
+  }
+
+  const { total, courses } = listCourses({
+    department: params.get('department') || undefined,
+    q: params.get('q') || undefined,
+    limit,
+    offset,
+  });
+
+  return NextResponse.json({ total, courses });
+}
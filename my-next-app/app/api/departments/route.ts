@@ -0,0 +1,8 @@
+// app/api/departments/route.ts
+import { NextResponse } from 'next/server';
+import { listDepartments } from '@/lib/catalog/store';
+
+// Departments in the catalog with their course counts
+export async function GET() {
+  return NextResponse.json({ departments: listDepartments() });
+}
@@ -0,0 +1,44 @@
+// app/api/editions/diff/route.ts
+import { NextResponse } from 'next/server';
+import {
+  diffEditions,
+  EditionError,
+  EditionNotFoundError,
+  latestCatalogYear,
+  parseCatalogYear,
+} from '@/lib/editions';
+
+// Courses and program requirements that changed between two editions, e.g.
+// /api/editions/diff?from=2023-24&to=2024-25. `to` defaults to the newest
+// edition with a parsed catalog.
+export async function GET(request: Request) {
+  const params = new URL(request.url).searchParams;
+
+  try {
+    const from = parseCatalogYear(params.get('from'));
+    const to = parseCatalogYear(params.get('to')) || latestCatalogYear();
+
+    if (!from) {
+      return NextResponse.json(
+        { error: 'from is required, e.g. ?from=2023-24&to=2024-25' },
+        { status: 400 }
+      );
+    }
+    if (!to) {
+      return NextResponse.json(
+        { error: 'No edition has a parsed catalog yet; run "advisor catalog --catalog-year <year>"' },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(diffEditions(from, to));
+  } catch (error: any) {
+    if (error instanceof EditionError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof EditionNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+}
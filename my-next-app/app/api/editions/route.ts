@@ -0,0 +1,11 @@
+// app/api/editions/route.ts
+import { NextResponse } from 'next/server';
+import { listEditions, resolveEdition } from '@/lib/editions';
+
+// Bulletin editions, newest first, and the catalog year searched by default
+export async function GET() {
+  return NextResponse.json({
+    latest: resolveEdition().catalogYear,
+    editions: listEditions(),
+  });
+}
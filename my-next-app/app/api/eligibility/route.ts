@@ -0,0 +1,55 @@
+// app/api/eligibility/route.ts
+import { NextResponse } from 'next/server';
+import { normalizeCourseCode } from '@/lib/catalog/codes';
+import { checkEligibility } from '@/lib/catalog/eligibility';
+import { getCourse } from '@/lib/catalog/store';
+
+// "Can I take X?" - body: { target: "CSEN 146", completed: ["CSEN 10", "CSEN 11"] }
+export async function POST(request: Request) {
+  const body = await request.json().catch(() => undefined);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return NextResponse.json(
+      { error: 'The request body must be a JSON object' },
+      { status: 400 }
+    );
+  }
+  const { target, completed = [] } = body;
+
+  const targetCode = normalizeCourseCode(target);
+  if (!targetCode) {
+    return NextResponse.json(
+      { error: 'target must be a course code like CSEN 146' },
+      { status: 400 }
+    );
+  }
+
+  if (!Array.isArray(completed)) {
+    return NextResponse.json(
+      { error: 'completed must be an array of course codes' },
+      { status: 400 }
+    );
+  }
+
+  const invalid = completed.filter((code: unknown) => !normalizeCourseCode(code as string));
+  if (invalid.length > 0) {
+    return NextResponse.json(
+      { error: `Not course codes: ${invalid.map((code: unknown) => JSON.stringify(code)).join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  const result = checkEligibility(
+    targetCode,
+    completed.map((code: string) => normalizeCourseCode(code) as string),
+    getCourse
+  );
+
+  if (!result.inCatalog) {
+    return NextResponse.json(
+      { error: `Course ${targetCode} is not in the catalog` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json(result);
+}
@@ -0,0 +1,40 @@
+// app/api/plan/route.ts
+import { NextResponse } from 'next/server';
+import { getCourse, listCourses } from '@/lib/catalog/store';
+import { parseTerm, planProgram } from '@/lib/degree/planner';
+import { readStudentRequest } from '@/lib/students/route';
+
+// Quarter-by-quarter plan - body: { programId, transcript | completed,
+// maxUnitsPerQuarter?, startTerm?: "Fall 2026", quarters?, includeSummer? }
+// With profileId instead, plans from a saved profile's courses and major
+// (programId still overrides it). A profile needs a signed-in user who may
+// read it, so advisors can view their assigned students' plans.
+export async function POST(request: Request) {
+  const student = await readStudentRequest(request);
+  if (student instanceof Response) return student;
+  const { maxUnitsPerQuarter, startTerm, quarters, includeSummer } = student.body;
+
+  if (maxUnitsPerQuarter !== undefined && !(maxUnitsPerQuarter > 0)) {
+    return NextResponse.json({ error: 'maxUnitsPerQuarter must be a positive number' }, { status: 400 });
+  }
+
+  if (quarters !== undefined && !(Number.isInteger(quarters) && quarters > 0)) {
+    return NextResponse.json({ error: 'quarters must be a positive integer' }, { status: 400 });
+  }
+
+  const term = startTerm === undefined ? undefined : parseTerm(startTerm);
+  if (term === null) {
+    return NextResponse.json(
+      { error: 'startTerm must be a quarter like "Fall 2026"' },
+      { status: 400 }
+    );
+  }
+
+  const plan = planProgram(student.program, student.transcript, { getCourse, listCourses }, {
+    maxUnitsPerQuarter,
+    startTerm: term,
+    maxQuarters: quarters,
+    includeSummer,
+  });
+  return NextResponse.json(plan);
+}
@@ -0,0 +1,50 @@
+// app/api/profiles/[id]/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { deleteProfile, getProfile, ProfileError, ProfileNotFoundError, updateProfile } from '@/lib/students/store';
+
+type Params = { params: Promise<{ id: string }> };
+
+function errorResponse(error: any) {
+  if (error instanceof ProfileError) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+  if (error instanceof ProfileNotFoundError) {
+    return NextResponse.json({ error: error.message }, { status: 404 });
+  }
+  throw error;
+}
+
+// Advisors may read their assigned students' profiles; only the owner and
+// admins may change or delete one
+export const GET = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    return NextResponse.json({ profile: getProfile(id, user) });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+});
+
+// Change the fields sent; courses, when sent, replaces the whole list
+export const PATCH = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    const body = await request.json().catch(() => {
+      throw new ProfileError('The request body must be JSON');
+    });
+    return NextResponse.json({ profile: updateProfile(id, body, user) });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+});
+
+export const DELETE = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    deleteProfile(id, user);
+    return new Response(null, { status: 204 });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+});
@@ -0,0 +1,37 @@
+// app/api/profiles/[id]/transcript/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { importCourses, ProfileNotFoundError } from '@/lib/students/store';
+import { parseTranscript, TranscriptError } from '@/lib/students/transcript';
+
+type Params = { params: Promise<{ id: string }> };
+
+// Import a transcript into a profile - body: { content, format?, replace? }
+// content is CSV, JSON or pasted unofficial-transcript text; format ("csv",
+// "json" or "text") is detected when omitted. Courses are added to the
+// profile unless replace is true. Lines that could not be read are returned
+// under `skipped`. Only the profile's owner and admins may import.
+export const POST = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    const { content, format, replace } = await request.json().catch(() => {
+      throw new TranscriptError('The request body must be JSON');
+    });
+    const transcript = parseTranscript(content, format);
+    const profile = importCourses(id, transcript.courses, { replace: replace === true }, user);
+    return NextResponse.json({
+      profile,
+      format: transcript.format,
+      imported: transcript.courses.length,
+      skipped: transcript.skipped,
+    });
+  } catch (error: any) {
+    if (error instanceof TranscriptError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    if (error instanceof ProfileNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+});
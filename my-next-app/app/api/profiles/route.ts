@@ -0,0 +1,27 @@
+// app/api/profiles/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { createProfile, listProfiles, ProfileError } from '@/lib/students/store';
+
+// Profiles the signed-in user may see, most recently updated first, without
+// their courses: their own, and for advisors their assigned students'
+export const GET = withAuth(async (request, context, user) => {
+  return NextResponse.json({ profiles: listProfiles(user) });
+});
+
+// body: { name?, major?, minor?, catalogYear?, courses?: [{ code, grade?, units?, term? }] }
+// major and minor are program ids from /api/programs. The profile belongs
+// to the signed-in user.
+export const POST = withAuth(async (request, context, user) => {
+  try {
+    const body = await request.json().catch(() => {
+      throw new ProfileError('The request body must be JSON');
+    });
+    return NextResponse.json({ profile: createProfile(body, user) }, { status: 201 });
+  } catch (error: any) {
+    if (error instanceof ProfileError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    throw error;
+  }
+});
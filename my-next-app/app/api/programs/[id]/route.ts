@@ -0,0 +1,20 @@
+// app/api/programs/[id]/route.ts
+import { NextResponse } from 'next/server';
+import { getProgram } from '@/lib/degree/store';
+
+type Params = { params: Promise<{ id: string }> };
+
+// One program with its requirement blocks
+export async function GET(request: Request, { params }: Params) {
+  const { id } = await params;
+  const program = getProgram(id);
+
+  if (!program) {
+    return NextResponse.json(
+      { error: `Program ${id} not found` },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ program });
+}
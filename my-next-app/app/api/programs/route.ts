@@ -0,0 +1,19 @@
+// app/api/programs/route.ts
+import { NextResponse } from 'next/server';
+import { listPrograms } from '@/lib/degree/store';
+
+const PROGRAM_TYPES = ['major', 'minor', 'concentration'];
+
+// List programs parsed from the bulletin, e.g. /api/programs?type=major
+export async function GET(request: Request) {
+  const type = new URL(request.url).searchParams.get('type') || undefined;
+
+  if (type && !PROGRAM_TYPES.includes(type)) {
+    return NextResponse.json(
+      { error: `type must be one of ${PROGRAM_TYPES.join(', ')}` },
+      { status: 400 }
+    );
+  }
+
+  return NextResponse.json({ programs: listPrograms(type) });
+}
@@ -1,17 +1,32 @@
 // app/api/search/route.ts
 import { NextResponse } from 'next/server';
-import axios from 'axios';
+import { withAuth } from '@/lib/auth/route';
+import { rewriteQuery } from '@/lib/conversation';
+import { EditionError, EditionNotFoundError, parseCatalogYear } from '@/lib/editions';
+import { EmbeddingDimensionError } from '@/lib/embeddings';
+import { FilterError, parseFilters } from '@/lib/filters';
+import { describeProviders, ProviderError } from '@/lib/providers';
+import { RerankOptionsError, parseRerankOptions } from '@/lib/rerank';
+import { isValidWeight, searchWithFacets } from '@/lib/retrieval';
+import { getSession, SessionNotFoundError } from '@/lib/sessions';
+import { annotateHits, resolveStudentEdition, studentStanding } from '@/lib/students/context';
+import { getProfile, ProfileNotFoundError } from '@/lib/students/store';
+import { getBackend, openStore } from '@/lib/vectorstore';
 
-// Configure your ChromaDB connection - replace with your actual host IP
-const CHROMADB_HOST = '192.168.0.105';
-const CHROMADB_PORT = 8000;
-const COLLECTION_NAME = 'scu_bulletins';
+const MAX_RESULTS = 50;
 
-export async function POST(request: Request) {
+// body: { query, sessionId?, profileId?, catalogYear?, lexicalWeight?, nResults?,
+// filters?: { department, minUnits, maxUnits, source, hasPrerequisites, chunkType },
+// rerank?: { skip, poolSize, model } }
+// catalogYear (e.g. "2024-25") picks the bulletin edition, defaulting to the
+// profile's catalog year when that edition is ingested, else the latest.
+// With profileId, each hit lists its courses' courseStatus for the student.
+// Needs a signed-in user; sessionId and profileId must be ones they may read.
+export const POST = withAuth(async (request, context, user) => {
   try {
     const body = await request.json();
-    const { query } = body;
-    
+    const { query, sessionId, profileId, lexicalWeight, nResults } = body;
+
     if (!query || query.trim() === '') {
       return NextResponse.json(
         { error: 'Query is required' },
@@ -19,75 +34,101 @@ export async function POST(request: Request) {
       );
     }
 
-    // First, let's try querying with the text directly since ChromaDB may handle the embedding
-    try {
-      // Query ChromaDB directly using its REST API
-      const response = await axios.post(
-        `http://${CHROMADB_HOST}:${CHROMADB_PORT}/api/v1/collections/${COLLECTION_NAME}/query`, 
-        {
-          query_texts: [query],
-          n_results: 5,
-          include: ["documents", "metadatas", "distances"]
-        }
-      );
-      
-      return processResults(response.data);
-    } catch (error) {
-      console.error('Error with query_texts, trying alternative approach:', error);
-      
-      // If the first approach failed, try with a fixed-dimension embedding
-      const embedding = Array.from({ length: 384 }, () => Math.random() - 0.5);
-      
-      const response = await axios.post(
-        `http://${CHROMADB_HOST}:${CHROMADB_PORT}/api/v1/collections/${COLLECTION_NAME}/query`, 
-        {
-          query_embeddings: [embedding],
-          n_results: 5,
-          include: ["documents", "metadatas", "distances"]
-        }
+    if (!isValidWeight(lexicalWeight)) {
+      return NextResponse.json(
+        { error: 'lexicalWeight must be a number from 0 (embeddings only) to 1 (keywords only)' },
+        { status: 400 }
       );
-      
-      return processResults(response.data);
     }
-    
-    // Helper function to process query results
-    function processResults(queryResults: any) {
-    
-      const results = queryResults.documents && queryResults.documents[0] 
-        ? queryResults.documents[0].map((document: string, index: number) => ({
-            document,
-            metadata: queryResults.metadatas && queryResults.metadatas[0] 
-              ? queryResults.metadatas[0][index] || {} 
-              : {},
-            distance: queryResults.distances && queryResults.distances[0] 
-              ? queryResults.distances[0][index] || 0 
-              : 0,
-            id: queryResults.ids && queryResults.ids[0] 
-              ? queryResults.ids[0][index] || `result-${index}` 
-              : `result-${index}`,
-          }))
-        : [];
-      
-      return NextResponse.json({ results });
+
+    if (nResults !== undefined && !(Number.isInteger(nResults) && nResults > 0 && nResults <= MAX_RESULTS)) {
+      return NextResponse.json(
+        { error: `nResults must be an integer from 1 to ${MAX_RESULTS}` },
+        { status: 400 }
+      );
     }
+
+    const filters = parseFilters(body.filters);
+    const rerank = parseRerankOptions(body.rerank);
+    const profile = profileId ? getProfile(profileId, user) : null;
+    const edition = resolveStudentEdition(profile, parseCatalogYear(body.catalogYear));
+
+    // Within a conversation, resolve follow-ups like "what about it?" first
+    const rewriteStart = performance.now();
+    const retrievalQuery = sessionId ? await rewriteQuery(getSession(sessionId, user), query) : query;
+    const rewriteMs = Math.round(performance.now() - rewriteStart);
+
+    const collection = await openStore(edition.collection);
+
+    // Embedding search and the keyword index, fused; each hit lists the
+    // retrievers that returned it. Facets count every matching candidate.
+    const search = await searchWithFacets(collection, retrievalQuery, {
+      lexicalWeight,
+      nResults,
+      filters,
+      rerank,
+    });
+    if (profile) annotateHits(search.results, studentStanding(profile));
+
+    return NextResponse.json({
+      catalogYear: edition.catalogYear,
+      results: search.results,
+      facets: search.facets,
+      matched: search.matched,
+      filters,
+      retrievalQuery,
+      rerank: search.rerank,
+      // Milliseconds per stage: rewrite, vector, lexical, fusion, rerank, total
+      timings: { rewrite: rewriteMs, ...search.timings },
+    });
   } catch (error: any) {
+    if (error instanceof FilterError || error instanceof RerankOptionsError || error instanceof EditionError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 400 }
+      );
+    }
+
     console.error('Search error:', error);
-    
+
+    if (error instanceof SessionNotFoundError || error instanceof EditionNotFoundError || error instanceof ProfileNotFoundError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 404 }
+      );
+    }
+
+    if (error instanceof EmbeddingDimensionError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 500 }
+      );
+    }
+
+    // The embedding provider answered with an error or timed out after retries
+    if (error instanceof ProviderError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 502 }
+      );
+    }
+
     // Check if it's a connection error
-    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+    const code = error.code || error.cause?.code;
+    if (code === 'ECONNREFUSED' || code === 'ENOTFOUND') {
       return NextResponse.json(
-        { error: `Cannot connect to ChromaDB at ${CHROMADB_HOST}:${CHROMADB_PORT}. Make sure the server is running and accessible.` },
+        { error: `Cannot connect to the vector store at ${getBackend().location} or the model provider, ${describeProviders()}. Make sure both are running and accessible.` },
         { status: 503 }
       );
     }
-    
+
     // Check if there's more detailed error info in the response
     const responseData = error.response?.data;
     const detailedMessage = responseData ? JSON.stringify(responseData) : error.message;
-    
+
     return NextResponse.json(
       { error: `Failed to perform search: ${detailedMessage}` },
       { status: 500 }
     );
   }
-}
\ No newline at end of file
+});
@@ -0,0 +1,33 @@
+// app/api/sessions/[id]/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { deleteSession, getSession, SessionNotFoundError } from '@/lib/sessions';
+
+type Params = { params: Promise<{ id: string }> };
+
+// Full conversation, used to resume a session in the UI. Other users'
+// conversations are reported as not found.
+export const GET = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    return NextResponse.json({ session: getSession(id, user) });
+  } catch (error: any) {
+    if (error instanceof SessionNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+});
+
+export const DELETE = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    deleteSession(id, user);
+    return new Response(null, { status: 204 });
+  } catch (error: any) {
+    if (error instanceof SessionNotFoundError) {
+      return NextResponse.json({ error: error.message }, { status: 404 });
+    }
+    throw error;
+  }
+});
@@ -0,0 +1,15 @@
+// app/api/sessions/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { createSession, listSessions } from '@/lib/sessions';
+
+// The signed-in user's conversations, most recent first
+export const GET = withAuth(async (request, context, user) => {
+  return NextResponse.json({ sessions: listSessions(user) });
+});
+
+// Start an empty conversation
+export const POST = withAuth(async (request, context, user) => {
+  const session = createSession(user);
+  return NextResponse.json({ session }, { status: 201 });
+});
@@ -0,0 +1,54 @@
+// app/api/users/[id]/route.ts
+import { NextResponse } from 'next/server';
+import { withAuth } from '@/lib/auth/route';
+import { deleteUser, getUser, updateUser, UserError, UserNotFoundError } from '@/lib/auth/users';
+
+type Params = { params: Promise<{ id: string }> };
+
+function errorResponse(error: any) {
+  if (error instanceof UserError) {
+    return NextResponse.json({ error: error.message }, { status: 400 });
+  }
+  if (error instanceof UserNotFoundError) {
+    return NextResponse.json({ error: error.message }, { status: 404 });
+  }
+  throw error;
+}
+
+export const GET = withAuth(async (request, { params }: Params) => {
+  const { id } = await params;
+  try {
+    return NextResponse.json({ user: getUser(id) });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+}, ['admin']);
+
+// Change the fields sent - body: { name?, role?, password?, students? }
+// students (advisors only) replaces the ids of the students assigned to them
+export const PATCH = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    const body = await request.json().catch(() => {
+      throw new UserError('The request body must be JSON');
+    });
+    if (id === user.id && body && body.role !== undefined && body.role !== 'admin') {
+      throw new UserError('You cannot remove your own admin role');
+    }
+    return NextResponse.json({ user: await updateUser(id, body) });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+}, ['admin']);
+
+// Delete an account with its profiles and logins
+export const DELETE = withAuth(async (request, { params }: Params, user) => {
+  const { id } = await params;
+  try {
+    if (id === user.id) throw new UserError('You cannot delete your own account');
+    deleteUser(id);
+    return new Response(null, { status: 204 });
+  } catch (error: any) {
+    return errorResponse(error);
+  }
+}, ['admin']);
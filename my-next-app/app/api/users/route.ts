@@ -0,0 +1,34 @@
+// app/api/users/route.ts
+import { NextResponse } from 'next/server';
+import { generatePassword } from '@/lib/auth/passwords';
+import { withAuth } from '@/lib/auth/route';
+import { createUser, listUsers, UserError } from '@/lib/auth/users';
+
+// Accounts, by email - ?role=student|advisor|admin narrows the list.
+// Admins see everyone; advisors see the students assigned to them.
+export const GET = withAuth(async (request, context, user) => {
+  const role = new URL(request.url).searchParams.get('role') || undefined;
+  const users = user.role === 'admin'
+    ? listUsers({ role })
+    : listUsers({ role, ids: user.students || [] });
+  return NextResponse.json({ users });
+}, ['admin', 'advisor']);
+
+// Create an account - body: { email, name?, role?, password? }
+// Without a password one is generated and returned once, as `password`.
+export const POST = withAuth(async (request) => {
+  const body = await request.json().catch(() => ({}));
+  const password = body.password ?? generatePassword();
+  try {
+    const created = await createUser({ email: body.email, name: body.name, role: body.role, password });
+    return NextResponse.json(
+      { user: created, ...(body.password === undefined ? { password } : {}) },
+      { status: 201 }
+    );
+  } catch (error: any) {
+    if (error instanceof UserError) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+    throw error;
+  }
+}, ['admin']);
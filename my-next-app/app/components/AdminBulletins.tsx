@@ -0,0 +1,136 @@
+// app/components/AdminBulletins.tsx
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Typography,
+} from "@mui/material";
+import DeleteIcon from "@mui/icons-material/Delete";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+import { readJson } from "./AdminView";
+
+type BulletinFile = { name: string; bytes: number; modifiedAt: string };
+
+function formatSize(bytes: number) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+export default function AdminBulletins({ catalogYear }: { catalogYear: string }) {
+  const [dir, setDir] = useState("");
+  const [files, setFiles] = useState<BulletinFile[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const query = catalogYear ? `?catalogYear=${catalogYear}` : "";
+
+  const load = useCallback(async () => {
+    setError("");
+    try {
+      const data = await readJson(await fetch(`/api/admin/bulletins${query}`));
+      setDir(data.dir);
+      setFiles(data.files);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const upload = async (selected: FileList | null) => {
+    if (!selected || selected.length === 0) return;
+    setLoading(true);
+    setError("");
+    setMessage("");
+
+    const form = new FormData();
+    for (const file of Array.from(selected)) form.append("file", file);
+    if (catalogYear) form.append("catalogYear", catalogYear);
+
+    try {
+      const data = await readJson(await fetch("/api/admin/bulletins", { method: "POST", body: form }));
+      setMessage(`Uploaded ${data.files.length} file(s) to ${data.files[0].dir}. Start an ingest to index them.`);
+      await load();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const remove = async (name: string) => {
+    if (!window.confirm(`Delete ${name}? Its chunks are removed by the next ingest.`)) return;
+    setError("");
+    try {
+      await readJson(await fetch(`/api/admin/bulletins/${encodeURIComponent(name)}${query}`, { method: "DELETE" }));
+      await load();
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2 }}>
+        <Button
+          variant="contained"
+          component="label"
+          disabled={loading}
+          startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <UploadFileIcon />}
+        >
+          Upload bulletin files
+          <input
+            hidden
+            multiple
+            type="file"
+            accept=".txt,.pdf,.html,.htm"
+            onChange={(e) => {
+              upload(e.target.files);
+              e.target.value = "";
+            }}
+          />
+        </Button>
+        <Typography variant="body2" color="text.secondary">
+          {catalogYear ? `Uploads go to the ${catalogYear} folder.` : "Uploads go to the shared bulletin folder."}
+        </Typography>
+      </Box>
+
+      {message && <Alert severity="success" sx={{ mb: 2 }}>{message}</Alert>}
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Typography variant="subtitle2">
+        {files.length} file(s) in {dir}
+      </Typography>
+      <List dense>
+        {files.map((file) => (
+          <ListItem
+            key={file.name}
+            divider
+            secondaryAction={
+              <IconButton edge="end" aria-label={`Delete ${file.name}`} onClick={() => remove(file.name)}>
+                <DeleteIcon />
+              </IconButton>
+            }
+          >
+            <ListItemText
+              primary={file.name}
+              secondary={`${formatSize(file.bytes)}, changed ${new Date(file.modifiedAt).toLocaleString()}`}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Box>
+  );
+}
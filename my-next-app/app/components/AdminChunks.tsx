@@ -0,0 +1,178 @@
+// app/components/AdminChunks.tsx
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Pagination,
+  Paper,
+  Table,
+  TableBody,
+  TableCell,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+import DeleteIcon from "@mui/icons-material/Delete";
+import SearchIcon from "@mui/icons-material/Search";
+import { readJson } from "./AdminView";
+
+const PAGE_SIZE = 20;
+
+type Chunk = { id: string; document: string; metadata: Record<string, any> };
+
+type ChunkDetails = Chunk & {
+  embedding: { dimension: number; allZeros: boolean; head: number[] };
+  keywordIndex: boolean;
+  manifest: { source: string; hash: string; indexedAt: string } | null;
+};
+
+function ChunkPanel({ chunk, onDelete }: { chunk: ChunkDetails; onDelete: () => void }) {
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1, mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          {chunk.id}
+        </Typography>
+        <Chip size="small" label={chunk.keywordIndex ? "in keyword index" : "missing from keyword index"} color={chunk.keywordIndex ? "default" : "warning"} />
+        <Chip size="small" label={`${chunk.embedding.dimension} dimensions`} color={chunk.embedding.allZeros ? "error" : "default"} />
+        <Button color="error" startIcon={<DeleteIcon />} onClick={onDelete}>
+          Delete
+        </Button>
+      </Box>
+      <Table size="small">
+        <TableBody>
+          {Object.entries(chunk.metadata).map(([key, value]) => (
+            <TableRow key={key}>
+              <TableCell sx={{ width: 200, fontFamily: "monospace" }}>{key}</TableCell>
+              <TableCell>{String(value)}</TableCell>
+            </TableRow>
+          ))}
+          <TableRow>
+            <TableCell sx={{ fontFamily: "monospace" }}>manifest</TableCell>
+            <TableCell>
+              {chunk.manifest
+                ? `from ${chunk.manifest.source}, indexed ${new Date(chunk.manifest.indexedAt).toLocaleString()}`
+                : "not recorded"}
+            </TableCell>
+          </TableRow>
+        </TableBody>
+      </Table>
+      <Typography variant="body2" sx={{ mt: 2, whiteSpace: "pre-wrap" }}>
+        {chunk.document}
+      </Typography>
+    </Paper>
+  );
+}
+
+// Browse, search and delete the chunks of one catalog year's collection
+export default function AdminChunks({ catalogYear }: { catalogYear: string }) {
+  const [source, setSource] = useState("");
+  const [text, setText] = useState("");
+  const [filter, setFilter] = useState({ source: "", q: "" });
+  const [page, setPage] = useState(1);
+  const [chunks, setChunks] = useState<Chunk[]>([]);
+  const [total, setTotal] = useState(0);
+  const [selected, setSelected] = useState<ChunkDetails | null>(null);
+  const [error, setError] = useState("");
+
+  const yearParam = catalogYear ? `catalogYear=${catalogYear}` : "";
+
+  const load = useCallback(async () => {
+    setError("");
+    const params = new URLSearchParams({ offset: String((page - 1) * PAGE_SIZE), limit: String(PAGE_SIZE) });
+    if (catalogYear) params.set("catalogYear", catalogYear);
+    if (filter.source) params.set("source", filter.source);
+    if (filter.q) params.set("q", filter.q);
+    try {
+      const data = await readJson(await fetch(`/api/admin/chunks?${params}`));
+      setChunks(data.chunks);
+      setTotal(data.total);
+    } catch (err: any) {
+      setChunks([]);
+      setTotal(0);
+      setError(err.message);
+    }
+  }, [catalogYear, filter, page]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const open = async (id: string) => {
+    setError("");
+    try {
+      const data = await readJson(await fetch(`/api/admin/chunks/${encodeURIComponent(id)}?${yearParam}`));
+      setSelected(data.chunk);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const remove = async (id: string) => {
+    if (!window.confirm(`Delete chunk ${id}? It comes back when its file changes or the edition is reindexed.`)) return;
+    setError("");
+    try {
+      await readJson(await fetch(`/api/admin/chunks/${encodeURIComponent(id)}?${yearParam}`, { method: "DELETE" }));
+      setSelected(null);
+      await load();
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const search = (e: React.FormEvent) => {
+    e.preventDefault();
+    setPage(1);
+    setFilter({ source: source.trim(), q: text.trim() });
+  };
+
+  return (
+    <Box>
+      <Box component="form" onSubmit={search} sx={{ display: "flex", gap: 2, mb: 2 }}>
+        <TextField size="small" label="Bulletin file" value={source} onChange={(e) => setSource(e.target.value)} />
+        <TextField size="small" label="Id or text contains" value={text} onChange={(e) => setText(e.target.value)} sx={{ flexGrow: 1 }} />
+        <Button type="submit" variant="contained" startIcon={<SearchIcon />}>
+          Find
+        </Button>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {selected && <ChunkPanel chunk={selected} onDelete={() => remove(selected.id)} />}
+
+      <Typography variant="subtitle2">{total} chunk(s)</Typography>
+      <List dense>
+        {chunks.map((chunk) => (
+          <ListItem
+            key={chunk.id}
+            disablePadding
+            divider
+            secondaryAction={
+              <IconButton edge="end" aria-label={`Delete ${chunk.id}`} onClick={() => remove(chunk.id)}>
+                <DeleteIcon />
+              </IconButton>
+            }
+          >
+            <ListItemButton selected={selected?.id === chunk.id} onClick={() => open(chunk.id)}>
+              <ListItemText
+                primary={`${chunk.id} (${chunk.metadata.chunk_type || "text"})`}
+                secondary={chunk.document.length > 160 ? `${chunk.document.substring(0, 160)}...` : chunk.document}
+              />
+            </ListItemButton>
+          </ListItem>
+        ))}
+      </List>
+      {total > PAGE_SIZE && (
+        <Pagination count={Math.ceil(total / PAGE_SIZE)} page={page} onChange={(_, value) => setPage(value)} sx={{ mt: 1 }} />
+      )}
+    </Box>
+  );
+}
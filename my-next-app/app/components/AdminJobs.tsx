@@ -0,0 +1,275 @@
+// app/components/AdminJobs.tsx
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  Typography,
+} from "@mui/material";
+import PlayArrowIcon from "@mui/icons-material/PlayArrow";
+import ReplayIcon from "@mui/icons-material/Replay";
+import StopIcon from "@mui/icons-material/Stop";
+import { readEvents } from "@/lib/sse";
+import { readJson } from "./AdminView";
+
+type JobKind = "ingest" | "reindex" | "keyword";
+
+type Job = {
+  id: string;
+  kind: JobKind;
+  collection: string;
+  catalogYear: string | null;
+  status: "queued" | "running" | "succeeded" | "failed" | "cancelled";
+  interrupted: boolean;
+  createdBy: string | null;
+  createdAt: string;
+  startedAt: string | null;
+  finishedAt: string | null;
+  plannedAt: string | null;
+  plan: { files: number; new: number; changed: number; unchanged: number; removed: number; upserts: number; deletes: number } | null;
+  progress: { total: number; done: number; dead: number; pending: number; percent: number; etaSeconds: number | null };
+  error: string | null;
+};
+
+type DeadLetter = { id: string; source: string; attempts: number; error: string | null };
+
+const KINDS: { kind: JobKind; label: string; description: string }[] = [
+  { kind: "ingest", label: "Ingest", description: "Embed new and changed chunks, delete stale ones" },
+  { kind: "reindex", label: "Reindex", description: "Re-embed every chunk" },
+  { kind: "keyword", label: "Rebuild keyword index", description: "From the chunks already stored" },
+];
+
+const STATUS_COLORS = {
+  queued: "default",
+  running: "info",
+  interrupted: "warning",
+  succeeded: "success",
+  failed: "error",
+  cancelled: "default",
+} as const;
+
+const isUnfinished = (job: Job) => job.status === "queued" || job.status === "running";
+
+function formatEta(seconds: number) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function describeJob(job: Job) {
+  const parts = [`${job.collection}, queued ${new Date(job.createdAt).toLocaleString()}`];
+  if (job.createdBy) parts.push(`by ${job.createdBy}`);
+  if (job.plan) {
+    parts.push(`${job.plan.new} new, ${job.plan.changed} changed, ${job.plan.removed} removed file(s)`);
+  }
+  parts.push(`${job.progress.done} of ${job.progress.total} chunks`);
+  if (job.progress.dead > 0) parts.push(`${job.progress.dead} dead-lettered`);
+  if (job.error) parts.push(job.error);
+  return parts.join("; ");
+}
+
+function JobPanel({
+  job,
+  deadLetters,
+  onCancel,
+  onRetry,
+}: {
+  job: Job;
+  deadLetters: DeadLetter[];
+  onCancel: () => void;
+  onRetry: () => void;
+}) {
+  const { total, done, dead, percent, etaSeconds } = job.progress;
+  const planning = job.status === "running" && job.kind !== "keyword" && !job.plannedAt;
+  const retriable = job.status === "failed" || job.status === "cancelled";
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+        <Typography variant="subtitle2" sx={{ flexGrow: 1 }}>
+          {job.kind} of {job.collection}:{" "}
+          {job.status === "queued" ? "waiting for the worker" : planning ? "planning the changes" : `${done} of ${total} chunks`}
+          {dead > 0 && `, ${dead} dead-lettered`}
+          {job.status === "running" && etaSeconds !== null && `, about ${formatEta(etaSeconds)} left`}
+        </Typography>
+        {isUnfinished(job) && (
+          <Button color="error" startIcon={<StopIcon />} onClick={onCancel}>
+            Cancel
+          </Button>
+        )}
+        {retriable && (
+          <Button startIcon={<ReplayIcon />} onClick={onRetry}>
+            Retry
+          </Button>
+        )}
+      </Box>
+      <LinearProgress
+        variant={planning || job.status === "queued" ? "indeterminate" : "determinate"}
+        value={percent}
+        color={job.interrupted ? "warning" : "primary"}
+        sx={{ my: 1 }}
+      />
+      {job.interrupted && (
+        <Typography variant="caption" color="warning.main" component="div">
+          Its worker stopped answering; the job carries on from its checkpoint when a worker picks it up.
+        </Typography>
+      )}
+      {job.error && (
+        <Typography variant="caption" color="error" component="div">
+          {job.error}
+        </Typography>
+      )}
+      {deadLetters.length > 0 && (
+        <>
+          <Typography variant="subtitle2" sx={{ mt: 1 }}>
+            Dead letters
+          </Typography>
+          {deadLetters.map((letter) => (
+            <Typography key={letter.id} variant="caption" color="error" component="div">
+              {letter.id} ({letter.attempts} attempts): {letter.error}
+            </Typography>
+          ))}
+        </>
+      )}
+    </Paper>
+  );
+}
+
+// Queue ingest jobs and follow them; jobs outlive the page and the server
+export default function AdminJobs({ catalogYear, onFinished }: { catalogYear: string; onFinished: () => void }) {
+  const [jobs, setJobs] = useState<Job[]>([]);
+  const [selected, setSelected] = useState<{ job: Job; deadLetters: DeadLetter[] } | null>(null);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    const data = await readJson(await fetch("/api/admin/jobs"));
+    setJobs(data.jobs);
+    return data.jobs as Job[];
+  }, []);
+
+  // Shows each change of the job until it finishes, then its dead letters
+  const follow = useCallback(async (job: Job) => {
+    // Leaves the panel alone once another job was selected
+    const show = (update: Job, deadLetters: DeadLetter[] = []) =>
+      setSelected((current) => (!current || current.job.id === job.id ? { job: update, deadLetters } : current));
+
+    setSelected({ job, deadLetters: [] });
+    if (!isUnfinished(job)) return;
+    try {
+      const response = await fetch(`/api/admin/jobs/${job.id}/events`);
+      if (!response.ok || !response.body) {
+        await readJson(response);
+        return;
+      }
+      for await (const { event, data } of readEvents(response.body)) {
+        if (event === "job") show(data);
+      }
+      const data = await readJson(await fetch(`/api/admin/jobs/${job.id}`));
+      show(data.job, data.deadLetters);
+      onFinished();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      await load().catch(() => {});
+    }
+  }, [load, onFinished]);
+
+  useEffect(() => {
+    load()
+      .then((current) => {
+        const unfinished = current.find(isUnfinished);
+        if (unfinished) follow(unfinished);
+      })
+      .catch((err) => setError(err.message));
+  }, [load, follow]);
+
+  const act = async (request: () => Promise<Response>) => {
+    setError("");
+    try {
+      const data = await readJson(await request());
+      await load();
+      follow(data.job);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const start = (kind: JobKind) =>
+    act(() => fetch("/api/admin/jobs", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ kind, catalogYear: catalogYear || undefined }),
+    }));
+
+  const select = async (job: Job) => {
+    setError("");
+    try {
+      const data = await readJson(await fetch(`/api/admin/jobs/${job.id}`));
+      if (isUnfinished(data.job)) follow(data.job);
+      else setSelected({ job: data.job, deadLetters: data.deadLetters });
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: "flex", gap: 2, flexWrap: "wrap", mb: 2 }}>
+        {KINDS.map(({ kind, label, description }) => (
+          <Box key={kind}>
+            <Button variant="contained" startIcon={<PlayArrowIcon />} onClick={() => start(kind)}>
+              {label}
+            </Button>
+            <Typography variant="caption" color="text.secondary" display="block">
+              {description}
+            </Typography>
+          </Box>
+        ))}
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Jobs use the configured chunking settings and index the {catalogYear || "configured"} catalog year;
+        the keyword index is rebuilt for {catalogYear || "the latest"} edition. They run in the background,
+        one per collection at a time, and carry on after a server restart.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {selected && (
+        <JobPanel
+          job={selected.job}
+          deadLetters={selected.deadLetters}
+          onCancel={() => act(() => fetch(`/api/admin/jobs/${selected.job.id}/cancel`, { method: "POST" }))}
+          onRetry={() => act(() => fetch(`/api/admin/jobs/${selected.job.id}/retry`, { method: "POST" }))}
+        />
+      )}
+
+      <Typography variant="subtitle2">Jobs</Typography>
+      <List dense>
+        {jobs.length === 0 && (
+          <ListItem>
+            <ListItemText secondary="No jobs yet" />
+          </ListItem>
+        )}
+        {jobs.map((job) => {
+          const status = job.interrupted ? "interrupted" : job.status;
+          return (
+            <ListItem key={job.id} disablePadding divider>
+              <ListItemButton selected={selected?.job.id === job.id} onClick={() => select(job)}>
+                <Chip size="small" label={status} color={STATUS_COLORS[status]} sx={{ mr: 2 }} />
+                <ListItemText primary={`${job.kind}, ${job.progress.percent}%`} secondary={describeJob(job)} />
+              </ListItemButton>
+            </ListItem>
+          );
+        })}
+      </List>
+    </Box>
+  );
+}
@@ -0,0 +1,131 @@
+// app/components/AdminStats.tsx
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Grid,
+  LinearProgress,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import RefreshIcon from "@mui/icons-material/Refresh";
+import { readJson } from "./AdminView";
+
+type Stats = {
+  collection: string;
+  embedModel: string;
+  chunks: number;
+  dimension: number | null;
+  keywordIndexChunks: number;
+  sources: { source: string; chunks: number }[];
+  metadata: { key: string; chunks: number; percent: number }[];
+  files: { source: string; chunkCount: number; indexedAt: string | null; complete: boolean }[];
+};
+
+export default function AdminStats({ catalogYear }: { catalogYear: string }) {
+  const [stats, setStats] = useState<Stats | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      setStats(await readJson(await fetch(`/api/admin/stats${catalogYear ? `?catalogYear=${catalogYear}` : ""}`)));
+    } catch (err: any) {
+      setStats(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [catalogYear]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const manifest = new Map(stats?.files.map((file) => [file.source, file]));
+
+  return (
+    <Box>
+      <Button startIcon={<RefreshIcon />} onClick={load} disabled={loading} sx={{ mb: 1 }}>
+        Refresh
+      </Button>
+      {loading && <LinearProgress sx={{ mb: 2 }} />}
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {stats && (
+        <>
+          <Typography variant="body2" sx={{ mb: 2 }}>
+            {stats.collection}: {stats.chunks} chunks, {stats.keywordIndexChunks} in the keyword index,
+            {" "}{stats.dimension ?? "no"} dimensions from {stats.embedModel}
+          </Typography>
+          {stats.keywordIndexChunks !== stats.chunks && (
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              The keyword index and the vector store disagree; rebuild the keyword index.
+            </Alert>
+          )}
+
+          <Grid container spacing={3}>
+            <Grid item xs={12} md={7}>
+              <Typography variant="subtitle2">Chunks per bulletin file</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>File</TableCell>
+                    <TableCell align="right">Chunks</TableCell>
+                    <TableCell>Indexed</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {stats.sources.map(({ source, chunks }) => {
+                    const file = manifest.get(source);
+                    return (
+                      <TableRow key={source}>
+                        <TableCell>{source}</TableCell>
+                        <TableCell align="right">{chunks}</TableCell>
+                        <TableCell>
+                          {!file ? "not in the manifest" : file.complete && file.indexedAt
+                            ? new Date(file.indexedAt).toLocaleString()
+                            : "incomplete, retried on next ingest"}
+                        </TableCell>
+                      </TableRow>
+                    );
+                  })}
+                </TableBody>
+              </Table>
+            </Grid>
+            <Grid item xs={12} md={5}>
+              <Typography variant="subtitle2">Metadata coverage</Typography>
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Key</TableCell>
+                    <TableCell align="right">Chunks</TableCell>
+                    <TableCell align="right">Share</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {stats.metadata.map(({ key, chunks, percent }) => (
+                    <TableRow key={key}>
+                      <TableCell sx={{ fontFamily: "monospace" }}>{key}</TableCell>
+                      <TableCell align="right">{chunks}</TableCell>
+                      <TableCell align="right">{percent}%</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Grid>
+          </Grid>
+        </>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,77 @@
+// app/components/AdminView.tsx
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { Box, Paper, Tab, Tabs, TextField, Typography } from "@mui/material";
+import AdminBulletins from "./AdminBulletins";
+import AdminChunks from "./AdminChunks";
+import AdminJobs from "./AdminJobs";
+import AdminStats from "./AdminStats";
+
+type Edition = { catalogYear: string; ingestedAt: string | null };
+
+// Reads a JSON response, throwing the route's error message for a failed one
+export async function readJson(response: Response) {
+  const data = response.status === 204 ? {} : await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Error: ${response.status}`);
+  }
+  return data;
+}
+
+// Corpus management for admins: the bulletin files, ingest jobs, the stored
+// chunks and collection statistics of one catalog year
+export default function AdminView() {
+  const [section, setSection] = useState<"bulletins" | "jobs" | "chunks" | "stats">("bulletins");
+  const [catalogYear, setCatalogYear] = useState("");
+  const [editions, setEditions] = useState<Edition[]>([]);
+
+  const loadEditions = useCallback(
+    () =>
+      fetch("/api/editions")
+        .then((response) => response.json())
+        .then((data) => {
+          setEditions(data.editions);
+          return data.latest as string | null;
+        }),
+    []
+  );
+
+  useEffect(() => {
+    loadEditions().then((latest) => setCatalogYear((current) => current || latest || ""));
+  }, [loadEditions]);
+
+  const ingested = editions.filter((edition) => edition.ingestedAt).map((edition) => edition.catalogYear);
+  const year = /^\d{4}-\d{2}$/.test(catalogYear) ? catalogYear : "";
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2 }}>
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, flexWrap: "wrap" }}>
+        <TextField
+          size="small"
+          label="Catalog year"
+          placeholder="2024-25"
+          value={catalogYear}
+          onChange={(e) => setCatalogYear(e.target.value.trim())}
+          error={catalogYear !== "" && !year}
+          sx={{ width: 140 }}
+        />
+        <Typography variant="body2" color="text.secondary">
+          Ingested: {ingested.join(", ") || "none yet"}
+        </Typography>
+      </Box>
+
+      <Tabs value={section} onChange={(_, value) => setSection(value)} sx={{ mt: 1, mb: 2 }}>
+        <Tab value="bulletins" label="Bulletin files" />
+        <Tab value="jobs" label="Ingest jobs" />
+        <Tab value="chunks" label="Chunks" />
+        <Tab value="stats" label="Statistics" />
+      </Tabs>
+
+      {section === "bulletins" && <AdminBulletins catalogYear={year} />}
+      {section === "jobs" && <AdminJobs catalogYear={year} onFinished={loadEditions} />}
+      {section === "chunks" && <AdminChunks catalogYear={year} />}
+      {section === "stats" && <AdminStats catalogYear={year} />}
+    </Paper>
+  );
+}
@@ -0,0 +1,293 @@
+// app/components/ChatView.tsx
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Divider,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import SendIcon from "@mui/icons-material/Send";
+import { readEvents } from "@/lib/sse";
+import { CitedAnswer, CitedPassage, Citation, sourceAnchor, sourceLabel } from "./CitedAnswer";
+import { CourseStatus, CourseStatusChips } from "./CourseStatus";
+
+type Source = {
+  id: string;
+  document: string;
+  metadata: Record<string, any>;
+  distance: number | null;
+  retrievers?: ("vector" | "lexical")[];
+  courseStatus?: CourseStatus[];
+};
+
+const RETRIEVER_LABELS = { vector: "semantic", lexical: "keyword" };
+
+type Message = {
+  role: "user" | "assistant";
+  content: string;
+  sources?: Source[];
+  citations?: Citation[];
+};
+
+type SessionSummary = {
+  id: string;
+  title: string;
+  updatedAt: string;
+};
+
+// Remembers the open conversation across page reloads
+const SESSION_STORAGE_KEY = "advisorSessionId";
+
+function AssistantMessage({ message, index }: { message: Message; index: number }) {
+  const anchorPrefix = `message-${index}-source`;
+  const citations = message.citations || [];
+
+  return (
+    <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+      {message.content ? (
+        <CitedAnswer text={message.content} citations={citations} anchorPrefix={anchorPrefix} />
+      ) : (
+        <Typography variant="body1">Thinking...</Typography>
+      )}
+
+      {message.sources && message.sources.length > 0 && (
+        <Box sx={{ mt: 2 }}>
+          <Divider sx={{ mb: 1 }} />
+          <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+            Sources
+          </Typography>
+          {message.sources.map((source, sourceIndex) => (
+            <Box
+              key={source.id}
+              id={sourceAnchor(sourceIndex + 1, anchorPrefix)}
+              sx={{ mb: 1.5, scrollMarginTop: 16 }}
+            >
+              <Typography variant="caption" fontWeight="bold" display="block">
+                [{sourceIndex + 1}] {sourceLabel(source.metadata)}
+                {source.metadata?.course_code && ` - ${source.metadata.course_code}`}
+                {source.retrievers && ` (${source.retrievers.map((name) => RETRIEVER_LABELS[name]).join(" + ")})`}
+              </Typography>
+              <CourseStatusChips statuses={source.courseStatus} />
+              <Box sx={{ typography: "body2", color: "text.secondary" }}>
+                <CitedPassage
+                  document={source.document || "No content available"}
+                  citation={citations.find((citation) => citation.marker === sourceIndex + 1)}
+                />
+              </Box>
+            </Box>
+          ))}
+        </Box>
+      )}
+    </Paper>
+  );
+}
+
+export default function ChatView({ profileId }: { profileId: string | null }) {
+  const [sessionId, setSessionId] = useState<string | null>(null);
+  const [sessions, setSessions] = useState<SessionSummary[]>([]);
+  const [messages, setMessages] = useState<Message[]>([]);
+  const [query, setQuery] = useState("");
+  const [streaming, setStreaming] = useState(false);
+  const [error, setError] = useState("");
+  const bottomRef = useRef<HTMLDivElement>(null);
+
+  const loadSessions = async () => {
+    const response = await fetch("/api/sessions");
+    if (response.ok) {
+      setSessions((await response.json()).sessions);
+    }
+  };
+
+  const openSession = async (id: string) => {
+    setError("");
+    const response = await fetch(`/api/sessions/${id}`);
+    if (!response.ok) {
+      // The stored session may have been deleted on the server
+      localStorage.removeItem(SESSION_STORAGE_KEY);
+      setSessionId(null);
+      setMessages([]);
+      return;
+    }
+    const { session } = await response.json();
+    setSessionId(session.id);
+    setMessages(session.messages);
+    localStorage.setItem(SESSION_STORAGE_KEY, session.id);
+  };
+
+  const startNewSession = () => {
+    localStorage.removeItem(SESSION_STORAGE_KEY);
+    setSessionId(null);
+    setMessages([]);
+    setError("");
+  };
+
+  // Resume the last conversation on load
+  useEffect(() => {
+    loadSessions();
+    const storedId = localStorage.getItem(SESSION_STORAGE_KEY);
+    if (storedId) {
+      openSession(storedId);
+    }
+  }, []);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages.length]);
+
+  // Update the assistant message currently being streamed
+  const updateLastMessage = (update: (message: Message) => Message) => {
+    setMessages((current) => [...current.slice(0, -1), update(current[current.length - 1])]);
+  };
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const question = query.trim();
+    if (!question) return;
+
+    setQuery("");
+    setError("");
+    setStreaming(true);
+    setMessages((current) => [
+      ...current,
+      { role: "user", content: question },
+      { role: "assistant", content: "" },
+    ]);
+
+    try {
+      const response = await fetch("/api/answer", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query: question, sessionId, profileId: profileId || undefined }),
+      });
+
+      if (!response.ok || !response.body) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `Error: ${response.status}`);
+      }
+
+      for await (const { event, data } of readEvents(response.body)) {
+        if (event === "session") {
+          setSessionId(data.sessionId);
+          localStorage.setItem(SESSION_STORAGE_KEY, data.sessionId);
+        } else if (event === "sources") {
+          updateLastMessage((message) => ({ ...message, sources: data.sources }));
+        } else if (event === "token") {
+          updateLastMessage((message) => ({ ...message, content: message.content + data.text }));
+        } else if (event === "citations") {
+          updateLastMessage((message) => ({ ...message, citations: data.citations }));
+        } else if (event === "error") {
+          setError(data.error);
+        }
+      }
+    } catch (err: any) {
+      console.error("Error:", err);
+      setError(err.message || "An error occurred while answering your question. Please try again.");
+      // Drop the empty placeholder answer
+      setMessages((current) =>
+        current[current.length - 1]?.content === "" ? current.slice(0, -1) : current
+      );
+    } finally {
+      setStreaming(false);
+      loadSessions();
+    }
+  };
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={3}>
+        <Paper variant="outlined">
+          <Box sx={{ p: 1.5 }}>
+            <Button fullWidth variant="outlined" startIcon={<AddIcon />} onClick={startNewSession} disabled={streaming}>
+              New conversation
+            </Button>
+          </Box>
+          <Divider />
+          <List dense sx={{ maxHeight: 480, overflowY: "auto" }}>
+            {sessions.length === 0 && (
+              <Typography variant="caption" color="text.secondary" sx={{ px: 2 }}>
+                No conversations yet
+              </Typography>
+            )}
+            {sessions.map((session) => (
+              <ListItemButton
+                key={session.id}
+                selected={session.id === sessionId}
+                onClick={() => openSession(session.id)}
+                disabled={streaming}
+              >
+                <ListItemText
+                  primary={session.title}
+                  secondary={new Date(session.updatedAt).toLocaleString()}
+                  primaryTypographyProps={{ noWrap: true }}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={9}>
+        <Box sx={{ minHeight: 320 }}>
+          {messages.length === 0 && (
+            <Typography color="text.secondary" sx={{ py: 6, textAlign: "center" }}>
+              Ask about courses, prerequisites, majors or university policies. Follow-up questions
+              can refer back to earlier answers.
+            </Typography>
+          )}
+
+          {messages.map((message, index) =>
+            message.role === "user" ? (
+              <Box key={index} sx={{ display: "flex", justifyContent: "flex-end", mb: 2 }}>
+                <Paper sx={{ p: 1.5, maxWidth: "80%", bgcolor: "primary.main", color: "primary.contrastText" }}>
+                  <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
+                    {message.content}
+                  </Typography>
+                </Paper>
+              </Box>
+            ) : (
+              <AssistantMessage key={index} message={message} index={index} />
+            )
+          )}
+          <div ref={bottomRef} />
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <Box component="form" onSubmit={handleSubmit} sx={{ display: "flex", gap: 1 }}>
+          <TextField
+            fullWidth
+            variant="outlined"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder={messages.length > 0 ? "Ask a follow-up question" : "What would you like to know?"}
+            disabled={streaming}
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={streaming || !query.trim()}
+            startIcon={streaming ? <CircularProgress size={20} color="inherit" /> : <SendIcon />}
+            sx={{ minWidth: 120 }}
+          >
+            {streaming ? "Answering..." : "Ask"}
+          </Button>
+        </Box>
+      </Grid>
+    </Grid>
+  );
+}
@@ -0,0 +1,112 @@
+// app/components/CitedAnswer.tsx
+"use client";
+
+import { Fragment } from "react";
+import { Link, Typography } from "@mui/material";
+
+export type Citation = {
+  marker: number;
+  chunkId: string;
+  source: string | null;
+  label: string | null;
+  page: number | null;
+  anchor: string | null;
+  courseCode: string | null;
+  span: { start: number; end: number; text: string };
+};
+
+// Matches [2] and [1, 3] style markers, the same format lib/citations parses
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Where a chunk comes from, e.g. "Bulletin 2024-25, p. 213". Mirrors
+// sourceLabel in lib/citations for chunks shown without a citation.
+export function sourceLabel(metadata: Record<string, any> | undefined) {
+  const name = metadata?.source_title || metadata?.source;
+  if (!name) return "Unknown";
+  if (metadata?.page !== undefined) {
+    return metadata.page_end !== undefined
+      ? `${name}, pp. ${metadata.page}-${metadata.page_end}`
+      : `${name}, p. ${metadata.page}`;
+  }
+  if (metadata?.anchor) return `${name}#${metadata.anchor}`;
+  return name;
+}
+
+// Id of the source card a citation marker links to. The prefix keeps anchors
+// unique when several answers are on the page.
+export function sourceAnchor(marker: number, prefix = "source") {
+  return `${prefix}-${marker}`;
+}
+
+// Render answer text with each citation marker as a link to its passage
+export function CitedAnswer({
+  text,
+  citations,
+  anchorPrefix,
+}: {
+  text: string;
+  citations: Citation[];
+  anchorPrefix?: string;
+}) {
+  const cited = new Map(citations.map((citation) => [citation.marker, citation]));
+  const parts: React.ReactNode[] = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MARKER_PATTERN)) {
+    parts.push(text.slice(lastIndex, match.index));
+
+    const markers = match[1].split(",").map((n) => parseInt(n, 10));
+    parts.push(
+      <Fragment key={match.index}>
+        [
+        {markers.map((marker, i) => {
+          const citation = cited.get(marker);
+          return (
+            <Fragment key={marker}>
+              {i > 0 && ", "}
+              {citation ? (
+                <Link
+                  href={`#${sourceAnchor(marker, anchorPrefix)}`}
+                  title={[citation.label || citation.source, citation.courseCode].filter(Boolean).join(" - ")}
+                >
+                  {marker}
+                </Link>
+              ) : (
+                marker
+              )}
+            </Fragment>
+          );
+        })}
+        ]
+      </Fragment>
+    );
+    lastIndex = (match.index || 0) + match[0].length;
+  }
+  parts.push(text.slice(lastIndex));
+
+  return (
+    <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
+      {parts}
+    </Typography>
+  );
+}
+
+// Render a source passage with the cited span highlighted
+export function CitedPassage({ document, citation }: { document: string; citation?: Citation }) {
+  if (!citation) {
+    return (
+      <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
+        {document}
+      </Typography>
+    );
+  }
+
+  const { start, end } = citation.span;
+  return (
+    <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
+      {document.slice(0, start)}
+      <mark>{document.slice(start, end)}</mark>
+      {document.slice(end)}
+    </Typography>
+  );
+}
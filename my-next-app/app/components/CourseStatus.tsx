@@ -0,0 +1,49 @@
+// app/components/CourseStatus.tsx
+"use client";
+
+import { Box, Chip, Tooltip } from "@mui/material";
+
+// courseStatus on a search hit or answer source, from lib/students/context
+export type CourseStatus = {
+  code: string;
+  status: "completed" | "in-progress" | "eligible" | "missing-prerequisites" | "unknown";
+  grade?: string | null;
+  missing?: string | null;
+};
+
+const STATUS_LABELS: Record<CourseStatus["status"], string> = {
+  completed: "completed",
+  "in-progress": "in progress",
+  eligible: "eligible",
+  "missing-prerequisites": "not yet eligible",
+  unknown: "not in catalog",
+};
+
+const STATUS_COLORS = {
+  completed: "success",
+  "in-progress": "info",
+  eligible: "primary",
+  "missing-prerequisites": "warning",
+  unknown: "default",
+} as const;
+
+// One chip per course the hit mentions; courses with unknown prerequisites are left out
+export function CourseStatusChips({ statuses }: { statuses?: CourseStatus[] }) {
+  const shown = (statuses || []).filter((status) => status.status !== "unknown");
+  if (shown.length === 0) return null;
+
+  return (
+    <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, my: 0.5 }}>
+      {shown.map((status) => (
+        <Tooltip key={status.code} title={status.missing ? `Needs ${status.missing}` : ""}>
+          <Chip
+            size="small"
+            variant="outlined"
+            color={STATUS_COLORS[status.status]}
+            label={`${status.code}: ${STATUS_LABELS[status.status]}${status.grade ? ` (${status.grade})` : ""}`}
+          />
+        </Tooltip>
+      ))}
+    </Box>
+  );
+}
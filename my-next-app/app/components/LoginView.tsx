@@ -0,0 +1,136 @@
+// app/components/LoginView.tsx
+"use client";
+
+import { useEffect, useState } from "react";
+import { Alert, Box, Button, CircularProgress, Divider, Paper, TextField, Typography } from "@mui/material";
+import LoginIcon from "@mui/icons-material/Login";
+
+// The signed-in account, from /api/auth/me
+export type User = {
+  id: string;
+  email: string;
+  name: string | null;
+  role: "student" | "advisor" | "admin";
+  students?: string[];
+};
+
+// How the login form may sign people in, from /api/auth/me
+export type SignInOptions = {
+  signup: boolean;
+  sso: string | null;
+};
+
+export default function LoginView({
+  options,
+  onLogin,
+}: {
+  options: SignInOptions;
+  onLogin: (user: User) => void;
+}) {
+  const [mode, setMode] = useState<"login" | "signup">("login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [name, setName] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // A failed single sign-on comes back as ?loginError=<message>
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const loginError = url.searchParams.get("loginError");
+    if (loginError) {
+      setError(loginError);
+      url.searchParams.delete("loginError");
+      window.history.replaceState(null, "", url.toString());
+    }
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+
+    try {
+      const response = await fetch(mode === "login" ? "/api/auth/login" : "/api/auth/signup", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(mode === "login" ? { email, password } : { email, password, name }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error: ${response.status}`);
+      }
+      onLogin(data.user);
+    } catch (err: any) {
+      setError(err.message || "Could not sign in. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Paper variant="outlined" sx={{ p: 3, maxWidth: 420, mx: "auto" }}>
+      <Typography variant="h6" gutterBottom>
+        {mode === "login" ? "Sign in" : "Create a student account"}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {options.sso && (
+        <>
+          <Button fullWidth variant="outlined" startIcon={<LoginIcon />} href="/api/auth/oidc/login">
+            {options.sso}
+          </Button>
+          <Divider sx={{ my: 2 }}>or</Divider>
+        </>
+      )}
+
+      <Box component="form" onSubmit={handleSubmit}>
+        <TextField
+          fullWidth
+          type="email"
+          label="Email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          margin="dense"
+          disabled={loading}
+        />
+        {mode === "signup" && (
+          <TextField fullWidth label="Name" value={name} onChange={(e) => setName(e.target.value)} margin="dense" disabled={loading} />
+        )}
+        <TextField
+          fullWidth
+          type="password"
+          label="Password"
+          autoComplete={mode === "login" ? "current-password" : "new-password"}
+          helperText={mode === "signup" ? "At least 8 characters" : undefined}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          margin="dense"
+          disabled={loading}
+        />
+        <Button
+          fullWidth
+          type="submit"
+          variant="contained"
+          disabled={loading || !email.trim() || !password}
+          startIcon={loading ? <CircularProgress size={20} color="inherit" /> : undefined}
+          sx={{ mt: 2 }}
+        >
+          {mode === "login" ? "Sign in" : "Create account"}
+        </Button>
+      </Box>
+
+      {options.signup && (
+        <Button fullWidth size="small" sx={{ mt: 1 }} onClick={() => setMode(mode === "login" ? "signup" : "login")}>
+          {mode === "login" ? "New here? Create an account" : "Already have an account? Sign in"}
+        </Button>
+      )}
+    </Paper>
+  );
+}
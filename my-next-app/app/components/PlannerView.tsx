@@ -0,0 +1,277 @@
+// app/components/PlannerView.tsx
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  CircularProgress,
+  FormControlLabel,
+  Grid,
+  List,
+  ListItem,
+  ListItemText,
+  MenuItem,
+  Paper,
+  Switch,
+  TextField,
+  Typography,
+} from "@mui/material";
+import EventNoteIcon from "@mui/icons-material/EventNote";
+
+type ProgramSummary = {
+  id: string;
+  name: string;
+  type: string;
+};
+
+type PlannedCourse = {
+  code: string;
+  title: string | null;
+  units: number;
+  requirement: string;
+};
+
+type Quarter = {
+  term: string;
+  units: number;
+  courses: PlannedCourse[];
+};
+
+type Plan = {
+  quarters: Quarter[];
+  unscheduled: { code: string; reason: string }[];
+  notes: string[];
+  summary: { quarters: number; courses: number; units: number; complete: boolean };
+};
+
+// "CSEN 10, csen11\nMATH 11" -> ["CSEN 10", "csen11", "MATH 11"]; the API normalizes codes
+function splitCodes(text: string) {
+  return text.split(/[,;\n]+/).map((code) => code.trim()).filter(Boolean);
+}
+
+function QuarterCard({ quarter }: { quarter: Quarter }) {
+  return (
+    <Card variant="outlined" sx={{ height: "100%" }}>
+      <CardContent>
+        <Box sx={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+          <Typography variant="subtitle1" fontWeight="bold">
+            {quarter.term}
+          </Typography>
+          <Typography variant="caption" color="text.secondary">
+            {quarter.units} units
+          </Typography>
+        </Box>
+        {quarter.courses.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+            Nothing scheduled
+          </Typography>
+        ) : (
+          <List dense disablePadding>
+            {quarter.courses.map((course) => (
+              <ListItem key={course.code} disableGutters>
+                <ListItemText
+                  primary={`${course.code}${course.title ? ` - ${course.title}` : ""} (${course.units})`}
+                  secondary={course.requirement}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+// With a profile selected, the plan can start from its courses and major;
+// advisors select an assigned student's profile to see that student's plan
+export default function PlannerView({ profileId }: { profileId: string | null }) {
+  const [programs, setPrograms] = useState<ProgramSummary[]>([]);
+  const [useProfile, setUseProfile] = useState(true);
+  const [programId, setProgramId] = useState("");
+  const [completed, setCompleted] = useState("");
+  const [startTerm, setStartTerm] = useState("");
+  const [maxUnits, setMaxUnits] = useState("16");
+  const [quarters, setQuarters] = useState("6");
+  const [includeSummer, setIncludeSummer] = useState(false);
+  const [plan, setPlan] = useState<Plan | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetch("/api/programs")
+      .then((response) => (response.ok ? response.json() : { programs: [] }))
+      .then((data) => setPrograms(data.programs))
+      .catch(() => setError("Could not load programs. Has the catalog been built?"));
+  }, []);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError("");
+
+    try {
+      const response = await fetch("/api/plan", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...(profileId && useProfile
+            ? { profileId, programId: programId || undefined }
+            : { programId, completed: splitCodes(completed) }),
+          startTerm: startTerm.trim() || undefined,
+          maxUnitsPerQuarter: Number(maxUnits),
+          quarters: Number(quarters),
+          includeSummer,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error: ${response.status}`);
+      }
+      setPlan(data);
+    } catch (err: any) {
+      console.error("Error:", err);
+      setError(err.message || "An error occurred while building the plan. Please try again.");
+      setPlan(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={4}>
+        <Paper variant="outlined" component="form" onSubmit={handleSubmit} sx={{ p: 2 }}>
+          {profileId && (
+            <FormControlLabel
+              control={<Switch checked={useProfile} onChange={(e) => setUseProfile(e.target.checked)} />}
+              label="Use the selected profile"
+            />
+          )}
+          <TextField
+            select
+            fullWidth
+            label={profileId && useProfile ? "Program (defaults to the profile's major)" : "Program"}
+            value={programId}
+            onChange={(e) => setProgramId(e.target.value)}
+            margin="dense"
+          >
+            {profileId && useProfile && <MenuItem value="">The profile's major</MenuItem>}
+            {programs.length === 0 && <MenuItem disabled value="">No programs in the catalog</MenuItem>}
+            {programs.map((program) => (
+              <MenuItem key={program.id} value={program.id}>
+                {program.name}
+              </MenuItem>
+            ))}
+          </TextField>
+          {!(profileId && useProfile) && (
+            <TextField
+              fullWidth
+              multiline
+              minRows={3}
+              label="Completed courses"
+              placeholder="CSEN 10, MATH 11, MATH 12"
+              value={completed}
+              onChange={(e) => setCompleted(e.target.value)}
+              margin="dense"
+            />
+          )}
+          <TextField
+            fullWidth
+            label="Start term"
+            placeholder="Fall 2026"
+            value={startTerm}
+            onChange={(e) => setStartTerm(e.target.value)}
+            margin="dense"
+          />
+          <Box sx={{ display: "flex", gap: 1 }}>
+            <TextField
+              type="number"
+              label="Max units per quarter"
+              value={maxUnits}
+              onChange={(e) => setMaxUnits(e.target.value)}
+              margin="dense"
+            />
+            <TextField
+              type="number"
+              label="Quarters"
+              value={quarters}
+              onChange={(e) => setQuarters(e.target.value)}
+              margin="dense"
+            />
+          </Box>
+          <FormControlLabel
+            control={<Switch checked={includeSummer} onChange={(e) => setIncludeSummer(e.target.checked)} />}
+            label="Include summer"
+          />
+          <Button
+            type="submit"
+            fullWidth
+            variant="contained"
+            disabled={loading || !(programId || (profileId && useProfile))}
+            startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <EventNoteIcon />}
+            sx={{ mt: 1 }}
+          >
+            {loading ? "Planning..." : "Build plan"}
+          </Button>
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={8}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!plan && !error && (
+          <Typography color="text.secondary" sx={{ py: 6, textAlign: "center" }}>
+            Choose a program and list the courses you have completed to plan the quarters ahead.
+          </Typography>
+        )}
+
+        {plan && (
+          <>
+            <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+              {plan.summary.courses} courses, {plan.summary.units} units over {plan.summary.quarters} quarters
+            </Typography>
+
+            <Grid container spacing={2} sx={{ mb: 2 }}>
+              {plan.quarters.map((quarter) => (
+                <Grid item xs={12} sm={6} lg={4} key={quarter.term}>
+                  <QuarterCard quarter={quarter} />
+                </Grid>
+              ))}
+            </Grid>
+
+            {plan.unscheduled.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                <Typography variant="subtitle2">Could not be scheduled</Typography>
+                {plan.unscheduled.map(({ code, reason }) => (
+                  <Typography key={code} variant="body2">
+                    {code}: {reason}
+                  </Typography>
+                ))}
+              </Alert>
+            )}
+
+            {plan.notes.length > 0 && (
+              <Alert severity="info">
+                <Typography variant="subtitle2">Check with your advisor</Typography>
+                {plan.notes.map((note) => (
+                  <Typography key={note} variant="body2">
+                    {note}
+                  </Typography>
+                ))}
+              </Alert>
+            )}
+          </>
+        )}
+      </Grid>
+    </Grid>
+  );
+}
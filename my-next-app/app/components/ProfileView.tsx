@@ -0,0 +1,459 @@
+// app/components/ProfileView.tsx
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  FormControlLabel,
+  Grid,
+  IconButton,
+  List,
+  ListItemButton,
+  ListItemText,
+  MenuItem,
+  Paper,
+  Switch,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  Typography,
+} from "@mui/material";
+import AddIcon from "@mui/icons-material/Add";
+import DeleteIcon from "@mui/icons-material/Delete";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+import { User } from "./LoginView";
+
+type ProgramSummary = {
+  id: string;
+  name: string;
+  type: string;
+};
+
+type ProfileCourse = {
+  code: string;
+  title: string | null;
+  grade: string | null;
+  units: number | null;
+  term: string | null;
+};
+
+type Profile = {
+  id: string;
+  name: string | null;
+  major: string | null;
+  minor: string | null;
+  catalogYear: string | null;
+  ownerId: string | null;
+  ownerEmail: string | null;
+  courses: ProfileCourse[];
+};
+
+type ProfileSummary = Omit<Profile, "courses"> & { courseCount: number };
+
+type Skipped = { line: number; text: string; reason: string };
+
+async function readJson(response: Response) {
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `Error: ${response.status}`);
+  }
+  return data;
+}
+
+// The profile selected here is sent with every search and question. Advisors
+// also see their assigned students' profiles, read-only.
+export default function ProfileView({
+  user,
+  profileId,
+  onSelect,
+}: {
+  user: User;
+  profileId: string | null;
+  onSelect: (id: string | null) => void;
+}) {
+  const [profiles, setProfiles] = useState<ProfileSummary[]>([]);
+  const [programs, setPrograms] = useState<ProgramSummary[]>([]);
+  const [profile, setProfile] = useState<Profile | null>(null);
+  const [name, setName] = useState("");
+  const [major, setMajor] = useState("");
+  const [minor, setMinor] = useState("");
+  const [catalogYear, setCatalogYear] = useState("");
+  const [transcript, setTranscript] = useState("");
+  const [format, setFormat] = useState("");
+  const [replace, setReplace] = useState(false);
+  const [skipped, setSkipped] = useState<Skipped[]>([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const loadProfiles = async () => {
+    const response = await fetch("/api/profiles");
+    if (response.ok) {
+      setProfiles((await response.json()).profiles);
+    }
+  };
+
+  const showProfile = (next: Profile | null) => {
+    setProfile(next);
+    setName(next?.name || "");
+    setMajor(next?.major || "");
+    setMinor(next?.minor || "");
+    setCatalogYear(next?.catalogYear || "");
+  };
+
+  useEffect(() => {
+    loadProfiles();
+    fetch("/api/programs")
+      .then((response) => (response.ok ? response.json() : { programs: [] }))
+      .then((data) => setPrograms(data.programs))
+      .catch(() => setPrograms([]));
+  }, []);
+
+  useEffect(() => {
+    if (!profileId) {
+      showProfile(null);
+      return;
+    }
+    fetch(`/api/profiles/${profileId}`)
+      .then(readJson)
+      .then((data) => showProfile(data.profile))
+      // The stored profile may have been deleted
+      .catch(() => onSelect(null));
+  }, [profileId]);
+
+  // Run a request, then refresh the list and show the profile it returns
+  const run = async (action: () => Promise<any>, done: string) => {
+    setBusy(true);
+    setError("");
+    setMessage("");
+    try {
+      const data = await action();
+      if (data?.profile) {
+        showProfile(data.profile);
+        onSelect(data.profile.id);
+      }
+      setMessage(done);
+      await loadProfiles();
+      return data;
+    } catch (err: any) {
+      setError(err.message || "Something went wrong. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Only the owner and admins may change a profile
+  const readOnly = Boolean(profile && user.role !== "admin" && profile.ownerId !== user.id);
+
+  const fields = () => ({
+    name: name.trim() || null,
+    major: major || null,
+    minor: minor || null,
+    catalogYear: catalogYear.trim() || null,
+  });
+
+  const createProfile = () =>
+    run(
+      () =>
+        fetch("/api/profiles", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({}),
+        }).then(readJson),
+      "Profile created"
+    );
+
+  const saveProfile = () =>
+    run(
+      () =>
+        fetch(`/api/profiles/${profile!.id}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(fields()),
+        }).then(readJson),
+      "Profile saved"
+    );
+
+  const removeCourse = (index: number) =>
+    run(
+      () =>
+        fetch(`/api/profiles/${profile!.id}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ courses: profile!.courses.filter((_, i) => i !== index) }),
+        }).then(readJson),
+      "Course removed"
+    );
+
+  const deleteProfile = async () => {
+    setBusy(true);
+    await fetch(`/api/profiles/${profile!.id}`, { method: "DELETE" });
+    onSelect(null);
+    setSkipped([]);
+    await loadProfiles();
+    setBusy(false);
+  };
+
+  const importTranscript = async () => {
+    const data = await run(
+      () =>
+        fetch(`/api/profiles/${profile!.id}/transcript`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ content: transcript, format: format || undefined, replace }),
+        }).then(readJson),
+      "Transcript imported"
+    );
+    if (data) {
+      setSkipped(data.skipped);
+      setMessage(`Imported ${data.imported} courses from the ${data.format} transcript`);
+      setTranscript("");
+    }
+  };
+
+  const loadFile = async (file: File | undefined) => {
+    if (!file) return;
+    setTranscript(await file.text());
+    const extension = file.name.split(".").pop()?.toLowerCase();
+    setFormat(extension === "csv" || extension === "json" ? extension : "");
+  };
+
+  const programOptions = (type: string) => [
+    <MenuItem key="" value="">
+      None
+    </MenuItem>,
+    ...programs
+      .filter((program) => program.type === type)
+      .map((program) => (
+        <MenuItem key={program.id} value={program.id}>
+          {program.name}
+        </MenuItem>
+      )),
+  ];
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={3}>
+        <Paper variant="outlined">
+          <Box sx={{ p: 1.5 }}>
+            <Button fullWidth variant="outlined" startIcon={<AddIcon />} onClick={createProfile} disabled={busy}>
+              New profile
+            </Button>
+          </Box>
+          <List dense sx={{ maxHeight: 480, overflowY: "auto" }}>
+            {profiles.length === 0 && (
+              <Typography variant="caption" color="text.secondary" sx={{ px: 2 }}>
+                No profiles yet
+              </Typography>
+            )}
+            {profiles.map((summary) => (
+              <ListItemButton
+                key={summary.id}
+                selected={summary.id === profileId}
+                onClick={() => onSelect(summary.id)}
+                disabled={busy}
+              >
+                <ListItemText
+                  primary={summary.name || "Unnamed student"}
+                  secondary={[
+                    summary.ownerId !== user.id && (summary.ownerEmail || "no owner"),
+                    `${summary.courseCount} courses`,
+                    summary.catalogYear && `${summary.catalogYear} catalog`,
+                  ].filter(Boolean).join(", ")}
+                />
+              </ListItemButton>
+            ))}
+          </List>
+          {profileId && (
+            <Box sx={{ p: 1.5 }}>
+              <Button fullWidth size="small" onClick={() => onSelect(null)} disabled={busy}>
+                Ask without a profile
+              </Button>
+            </Box>
+          )}
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={9}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+        {message && !error && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage("")}>
+            {message}
+          </Alert>
+        )}
+
+        {!profile && (
+          <Typography color="text.secondary" sx={{ py: 6, textAlign: "center" }}>
+            Create a profile with your major, catalog year and transcript, and search results and
+            answers will show which courses you have completed or are eligible to take.
+          </Typography>
+        )}
+
+        {profile && (
+          <>
+            {readOnly && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Viewing the profile of {profile.ownerEmail}. Only the student can change it.
+              </Alert>
+            )}
+            <Paper variant="outlined" sx={{ p: 2, mb: 2 }}>
+              <Grid container spacing={1}>
+                <Grid item xs={12} sm={6}>
+                  <TextField fullWidth label="Name" value={name} onChange={(e) => setName(e.target.value)} margin="dense" disabled={readOnly} />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField
+                    fullWidth
+                    label="Catalog year"
+                    placeholder="2024-25"
+                    value={catalogYear}
+                    onChange={(e) => setCatalogYear(e.target.value)}
+                    margin="dense"
+                    disabled={readOnly}
+                  />
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField select fullWidth label="Major" value={major} onChange={(e) => setMajor(e.target.value)} margin="dense" disabled={readOnly}>
+                    {programOptions("major")}
+                  </TextField>
+                </Grid>
+                <Grid item xs={12} sm={6}>
+                  <TextField select fullWidth label="Minor" value={minor} onChange={(e) => setMinor(e.target.value)} margin="dense" disabled={readOnly}>
+                    {programOptions("minor")}
+                  </TextField>
+                </Grid>
+              </Grid>
+              {!readOnly && (
+                <Box sx={{ display: "flex", justifyContent: "space-between", mt: 1 }}>
+                  <Button color="error" startIcon={<DeleteIcon />} onClick={deleteProfile} disabled={busy}>
+                    Delete profile
+                  </Button>
+                  <Button variant="contained" onClick={saveProfile} disabled={busy}>
+                    Save
+                  </Button>
+                </Box>
+              )}
+            </Paper>
+
+            <Paper variant="outlined" sx={{ p: 2, mb: 2 }} hidden={readOnly}>
+              <Typography variant="subtitle2" gutterBottom>
+                Import a transcript
+              </Typography>
+              <TextField
+                fullWidth
+                multiline
+                minRows={5}
+                placeholder={"Paste your unofficial transcript, or a CSV or JSON export\n\nFall 2023\nCSEN 10 Introduction to Programming 4.00 A"}
+                value={transcript}
+                onChange={(e) => setTranscript(e.target.value)}
+                margin="dense"
+              />
+              <Box sx={{ display: "flex", alignItems: "center", gap: 2, flexWrap: "wrap" }}>
+                <Button component="label" startIcon={<UploadFileIcon />} disabled={busy}>
+                  Open file
+                  <input
+                    hidden
+                    type="file"
+                    accept=".csv,.json,.txt,text/plain"
+                    onChange={(e) => loadFile(e.target.files?.[0])}
+                  />
+                </Button>
+                <TextField
+                  select
+                  size="small"
+                  label="Format"
+                  value={format}
+                  onChange={(e) => setFormat(e.target.value)}
+                  sx={{ minWidth: 140 }}
+                >
+                  <MenuItem value="">Detect</MenuItem>
+                  <MenuItem value="csv">CSV</MenuItem>
+                  <MenuItem value="json">JSON</MenuItem>
+                  <MenuItem value="text">Pasted text</MenuItem>
+                </TextField>
+                <FormControlLabel
+                  control={<Switch checked={replace} onChange={(e) => setReplace(e.target.checked)} />}
+                  label="Replace my courses"
+                />
+                <Box sx={{ flexGrow: 1 }} />
+                <Button
+                  variant="contained"
+                  onClick={importTranscript}
+                  disabled={busy || !transcript.trim()}
+                  startIcon={busy ? <CircularProgress size={20} color="inherit" /> : undefined}
+                >
+                  Import
+                </Button>
+              </Box>
+              {skipped.length > 0 && (
+                <Alert severity="warning" sx={{ mt: 2 }}>
+                  <Typography variant="subtitle2">Lines not imported</Typography>
+                  {skipped.map((entry) => (
+                    <Typography key={entry.line} variant="body2">
+                      Line {entry.line}: {entry.reason}
+                    </Typography>
+                  ))}
+                </Alert>
+              )}
+            </Paper>
+
+            <Paper variant="outlined">
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Course</TableCell>
+                    <TableCell>Title</TableCell>
+                    <TableCell>Term</TableCell>
+                    <TableCell>Grade</TableCell>
+                    <TableCell>Units</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {profile.courses.length === 0 && (
+                    <TableRow>
+                      <TableCell colSpan={6}>
+                        <Typography variant="body2" color="text.secondary">
+                          No courses yet. Import a transcript above.
+                        </Typography>
+                      </TableCell>
+                    </TableRow>
+                  )}
+                  {profile.courses.map((course, index) => (
+                    <TableRow key={`${course.code}-${course.term}`}>
+                      <TableCell>{course.code}</TableCell>
+                      <TableCell>{course.title || "-"}</TableCell>
+                      <TableCell>{course.term || "-"}</TableCell>
+                      <TableCell>{course.grade || "-"}</TableCell>
+                      <TableCell>{course.units ?? "-"}</TableCell>
+                      <TableCell padding="checkbox">
+                        <IconButton
+                          size="small"
+                          aria-label={`Remove ${course.code}`}
+                          onClick={() => removeCourse(index)}
+                          disabled={busy || readOnly}
+                        >
+                          <DeleteIcon fontSize="small" />
+                        </IconButton>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </Paper>
+          </>
+        )}
+      </Grid>
+    </Grid>
+  );
+}
@@ -0,0 +1,250 @@
+// app/components/SearchView.tsx
+"use client";
+
+import { useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Grid,
+  List,
+  ListItemButton,
+  ListItemText,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import SearchIcon from "@mui/icons-material/Search";
+import { sourceLabel } from "./CitedAnswer";
+import { CourseStatus, CourseStatusChips } from "./CourseStatus";
+
+type Hit = {
+  id: string;
+  document: string;
+  metadata: Record<string, any>;
+  retrievers: ("vector" | "lexical")[];
+  courseStatus?: CourseStatus[];
+};
+
+type FacetValue = { value: string | number | boolean; count: number };
+type Facets = Record<FacetName, FacetValue[]>;
+type FacetName = "department" | "units" | "source" | "hasPrerequisites" | "chunkType";
+
+type Filters = {
+  department?: string[];
+  source?: string[];
+  chunkType?: string[];
+  minUnits?: number;
+  maxUnits?: number;
+  hasPrerequisites?: boolean;
+};
+
+const FACET_LABELS: Record<FacetName, string> = {
+  department: "Department",
+  units: "Units",
+  source: "Bulletin file",
+  hasPrerequisites: "Prerequisites",
+  chunkType: "Section type",
+};
+
+function facetValueLabel(name: FacetName, value: FacetValue["value"]) {
+  if (name === "hasPrerequisites") return value ? "Has prerequisites" : "No prerequisites";
+  if (name === "units") return `${value} units`;
+  return String(value);
+}
+
+// Selecting a facet value narrows the filters to it
+function withFacet(filters: Filters, name: FacetName, value: FacetValue["value"]): Filters {
+  if (name === "units") return { ...filters, minUnits: value as number, maxUnits: value as number };
+  if (name === "hasPrerequisites") return { ...filters, hasPrerequisites: value as boolean };
+  const current = filters[name] || [];
+  return current.includes(value as string) ? filters : { ...filters, [name]: [...current, value as string] };
+}
+
+// One chip per active filter value, each with a way to remove it
+function filterChips(filters: Filters) {
+  const chips: { key: string; label: string; remove: (filters: Filters) => Filters }[] = [];
+
+  for (const name of ["department", "source", "chunkType"] as const) {
+    for (const value of filters[name] || []) {
+      chips.push({
+        key: `${name}-${value}`,
+        label: `${FACET_LABELS[name]}: ${value}`,
+        remove: (current) => {
+          const rest = (current[name] || []).filter((item) => item !== value);
+          return { ...current, [name]: rest.length > 0 ? rest : undefined };
+        },
+      });
+    }
+  }
+  if (filters.minUnits !== undefined || filters.maxUnits !== undefined) {
+    const label = filters.minUnits === filters.maxUnits
+      ? `${filters.minUnits} units`
+      : `${filters.minUnits ?? 0}-${filters.maxUnits ?? "any"} units`;
+    chips.push({
+      key: "units",
+      label,
+      remove: (current) => ({ ...current, minUnits: undefined, maxUnits: undefined }),
+    });
+  }
+  if (filters.hasPrerequisites !== undefined) {
+    chips.push({
+      key: "hasPrerequisites",
+      label: facetValueLabel("hasPrerequisites", filters.hasPrerequisites),
+      remove: (current) => ({ ...current, hasPrerequisites: undefined }),
+    });
+  }
+
+  return chips;
+}
+
+export default function SearchView({ profileId }: { profileId: string | null }) {
+  const [query, setQuery] = useState("");
+  const [filters, setFilters] = useState<Filters>({});
+  const [results, setResults] = useState<Hit[]>([]);
+  const [facets, setFacets] = useState<Facets | null>(null);
+  const [matched, setMatched] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const runSearch = async (nextFilters: Filters) => {
+    if (!query.trim()) return;
+    setLoading(true);
+    setError("");
+    setFilters(nextFilters);
+
+    try {
+      const response = await fetch("/api/search", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ query, filters: nextFilters, nResults: 20, profileId: profileId || undefined }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || `Error: ${response.status}`);
+      }
+      setResults(data.results);
+      setFacets(data.facets);
+      setMatched(data.matched);
+    } catch (err: any) {
+      console.error("Error:", err);
+      setError(err.message || "An error occurred while searching. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    runSearch(filters);
+  };
+
+  const chips = filterChips(filters);
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={3}>
+        <Paper variant="outlined" sx={{ p: 1.5 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Refine
+          </Typography>
+          {!facets && (
+            <Typography variant="caption" color="text.secondary">
+              Search to see facets
+            </Typography>
+          )}
+          {facets &&
+            (Object.keys(FACET_LABELS) as FacetName[])
+              .filter((name) => facets[name].length > 0)
+              .map((name) => (
+                <Box key={name} sx={{ mb: 1 }}>
+                  <Typography variant="caption" color="text.secondary" fontWeight="bold">
+                    {FACET_LABELS[name]}
+                  </Typography>
+                  <List dense disablePadding>
+                    {facets[name].map(({ value, count }) => (
+                      <ListItemButton
+                        key={String(value)}
+                        disabled={loading}
+                        onClick={() => runSearch(withFacet(filters, name, value))}
+                        sx={{ py: 0 }}
+                      >
+                        <ListItemText
+                          primary={facetValueLabel(name, value)}
+                          secondary={count}
+                          sx={{ display: "flex", justifyContent: "space-between", gap: 1 }}
+                        />
+                      </ListItemButton>
+                    ))}
+                  </List>
+                </Box>
+              ))}
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={9}>
+        <Box component="form" onSubmit={handleSubmit} sx={{ display: "flex", gap: 1, mb: 2 }}>
+          <TextField
+            fullWidth
+            variant="outlined"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search the bulletin, e.g. CSEN 146 or networking electives"
+            disabled={loading}
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={loading || !query.trim()}
+            startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <SearchIcon />}
+            sx={{ minWidth: 120 }}
+          >
+            Search
+          </Button>
+        </Box>
+
+        {chips.length > 0 && (
+          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1, mb: 2 }}>
+            {chips.map((chip) => (
+              <Chip
+                key={chip.key}
+                label={chip.label}
+                onDelete={loading ? undefined : () => runSearch(chip.remove(filters))}
+              />
+            ))}
+            <Chip label="Clear all" variant="outlined" onClick={() => runSearch({})} disabled={loading} />
+          </Box>
+        )}
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {facets && (
+          <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+            Showing {results.length} of {matched} matching chunks
+          </Typography>
+        )}
+
+        {results.map((hit) => (
+          <Paper key={hit.id} variant="outlined" sx={{ p: 2, mb: 1.5 }}>
+            <Typography variant="caption" fontWeight="bold" display="block">
+              {sourceLabel(hit.metadata)}
+              {hit.metadata?.course_code && ` - ${hit.metadata.course_code}`}
+              {hit.metadata?.credits !== undefined && ` (${hit.metadata.credits} units)`}
+            </Typography>
+            <CourseStatusChips statuses={hit.courseStatus} />
+            <Typography variant="body2" color="text.secondary">
+              {hit.document}
+            </Typography>
+          </Paper>
+        ))}
+      </Grid>
+    </Grid>
+  );
+}
@@ -1,166 +1,136 @@
 // app/page.tsx
 "use client";
 
-import { useState } from "react";
-import { 
-  TextField, 
-  Button, 
-  Container, 
-  Typography, 
-  Box, 
-  Paper, 
+import { useEffect, useState } from "react";
+import {
+  Button,
   CircularProgress,
-  Alert,
-  Card,
-  CardContent,
-  CardHeader,
-  Divider,
-  Grid,
-  List,
-  ListItem,
-  ListItemText
+  Container,
+  Typography,
+  Box,
+  Paper,
+  Tab,
+  Tabs
 } from "@mui/material";
-import SearchIcon from "@mui/icons-material/Search";
+import LogoutIcon from "@mui/icons-material/Logout";
 import SchoolIcon from "@mui/icons-material/School";
+import AdminView from "./components/AdminView";
+import ChatView from "./components/ChatView";
+import LoginView, { SignInOptions, User } from "./components/LoginView";
+import PlannerView from "./components/PlannerView";
+import ProfileView from "./components/ProfileView";
+import SearchView from "./components/SearchView";
+
+// Remembers each user's selected student profile across page reloads
+const PROFILE_STORAGE_KEY = "advisorProfileId";
 
 export default function Home() {
-  const [query, setQuery] = useState("");
-  const [results, setResults] = useState<any[]>([]);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState("");
+  const [view, setView] = useState<"chat" | "search" | "plan" | "profile" | "admin">("chat");
+  const [profileId, setProfileId] = useState<string | null>(null);
+  const [user, setUser] = useState<User | null>(null);
+  const [signIn, setSignIn] = useState<SignInOptions | null>(null);
+
+  useEffect(() => {
+    fetch("/api/auth/me")
+      .then((response) => response.json())
+      .then((data) => {
+        setUser(data.user);
+        setSignIn({ signup: data.signup, sso: data.sso });
+      })
+      .catch(() => setSignIn({ signup: false, sso: null }));
+  }, []);
+
+  useEffect(() => {
+    setProfileId(user ? localStorage.getItem(`${PROFILE_STORAGE_KEY}:${user.id}`) : null);
+  }, [user]);
+
+  const selectProfile = (id: string | null) => {
+    if (id) localStorage.setItem(`${PROFILE_STORAGE_KEY}:${user!.id}`, id);
+    else localStorage.removeItem(`${PROFILE_STORAGE_KEY}:${user!.id}`);
+    setProfileId(id);
+  };
 
-  const handleSubmit = async (e: React.FormEvent) => {
-    e.preventDefault();
-    setLoading(true);
-    setError("");
-    setResults([]);
-    
-    try {
-      const response = await fetch("/api/search", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ query }),
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      setResults(data.results);
-    } catch (err) {
-      console.error("Error:", err);
-      setError("An error occurred while processing your search. Please try again.");
-    } finally {
-      setLoading(false);
-    }
+  const logout = async () => {
+    await fetch("/api/auth/logout", { method: "POST" });
+    setUser(null);
   };
 
+  const profileLabel = user?.role === "student"
+    ? (profileId ? "My profile" : "Set up my profile")
+    : "Student profiles";
+
   return (
-    <Container maxWidth="md" sx={{ py: 4 }}>
+    <Container maxWidth="lg" sx={{ py: 4 }}>
       <Paper elevation={3} sx={{ p: 0, mb: 4, overflow: "hidden" }}>
-        <Box 
-          sx={{ 
-            p: 3, 
-            bgcolor: "primary.main", 
+        <Box
+          sx={{
+            p: 3,
+            bgcolor: "primary.main",
             color: "primary.contrastText",
             display: "flex",
             alignItems: "center"
           }}
         >
           <SchoolIcon sx={{ mr: 2, fontSize: 32 }} />
-          <Box>
+          <Box sx={{ flexGrow: 1 }}>
             <Typography variant="h4" component="h1" gutterBottom={false} fontWeight="bold">
-              SCU Semantic Search
+              SCU Academic Advisor
             </Typography>
             <Typography variant="subtitle1">
-              Search through Santa Clara University information using semantic similarity
+              Ask questions about Santa Clara University programs, courses and policies
             </Typography>
           </Box>
-        </Box>
-        
-        <Box component="form" onSubmit={handleSubmit} sx={{ p: 3 }}>
-          <Grid container spacing={2} alignItems="center">
-            <Grid item xs={12} sm={9}>
-              <TextField
-                fullWidth
-                variant="outlined"
-                value={query}
-                onChange={(e) => setQuery(e.target.value)}
-                placeholder="What would you like to search for?"
-                disabled={loading}
-              />
-            </Grid>
-            <Grid item xs={12} sm={3}>
-              <Button 
-                fullWidth
-                type="submit" 
-                variant="contained" 
-                disabled={loading || !query.trim()}
-                startIcon={loading ? <CircularProgress size={20} color="inherit" /> : <SearchIcon />}
-                sx={{ height: 56 }} // Match height with TextField
-              >
-                {loading ? "Searching..." : "Search"}
+          {user && (
+            <Box sx={{ textAlign: "right" }}>
+              <Typography variant="body2">{user.name || user.email}</Typography>
+              <Button color="inherit" size="small" startIcon={<LogoutIcon />} onClick={logout}>
+                Sign out ({user.role})
               </Button>
-            </Grid>
-          </Grid>
+            </Box>
+          )}
         </Box>
+        {user && (
+          <Tabs value={view} onChange={(_, value) => setView(value)} sx={{ px: 2 }}>
+            <Tab value="chat" label="Ask" />
+            <Tab value="search" label="Search the bulletin" />
+            <Tab value="plan" label={user.role === "student" ? "Plan my quarters" : "Plan quarters"} />
+            <Tab value="profile" label={profileLabel} />
+            {user.role === "admin" && <Tab value="admin" label="Admin" />}
+          </Tabs>
+        )}
       </Paper>
 
-      {error && (
-        <Alert severity="error" sx={{ mb: 4 }}>
-          {error}
-        </Alert>
+      {!signIn && (
+        <Box sx={{ display: "flex", justifyContent: "center", py: 6 }}>
+          <CircularProgress />
+        </Box>
       )}
 
-      {loading && (
-        <Paper sx={{ p: 4, textAlign: "center", mb: 4 }}>
-          <CircularProgress size={40} />
-          <Typography sx={{ mt: 2 }}>Searching for semantically similar content...</Typography>
-        </Paper>
-      )}
+      {signIn && !user && <LoginView options={signIn} onLogin={setUser} />}
 
-      {results.length > 0 && !loading && (
-        <Card elevation={2}>
-          <CardHeader 
-            title="Search Results" 
-            titleTypographyProps={{ variant: "h6" }}
-            sx={{ pb: 1 }}
-          />
-          <Divider />
-          <CardContent>
-            <List>
-              {results.map((result, index) => (
-                <Box key={index} sx={{ mb: 3 }}>
-                  <Typography variant="subtitle1" fontWeight="bold">
-                    Result {index + 1} - Score: {(result.distance || 0).toFixed(2)}
-                  </Typography>
-                  <Paper variant="outlined" sx={{ p: 2, bgcolor: "background.paper" }}>
-                    <Typography variant="body1" sx={{ whiteSpace: "pre-wrap" }}>
-                      {result.document || "No content available"}
-                    </Typography>
-                    <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                      Source: {result.metadata?.source || "Unknown"} 
-                      {result.metadata?.chunk !== undefined && ` (Chunk: ${result.metadata.chunk})`}
-                    </Typography>
-                  </Paper>
-                </Box>
-              ))}
-            </List>
-          </CardContent>
-          <Box sx={{ p: 2, bgcolor: "action.hover", textAlign: "right" }}>
-            <Typography variant="caption" color="text.secondary">
-              Powered by ChromaDB Vector Search
-            </Typography>
+      {/* Every view stays mounted so switching tabs keeps its state; signing
+          out unmounts them, so the next user starts fresh */}
+      {user && (
+        <>
+          <Box hidden={view !== "chat"}>
+            <ChatView profileId={profileId} />
           </Box>
-        </Card>
-      )}
-
-      {results.length === 0 && !loading && query.trim() !== "" && !error && (
-        <Alert severity="info" sx={{ mb: 4 }}>
-          No results found for your search. Try using different keywords.
-        </Alert>
+          <Box hidden={view !== "search"}>
+            <SearchView profileId={profileId} />
+          </Box>
+          <Box hidden={view !== "plan"}>
+            <PlannerView profileId={profileId} />
+          </Box>
+          <Box hidden={view !== "profile"}>
+            <ProfileView user={user} profileId={profileId} onSelect={selectProfile} />
+          </Box>
+          {user.role === "admin" && (
+            <Box hidden={view !== "admin"}>
+              <AdminView />
+            </Box>
+          )}
+        </>
       )}
     </Container>
   );
-}
\ No newline at end of file
+}
@@ -1,64 +1,117 @@
 // backend/server.js
 const express = require('express');
 const cors = require('cors');
-const { ChromaClient } = require('chromadb');
+const { config } = require('../lib/config');
+const { prepareTurn, recordTurn } = require('../lib/advisor');
+const { authenticate, AuthError } = require('../lib/auth/access');
+const { createLogin, endLogin, loginCookie, logoutCookie, tokenFromRequest } = require('../lib/auth/logins');
+const { verifyLogin } = require('../lib/auth/users');
+const { extractCitations } = require('../lib/citations');
+const { EditionError, EditionNotFoundError, parseCatalogYear } = require('../lib/editions');
+const { EmbeddingDimensionError } = require('../lib/embeddings');
+const { FilterError, parseFilters } = require('../lib/filters');
+const { generate, ProviderError } = require('../lib/providers');
+const { RerankOptionsError, parseRerankOptions } = require('../lib/rerank');
+const { isValidWeight } = require('../lib/retrieval');
+const { createSession, getSession, SessionNotFoundError } = require('../lib/sessions');
+const { resolveStudentEdition } = require('../lib/students/context');
+const { getProfile, ProfileNotFoundError } = require('../lib/students/store');
+const { openStore } = require('../lib/vectorstore');
 
 const app = express();
-const PORT = 3001;
+const PORT = config.server.port;
 
-app.use(cors());
+// Only the configured browser origins may call the API from a page, with
+// their cookies; with none configured, browsers get no cross-origin access
+app.use(cors({ origin: config.server.corsOrigins, credentials: true }));
 app.use(express.json());
 
-// Initialize ChromaDB client
-const client = new ChromaClient({ path: 'http://localhost:8000' });
+// Sign in with a password - body: { email, password }; returns a token to
+// send as "Authorization: Bearer <token>" and sets the login cookie
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const user = await verifyLogin(email, password);
+    if (!user) {
+      return res.status(401).json({ message: 'Wrong email or password' });
+    }
+    const login = createLogin(user.id);
+    res.set('Set-Cookie', loginCookie(login)).json({ user, token: login.token, expiresAt: login.expiresAt });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Error signing in' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  endLogin(tokenFromRequest(name => req.get(name)));
+  res.set('Set-Cookie', logoutCookie()).status(204).end();
+});
+
+// Every other endpoint needs a signed-in user, available as req.user
+app.use('/api', (req, res, next) => {
+  req.user = authenticate(req);
+  if (!req.user) {
+    return res.status(401).json({ message: new AuthError().message });
+  }
+  next();
+});
 
 // Endpoint to query the vector database
 app.post('/api/query', async (req, res) => {
   try {
-    const { query } = req.body;
+    const { query, sessionId, profileId, lexicalWeight } = req.body;
+    const filters = parseFilters(req.body.filters);
+    const rerank = parseRerankOptions(req.body.rerank);
+    const catalogYear = parseCatalogYear(req.body.catalogYear);
     
     if (!query) {
       return res.status(400).json({ message: 'Query is required' });
     }
+    if (!isValidWeight(lexicalWeight)) {
+      return res.status(400).json({ message: 'lexicalWeight must be a number from 0 to 1' });
+    }
     
-    // Simple pass-through embedding function
-    const passThroughEmbedder = {
-      generate: async (texts) => texts.map(() => [])
-    };
+    // Only the user's own conversations, and profiles they may read
+    const session = sessionId ? getSession(sessionId, req.user) : createSession(req.user);
+    const profile = profileId ? getProfile(profileId, req.user) : null;
+    const edition = resolveStudentEdition(profile, catalogYear);
+    const collection = await openStore(edition.collection);
     
-    const collection = await client.getCollection({
-      name: 'scu_bulletins',
-      embeddingFunction: passThroughEmbedder
-    });
+    // Rewrite follow-ups into a standalone query, then retrieve and build the prompt
+    const { retrievalQuery, sources, prompt, retrieval } = await prepareTurn(collection, session, query, { lexicalWeight, filters, rerank }, edition.catalogYear, profile);
     
-    const results = await collection.query({
-      queryTexts: [query],
-      nResults: 5
-    });
+    // Generate the answer from the RAG prompt
+    const generateStart = performance.now();
+    const answer = await generate(prompt);
+    const generateMs = Math.round(performance.now() - generateStart);
+    const citations = extractCitations(answer, sources);
+    await recordTurn(session, { query, retrievalQuery, sources, answer, citations });
     
-    const documents = results.documents[0] || [];
-    const context = documents.join('\n\n');
-    
-    // Call Ollama with RAG prompt
-    const ollamaResponse = await fetch('http://your-ssh-machine:11434/api/generate', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: '3.2',
-        prompt: `You are an assistant for SCU (Santa Clara University). 
-Use the following context to answer the question.
-Context: ${context}
-Question: ${query}
-Answer:`,
-        stream: false
-      })
+    res.json({
+      answer,
+      citations,
+      sessionId: session.id,
+      catalogYear: edition.catalogYear,
+      retrievalQuery,
+      rerank: retrieval.rerank,
+      timings: { ...retrieval.timings, generate: generateMs },
     });
     
-    const data = await ollamaResponse.json();
-    res.json({ answer: data.response });
-    
   } catch (error) {
     console.error('RAG query error:', error);
+    if (error instanceof FilterError || error instanceof RerankOptionsError || error instanceof EditionError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof SessionNotFoundError || error instanceof EditionNotFoundError || error instanceof ProfileNotFoundError) {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error instanceof EmbeddingDimensionError) {
+      return res.status(500).json({ message: error.message });
+    }
+    if (error instanceof ProviderError) {
+      return res.status(502).json({ message: error.message });
+    }
     res.status(500).json({ message: 'Error processing your query' });
   }
 });
@@ -0,0 +1,8 @@
+// instrumentation.ts
+// Runs once when the server starts: resume ingest jobs that were queued or
+// interrupted while it was down (see lib/jobs)
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+  const { startWorker } = await import('./lib/jobs/worker');
+  startWorker();
+}
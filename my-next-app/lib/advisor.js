@@ -0,0 +1,55 @@
+// lib/advisor.js
+// One advising turn: rewrite the question against the conversation, retrieve,
+// build the prompt, and afterwards record the exchange in the session.
+const { compactHistory, historyForPrompt, rewriteQuery } = require('./conversation');
+const { buildAdvisorPrompt } = require('./prompt');
+const { retrieve } = require('./retrieval');
+const { appendMessages, saveSession } = require('./sessions');
+const { annotateHits, studentContext, studentStanding } = require('./students/context');
+
+/**
+ * Everything needed to generate the answer to `query` within `session`
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {import('./sessions').Session} session
+ * @param {string} query
+ * @param {import('./retrieval').RetrievalOptions} [retrievalOptions]
+ * @param {string | null} [catalogYear] - edition the collection holds
+ * @param {import('./students/store').Profile | null} [profile] - the student asking, if known
+ */
+async function prepareTurn(collection, session, query, retrievalOptions, catalogYear = null, profile = null) {
+  const rewriteStart = performance.now();
+  const retrievalQuery = await rewriteQuery(session, query);
+  const rewriteMs = Math.round(performance.now() - rewriteStart);
+
+  const { results: sources, timings, rerank } = await retrieve(collection, retrievalQuery, retrievalOptions);
+
+  // With a profile, each source lists its courses as completed, eligible and so on
+  let student = null;
+  if (profile) {
+    const standing = studentStanding(profile);
+    annotateHits(sources, standing);
+    student = studentContext(standing, sources);
+  }
+  const prompt = buildAdvisorPrompt(query, sources, historyForPrompt(session), catalogYear, student);
+
+  // Stage latencies in milliseconds, for the response
+  return { retrievalQuery, sources, prompt, retrieval: { timings: { rewrite: rewriteMs, ...timings }, rerank } };
+}
+
+/**
+ * Store the question and generated answer, then summarize old turns if needed
+ * @param {import('./sessions').Session} session
+ */
+async function recordTurn(session, { query, retrievalQuery, sources, answer, citations }) {
+  appendMessages(session, [
+    { role: 'user', content: query, retrievalQuery },
+    { role: 'assistant', content: answer, sources, citations },
+  ]);
+  await compactHistory(session);
+  saveSession(session);
+}
+
+module.exports = {
+  prepareTurn,
+  recordTurn,
+};
@@ -0,0 +1,70 @@
+// lib/auth/access.js
+// Who may see and change what. Every stored object (profile, conversation)
+// has an owner: the owner and admins may change it, and advisors may also
+// read what belongs to the students assigned to them.
+const { tokenFromRequest, userForToken } = require('./logins');
+const { isAssigned } = require('./users');
+
+// The request carries no valid login
+class AuthError extends Error {
+  constructor(message = 'Sign in to continue') {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// Signed in, but the user's role or ownership does not allow it
+class ForbiddenError extends Error {
+  constructor(message = 'You do not have access to this') {
+    super(message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * The signed-in user for a Fetch API Request (Next routes) or an Express
+ * request, or null
+ * @param {{ headers: any }} request
+ * @returns {import('./users').User | null}
+ */
+function authenticate(request) {
+  const header = typeof request.headers.get === 'function'
+    ? name => request.headers.get(name)
+    : name => request.headers[name];
+  return userForToken(tokenFromRequest(header));
+}
+
+/**
+ * @param {import('./users').User | null} user
+ * @param {string[]} [roles] - any signed-in user when absent
+ * @returns {import('./users').User}
+ */
+function requireRole(user, roles) {
+  if (!user) throw new AuthError();
+  if (roles && !roles.includes(user.role)) {
+    throw new ForbiddenError(`This needs the ${roles.join(' or ')} role`);
+  }
+  return user;
+}
+
+/**
+ * @param {import('./users').User} user
+ * @param {string | null} ownerId - null for objects made before accounts existed
+ */
+function canRead(user, ownerId) {
+  if (canWrite(user, ownerId)) return true;
+  return user.role === 'advisor' && Boolean(ownerId) && isAssigned(user.id, ownerId);
+}
+
+function canWrite(user, ownerId) {
+  return user.role === 'admin' || (Boolean(ownerId) && ownerId === user.id);
+}
+
+module.exports = {
+  AuthError,
+  ForbiddenError,
+  authenticate,
+  requireRole,
+  canRead,
+  canWrite,
+};
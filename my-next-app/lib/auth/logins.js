@@ -0,0 +1,97 @@
+// lib/auth/logins.js
+// Login sessions. A login is a random token given to the browser as an
+// HttpOnly cookie, or to API clients to send as "Authorization: Bearer";
+// only its SHA-256 hash is stored, so a copy of the database cannot be used
+// to sign in.
+const crypto = require('crypto');
+const { config } = require('../config');
+const { getDb } = require('../db');
+const { getUser } = require('./users');
+
+const COOKIE_NAME = 'advisor_session';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a user in for auth.sessionHours
+ * @param {string} userId
+ * @returns {{ token: string, expiresAt: string }}
+ */
+function createLogin(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + config.auth.sessionHours * 3600 * 1000).toISOString();
+
+  const db = getDb();
+  // Expired logins are cleared out whenever someone signs in
+  db.prepare('DELETE FROM login_sessions WHERE expires_at <= ?').run(now.toISOString());
+  db.prepare('INSERT INTO login_sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now.toISOString(), expiresAt);
+  return { token, expiresAt };
+}
+
+/**
+ * The signed-in user for a token, or null when it is unknown or expired
+ * @returns {import('./users').User | null}
+ */
+function userForToken(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const row = getDb().prepare('SELECT user_id, expires_at FROM login_sessions WHERE token_hash = ?')
+    .get(hashToken(token));
+  if (!row || row.expires_at <= new Date().toISOString()) return null;
+  return getUser(row.user_id);
+}
+
+function endLogin(token) {
+  if (typeof token !== 'string' || !token) return;
+  getDb().prepare('DELETE FROM login_sessions WHERE token_hash = ?').run(hashToken(token));
+}
+
+/**
+ * The login token a request carries, from the Authorization header or the cookie
+ * @param {(name: string) => string | null | undefined} header - request header by lowercase name
+ */
+function tokenFromRequest(header) {
+  const authorization = header('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+
+  for (const pair of (header('cookie') || '').split(';')) {
+    const [name, ...value] = pair.trim().split('=');
+    if (name === COOKIE_NAME) return decodeURIComponent(value.join('='));
+  }
+  return null;
+}
+
+function cookieAttributes(maxAge) {
+  return [
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAge}`,
+    ...(config.auth.secureCookies ? ['Secure'] : []),
+  ].join('; ');
+}
+
+// Set-Cookie value for a new login
+function loginCookie({ token, expiresAt }) {
+  const maxAge = Math.max(0, Math.floor((Date.parse(expiresAt) - Date.now()) / 1000));
+  return `${COOKIE_NAME}=${token}; ${cookieAttributes(maxAge)}`;
+}
+
+// Set-Cookie value that signs the browser out
+function logoutCookie() {
+  return `${COOKIE_NAME}=; ${cookieAttributes(0)}`;
+}
+
+module.exports = {
+  COOKIE_NAME,
+  createLogin,
+  userForToken,
+  endLogin,
+  tokenFromRequest,
+  loginCookie,
+  logoutCookie,
+};
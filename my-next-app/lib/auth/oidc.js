@@ -0,0 +1,185 @@
+// lib/auth/oidc.js
+// Single sign-on through an OpenID Connect provider with the authorization
+// code flow and PKCE. The provider's endpoints come from its discovery
+// document; a first sign-in creates a student account, or links the account
+// that already has the (verified) email address.
+const crypto = require('crypto');
+const { config } = require('../config');
+const { getDb } = require('../db');
+const { getJson, postForm } = require('../providers/http');
+const { createUser, findUserByEmail, findUserByOidcSubject, linkOidcSubject } = require('./users');
+
+// How long the user has to finish signing in at the provider
+const LOGIN_TTL_MS = 10 * 60 * 1000;
+const REQUEST_OPTIONS = { timeoutMs: 10000, retries: 1 };
+
+let discovered = null;
+
+// The sign-in could not be completed; the message is shown on the login form
+class OidcError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OidcError';
+  }
+}
+
+function oidcEnabled() {
+  return Boolean(config.oidc.issuer && config.oidc.clientId);
+}
+
+// The provider's discovery document, fetched once per process
+async function discover() {
+  if (!discovered) {
+    const issuer = config.oidc.issuer.replace(/\/$/, '');
+    const metadata = await getJson(`${issuer}/.well-known/openid-configuration`, {
+      ...REQUEST_OPTIONS,
+      label: 'OIDC discovery',
+    });
+    for (const field of ['issuer', 'authorization_endpoint', 'token_endpoint']) {
+      if (typeof metadata[field] !== 'string') {
+        throw new OidcError(`The OIDC discovery document at ${issuer} has no ${field}`);
+      }
+    }
+    discovered = metadata;
+  }
+  return discovered;
+}
+
+function randomString() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Where to send the browser to sign in. The state, PKCE verifier and nonce
+ * are kept until the provider redirects back.
+ * @param {string} origin - of the request, for the default callback URL
+ * @returns {Promise<string>}
+ */
+async function startOidcLogin(origin) {
+  const metadata = await discover();
+  const login = {
+    state: randomString(),
+    verifier: randomString(),
+    nonce: randomString(),
+    redirectUrl: config.oidc.redirectUrl || `${origin}/api/auth/oidc/callback`,
+  };
+
+  const db = getDb();
+  db.prepare('DELETE FROM oidc_logins WHERE created_at <= ?')
+    .run(new Date(Date.now() - LOGIN_TTL_MS).toISOString());
+  db.prepare('INSERT INTO oidc_logins (state, verifier, nonce, redirect_url, created_at) VALUES (?, ?, ?, ?, ?)')
+    .run(login.state, login.verifier, login.nonce, login.redirectUrl, new Date().toISOString());
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.oidc.clientId,
+    redirect_uri: login.redirectUrl,
+    scope: 'openid email profile',
+    state: login.state,
+    nonce: login.nonce,
+    code_challenge: crypto.createHash('sha256').update(login.verifier).digest('base64url'),
+    code_challenge_method: 'S256',
+  }).toString();
+  return url.toString();
+}
+
+// The state is single-use: taken out of the table whether or not it has expired
+function takeLogin(state) {
+  if (!state) return null;
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM oidc_logins WHERE state = ?').get(state);
+  if (!row) return null;
+  db.prepare('DELETE FROM oidc_logins WHERE state = ?').run(state);
+  return Date.parse(row.created_at) > Date.now() - LOGIN_TTL_MS ? row : null;
+}
+
+/**
+ * Claims of the ID token. It came straight from the token endpoint over
+ * TLS, so its signature need not be checked (OpenID Connect Core 3.1.3.7),
+ * but the issuer, audience, expiry and nonce must match this login.
+ */
+function idTokenClaims(idToken, metadata, nonce) {
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(String(idToken).split('.')[1], 'base64url').toString('utf-8'));
+  } catch {
+    throw new OidcError('The identity provider did not return a valid ID token');
+  }
+
+  const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (claims.iss !== metadata.issuer || !audience.includes(config.oidc.clientId)) {
+    throw new OidcError('The ID token was issued by another provider or for another client');
+  }
+  if (!(claims.exp * 1000 > Date.now())) throw new OidcError('The ID token has expired');
+  if (claims.nonce !== nonce) throw new OidcError('The ID token does not belong to this sign-in');
+  if (typeof claims.sub !== 'string' || !claims.sub) throw new OidcError('The ID token has no subject');
+  return claims;
+}
+
+/**
+ * The account for a provider identity: the one already linked to it, else
+ * the one with its verified email, else a new student account
+ * @returns {Promise<import('./users').User>}
+ */
+async function accountFor({ sub, email, name, email_verified: emailVerified }) {
+  const linked = findUserByOidcSubject(sub);
+  if (linked) return linked;
+
+  if (typeof email !== 'string' || !email) {
+    throw new OidcError('The identity provider did not share an email address; allow the email scope');
+  }
+  const existing = findUserByEmail(email);
+  if (existing) {
+    if (emailVerified !== true) {
+      throw new OidcError(`An account for ${email} already exists and the provider has not verified this email`);
+    }
+    return linkOidcSubject(existing.id, sub);
+  }
+  return createUser({ email, name: typeof name === 'string' ? name.slice(0, 100) : null, role: 'student', oidcSubject: sub });
+}
+
+/**
+ * Complete a sign-in from the provider's redirect
+ * @param {URLSearchParams} params - query of the callback request
+ * @returns {Promise<import('./users').User>}
+ */
+async function finishOidcLogin(params) {
+  const login = takeLogin(params.get('state'));
+  if (!login) throw new OidcError('The sign-in expired or was already used; please start again');
+  if (params.get('error')) {
+    throw new OidcError(`The identity provider refused the sign-in: ${params.get('error_description') || params.get('error')}`);
+  }
+  if (!params.get('code')) throw new OidcError('The identity provider did not return an authorization code');
+
+  const metadata = await discover();
+  const tokens = await postForm(metadata.token_endpoint, {
+    grant_type: 'authorization_code',
+    code: params.get('code'),
+    redirect_uri: login.redirect_url,
+    client_id: config.oidc.clientId,
+    code_verifier: login.verifier,
+    ...(config.oidc.clientSecret ? { client_secret: config.oidc.clientSecret } : {}),
+  }, { ...REQUEST_OPTIONS, retries: 0, label: 'OIDC token exchange' });
+
+  const claims = idTokenClaims(tokens.id_token, metadata, login.nonce);
+
+  // Some providers leave the email out of the ID token and only share it from userinfo
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const info = await getJson(metadata.userinfo_endpoint, {
+      ...REQUEST_OPTIONS,
+      label: 'OIDC userinfo',
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+    if (info.sub === claims.sub) Object.assign(claims, { email: info.email, name: info.name, email_verified: info.email_verified });
+  }
+
+  return accountFor(claims);
+}
+
+module.exports = {
+  OidcError,
+  oidcEnabled,
+  startOidcLogin,
+  finishOidcLogin,
+};
@@ -0,0 +1,56 @@
+// lib/auth/passwords.js
+// Password hashing with scrypt from node:crypto. Hashes are stored as
+// scrypt$<cost>$<salt>$<hash> so the cost can be raised later without
+// invalidating existing accounts.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384;
+const KEY_LENGTH = 64;
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 200;
+
+/**
+ * Why a password is not acceptable, or null when it is
+ * @param {unknown} password
+ */
+function passwordProblem(password) {
+  if (typeof password !== 'string') return 'password must be a string';
+  if (password.length < MIN_LENGTH) return `password must be at least ${MIN_LENGTH} characters`;
+  if (password.length > MAX_LENGTH) return `password must be at most ${MAX_LENGTH} characters`;
+  return null;
+}
+
+/** @param {string} password */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST });
+  return `scrypt$${COST}$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * @param {string} password
+ * @param {string | null} stored - from hashPassword; accounts without one never match
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length, { N: Number(cost) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Random password for accounts made by an admin
+function generatePassword() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+module.exports = {
+  passwordProblem,
+  hashPassword,
+  verifyPassword,
+  generatePassword,
+};
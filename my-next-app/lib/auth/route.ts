@@ -0,0 +1,38 @@
+// lib/auth/route.ts
+// Route handlers that need a signed-in user
+
+import { NextResponse } from 'next/server';
+import { authenticate, AuthError, ForbiddenError, requireRole } from './access';
+
+export type User = NonNullable<ReturnType<typeof authenticate>>;
+export type Role = User['role'];
+
+// 401 or 403 for an access error, null for anything else
+export function authErrorResponse(error: unknown) {
+  if (error instanceof AuthError) {
+    return NextResponse.json({ error: error.message }, { status: 401 });
+  }
+  if (error instanceof ForbiddenError) {
+    return NextResponse.json({ error: error.message }, { status: 403 });
+  }
+  return null;
+}
+
+// Wrap a route handler so it only runs for a signed-in user, with one of
+// `roles` when given, and receives that user. Access errors thrown by the
+// handler, such as changing a profile the user may only read, become 403.
+export function withAuth<Context>(
+  handler: (request: Request, context: Context, user: User) => Promise<Response>,
+  roles?: Role[]
+) {
+  return async (request: Request, context: Context) => {
+    try {
+      const user = requireRole(authenticate(request), roles);
+      return await handler(request, context, user);
+    } catch (error) {
+      const response = authErrorResponse(error);
+      if (response) return response;
+      throw error;
+    }
+  };
+}
@@ -0,0 +1,269 @@
+// lib/auth/users.js
+// Accounts in the local SQLite database: students, the advisors assigned to
+// them, and admins. A user signs in with a password, through the OIDC
+// provider, or both once the accounts are linked by email.
+const crypto = require('crypto');
+const { getDb } = require('../db');
+const { hashPassword, passwordProblem, verifyPassword } = require('./passwords');
+
+const ROLES = ['student', 'advisor', 'admin'];
+const MAX_NAME_LENGTH = 100;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} email
+ * @property {string | null} name
+ * @property {'student' | 'advisor' | 'admin'} role
+ * @property {boolean} hasPassword
+ * @property {boolean} sso - linked to an account at the OIDC provider
+ * @property {string[]} [students] - advisors: ids of the students assigned to them
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+// A user field that is missing or malformed, or an email already taken
+class UserError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UserError';
+  }
+}
+
+class UserNotFoundError extends Error {
+  constructor(id) {
+    super(`User ${id} was not found`);
+    this.name = 'UserNotFoundError';
+    this.id = id;
+  }
+}
+
+/** @returns {User} */
+function fromRow(row) {
+  const user = {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    hasPassword: Boolean(row.password_hash),
+    sso: Boolean(row.oidc_subject),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  if (user.role === 'advisor') user.students = assignedStudentIds(user.id);
+  return user;
+}
+
+function parseEmail(email) {
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    throw new UserError('email must be an email address');
+  }
+  return email.trim().toLowerCase();
+}
+
+function parseName(name) {
+  if (name === null || name === undefined || name === '') return null;
+  if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+    throw new UserError(`name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  return name.trim() || null;
+}
+
+function parseRole(role) {
+  if (!ROLES.includes(role)) throw new UserError(`role must be one of ${ROLES.join(', ')}`);
+  return role;
+}
+
+async function parsePassword(password) {
+  const problem = passwordProblem(password);
+  if (problem) throw new UserError(problem);
+  return hashPassword(password);
+}
+
+/**
+ * @param {{ email: string, name?: string | null, role?: string, password?: string, oidcSubject?: string }} fields
+ *   an account without a password can only sign in through the OIDC provider
+ * @returns {Promise<User>}
+ */
+async function createUser(fields) {
+  const email = parseEmail(fields.email);
+  if (findUserRow(email)) throw new UserError(`An account for ${email} already exists`);
+
+  const now = new Date().toISOString();
+  const row = {
+    id: crypto.randomUUID(),
+    email,
+    name: parseName(fields.name),
+    role: parseRole(fields.role || 'student'),
+    password_hash: fields.password === undefined ? null : await parsePassword(fields.password),
+    oidc_subject: fields.oidcSubject || null,
+    created_at: now,
+    updated_at: now,
+  };
+  getDb().prepare(`
+    INSERT INTO users (id, email, name, role, password_hash, oidc_subject, created_at, updated_at)
+    VALUES (@id, @email, @name, @role, @password_hash, @oidc_subject, @created_at, @updated_at)
+  `).run(row);
+  return fromRow(row);
+}
+
+/** @returns {User} */
+function getUser(id) {
+  const row = getDb().prepare('SELECT * FROM users WHERE id = ?').get(id);
+  if (!row) throw new UserNotFoundError(id);
+  return fromRow(row);
+}
+
+function findUserRow(email) {
+  return getDb().prepare('SELECT * FROM users WHERE email = ?').get(email) || null;
+}
+
+/** @returns {User | null} */
+function findUserByEmail(email) {
+  const row = typeof email === 'string' ? findUserRow(email.trim().toLowerCase()) : null;
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * @param {{ role?: string, ids?: string[] }} [options] - only users with this role, or with these ids
+ * @returns {User[]}
+ */
+function listUsers(options = {}) {
+  let rows = getDb().prepare('SELECT * FROM users ORDER BY email').all();
+  if (options.role) rows = rows.filter(row => row.role === options.role);
+  if (options.ids) rows = rows.filter(row => options.ids.includes(row.id));
+  return rows.map(fromRow);
+}
+
+function countUsers() {
+  return getDb().prepare('SELECT COUNT(*) AS count FROM users').get().count;
+}
+
+// Hash of a random password, checked against when the email has no account
+const UNKNOWN_ACCOUNT_HASH = 'scrypt$16384$AAAAAAAAAAAAAAAAAAAAAA$'
+  + 'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA';
+
+/**
+ * The account for an email and password, or null. Unknown emails take as
+ * long as wrong passwords, so the response time does not reveal accounts.
+ * @returns {Promise<User | null>}
+ */
+async function verifyLogin(email, password) {
+  const row = typeof email === 'string' ? findUserRow(email.trim().toLowerCase()) : null;
+  if (typeof password !== 'string') return null;
+  const matches = await verifyPassword(password, row ? row.password_hash : UNKNOWN_ACCOUNT_HASH);
+  return row && matches ? fromRow(row) : null;
+}
+
+/**
+ * Change the fields present in `fields`. `students` replaces an advisor's
+ * assigned students.
+ * @param {string} id
+ * @param {{ name?: string | null, role?: string, password?: string, students?: string[] }} fields
+ * @returns {Promise<User>}
+ */
+async function updateUser(id, fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new UserError('The user must be an object');
+  }
+  const user = getUser(id);
+  const changes = {};
+  if (fields.name !== undefined) changes.name = parseName(fields.name);
+  if (fields.role !== undefined) changes.role = parseRole(fields.role);
+  if (fields.password !== undefined) changes.password_hash = await parsePassword(fields.password);
+
+  const role = changes.role || user.role;
+  if (fields.students !== undefined && role !== 'advisor') {
+    throw new UserError('Only advisors have assigned students');
+  }
+
+  const db = getDb();
+  db.transaction(() => {
+    const columns = Object.keys(changes);
+    if (columns.length > 0) {
+      db.prepare(`UPDATE users SET ${columns.map(column => `${column} = @${column}`).join(', ')}, updated_at = @updated_at WHERE id = @id`)
+        .run({ ...changes, updated_at: new Date().toISOString(), id });
+    }
+    // A new password signs the account out everywhere
+    if (changes.password_hash) db.prepare('DELETE FROM login_sessions WHERE user_id = ?').run(id);
+    // Assignments only hold between an advisor and a student
+    if (role !== 'advisor') db.prepare('DELETE FROM advisor_students WHERE advisor_id = ?').run(id);
+    if (role !== 'student') db.prepare('DELETE FROM advisor_students WHERE student_id = ?').run(id);
+    if (fields.students !== undefined) assignStudents(id, fields.students);
+  })();
+  return getUser(id);
+}
+
+/**
+ * Link an account to its subject at the OIDC provider
+ * @returns {User}
+ */
+function linkOidcSubject(id, subject) {
+  getDb().prepare('UPDATE users SET oidc_subject = ?, updated_at = ? WHERE id = ?')
+    .run(subject, new Date().toISOString(), id);
+  return getUser(id);
+}
+
+/** @returns {User | null} */
+function findUserByOidcSubject(subject) {
+  const row = getDb().prepare('SELECT * FROM users WHERE oidc_subject = ?').get(subject);
+  return row ? fromRow(row) : null;
+}
+
+// Profiles, logins and assignments go with the account
+function deleteUser(id) {
+  const { changes } = getDb().prepare('DELETE FROM users WHERE id = ?').run(id);
+  if (changes === 0) throw new UserNotFoundError(id);
+}
+
+/**
+ * Replace the students assigned to an advisor
+ * @param {string} advisorId
+ * @param {string[]} studentIds
+ */
+function assignStudents(advisorId, studentIds) {
+  if (!Array.isArray(studentIds) || studentIds.some(id => typeof id !== 'string')) {
+    throw new UserError('students must be a list of user ids');
+  }
+  const db = getDb();
+  for (const studentId of studentIds) {
+    const row = db.prepare('SELECT role FROM users WHERE id = ?').get(studentId);
+    if (!row) throw new UserError(`students: user ${studentId} not found`);
+    if (row.role !== 'student') throw new UserError(`students: user ${studentId} is not a student`);
+  }
+
+  db.prepare('DELETE FROM advisor_students WHERE advisor_id = ?').run(advisorId);
+  const insert = db.prepare('INSERT OR IGNORE INTO advisor_students (advisor_id, student_id) VALUES (?, ?)');
+  for (const studentId of studentIds) insert.run(advisorId, studentId);
+}
+
+function assignedStudentIds(advisorId) {
+  return getDb().prepare('SELECT student_id FROM advisor_students WHERE advisor_id = ? ORDER BY student_id')
+    .all(advisorId)
+    .map(row => row.student_id);
+}
+
+function isAssigned(advisorId, studentId) {
+  return Boolean(getDb().prepare('SELECT 1 FROM advisor_students WHERE advisor_id = ? AND student_id = ?')
+    .get(advisorId, studentId));
+}
+
+module.exports = {
+  ROLES,
+  UserError,
+  UserNotFoundError,
+  createUser,
+  getUser,
+  findUserByEmail,
+  findUserByOidcSubject,
+  listUsers,
+  countUsers,
+  verifyLogin,
+  updateUser,
+  linkOidcSubject,
+  deleteUser,
+  assignStudents,
+  assignedStudentIds,
+  isAssigned,
+};
@@ -0,0 +1,138 @@
+// lib/bulletins.js
+// The bulletin files an ingest reads. Each edition may keep its files in
+// <ingest.bulletinDir>/<catalog year>; the admin console uploads there, and
+// an edition without its own folder is read from ingest.bulletinDir itself.
+// An edition is read from one folder only: its folder starts out with the
+// shared files it was read from until then.
+const fs = require('fs');
+const path = require('path');
+const { config, isCatalogYear } = require('./config');
+const { SUPPORTED_EXTENSIONS, isSupported } = require('./loaders');
+
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+// A file name or upload that cannot be stored
+class BulletinFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BulletinFileError';
+  }
+}
+
+class BulletinNotFoundError extends Error {
+  constructor(name) {
+    super(`No bulletin file ${name}`);
+    this.name = 'BulletinNotFoundError';
+  }
+}
+
+/**
+ * The folder an edition's files are read from
+ * @param {string | null} [catalogYear]
+ */
+function bulletinDir(catalogYear) {
+  if (catalogYear) {
+    const editionDir = path.join(config.ingest.bulletinDir, catalogYear);
+    if (fs.existsSync(editionDir)) return editionDir;
+  }
+  return config.ingest.bulletinDir;
+}
+
+// File names end up in paths, so only a plain name with a supported extension is accepted
+function checkFileName(name) {
+  if (typeof name !== 'string' || !name || name !== path.basename(name) || name.startsWith('.')) {
+    throw new BulletinFileError(`Not a file name: ${JSON.stringify(name)}`);
+  }
+  if (!isSupported(name)) {
+    throw new BulletinFileError(`${name}: bulletin files must be ${SUPPORTED_EXTENSIONS.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Bulletin files an ingest of the edition would read
+ * @param {string | null} [catalogYear]
+ * @returns {{ dir: string, files: { name: string, bytes: number, modifiedAt: string }[] }}
+ */
+function listBulletinFiles(catalogYear) {
+  const dir = bulletinDir(catalogYear);
+  if (!fs.existsSync(dir)) return { dir, files: [] };
+
+  const files = fs.readdirSync(dir)
+    .filter(name => isSupported(name))
+    .sort()
+    .map(name => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { name, bytes: stat.size, modifiedAt: stat.mtime.toISOString() };
+    });
+  return { dir, files };
+}
+
+/**
+ * An edition's own folder, created with a copy of the shared files on first
+ * use. The edition was read from those until now, so without them its next
+ * ingest would plan them as removed and delete their chunks. The folder is
+ * filled under another name and renamed, so an ingest sees all of it or none.
+ * @param {string} catalogYear
+ */
+function editionDir(catalogYear) {
+  const dir = path.join(config.ingest.bulletinDir, catalogYear);
+  if (fs.existsSync(dir)) return dir;
+
+  const staging = `${dir}.new`;
+  fs.rmSync(staging, { recursive: true, force: true });
+  fs.mkdirSync(staging, { recursive: true });
+  for (const { name } of listBulletinFiles(null).files) {
+    fs.copyFileSync(path.join(config.ingest.bulletinDir, name), path.join(staging, name));
+  }
+  fs.renameSync(staging, dir);
+  return dir;
+}
+
+/**
+ * Store an uploaded bulletin file, replacing one with the same name. With a
+ * catalog year it goes into that edition's own folder (see editionDir).
+ * @param {string} name
+ * @param {Buffer} content
+ * @param {string | null} [catalogYear]
+ * @returns {{ name: string, bytes: number, dir: string }}
+ */
+function saveBulletinFile(name, content, catalogYear) {
+  checkFileName(name);
+  if (catalogYear && !isCatalogYear(catalogYear)) {
+    throw new BulletinFileError(`catalogYear must be an academic year such as "2024-25", got ${JSON.stringify(catalogYear)}`);
+  }
+  if (content.length === 0) throw new BulletinFileError(`${name} is empty`);
+  if (content.length > MAX_FILE_BYTES) {
+    throw new BulletinFileError(`${name} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+  }
+
+  const dir = catalogYear ? editionDir(catalogYear) : config.ingest.bulletinDir;
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Write then rename, so an ingest never reads a half-written file
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(`${filePath}.upload`, content);
+  fs.renameSync(`${filePath}.upload`, filePath);
+  return { name, bytes: content.length, dir };
+}
+
+/**
+ * Remove a bulletin file; its chunks go on the edition's next ingest
+ * @param {string} name
+ * @param {string | null} [catalogYear]
+ */
+function deleteBulletinFile(name, catalogYear) {
+  const filePath = path.join(bulletinDir(catalogYear), checkFileName(name));
+  if (!fs.existsSync(filePath)) throw new BulletinNotFoundError(name);
+  fs.unlinkSync(filePath);
+}
+
+module.exports = {
+  BulletinFileError,
+  BulletinNotFoundError,
+  bulletinDir,
+  listBulletinFiles,
+  saveBulletinFile,
+  deleteBulletinFile,
+};
@@ -0,0 +1,57 @@
+// lib/catalog/codes.js
+// Course codes in the "DEPT NNN" form that extractMetadata in the indexer recognizes
+
+// Same shape extractMetadata matches: 2-4 letter department, 1-3 digits, optional suffix letter
+const COURSE_CODE_PATTERN = /\b([A-Z]{2,4})\s*(\d{1,3}[A-Z]?)\b/;
+
+/**
+ * Normalize "coen12", "COEN-12" or "Coen 12l" to "COEN 12" / "COEN 12L".
+ * Returns null when the input is not a course code.
+ * @param {string} value
+ * @returns {string | null}
+ */
+function normalizeCourseCode(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().toUpperCase().replace(/[-_]/g, ' ').match(/^([A-Z]{2,4})\s*(\d{1,3}[A-Z]?)$/);
+  return match ? `${match[1]} ${match[2]}` : null;
+}
+
+/**
+ * Every course code mentioned in free text, in order and without repeats.
+ * Bare numbers continue the last department: "CSEN 10, 11 and 12" yields
+ * CSEN 10, CSEN 11 and CSEN 12.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractCourseCodes(text) {
+  const codes = [];
+  const pattern = /\b([A-Z]{2,4})\s+(\d{1,3}[A-Z]?)\b|(?:,|\band\b|\bor\b|&)\s*(\d{1,3}[A-Z]?)\b(?!\s*(?:units?|credits?|courses?|quarters?)\b)/g;
+  let department = null;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    let code = null;
+    if (match[1]) {
+      department = match[1];
+      code = `${match[1]} ${match[2]}`;
+    } else if (department) {
+      code = `${department} ${match[3]}`;
+    }
+    if (code && !codes.includes(code)) codes.push(code);
+  }
+
+  return codes;
+}
+
+// Split a normalized code into its department and number
+function splitCourseCode(code) {
+  const [department, number] = code.split(' ');
+  return { department, number };
+}
+
+module.exports = {
+  COURSE_CODE_PATTERN,
+  normalizeCourseCode,
+  extractCourseCodes,
+  splitCourseCode,
+};
@@ -0,0 +1,179 @@
+// lib/catalog/eligibility.js
+// "Can I take X?" checks over the prerequisite graph built from the catalog
+const { coursesIn, formatRequirement, parseRequirement } = require('./prereqs');
+
+// Comparing or-branches: a course the catalog has no entry for is only chosen
+// over longer chains of known courses, and a non-course requirement
+// ("instructor approval") only when no branch can be met with courses alone.
+const UNKNOWN_COURSE_COST = 100;
+const MANUAL_STEP_COST = 1000;
+
+function isSatisfied(node, completed) {
+  if (!node) return true;
+  switch (node.type) {
+    case 'course': return completed.has(node.code);
+    case 'other': return false;
+    case 'and': return node.children.every(child => isSatisfied(child, completed));
+    case 'or': return node.children.some(child => isSatisfied(child, completed));
+  }
+}
+
+/**
+ * The part of a requirement tree that is not yet met, or null when satisfied
+ * @param {import('./prereqs').RequirementNode | null} node
+ * @param {Set<string>} completed
+ */
+function missingRequirements(node, completed) {
+  if (!node || isSatisfied(node, completed)) return null;
+  if (node.type !== 'and') return node;
+
+  const missing = node.children.map(child => missingRequirements(child, completed)).filter(Boolean);
+  return missing.length === 1 ? missing[0] : { type: 'and', children: missing };
+}
+
+// Non-course requirements someone has to check by hand
+function manualRequirements(node) {
+  if (!node || node.type === 'course') return [];
+  if (node.type === 'other') return [node.text];
+  return node.children.flatMap(manualRequirements);
+}
+
+/**
+ * Prerequisite graph around a course: every course reachable through
+ * prerequisite clauses, and the edges "course requires prerequisite"
+ * @param {string} code
+ * @param {(code: string) => { prerequisites: string | null } | null} getCourse
+ */
+function prerequisiteGraph(code, getCourse) {
+  const nodes = new Set();
+  const edges = [];
+  const queue = [code];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (nodes.has(current)) continue;
+    nodes.add(current);
+
+    const course = getCourse(current);
+    for (const prerequisite of coursesIn(parseRequirement(course && course.prerequisites))) {
+      edges.push({ from: current, to: prerequisite });
+      queue.push(prerequisite);
+    }
+  }
+
+  return { nodes: Array.from(nodes), edges };
+}
+
+function costOf(plan, getCourse) {
+  const unknown = plan.courses.filter(code => !getCourse(code)).length;
+  return plan.courses.length + unknown * UNKNOWN_COURSE_COST + plan.manual.length * MANUAL_STEP_COST;
+}
+
+// Merge plans, keeping prerequisites ahead of the courses that need them
+function mergePlans(plans) {
+  const courses = [];
+  const manual = [];
+  for (const plan of plans) {
+    for (const code of plan.courses) if (!courses.includes(code)) courses.push(code);
+    for (const text of plan.manual) if (!manual.includes(text)) manual.push(text);
+  }
+  return { courses, manual };
+}
+
+/**
+ * Fewest courses to take, in order, so that `node` is satisfied. Returns null
+ * when the requirement cannot be met (a prerequisite cycle).
+ */
+function planRequirement(node, context, visiting) {
+  if (!node) return { courses: [], manual: [] };
+
+  switch (node.type) {
+    case 'course':
+      return planCourse(node.code, context, visiting);
+    case 'other':
+      return { courses: [], manual: [node.text] };
+    case 'and': {
+      const plans = [];
+      for (const child of node.children) {
+        const plan = planRequirement(child, context, visiting);
+        if (!plan) return null;
+        plans.push(plan);
+      }
+      return mergePlans(plans);
+    }
+    case 'or': {
+      const options = node.children
+        .map(child => planRequirement(child, context, visiting))
+        .filter(Boolean);
+      if (options.length === 0) return null;
+      return options.reduce((best, option) => (costOf(option, context.getCourse) < costOf(best, context.getCourse) ? option : best));
+    }
+  }
+}
+
+function planCourse(code, context, visiting) {
+  if (context.completed.has(code)) return { courses: [], manual: [] };
+  if (visiting.has(code)) return null;
+  if (context.memo.has(code)) return context.memo.get(code);
+
+  const course = context.getCourse(code);
+  const prerequisites = planRequirement(
+    parseRequirement(course && course.prerequisites),
+    context,
+    new Set([...visiting, code])
+  );
+  const plan = prerequisites ? mergePlans([prerequisites, { courses: [code], manual: [] }]) : null;
+
+  if (plan) context.memo.set(code, plan);
+  return plan;
+}
+
+/**
+ * Check whether a student who completed `completedCodes` may take `target`
+ * @param {string} target - normalized course code
+ * @param {string[]} completedCodes - normalized course codes
+ * @param {(code: string) => any} getCourse - catalog lookup
+ */
+function checkEligibility(target, completedCodes, getCourse) {
+  const course = getCourse(target);
+  const completed = new Set(completedCodes);
+  const prerequisites = parseRequirement(course && course.prerequisites);
+  const corequisites = parseRequirement(course && course.corequisites);
+  const missing = missingRequirements(prerequisites, completed);
+
+  // Shortest chain: the fewest courses to take before the target
+  const context = { completed, getCourse, memo: new Map() };
+  const plan = planRequirement(missing, context, new Set([target]));
+  const chain = plan ? plan.courses.map(code => ({ code, course: getCourse(code) })) : null;
+
+  return {
+    target,
+    title: course ? course.title : null,
+    inCatalog: Boolean(course),
+    eligible: missing === null,
+    prerequisites: {
+      text: course ? course.prerequisites : null,
+      tree: prerequisites,
+      missing,
+      missingText: formatRequirement(missing),
+    },
+    // Corequisites may also be taken in the same quarter as the target
+    corequisites: {
+      text: course ? course.corequisites : null,
+      tree: corequisites,
+      missing: missingRequirements(corequisites, completed),
+    },
+    // null when no chain exists, e.g. a prerequisite cycle in the bulletin
+    chain: chain && chain.map(({ code, course: step }) => ({ code, title: step ? step.title : null })),
+    needsReview: [...new Set([...manualRequirements(missing), ...(plan ? plan.manual : [])])],
+    // Courses in the chain the catalog has no entry for; their own prerequisites are unknown
+    unknownCourses: chain ? chain.filter(step => !step.course).map(step => step.code) : [],
+  };
+}
+
+module.exports = {
+  isSatisfied,
+  missingRequirements,
+  prerequisiteGraph,
+  checkEligibility,
+};
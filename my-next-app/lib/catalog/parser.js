@@ -0,0 +1,138 @@
+// lib/catalog/parser.js
+// Turn raw bulletin text into course records. Runs on the original text, not
+// the whitespace-collapsed text used for embedding, because course entries
+// are recognized by their "DEPT NNN. Title" heading at the start of a line.
+
+/**
+ * @typedef {Object} CourseRecord
+ * @property {string} code - normalized "DEPT NNN"
+ * @property {string} department
+ * @property {string} number
+ * @property {string} title
+ * @property {number | null} unitsMin
+ * @property {number | null} unitsMax
+ * @property {string} description
+ * @property {string | null} prerequisites - prerequisite clause as written
+ * @property {string | null} corequisites - corequisite clause as written
+ * @property {string[]} termsOffered - e.g. ["Fall", "Spring"]
+ * @property {string} source - bulletin file the entry came from
+ */
+
+// "COEN 12. Abstract Data Types" / "COEN 12: ..." / "COEN 12 - ..." at the start of a line
+const COURSE_HEADING = /^[ \t]*([A-Z]{2,4})[ \t]+(\d{1,3}[A-Z]?)(?:\.|:|[ \t]+[-–])[ \t]+(\S[^\n]*)$/gm;
+const UNITS = /\((\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(?:units?|credits?)\)/i;
+// A clause runs to the first period that ends a sentence
+const PREREQUISITES = /Pre-?requisites?:\s*([\s\S]*?)(?:\.(?=\s+[A-Z(]|\s*$)|$)/i;
+const COREQUISITES = /Co-?requisites?:\s*([\s\S]*?)(?:\.(?=\s+[A-Z(]|\s*$)|$)/i;
+const TERMS = /\b(?:Offered|Taught)\s+(?:in\s+|every\s+|each\s+|during\s+)?((?:(?:the\s+)?(?:fall|winter|spring|summer)(?:\s+quarters?)?(?:\s*,\s*|\s+and\s+|\s+or\s+)?)+)[^.]*\.?/i;
+const EVERY_QUARTER = /\b(?:Offered|Taught)\s+(?:every|each)\s+(?:academic\s+)?quarter\b[^.]*\.?/i;
+// A line after a blank line that may start a new section of the bulletin
+const PARAGRAPH_START = /\n[ \t]*\n[ \t]*([^\n]*)/g;
+const CLAUSE_START = /^(?:Pre-?requisites?|Co-?requisites?|Offered|Taught|Also listed|Note)\b/i;
+const SEASONS = ['Fall', 'Winter', 'Spring', 'Summer'];
+// Regular academic-year quarters; summer session is only listed when named
+const ACADEMIC_QUARTERS = ['Fall', 'Winter', 'Spring'];
+
+function normalizeWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function parseUnits(text) {
+  const match = text.match(UNITS);
+  if (!match) return { unitsMin: null, unitsMax: null };
+  const unitsMin = parseFloat(match[1]);
+  return { unitsMin, unitsMax: match[2] ? parseFloat(match[2]) : unitsMin };
+}
+
+function parseTerms(text) {
+  if (EVERY_QUARTER.test(text)) return ACADEMIC_QUARTERS;
+  const match = text.match(TERMS);
+  if (!match) return [];
+  const mentioned = match[1].toLowerCase();
+  return SEASONS.filter(season => mentioned.includes(season.toLowerCase()));
+}
+
+// "Major Requirements", "Electives:": short, no sentence-ending period or
+// course code, and every longer word capitalized
+function isSectionHeading(line) {
+  const text = line.trim();
+  if (!/^[A-Z]/.test(text) || text.length > 80 || /[.;]$/.test(text)) return false;
+  if (CLAUSE_START.test(text) || /\b[A-Z]{2,4}[ \t]+\d/.test(text)) return false;
+  return text.split(/\s+/).filter(word => /^[a-z]{4,}/i.test(word)).every(word => /^[A-Z]/.test(word));
+}
+
+// A course entry ends at the next section heading, so the last course before
+// "Major Requirements" does not take in the requirements
+function entryBody(text) {
+  for (const match of text.matchAll(PARAGRAPH_START)) {
+    if (isSectionHeading(match[1])) return text.substring(0, match.index);
+  }
+  return text;
+}
+
+function parseClause(text, pattern) {
+  const match = text.match(pattern);
+  const clause = match ? normalizeWhitespace(match[1]) : '';
+  return clause.length > 0 ? clause : null;
+}
+
+/**
+ * Parse every course entry in a bulletin file
+ * @param {string} text - raw bulletin text
+ * @param {string} source - file name recorded on each record
+ * @returns {CourseRecord[]}
+ */
+function parseCourses(text, source) {
+  const normalized = text.replace(/\r\n?/g, '\n').replace(/[^\x20-\x7E\n\t]/g, ' ');
+  const headings = [...normalized.matchAll(COURSE_HEADING)];
+  const courses = new Map();
+
+  headings.forEach((heading, index) => {
+    const [, department, number, headingText] = heading;
+    const bodyStart = heading.index + heading[0].length;
+    const bodyEnd = index + 1 < headings.length ? headings[index + 1].index : normalized.length;
+    const body = entryBody(normalized.substring(bodyStart, bodyEnd));
+    const entry = `${headingText}\n${body}`;
+
+    const title = normalizeWhitespace(headingText.replace(UNITS, '')).replace(/\.$/, '');
+    if (title.length === 0 || title.length > 150) {
+      // A course code mentioned at the start of a prose line, not a heading
+      return;
+    }
+
+    const description = normalizeWhitespace(
+      body
+        .replace(PREREQUISITES, '')
+        .replace(COREQUISITES, '')
+        .replace(TERMS, '')
+        .replace(EVERY_QUARTER, '')
+        .replace(UNITS, '')
+    );
+
+    const record = {
+      code: `${department} ${number}`,
+      department,
+      number,
+      title,
+      ...parseUnits(entry),
+      description,
+      prerequisites: parseClause(body, PREREQUISITES),
+      corequisites: parseClause(body, COREQUISITES),
+      termsOffered: parseTerms(entry),
+      source,
+    };
+
+    // Keep the fuller entry when a course is listed twice
+    const existing = courses.get(record.code);
+    if (!existing || existing.description.length < record.description.length) {
+      courses.set(record.code, record);
+    }
+  });
+
+  return Array.from(courses.values());
+}
+
+module.exports = {
+  COURSE_HEADING,
+  parseCourses,
+};
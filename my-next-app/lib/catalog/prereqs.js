@@ -0,0 +1,184 @@
+// lib/catalog/prereqs.js
+// Parse prerequisite and corequisite clauses such as
+// "CSEN 12 and (MATH 13 or 14)" into a boolean expression tree.
+
+/**
+ * @typedef {{ type: 'course', code: string }
+ *   | { type: 'and' | 'or', children: RequirementNode[] }
+ *   | { type: 'other', text: string }} RequirementNode
+ * 'other' holds a requirement that is not a course, e.g. "instructor approval".
+ */
+
+const TOKEN = /\(|\)|;|,|\b(?:[Aa]nd|[Oo]r)\b|&|\b[A-Z]{2,4}\s*\d{1,3}[A-Z]?\b|\b\d{1,3}[A-Z]?\b|[^\s(),;&]+/g;
+
+// Qualifiers that do not change which courses are required
+const IGNORED_QUALIFIERS = [
+  /,?\s*(?:each\s+)?with\s+a\s+(?:minimum\s+)?grade\s+of\s+[A-F][+-]?\s+or\s+(?:better|higher|above)/gi,
+  /,?\s*or\s+(?:their|its)\s+equivalents?\b/gi,
+];
+
+function tokenize(text) {
+  let cleaned = text;
+  for (const pattern of IGNORED_QUALIFIERS) {
+    cleaned = cleaned.replace(pattern, '');
+  }
+
+  const tokens = [];
+  let department = null;
+
+  for (const [raw] of cleaned.matchAll(TOKEN)) {
+    const lower = raw.toLowerCase();
+    if (raw === '(' || raw === ')') tokens.push({ kind: raw });
+    else if (raw === ';') tokens.push({ kind: 'op', op: ';' });
+    else if (raw === ',') tokens.push({ kind: 'op', op: ',' });
+    else if (lower === 'and' || raw === '&') tokens.push({ kind: 'op', op: 'and' });
+    else if (lower === 'or') tokens.push({ kind: 'op', op: 'or' });
+    else if (/^[A-Z]{2,4}\s*\d/.test(raw)) {
+      const [, dept, number] = raw.match(/^([A-Z]{2,4})\s*(\S+)$/);
+      department = dept;
+      tokens.push({ kind: 'course', code: `${dept} ${number}` });
+    } else if (/^\d{1,3}[A-Z]?$/.test(raw) && department) {
+      // "COEN 11 or 44" - a bare number continues the last department
+      tokens.push({ kind: 'course', code: `${department} ${raw}` });
+    } else {
+      tokens.push({ kind: 'word', text: raw.replace(/\.$/, '') });
+    }
+  }
+
+  return tokens;
+}
+
+function combine(type, children) {
+  const flattened = [];
+  for (const child of children) {
+    if (child.type === type) flattened.push(...child.children);
+    else flattened.push(child);
+  }
+  return flattened.length === 1 ? flattened[0] : { type, children: flattened };
+}
+
+// Commas take the meaning of the next explicit conjunction in the list
+// ("A, B, or C"), else the previous one, else "and".
+function resolveCommas(ops) {
+  return ops.map((op, index) => {
+    if (op !== ',') return op;
+    const next = ops.slice(index + 1).find(o => o === 'and' || o === 'or');
+    const previous = ops.slice(0, index).reverse().find(o => o === 'and' || o === 'or');
+    return next || previous || 'and';
+  });
+}
+
+/**
+ * Build a tree from operands and the operators between them. ";" separates
+ * independent requirements; within them "or" binds tighter than "and", so
+ * "CSEN 11 and MATH 13 or MATH 14" reads as CSEN 11 and (MATH 13 or MATH 14).
+ */
+function buildTree(operands, ops) {
+  const resolved = resolveCommas(ops);
+  const andGroups = [[operands[0]]];
+
+  resolved.forEach((op, index) => {
+    const operand = operands[index + 1];
+    if (op === 'or') andGroups[andGroups.length - 1].push(operand);
+    else andGroups.push([operand]);
+  });
+
+  return combine('and', andGroups.map(group => combine('or', group)));
+}
+
+function parseGroup(tokens, state) {
+  const operands = [];
+  const ops = [];
+  let words = [];
+  let pendingOperand = false; // an operand was read since the last operator
+
+  const flushWords = () => {
+    if (words.length === 0) return;
+    const text = words.join(' ');
+    words = [];
+    // Words next to a course ("completion of CSEN 11") are filler, not a requirement
+    if (!pendingOperand) {
+      operands.push({ type: 'other', text });
+      pendingOperand = true;
+    }
+  };
+
+  const pushOperand = (node) => {
+    words = [];
+    if (pendingOperand && operands.length > 0 && operands[operands.length - 1].type === 'other') {
+      // Replace a filler phrase that turned out to introduce this operand
+      operands[operands.length - 1] = node;
+    } else if (pendingOperand) {
+      // Two operands with no operator between them: treat as "and"
+      ops.push('and');
+      operands.push(node);
+    } else {
+      operands.push(node);
+    }
+    pendingOperand = true;
+  };
+
+  while (state.position < tokens.length) {
+    const token = tokens[state.position++];
+
+    if (token.kind === ')') break;
+    if (token.kind === '(') {
+      const group = parseGroup(tokens, state);
+      if (group) pushOperand(group);
+    } else if (token.kind === 'course') {
+      pushOperand({ type: 'course', code: token.code });
+    } else if (token.kind === 'word') {
+      words.push(token.text);
+    } else if (token.kind === 'op') {
+      flushWords();
+      if (pendingOperand) {
+        ops.push(token.op);
+        pendingOperand = false;
+      } else if (ops.length > 0 && ops[ops.length - 1] === ',' && token.op !== ',') {
+        // "A, B, or C": the conjunction after a comma decides its meaning
+        ops[ops.length - 1] = token.op;
+      }
+    }
+  }
+  flushWords();
+
+  // Drop a trailing operator with nothing after it
+  if (!pendingOperand && ops.length >= operands.length) {
+    ops.length = Math.max(operands.length - 1, 0);
+  }
+
+  return operands.length > 0 ? buildTree(operands, ops.map(op => (op === ';' ? 'and' : op))) : null;
+}
+
+/**
+ * Parse a prerequisite or corequisite clause. Returns null for empty text.
+ * @param {string | null} text
+ * @returns {RequirementNode | null}
+ */
+function parseRequirement(text) {
+  if (!text || !text.trim()) return null;
+  return parseGroup(tokenize(text), { position: 0 });
+}
+
+// Every course code mentioned in a tree
+function coursesIn(node) {
+  if (!node) return [];
+  if (node.type === 'course') return [node.code];
+  if (node.type === 'other') return [];
+  return [...new Set(node.children.flatMap(coursesIn))];
+}
+
+// Human-readable form, e.g. "CSEN 11 and (MATH 13 or MATH 14)"
+function formatRequirement(node, nested = false) {
+  if (!node) return '';
+  if (node.type === 'course') return node.code;
+  if (node.type === 'other') return node.text;
+  const text = node.children.map(child => formatRequirement(child, true)).join(` ${node.type} `);
+  return nested ? `(${text})` : text;
+}
+
+module.exports = {
+  parseRequirement,
+  coursesIn,
+  formatRequirement,
+};
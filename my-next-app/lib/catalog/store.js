@@ -0,0 +1,108 @@
+// lib/catalog/store.js
+// Course catalog persistence in the local SQLite database
+const { getDb } = require('../db');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Database row -> API record
+function fromRow(row) {
+  return {
+    code: row.code,
+    department: row.department,
+    number: row.number,
+    title: row.title,
+    unitsMin: row.units_min,
+    unitsMax: row.units_max,
+    description: row.description,
+    prerequisites: row.prerequisites,
+    corequisites: row.corequisites,
+    termsOffered: JSON.parse(row.terms_offered),
+    source: row.source,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Insert or replace course records
+ * @param {import('./parser').CourseRecord[]} courses
+ */
+function upsertCourses(courses) {
+  const db = getDb();
+  const statement = db.prepare(`
+    INSERT INTO courses (code, department, number, title, units_min, units_max, description,
+                         prerequisites, corequisites, terms_offered, source, updated_at)
+    VALUES (@code, @department, @number, @title, @unitsMin, @unitsMax, @description,
+            @prerequisites, @corequisites, @termsOffered, @source, @updatedAt)
+    ON CONFLICT (code) DO UPDATE SET
+      department = excluded.department,
+      number = excluded.number,
+      title = excluded.title,
+      units_min = excluded.units_min,
+      units_max = excluded.units_max,
+      description = excluded.description,
+      prerequisites = excluded.prerequisites,
+      corequisites = excluded.corequisites,
+      terms_offered = excluded.terms_offered,
+      source = excluded.source,
+      updated_at = excluded.updated_at
+  `);
+
+  const updatedAt = new Date().toISOString();
+  db.transaction(() => {
+    for (const course of courses) {
+      statement.run({ ...course, termsOffered: JSON.stringify(course.termsOffered), updatedAt });
+    }
+  })();
+
+  return courses.length;
+}
+
+/**
+ * List courses, optionally filtered by department or a text search on code and title
+ * @param {{ department?: string, q?: string, limit?: number, offset?: number }} [options]
+ */
+function listCourses({ department, q, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+  const db = getDb();
+  const conditions = [];
+  const params = {};
+
+  if (department) {
+    conditions.push('department = @department');
+    params.department = department.toUpperCase();
+  }
+  if (q) {
+    conditions.push('(code LIKE @q OR title LIKE @q)');
+    params.q = `%${q}%`;
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const total = db.prepare(`SELECT COUNT(*) AS count FROM courses ${where}`).get(params).count;
+  const rows = db.prepare(`
+    SELECT * FROM courses ${where}
+    ORDER BY department, CAST(number AS INTEGER), number
+    LIMIT @limit OFFSET @offset
+  `).all({ ...params, limit: Math.min(limit, MAX_LIMIT), offset });
+
+  return { total, courses: rows.map(fromRow) };
+}
+
+// One course by normalized code, or null
+function getCourse(code) {
+  const row = getDb().prepare('SELECT * FROM courses WHERE code = ?').get(code);
+  return row ? fromRow(row) : null;
+}
+
+// Departments with their course counts
+function listDepartments() {
+  return getDb()
+    .prepare('SELECT department, COUNT(*) AS courseCount FROM courses GROUP BY department ORDER BY department')
+    .all();
+}
+
+module.exports = {
+  upsertCourses,
+  listCourses,
+  getCourse,
+  listDepartments,
+};
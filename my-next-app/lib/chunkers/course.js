@@ -0,0 +1,45 @@
+// lib/chunkers/course.js
+// One chunk per course entry ("CSEN 146. Computer Networks" to the next
+// entry or heading), so a course's description, prerequisites and units are
+// always retrieved together. Text between entries is chunked by section.
+const { COURSE_HEADING } = require('../catalog/parser');
+const { chunkRange } = require('./section');
+const { findHeadings } = require('./text');
+
+function chunk(text, options) {
+  const headings = findHeadings(text).map(heading => heading.start);
+  const entries = [...text.matchAll(COURSE_HEADING)];
+  const spans = [];
+  let covered = 0;
+
+  entries.forEach((entry, index) => {
+    const [, department, number, title] = entry;
+    const start = entry.index;
+    const nextEntry = index + 1 < entries.length ? entries[index + 1].index : text.length;
+    const nextHeading = headings.find(offset => offset > start);
+    const end = Math.min(nextEntry, nextHeading === undefined ? text.length : nextHeading);
+
+    if (start > covered) spans.push(...chunkRange(text, covered, start, options));
+    spans.push({
+      start,
+      end,
+      metadata: {
+        chunk_type: 'course',
+        course_code: `${department} ${number}`,
+        department_code: department,
+        course_number: number,
+        title: title.trim().replace(/\s*\(.*$/, '').replace(/\.$/, ''),
+      },
+    });
+    covered = end;
+  });
+  if (covered < text.length) spans.push(...chunkRange(text, covered, text.length, options));
+
+  return spans;
+}
+
+module.exports = {
+  name: 'course',
+  description: 'one chunk per course entry; other text is chunked by section',
+  chunk,
+};
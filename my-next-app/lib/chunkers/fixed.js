@@ -0,0 +1,9 @@
+// lib/chunkers/fixed.js
+// Fixed-size windows with overlap, ignoring the structure of the text
+const { windows } = require('./text');
+
+module.exports = {
+  name: 'fixed',
+  description: 'windows of chunkSize characters, each overlapping the previous by chunkOverlap',
+  chunk: (text, { chunkSize, chunkOverlap }) => windows(text, 0, text.length, chunkSize, chunkOverlap),
+};
@@ -0,0 +1,92 @@
+// lib/chunkers/index.js
+// Chunking strategies for bulletin text. A chunker is an object with a
+// `name`, a one-line `description` and `chunk(text, options)`, which returns
+// character spans over the loaded file text (see ./text.js). chunkText turns
+// the spans into documents and metadata, so every strategy records the same
+// section title and offsets.
+const { config } = require('../config');
+const { cleanText } = require('../embeddings');
+const { extractMetadata } = require('./metadata');
+const { findHeadings, sectionAt, stripHeadingMarks, trimSpan } = require('./text');
+
+/**
+ * @typedef {Object} ChunkOptions
+ * @property {number} chunkSize - target maximum characters per chunk
+ * @property {number} chunkOverlap - characters shared by neighbouring chunks
+ */
+
+/**
+ * @typedef {Object} Chunker
+ * @property {string} name
+ * @property {string} description
+ * @property {(text: string, options: ChunkOptions) => import('./text').Span[]} chunk
+ */
+
+/** @type {Record<string, Chunker>} */
+const CHUNKERS = Object.fromEntries(
+  [require('./fixed'), require('./sentence'), require('./section'), require('./course')]
+    .map(chunker => [chunker.name, chunker])
+);
+
+// Shorter chunks (a stray page number, a lone heading) carry no meaning
+const MIN_CHUNK_CHARS = 20;
+
+class ChunkerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChunkerError';
+  }
+}
+
+/**
+ * Fill in configured defaults and check the options make sense together
+ * @param {string} [strategy]
+ * @param {Partial<ChunkOptions>} [options]
+ * @returns {{ strategy: string } & ChunkOptions}
+ */
+function resolveChunking(strategy = config.ingest.chunker, options = {}) {
+  if (!CHUNKERS[strategy]) {
+    throw new ChunkerError(`Unknown chunking strategy "${strategy}" (expected one of ${Object.keys(CHUNKERS).join(', ')})`);
+  }
+  const chunkSize = options.chunkSize ?? config.ingest.chunkSize;
+  const chunkOverlap = options.chunkOverlap ?? config.ingest.chunkOverlap;
+  if (chunkOverlap >= chunkSize) {
+    throw new ChunkerError(`Chunk overlap (${chunkOverlap}) must be smaller than the chunk size (${chunkSize})`);
+  }
+  return { strategy, chunkSize, chunkOverlap };
+}
+
+/**
+ * Chunk a file's text with the named strategy
+ * @param {string} strategy - a key of CHUNKERS
+ * @param {string} text - file text from lib/loaders
+ * @param {string} fileName
+ * @param {Partial<ChunkOptions>} [options]
+ * @returns {{ text: string, metadata: Object }[]} metadata includes
+ *   section_title (when the chunk is under a heading), char_start and char_end
+ */
+function chunkText(strategy, text, fileName, options = {}) {
+  const { chunkSize, chunkOverlap } = resolveChunking(strategy, options);
+  const headings = findHeadings(text);
+
+  return CHUNKERS[strategy].chunk(text, { chunkSize, chunkOverlap })
+    .map(span => trimSpan(text, span))
+    .filter(span => span !== null)
+    .map(span => ({ span, document: cleanText(stripHeadingMarks(text.substring(span.start, span.end))) }))
+    .filter(({ document }) => document.length >= MIN_CHUNK_CHARS)
+    .map(({ span, document }) => {
+      const metadata = { ...extractMetadata(document, fileName), ...span.metadata };
+      const section = sectionAt(headings, span.start);
+      if (section) metadata.section_title = section;
+      metadata.char_start = span.start;
+      metadata.char_end = span.end;
+      return { text: document, metadata };
+    });
+}
+
+module.exports = {
+  CHUNKERS,
+  ChunkerError,
+  resolveChunking,
+  chunkText,
+};
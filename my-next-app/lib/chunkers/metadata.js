@@ -0,0 +1,42 @@
+// lib/chunkers/metadata.js
+// Filterable metadata read from a chunk's text (see lib/filters.js)
+
+// Extract metadata from chunk content
+function extractMetadata(chunk, fileName) {
+  // Initialize with default metadata
+  const metadata = {
+    source: fileName,
+    chunk_type: 'general',
+  };
+  
+  // Extract course code if present
+  const courseCodeMatch = chunk.match(/\b([A-Z]{2,4})\s+(\d{1,3}[A-Z]?)\b/);
+  if (courseCodeMatch) {
+    metadata.course_code = courseCodeMatch[0];
+    metadata.department_code = courseCodeMatch[1];
+    metadata.course_number = courseCodeMatch[2];
+  }
+  
+  // Extract course title if present
+  const titleMatch = chunk.match(/(?::|^)\s*(.*?)\s*(?:\(|$)/);
+  if (titleMatch && titleMatch[1].length > 0 && titleMatch[1].length < 100) {
+    metadata.title = titleMatch[1].trim();
+  }
+  
+  // Extract credits if present
+  const creditsMatch = chunk.match(/\((\d+(?:\.\d+)?)\s*(?:units|credits)\)/i);
+  if (creditsMatch) {
+    metadata.credits = parseFloat(creditsMatch[1]);
+  }
+  
+  // Check for prerequisites
+  if (chunk.toLowerCase().includes('prerequisite')) {
+    metadata.has_prerequisites = true;
+  }
+  
+  return metadata;
+}
+
+module.exports = {
+  extractMetadata,
+};
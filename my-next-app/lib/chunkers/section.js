@@ -0,0 +1,42 @@
+// lib/chunkers/section.js
+// Heading-aware chunking: every chunk stays inside one section, from a
+// heading to the next, and sections longer than the chunk size are split
+// between sentences
+const { findHeadings, pack, sentences } = require('./text');
+
+/**
+ * Sections within [start, end) as spans, each starting at its heading. Text
+ * before the first heading is a section of its own.
+ * @param {string} text
+ * @param {number} [start]
+ * @param {number} [end]
+ */
+function sections(text, start = 0, end = text.length) {
+  const starts = [start, ...findHeadings(text.substring(start, end))
+    .map(heading => start + heading.start)
+    .filter(offset => offset > start)];
+  return starts.map((from, index) => ({ start: from, end: index + 1 < starts.length ? starts[index + 1] : end }));
+}
+
+/**
+ * Chunk [start, end) section by section
+ * @param {string} text
+ * @param {number} start
+ * @param {number} end
+ * @param {{ chunkSize: number, chunkOverlap: number }} options
+ */
+function chunkRange(text, start, end, { chunkSize, chunkOverlap }) {
+  return sections(text, start, end).flatMap(section => {
+    const units = sentences(text, section.start, section.end);
+    // A heading with nothing under it is not worth a chunk
+    if (units.length === 1 && findHeadings(text.substring(units[0].start, units[0].end)).length === 1) return [];
+    return pack(text, units, chunkSize, chunkOverlap);
+  });
+}
+
+module.exports = {
+  name: 'section',
+  description: 'one section per chunk, split between sentences when longer than chunkSize',
+  chunkRange,
+  chunk: (text, options) => chunkRange(text, 0, text.length, options),
+};
@@ -0,0 +1,10 @@
+// lib/chunkers/sentence.js
+// Whole sentences packed up to the chunk size, so no chunk starts or ends
+// mid-sentence
+const { pack, sentences } = require('./text');
+
+module.exports = {
+  name: 'sentence',
+  description: 'whole sentences up to chunkSize characters, repeating up to chunkOverlap characters of sentences',
+  chunk: (text, { chunkSize, chunkOverlap }) => pack(text, sentences(text), chunkSize, chunkOverlap),
+};
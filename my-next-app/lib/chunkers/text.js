@@ -0,0 +1,233 @@
+// lib/chunkers/text.js
+// Span helpers shared by the chunkers. Every chunker works on a file's text
+// as loaded (see lib/loaders), before whitespace is collapsed, and describes
+// chunks as [start, end) character spans over it.
+
+/**
+ * @typedef {Object} Span
+ * @property {number} start - offset of the first character
+ * @property {number} end - offset just past the last character
+ * @property {Object} [metadata] - chunker-specific metadata for the chunk
+ */
+
+// A sentence ends at . ! or ? followed by whitespace and a capital, digit or
+// opening bracket, so "CSEN 12." ends one but "e.g. a" and "3.5" do not
+const SENTENCE_END = /[.!?]["')\]]*(?=\s+["'(\[]?[A-Z0-9])/g;
+const LINE = /[^\r\n]*(?:\r\n|\r|\n|$)/g;
+const COURSE_LINE = /^[A-Z]{2,4}\s+\d/;
+// "## Course Descriptions": headings marked by the PDF and HTML loaders
+const MARKED_HEADING = /^#{1,6}[ \t]+(\S.*)$/;
+const TITLE_CASE = /^[A-Z][A-Za-z&'/-]*(?:\s+(?:[A-Z][A-Za-z&'/-]*|and|of|in|for|the|or|to|\(.*\)))*$/;
+
+/**
+ * Lines of the text with their offsets, line breaks excluded
+ * @param {string} text
+ * @returns {{ start: number, end: number, line: string }[]}
+ */
+function lines(text) {
+  const result = [];
+  for (const match of text.matchAll(LINE)) {
+    if (match.index >= text.length && match[0] === '') break;
+    const line = match[0].replace(/\r?\n$|\r$/, '');
+    result.push({ start: match.index, end: match.index + line.length, line });
+  }
+  return result;
+}
+
+/**
+ * A line marked as a heading ("## Course Descriptions"), or a short line
+ * without sentence punctuation that is written as a title, such as
+ * "Lower-Division Courses" or "Mathematics and Natural Science:". Course
+ * entries ("CSEN 10. ...") and bullets are not headings.
+ * @param {string} line
+ */
+function isHeading(line) {
+  const text = line.trim();
+  if (MARKED_HEADING.test(text)) return true;
+  return text.length > 0
+    && text.length < 80
+    && !/[.,;]$/.test(text)
+    && !COURSE_LINE.test(text)
+    && !/^[-•*]/.test(text)
+    && TITLE_CASE.test(text.replace(/:$/, ''));
+}
+
+/**
+ * Headings in the text, in order
+ * @param {string} text
+ * @returns {{ start: number, end: number, title: string }[]}
+ */
+function findHeadings(text) {
+  return lines(text)
+    .filter(({ line }) => isHeading(line))
+    .map(({ start, end, line }) => ({ start, end, title: stripHeadingMarks(line.trim()).replace(/:$/, '') }));
+}
+
+/**
+ * Mark a line as a heading, for loaders whose source says so explicitly
+ * (an <h2>, a line in a larger font) even when it is not written in title case
+ * @param {string} title
+ * @param {number} [level] - 1 to 6
+ */
+function headingLine(title, level = 2) {
+  return `${'#'.repeat(level)} ${title}`;
+}
+
+// Drop heading marks, e.g. before parsing courses out of loaded text
+function stripHeadingMarks(text) {
+  return text.replace(/^[ \t]*#{1,6}[ \t]+(?=\S)/gm, '');
+}
+
+/**
+ * Title of the nearest heading at or before an offset
+ * @param {{ start: number, title: string }[]} headings - from findHeadings
+ * @param {number} offset
+ * @returns {string | null}
+ */
+function sectionAt(headings, offset) {
+  let title = null;
+  for (const heading of headings) {
+    if (heading.start > offset) break;
+    title = heading.title;
+  }
+  return title;
+}
+
+/**
+ * Shrink a span so it neither starts nor ends with whitespace
+ * @param {string} text
+ * @param {Span} span
+ * @returns {Span | null} null when the span holds only whitespace
+ */
+function trimSpan(text, span) {
+  let { start, end } = span;
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return start < end ? { ...span, start, end } : null;
+}
+
+/**
+ * Sentence spans within [start, end). Paragraph breaks, heading lines and the
+ * start of a course entry also end a sentence, since bulletin lists, titles
+ * and "(4 units)" lines carry no closing punctuation.
+ * @param {string} text
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {Span[]}
+ */
+function sentences(text, start = 0, end = text.length) {
+  const spans = [];
+  let from = start;
+  const cut = at => {
+    const span = trimSpan(text, { start: from, end: at });
+    if (span) spans.push(span);
+    from = at;
+  };
+
+  for (const { start: lineStart, end: lineEnd, line } of lines(text.substring(start, end))) {
+    const absoluteStart = start + lineStart;
+    const absoluteEnd = start + lineEnd;
+    if (line.trim() === '' || isHeading(line)) {
+      cut(absoluteStart);
+      cut(absoluteEnd);
+      continue;
+    }
+    if (COURSE_LINE.test(line.trim())) cut(absoluteStart);
+    for (const match of line.matchAll(SENTENCE_END)) {
+      cut(absoluteStart + match.index + match[0].length);
+    }
+  }
+  cut(end);
+
+  return spans;
+}
+
+/**
+ * Split [start, end) into windows of at most `size` characters, each
+ * starting `size - overlap` after the previous one. Windows end at a word
+ * boundary when there is one in their last fifth.
+ * @returns {Span[]}
+ */
+function windows(text, start, end, size, overlap) {
+  const spans = [];
+  let from = start;
+
+  while (from < end) {
+    let to = Math.min(from + size, end);
+    if (to < end) {
+      const space = text.lastIndexOf(' ', to);
+      if (space > from + size * 0.8) to = space;
+    }
+    const span = trimSpan(text, { start: from, end: to });
+    if (span) spans.push(span);
+    if (to >= end) break;
+
+    // Step back by the overlap, then forward to the start of a word
+    let next = Math.max(to - overlap, from + 1);
+    while (next < to && !/\s/.test(text[next - 1])) next++;
+    from = next;
+  }
+
+  return spans;
+}
+
+/**
+ * Greedily pack consecutive units (sentences, paragraphs) into chunks of at
+ * most `size` characters. The next chunk repeats the trailing units of the
+ * previous one that fit in `overlap` characters. A unit longer than `size`
+ * is cut into overlapping windows.
+ * @param {string} text
+ * @param {Span[]} units - in order, non-overlapping
+ * @param {number} size
+ * @param {number} overlap
+ * @returns {Span[]}
+ */
+function pack(text, units, size, overlap) {
+  const spans = [];
+  let current = [];
+  // Whether current holds a unit not yet emitted, rather than only carried ones
+  let fresh = false;
+
+  const flush = () => {
+    if (!fresh) return;
+    spans.push({ start: current[0].start, end: current[current.length - 1].end });
+    // Carry whole units back into the next chunk, never the entire chunk
+    const carried = [];
+    for (let i = current.length - 1; i > 0; i--) {
+      if (current[current.length - 1].end - current[i].start > overlap) break;
+      carried.unshift(current[i]);
+    }
+    current = carried;
+    fresh = false;
+  };
+
+  for (const unit of units) {
+    if (unit.end - unit.start > size) {
+      flush();
+      current = [];
+      spans.push(...windows(text, unit.start, unit.end, size, overlap));
+      continue;
+    }
+    if (unit.end - (current.length > 0 ? current[0].start : unit.start) > size) flush();
+    // The carried units alone may not leave room for this one
+    while (current.length > 0 && unit.end - current[0].start > size) current.shift();
+    current.push(unit);
+    fresh = true;
+  }
+  flush();
+
+  return spans;
+}
+
+module.exports = {
+  lines,
+  isHeading,
+  findHeadings,
+  headingLine,
+  stripHeadingMarks,
+  sectionAt,
+  trimSpan,
+  sentences,
+  windows,
+  pack,
+};
@@ -0,0 +1,113 @@
+// lib/citations.js
+// Map citation markers such as [2] or [1, 3] in a generated answer back to
+// the retrieved bulletin chunks they refer to.
+
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+function tokenize(text) {
+  return new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+// Split text into sentences, keeping each sentence's offsets
+function sentencesWithOffsets(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]+[.!?]*/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].trim()) {
+      sentences.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return sentences;
+}
+
+// Find the chunk sentence that best supports the answer sentence citing it
+function findSupportingSpan(claim, document) {
+  const claimTokens = tokenize(claim);
+  let best = null;
+  let bestScore = -1;
+
+  for (const sentence of sentencesWithOffsets(document)) {
+    let score = 0;
+    for (const token of tokenize(sentence.text)) {
+      if (claimTokens.has(token)) score++;
+    }
+    if (score > bestScore) {
+      best = sentence;
+      bestScore = score;
+    }
+  }
+
+  if (!best) {
+    return { start: 0, end: document.length, text: document };
+  }
+
+  // Trim surrounding whitespace while keeping offsets accurate
+  const leading = best.text.length - best.text.trimStart().length;
+  const text = best.text.trim();
+  return { start: best.start + leading, end: best.start + leading + text.length, text };
+}
+
+// Return the answer sentence that contains the character at `index`
+function claimAt(answer, index) {
+  const sentence = sentencesWithOffsets(answer).find(s => index >= s.start && index < s.end);
+  return sentence ? sentence.text.replace(MARKER_PATTERN, '') : '';
+}
+
+/**
+ * Where a chunk comes from, for people: "Bulletin 2024-25, p. 213" for PDF
+ * chunks, "catalog.html#csen-146" for HTML ones, otherwise the file name
+ * @param {Object} metadata - chunk metadata
+ * @returns {string | null}
+ */
+function sourceLabel(metadata) {
+  const name = metadata.source_title || metadata.source;
+  if (!name) return null;
+  if (metadata.page !== undefined) {
+    return metadata.page_end !== undefined
+      ? `${name}, pp. ${metadata.page}-${metadata.page_end}`
+      : `${name}, p. ${metadata.page}`;
+  }
+  if (metadata.anchor) return `${name}#${metadata.anchor}`;
+  return name;
+}
+
+/**
+ * Build the citations array for an answer. Markers that do not refer to a
+ * retrieved chunk are ignored; each valid marker appears once, in order of
+ * first use.
+ */
+function extractCitations(answer, chunks) {
+  const citations = new Map();
+  let match;
+
+  MARKER_PATTERN.lastIndex = 0;
+  while ((match = MARKER_PATTERN.exec(answer)) !== null) {
+    const markers = match[1].split(',').map(n => parseInt(n, 10));
+
+    for (const marker of markers) {
+      const chunk = chunks[marker - 1];
+      if (!chunk || citations.has(marker)) continue;
+
+      const metadata = chunk.metadata || {};
+      citations.set(marker, {
+        marker,
+        chunkId: chunk.id,
+        source: metadata.source || null,
+        label: sourceLabel(metadata),
+        page: metadata.page ?? null,
+        anchor: metadata.anchor || null,
+        courseCode: metadata.course_code || null,
+        span: findSupportingSpan(claimAt(answer, match.index), chunk.document || ''),
+      });
+    }
+  }
+
+  return Array.from(citations.values());
+}
+
+module.exports = {
+  MARKER_PATTERN,
+  sourceLabel,
+  extractCitations,
+};
@@ -0,0 +1,369 @@
+// lib/config.js
+// Central configuration for the Next.js routes, the Express server and scripts.
+//
+// Values are resolved in this order (later wins):
+//   1. built-in defaults
+//   2. a JSON config file (ADVISOR_CONFIG, or ./advisor.config.json if present)
+//   3. environment variables
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} AdvisorConfig
+ * @property {{ url: string, collection: string }} chroma
+ * @property {{ backend: 'chroma' | 'file' | 'memory' }} vectors
+ * @property {{ embedding: 'ollama' | 'openai' | 'xenova' | 'fake', generation: 'ollama' | 'openai' | 'fake' }} providers
+ * @property {{ url: string, embedModel: string, generateModel: string, timeoutMs: number, retries: number }} ollama
+ * @property {{ url: string, apiKey: string | null, embedModel: string, generateModel: string, timeoutMs: number, retries: number }} openai
+ * @property {{ embedModel: string }} xenova
+ * @property {{ dimensions: number }} fake
+ * @property {{ port: number, corsOrigins: string[] }} server
+ * @property {{ sessionHours: number, secureCookies: boolean, allowSignup: boolean }} auth
+ * @property {{ issuer: string | null, clientId: string | null, clientSecret: string | null, redirectUrl: string | null, name: string }} oidc
+ * @property {{ dataDir: string }} storage
+ * @property {{ historyChars: number, recentMessages: number }} conversation
+ * @property {{ bulletinDir: string, catalogYear: string | null, delayMs: number, concurrentFiles: number, maxAttempts: number, retryDelayMs: number, chunker: string, chunkSize: number, chunkOverlap: number }} ingest
+ * @property {{ lexicalWeight: number, candidates: number, rrfK: number }} retrieval
+ * @property {{ enabled: boolean, model: string, models: string[], poolSize: number }} rerank
+ */
+
+/**
+ * Built-in defaults. SERVER_IP moves both services to one remote machine
+ * without spelling out each URL.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {AdvisorConfig}
+ */
+const defaults = (env) => ({
+  chroma: {
+    url: `http://${env.SERVER_IP || 'localhost'}:8000`,
+    collection: 'scu_bulletins',
+  },
+  vectors: {
+    // chroma (the server above), file (embedded, under dataDir) or memory
+    backend: 'chroma',
+  },
+  providers: {
+    // which section below embeds text and generates answers (see lib/providers)
+    embedding: 'ollama',
+    generation: 'ollama',
+  },
+  ollama: {
+    url: `http://${env.SERVER_IP || 'localhost'}:11434`,
+    embedModel: 'nomic-embed-text:latest',
+    generateModel: 'llama3.2',
+    // per attempt; a full answer from a local model can take a while
+    timeoutMs: 120000,
+    // further attempts after connection errors, timeouts, 429 and 5xx
+    retries: 2,
+  },
+  openai: {
+    // any OpenAI-compatible API, including local servers
+    url: 'https://api.openai.com/v1',
+    apiKey: null,
+    embedModel: 'text-embedding-3-small',
+    generateModel: 'gpt-4o-mini',
+    timeoutMs: 60000,
+    retries: 2,
+  },
+  xenova: {
+    // feature-extraction model from the Hugging Face hub, run locally on CPU
+    embedModel: 'Xenova/all-MiniLM-L6-v2',
+  },
+  fake: {
+    dimensions: 64,
+  },
+  server: {
+    port: 3001,
+    // browser origins allowed to call the Express API; none by default
+    corsOrigins: [],
+  },
+  auth: {
+    // how long a login lasts
+    sessionHours: 168,
+    // send the login cookie over HTTPS only (browsers also accept it on http://localhost)
+    secureCookies: true,
+    // let anyone create a student account; otherwise an admin creates accounts
+    allowSignup: false,
+  },
+  oidc: {
+    // single sign-on is offered when issuer and clientId are set
+    issuer: null,
+    clientId: null,
+    clientSecret: null,
+    // defaults to /api/auth/oidc/callback on the host the login started from
+    redirectUrl: null,
+    // button label on the login form
+    name: 'Single sign-on',
+  },
+  storage: {
+    dataDir: '.data',
+  },
+  conversation: {
+    historyChars: 4000,
+    recentMessages: 6,
+  },
+  ingest: {
+    bulletinDir: path.join('public', 'bulletin'),
+    // edition the bulletin files belong to, e.g. "2024-25" (see lib/editions)
+    catalogYear: null,
+    delayMs: 150,
+    concurrentFiles: 3,
+    // tries per chunk before it goes on the job's dead-letter list
+    maxAttempts: 5,
+    // wait before the first retry of a chunk, doubled for each one after
+    retryDelayMs: 2000,
+    // strategy from lib/chunkers: fixed, sentence, section or course
+    chunker: 'section',
+    chunkSize: 500,
+    // characters repeated from the end of one chunk at the start of the next
+    chunkOverlap: 50,
+  },
+  retrieval: {
+    // 0 = embeddings only, 1 = keyword index only
+    lexicalWeight: 0.5,
+    // hits each retriever contributes to fusion
+    candidates: 20,
+    // reciprocal rank fusion constant; larger values flatten rank differences
+    rrfK: 60,
+  },
+  rerank: {
+    enabled: true,
+    // cross-encoder from the Hugging Face hub, run locally on CPU
+    model: 'Xenova/ms-marco-MiniLM-L-6-v2',
+    // other models a request may pick with rerank.model, downloaded on first use
+    models: [],
+    // fused candidates scored by the cross-encoder before taking the top k
+    poolSize: 50,
+  },
+});
+
+// Environment variable -> [section, key, type]
+const ENV_VARS = {
+  CHROMA_URL: ['chroma', 'url', 'url'],
+  CHROMA_COLLECTION: ['chroma', 'collection', 'string'],
+  VECTOR_BACKEND: ['vectors', 'backend', 'string'],
+  OLLAMA_URL: ['ollama', 'url', 'url'],
+  EMBED_MODEL: ['ollama', 'embedModel', 'string'],
+  GENERATE_MODEL: ['ollama', 'generateModel', 'string'],
+  OLLAMA_TIMEOUT_MS: ['ollama', 'timeoutMs', 'positive'],
+  OLLAMA_RETRIES: ['ollama', 'retries', 'count'],
+  EMBED_PROVIDER: ['providers', 'embedding', 'string'],
+  GENERATE_PROVIDER: ['providers', 'generation', 'string'],
+  OPENAI_URL: ['openai', 'url', 'url'],
+  OPENAI_API_KEY: ['openai', 'apiKey', 'string'],
+  OPENAI_EMBED_MODEL: ['openai', 'embedModel', 'string'],
+  OPENAI_GENERATE_MODEL: ['openai', 'generateModel', 'string'],
+  OPENAI_TIMEOUT_MS: ['openai', 'timeoutMs', 'positive'],
+  OPENAI_RETRIES: ['openai', 'retries', 'count'],
+  XENOVA_EMBED_MODEL: ['xenova', 'embedModel', 'string'],
+  FAKE_EMBED_DIMENSIONS: ['fake', 'dimensions', 'positive'],
+  SERVER_PORT: ['server', 'port', 'port'],
+  CORS_ORIGINS: ['server', 'corsOrigins', 'origins'],
+  AUTH_SESSION_HOURS: ['auth', 'sessionHours', 'positive'],
+  AUTH_SECURE_COOKIES: ['auth', 'secureCookies', 'boolean'],
+  AUTH_ALLOW_SIGNUP: ['auth', 'allowSignup', 'boolean'],
+  OIDC_ISSUER: ['oidc', 'issuer', 'url'],
+  OIDC_CLIENT_ID: ['oidc', 'clientId', 'string'],
+  OIDC_CLIENT_SECRET: ['oidc', 'clientSecret', 'string'],
+  OIDC_REDIRECT_URL: ['oidc', 'redirectUrl', 'url'],
+  OIDC_NAME: ['oidc', 'name', 'string'],
+  DATA_DIR: ['storage', 'dataDir', 'string'],
+  HISTORY_CHARS: ['conversation', 'historyChars', 'positive'],
+  HISTORY_RECENT_MESSAGES: ['conversation', 'recentMessages', 'positive'],
+  BULLETIN_DIR: ['ingest', 'bulletinDir', 'string'],
+  CATALOG_YEAR: ['ingest', 'catalogYear', 'catalogYear'],
+  INGEST_DELAY_MS: ['ingest', 'delayMs', 'count'],
+  INGEST_CONCURRENCY: ['ingest', 'concurrentFiles', 'positive'],
+  INGEST_MAX_ATTEMPTS: ['ingest', 'maxAttempts', 'positive'],
+  INGEST_RETRY_DELAY_MS: ['ingest', 'retryDelayMs', 'count'],
+  CHUNKER: ['ingest', 'chunker', 'string'],
+  CHUNK_SIZE: ['ingest', 'chunkSize', 'positive'],
+  CHUNK_OVERLAP: ['ingest', 'chunkOverlap', 'count'],
+  LEXICAL_WEIGHT: ['retrieval', 'lexicalWeight', 'fraction'],
+  RETRIEVAL_CANDIDATES: ['retrieval', 'candidates', 'positive'],
+  RRF_K: ['retrieval', 'rrfK', 'positive'],
+  RERANK_ENABLED: ['rerank', 'enabled', 'boolean'],
+  RERANK_MODEL: ['rerank', 'model', 'string'],
+  RERANK_MODELS: ['rerank', 'models', 'models'],
+  RERANK_POOL_SIZE: ['rerank', 'poolSize', 'positive'],
+};
+
+// Implemented in lib/vectorstore
+const VECTOR_BACKENDS = ['chroma', 'file', 'memory'];
+
+// Implemented in lib/providers
+const EMBEDDING_PROVIDERS = ['ollama', 'openai', 'xenova', 'fake'];
+const GENERATION_PROVIDERS = ['ollama', 'openai', 'fake'];
+
+// Hugging Face model ids ("Xenova/ms-marco-MiniLM-L-6-v2"), never local paths
+const MODEL_ID = /^[\w.-]+\/[\w.-]+$/;
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid advisor configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Whether a value names an academic year the way the bulletin does, "2024-25"
+ * @param {any} value
+ */
+function isCatalogYear(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})$/);
+  return Boolean(match) && (Number(match[1]) + 1) % 100 === Number(match[2]);
+}
+
+// Coerce a raw value to the declared type, or return undefined if it doesn't fit
+function coerce(value, type) {
+  switch (type) {
+    case 'url': {
+      if (typeof value !== 'string') return undefined;
+      try {
+        const url = new URL(value);
+        return ['http:', 'https:'].includes(url.protocol) ? value.replace(/\/+$/, '') : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    }
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '' ? value.trim() : undefined;
+    case 'port': {
+      const port = Number(value);
+      return Number.isInteger(port) && port > 0 && port < 65536 ? port : undefined;
+    }
+    case 'count': {
+      const count = Number(value);
+      return Number.isInteger(count) && count >= 0 ? count : undefined;
+    }
+    case 'positive': {
+      const count = Number(value);
+      return Number.isInteger(count) && count > 0 ? count : undefined;
+    }
+    case 'boolean':
+      if (value === true || value === 'true' || value === '1') return true;
+      if (value === false || value === 'false' || value === '0') return false;
+      return undefined;
+    case 'catalogYear':
+      return typeof value === 'string' && isCatalogYear(value.trim()) ? value.trim() : undefined;
+    case 'origins': {
+      // A list, or a comma-separated string from the environment, of scheme://host[:port]
+      const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+      if (!list) return undefined;
+      const origins = list.map(origin => coerce(typeof origin === 'string' ? origin.trim() : origin, 'url'));
+      return origins.every(origin => origin && new URL(origin).origin === origin) ? origins : undefined;
+    }
+    case 'models': {
+      // A list, or a comma-separated string from the environment, of model ids
+      const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : null;
+      if (!list) return undefined;
+      const models = list.map(model => (typeof model === 'string' ? model.trim() : model)).filter(model => model !== '');
+      return models.every(model => typeof model === 'string' && MODEL_ID.test(model)) ? models : undefined;
+    }
+    case 'fraction': {
+      const fraction = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+      return fraction >= 0 && fraction <= 1 ? fraction : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new ConfigError([`Could not parse config file ${filePath}: ${error.message}`]);
+  }
+}
+
+/**
+ * Build a validated configuration from defaults, the config file and the environment.
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {AdvisorConfig}
+ */
+function loadConfig(env = process.env) {
+  const explicitFile = env.ADVISOR_CONFIG;
+  const filePath = path.resolve(explicitFile || 'advisor.config.json');
+
+  if (explicitFile && !fs.existsSync(filePath)) {
+    throw new ConfigError([`ADVISOR_CONFIG points to ${filePath}, which does not exist`]);
+  }
+
+  const fileValues = readConfigFile(filePath);
+  const config = defaults(env);
+  const problems = [];
+
+  // Apply the config file, validating each known key
+  for (const [section, keys] of Object.entries(fileValues)) {
+    if (!config[section]) {
+      problems.push(`Unknown config section "${section}" in ${filePath}`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(keys || {})) {
+      const spec = Object.values(ENV_VARS).find(([s, k]) => s === section && k === key);
+      if (!spec) {
+        problems.push(`Unknown config key "${section}.${key}" in ${filePath}`);
+        continue;
+      }
+      const coerced = coerce(value, spec[2]);
+      if (coerced === undefined) {
+        problems.push(`"${section}.${key}" in ${filePath} is not a valid ${spec[2]}: ${JSON.stringify(value)}`);
+      } else {
+        config[section][key] = coerced;
+      }
+    }
+  }
+
+  // Environment variables override everything
+  for (const [name, [section, key, type]] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const coerced = coerce(env[name], type);
+    if (coerced === undefined) {
+      problems.push(`${name} is not a valid ${type}: ${JSON.stringify(env[name])}`);
+    } else {
+      config[section][key] = coerced;
+    }
+  }
+
+  if (!VECTOR_BACKENDS.includes(config.vectors.backend)) {
+    problems.push(`vectors.backend must be one of ${VECTOR_BACKENDS.join(', ')}, got "${config.vectors.backend}"`);
+  }
+
+  if (!EMBEDDING_PROVIDERS.includes(config.providers.embedding)) {
+    problems.push(`providers.embedding must be one of ${EMBEDDING_PROVIDERS.join(', ')}, got "${config.providers.embedding}"`);
+  }
+  if (!GENERATION_PROVIDERS.includes(config.providers.generation)) {
+    problems.push(`providers.generation must be one of ${GENERATION_PROVIDERS.join(', ')}, got "${config.providers.generation}"`);
+  }
+
+  if (Boolean(config.oidc.issuer) !== Boolean(config.oidc.clientId)) {
+    problems.push('oidc.issuer and oidc.clientId must be set together to enable single sign-on');
+  }
+
+  if (config.ingest.chunkOverlap >= config.ingest.chunkSize) {
+    problems.push(`ingest.chunkOverlap (${config.ingest.chunkOverlap}) must be smaller than ingest.chunkSize (${config.ingest.chunkSize})`);
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  config.ingest.bulletinDir = path.resolve(config.ingest.bulletinDir);
+  config.storage.dataDir = path.resolve(config.storage.dataDir);
+  return config;
+}
+
+/** @type {AdvisorConfig} */
+const config = loadConfig();
+
+module.exports = {
+  ConfigError,
+  isCatalogYear,
+  loadConfig,
+  config,
+};
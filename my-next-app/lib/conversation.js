@@ -0,0 +1,104 @@
+// lib/conversation.js
+// Multi-turn support: fold earlier turns into standalone retrieval queries and
+// keep conversation history within the prompt budget.
+const { MARKER_PATTERN } = require('./citations');
+const { config } = require('./config');
+const { generate } = require('./providers');
+
+const SPEAKERS = { user: 'Student', assistant: 'Advisor' };
+
+// Render messages as a plain transcript, without citation markers
+function formatTurns(messages) {
+  return messages
+    .map(message => {
+      const content = message.content.replace(MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1');
+      return `${SPEAKERS[message.role]}: ${content.trim()}`;
+    })
+    .join('\n');
+}
+
+/**
+ * History to include in the answer prompt: the rolling summary plus as many
+ * of the most recent unsummarized messages as fit in the character budget.
+ * @param {import('./sessions').Session} session
+ */
+function historyForPrompt(session) {
+  const budget = config.conversation.historyChars - session.summary.length;
+  const recent = [];
+  let used = 0;
+
+  const unsummarized = session.messages.slice(session.summarizedThrough);
+  for (let i = unsummarized.length - 1; i >= 0; i--) {
+    const length = formatTurns([unsummarized[i]]).length + 1;
+    if (used + length > budget) break;
+    recent.unshift(unsummarized[i]);
+    used += length;
+  }
+
+  return { summary: session.summary, transcript: formatTurns(recent) };
+}
+
+/**
+ * Rewrite a follow-up question ("what are the prerequisites for it?") into a
+ * standalone query that retrieval can answer without the conversation.
+ * @param {import('./sessions').Session} session
+ * @param {string} question
+ */
+async function rewriteQuery(session, question) {
+  if (session.messages.length === 0) {
+    return question;
+  }
+
+  const { summary, transcript } = historyForPrompt(session);
+  const prompt = `Rewrite the student's latest question as a standalone search query for the SCU bulletin.
+Replace pronouns and references such as "it" or "that course" with what they refer to in the conversation.
+Reply with the rewritten query only.
+${summary ? `Earlier conversation summary: ${summary}\n` : ''}Conversation:
+${transcript}
+Latest question: ${question}
+Standalone query:`;
+
+  try {
+    const rewritten = (await generate(prompt)).trim().replace(/^["']|["']$/g, '');
+    return rewritten || question;
+  } catch (error) {
+    // Retrieval still works on the raw question, just less precisely
+    console.error('Query rewrite failed, using the original question:', error.message);
+    const lastQuestion = [...session.messages].reverse().find(message => message.role === 'user');
+    return lastQuestion ? `${lastQuestion.content} ${question}` : question;
+  }
+}
+
+/**
+ * Fold messages older than the recent window into the rolling summary.
+ * Mutates the session; the caller saves it.
+ * @param {import('./sessions').Session} session
+ */
+async function compactHistory(session) {
+  const keepFrom = session.messages.length - config.conversation.recentMessages;
+  if (keepFrom <= session.summarizedThrough) {
+    return session;
+  }
+
+  const older = session.messages.slice(session.summarizedThrough, keepFrom);
+  const prompt = `Summarize this academic advising conversation in a few sentences.
+Keep course codes, programs, requirements and anything the student said about themselves.
+${session.summary ? `Summary so far: ${session.summary}\n` : ''}New turns:
+${formatTurns(older)}
+Updated summary:`;
+
+  try {
+    session.summary = (await generate(prompt)).trim();
+    session.summarizedThrough = keepFrom;
+  } catch (error) {
+    // Leave the turns unsummarized; historyForPrompt still trims them to budget
+    console.error('History summarization failed:', error.message);
+  }
+  return session;
+}
+
+module.exports = {
+  historyForPrompt,
+  rewriteQuery,
+  compactHistory,
+};
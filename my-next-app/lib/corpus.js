@@ -0,0 +1,143 @@
+// lib/corpus.js
+// What a collection holds, chunk by chunk: statistics, browsing and single
+// chunk inspection and deletion, for the admin console and the CLI.
+const { parseCatalogYear, resolveEdition } = require('./editions');
+const { getStoredDimension } = require('./embeddings');
+const { deleteChunks, getIndexedChunk, listIndexedFiles } = require('./indexer');
+const { countChunks, getChunk } = require('./lexical');
+const { getEmbeddingProvider } = require('./providers');
+const { openStore } = require('./vectorstore');
+
+const PAGE_SIZE = 500;
+const MAX_LIST_LIMIT = 100;
+
+class ChunkNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChunkNotFoundError';
+  }
+}
+
+/**
+ * The collection of an ingested edition, the latest one without a catalog year
+ * @param {any} catalogYear - a request parameter, checked with parseCatalogYear
+ * @returns {Promise<import('./vectorstore').VectorStore>}
+ */
+function openEdition(catalogYear) {
+  return openStore(resolveEdition(parseCatalogYear(catalogYear)).collection);
+}
+
+// Every stored chunk without its embedding, a page at a time
+async function* scanChunks(collection) {
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await collection.get({ limit: PAGE_SIZE, offset });
+    for (const { id, document, metadata } of page) yield { id, document, metadata: metadata || {} };
+    if (page.length < PAGE_SIZE) return;
+  }
+}
+
+/**
+ * Sizes of a collection: its chunks per source file, how many chunks carry
+ * each metadata key, and the keyword index and manifest beside it
+ * @param {import('./vectorstore').VectorStore} collection
+ */
+async function collectionStats(collection) {
+  const sources = new Map();
+  const keys = new Map();
+  let chunks = 0;
+
+  for await (const chunk of scanChunks(collection)) {
+    chunks++;
+    const source = chunk.metadata.source ?? '(none)';
+    sources.set(source, (sources.get(source) || 0) + 1);
+    for (const [key, value] of Object.entries(chunk.metadata)) {
+      if (value !== null && value !== '') keys.set(key, (keys.get(key) || 0) + 1);
+    }
+  }
+
+  const percent = count => (chunks ? Math.round((count / chunks) * 1000) / 10 : 0);
+  return {
+    collection: collection.name,
+    embedModel: `${getEmbeddingProvider().name} ${getEmbeddingProvider().model}`,
+    chunks,
+    dimension: await getStoredDimension(collection),
+    keywordIndexChunks: countChunks(collection.name),
+    sources: Array.from(sources, ([source, count]) => ({ source, chunks: count }))
+      .sort((a, b) => a.source.localeCompare(b.source)),
+    metadata: Array.from(keys, ([key, count]) => ({ key, chunks: count, percent: percent(count) }))
+      .sort((a, b) => b.chunks - a.chunks || a.key.localeCompare(b.key)),
+    files: listIndexedFiles(collection.name),
+  };
+}
+
+/**
+ * A page of a collection's chunks, in stored order
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {{ source?: string, q?: string, offset?: number, limit?: number }} [options] -
+ *   source keeps one file's chunks; q keeps chunks whose id or text contains it, ignoring case
+ * @returns {Promise<{ total: number, chunks: { id: string, document: string, metadata: Object }[] }>}
+ *   total counts every match, not just the page
+ */
+async function listChunks(collection, { source, q, offset = 0, limit = 20 } = {}) {
+  const needle = q ? q.toLowerCase() : null;
+  const page = [];
+  let total = 0;
+  limit = Math.min(limit, MAX_LIST_LIMIT);
+
+  for await (const chunk of scanChunks(collection)) {
+    if (source && chunk.metadata.source !== source) continue;
+    if (needle && !chunk.id.toLowerCase().includes(needle) && !chunk.document.toLowerCase().includes(needle)) continue;
+    if (total >= offset && page.length < limit) page.push(chunk);
+    total++;
+  }
+  return { total, chunks: page };
+}
+
+/**
+ * Everything stored for one chunk: the vector store record, whether the
+ * keyword index has it and its manifest entry
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {string} id
+ */
+async function inspectChunk(collection, id) {
+  const [stored] = await collection.get({ ids: [id] });
+  if (!stored) throw new ChunkNotFoundError(`No chunk "${id}" in collection ${collection.name}`);
+
+  const { embedding } = stored;
+  return {
+    id,
+    collection: collection.name,
+    metadata: stored.metadata,
+    document: stored.document,
+    embedding: {
+      dimension: embedding.length,
+      allZeros: embedding.length > 0 && embedding.every(value => value === 0),
+      head: Array.from(embedding.slice(0, 5)),
+    },
+    keywordIndex: getChunk(collection.name, id) !== null,
+    manifest: getIndexedChunk(collection.name, id),
+  };
+}
+
+/**
+ * Delete one chunk everywhere it is stored. It stays deleted until its file
+ * changes or the edition is reindexed.
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {string} id
+ */
+async function deleteChunk(collection, id) {
+  const [stored] = await collection.get({ ids: [id] });
+  if (!stored && !getChunk(collection.name, id) && !getIndexedChunk(collection.name, id)) {
+    throw new ChunkNotFoundError(`No chunk "${id}" in collection ${collection.name}`);
+  }
+  await deleteChunks(collection, [id]);
+}
+
+module.exports = {
+  ChunkNotFoundError,
+  openEdition,
+  collectionStats,
+  listChunks,
+  inspectChunk,
+  deleteChunk,
+};
@@ -0,0 +1,254 @@
+// lib/db.js
+// Local SQLite database for structured data (course catalog and friends).
+// Lives at <dataDir>/advisor.db and is migrated forward on first use.
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+
+// SQL string literal
+function quote(value) {
+  return `'${value.replace(/'/g, "''")}'`;
+}
+
+// Each entry upgrades the schema by one version; never edit a shipped entry,
+// append a new one instead. PRAGMA user_version records how far we got.
+const MIGRATIONS = [
+  `CREATE TABLE courses (
+    code TEXT PRIMARY KEY,
+    department TEXT NOT NULL,
+    number TEXT NOT NULL,
+    title TEXT NOT NULL,
+    units_min REAL,
+    units_max REAL,
+    description TEXT NOT NULL DEFAULT '',
+    prerequisites TEXT,
+    corequisites TEXT,
+    terms_offered TEXT NOT NULL DEFAULT '[]',
+    source TEXT,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX courses_department ON courses (department);`,
+  `CREATE TABLE programs (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    min_units REAL,
+    blocks TEXT NOT NULL,
+    source TEXT,
+    updated_at TEXT NOT NULL
+  );`,
+  // Keyword index over the same chunks that are embedded into Chroma
+  `CREATE TABLE chunks (
+    id TEXT PRIMARY KEY,
+    document TEXT NOT NULL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    source TEXT,
+    updated_at TEXT NOT NULL
+  );
+  CREATE VIRTUAL TABLE chunks_fts USING fts5(
+    document,
+    content = 'chunks',
+    content_rowid = 'rowid',
+    tokenize = 'porter unicode61'
+  );
+  CREATE TRIGGER chunks_ai AFTER INSERT ON chunks BEGIN
+    INSERT INTO chunks_fts (rowid, document) VALUES (new.rowid, new.document);
+  END;
+  CREATE TRIGGER chunks_ad AFTER DELETE ON chunks BEGIN
+    INSERT INTO chunks_fts (chunks_fts, rowid, document) VALUES ('delete', old.rowid, old.document);
+  END;
+  CREATE TRIGGER chunks_au AFTER UPDATE ON chunks BEGIN
+    INSERT INTO chunks_fts (chunks_fts, rowid, document) VALUES ('delete', old.rowid, old.document);
+    INSERT INTO chunks_fts (rowid, document) VALUES (new.rowid, new.document);
+  END;`,
+  // Indexer manifest: what has been embedded into each Chroma collection
+  `CREATE TABLE indexed_files (
+    collection TEXT NOT NULL,
+    source TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    chunk_count INTEGER NOT NULL,
+    indexed_at TEXT NOT NULL,
+    PRIMARY KEY (collection, source)
+  );
+  CREATE TABLE indexed_chunks (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    source TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    indexed_at TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+  CREATE INDEX indexed_chunks_source ON indexed_chunks (collection, source);`,
+  // Catalog editions: each catalog year is indexed into its own collection, so
+  // the keyword index is scoped by collection too (rows indexed so far belong
+  // to the configured one; rowids are kept so chunks_fts stays valid), and
+  // each edition's parsed courses and programs are kept for comparison
+  `DROP TRIGGER chunks_ai;
+  DROP TRIGGER chunks_ad;
+  DROP TRIGGER chunks_au;
+  CREATE TABLE chunks_scoped (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    document TEXT NOT NULL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    source TEXT,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+  INSERT INTO chunks_scoped (rowid, collection, id, document, metadata, source, updated_at)
+    SELECT rowid, ${quote(config.chroma.collection)}, id, document, metadata, source, updated_at FROM chunks;
+  DROP TABLE chunks;
+  ALTER TABLE chunks_scoped RENAME TO chunks;
+  CREATE TRIGGER chunks_ai AFTER INSERT ON chunks BEGIN
+    INSERT INTO chunks_fts (rowid, document) VALUES (new.rowid, new.document);
+  END;
+  CREATE TRIGGER chunks_ad AFTER DELETE ON chunks BEGIN
+    INSERT INTO chunks_fts (chunks_fts, rowid, document) VALUES ('delete', old.rowid, old.document);
+  END;
+  CREATE TRIGGER chunks_au AFTER UPDATE ON chunks BEGIN
+    INSERT INTO chunks_fts (chunks_fts, rowid, document) VALUES ('delete', old.rowid, old.document);
+    INSERT INTO chunks_fts (rowid, document) VALUES (new.rowid, new.document);
+  END;
+  CREATE TABLE editions (
+    catalog_year TEXT PRIMARY KEY,
+    collection TEXT NOT NULL UNIQUE,
+    ingested_at TEXT,
+    catalog_built_at TEXT
+  );
+  CREATE TABLE edition_courses (
+    catalog_year TEXT NOT NULL,
+    code TEXT NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (catalog_year, code)
+  );
+  CREATE TABLE edition_programs (
+    catalog_year TEXT NOT NULL,
+    id TEXT NOT NULL,
+    record TEXT NOT NULL,
+    PRIMARY KEY (catalog_year, id)
+  );`,
+  // Student profiles: program choices, catalog year and transcript courses
+  `CREATE TABLE profiles (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    major TEXT,
+    minor TEXT,
+    catalog_year TEXT,
+    courses TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );`,
+  // Accounts, logins and advisor assignments. Profiles made before accounts
+  // existed have no owner, so only admins see them.
+  `CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    name TEXT,
+    role TEXT NOT NULL,
+    password_hash TEXT,
+    oidc_subject TEXT UNIQUE,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE login_sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX login_sessions_user ON login_sessions (user_id);
+  CREATE TABLE advisor_students (
+    advisor_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    student_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    PRIMARY KEY (advisor_id, student_id)
+  );
+  CREATE INDEX advisor_students_student ON advisor_students (student_id);
+  CREATE TABLE oidc_logins (
+    state TEXT PRIMARY KEY,
+    verifier TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    redirect_url TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  ALTER TABLE profiles ADD COLUMN owner_id TEXT REFERENCES users (id) ON DELETE CASCADE;
+  CREATE INDEX profiles_owner ON profiles (owner_id);`,
+  // Ingest jobs (see lib/jobs). A job's plan is saved as its files and chunks,
+  // the checkpoint it resumes from after a crash.
+  `CREATE TABLE index_jobs (
+    id TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    collection TEXT NOT NULL,
+    catalog_year TEXT,
+    options TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_by TEXT,
+    created_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT,
+    planned_at TEXT,
+    plan TEXT,
+    total_chunks INTEGER NOT NULL DEFAULT 0,
+    done_chunks INTEGER NOT NULL DEFAULT 0,
+    dead_chunks INTEGER NOT NULL DEFAULT 0,
+    worker TEXT,
+    heartbeat_at TEXT,
+    resumed_at TEXT,
+    done_at_resume INTEGER NOT NULL DEFAULT 0,
+    error TEXT
+  );
+  CREATE INDEX index_jobs_status ON index_jobs (status, created_at);
+  CREATE TABLE index_job_files (
+    job_id TEXT NOT NULL REFERENCES index_jobs (id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    hash TEXT,
+    chunk_count INTEGER NOT NULL,
+    deletes TEXT NOT NULL,
+    status TEXT NOT NULL,
+    PRIMARY KEY (job_id, source)
+  );
+  CREATE TABLE index_job_chunks (
+    job_id TEXT NOT NULL REFERENCES index_jobs (id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    source TEXT NOT NULL,
+    document TEXT NOT NULL,
+    metadata TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    last_error TEXT,
+    PRIMARY KEY (job_id, id)
+  );
+  CREATE INDEX index_job_chunks_status ON index_job_chunks (job_id, status, seq);`,
+];
+
+let db = null;
+
+function migrate(database) {
+  const version = database.pragma('user_version', { simple: true });
+
+  for (let i = version; i < MIGRATIONS.length; i++) {
+    database.transaction(() => {
+      database.exec(MIGRATIONS[i]);
+      database.pragma(`user_version = ${i + 1}`);
+    })();
+  }
+}
+
+// Shared connection, opened and migrated on first call
+function getDb() {
+  if (!db) {
+    fs.mkdirSync(config.storage.dataDir, { recursive: true });
+    db = new Database(path.join(config.storage.dataDir, 'advisor.db'));
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    migrate(db);
+  }
+  return db;
+}
+
+module.exports = {
+  getDb,
+};
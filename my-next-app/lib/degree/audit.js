@@ -0,0 +1,191 @@
+// lib/degree/audit.js
+// Degree audit: match a transcript against a program's requirement blocks
+const { normalizeCourseCode, splitCourseCode } = require('../catalog/codes');
+
+// Grades that do not complete a course
+const NON_PASSING_GRADES = new Set(['F', 'W', 'WF', 'NP', 'NC', 'I', 'IP', 'U']);
+// Units assumed for a course the transcript and catalog give no units for
+const DEFAULT_COURSE_UNITS = 4;
+// Specific requirements claim courses before the broader ones, so an
+// elective pool never takes a course a required list needs
+const ALLOCATION_ORDER = ['all', 'choose', 'units', 'electives'];
+
+/**
+ * @typedef {Object} TranscriptEntry
+ * @property {string} code
+ * @property {string} [grade]
+ * @property {number} [units]
+ */
+
+/**
+ * Passing transcript entries keyed by normalized code, with the units each counts for
+ * @param {TranscriptEntry[]} transcript
+ * @param {(code: string) => any} getCourse
+ */
+function completedCourses(transcript, getCourse) {
+  const completed = new Map();
+
+  for (const entry of transcript) {
+    const code = normalizeCourseCode(entry.code);
+    const grade = entry.grade ? String(entry.grade).trim().toUpperCase() : null;
+    if (!code || (grade && NON_PASSING_GRADES.has(grade))) continue;
+
+    const course = getCourse(code);
+    let units = typeof entry.units === 'number' ? entry.units : null;
+    if (units === null && course && course.unitsMin !== null) units = course.unitsMin;
+    const assumedUnits = units === null;
+
+    completed.set(code, { code, grade, units: assumedUnits ? DEFAULT_COURSE_UNITS : units, assumedUnits });
+  }
+
+  return completed;
+}
+
+function inPool(code, pool) {
+  if (!pool) return false;
+  if (pool.courses.includes(code)) return true;
+  const { department, number } = splitCourseCode(code);
+  if (pool.departments.length > 0 && !pool.departments.includes(department)) return false;
+  if (pool.minNumber !== null && parseInt(number, 10) < pool.minNumber) return false;
+  // A pool with neither departments nor a number floor only takes its listed courses
+  return pool.departments.length > 0 || pool.minNumber !== null;
+}
+
+function sumUnits(entries) {
+  return entries.reduce((total, entry) => total + entry.units, 0);
+}
+
+function unitsOf(code, getCourse) {
+  const course = getCourse(code);
+  return course && course.unitsMin !== null ? course.unitsMin : DEFAULT_COURSE_UNITS;
+}
+
+// Courses a block can still use: unallocated, and in its list or pool
+function candidatesFor(block, completed, allocated) {
+  return Array.from(completed.values()).filter(entry => {
+    if (allocated.has(entry.code)) return false;
+    return block.kind === 'electives' ? inPool(entry.code, block.pool) : block.courses.includes(entry.code);
+  });
+}
+
+function statusOf(satisfied, used) {
+  if (satisfied) return 'satisfied';
+  return used.length > 0 ? 'in_progress' : 'outstanding';
+}
+
+/**
+ * Audit one block, marking the courses it uses in `allocated`
+ * @param {import('./requirements').RequirementBlock} block
+ */
+function auditBlock(block, completed, allocated, getCourse) {
+  const candidates = candidatesFor(block, completed, allocated);
+  let used = [];
+  let outstanding = [];
+  let coursesRemaining = 0;
+  let unitsRequired = null;
+
+  if (block.kind === 'all') {
+    used = candidates;
+    outstanding = block.courses.filter(code => !used.some(entry => entry.code === code));
+    coursesRemaining = outstanding.length;
+    unitsRequired = block.courses.reduce((total, code) => {
+      const entry = completed.get(code);
+      return total + (entry ? entry.units : unitsOf(code, getCourse));
+    }, 0);
+  } else if (block.kind === 'choose' || (block.kind === 'electives' && block.minUnits === null)) {
+    const choose = block.choose || 1;
+    used = candidates.slice(0, choose);
+    coursesRemaining = choose - used.length;
+    outstanding = coursesRemaining > 0 ? block.courses.filter(code => !completed.has(code)) : [];
+    // The cheapest remaining options, for a units estimate
+    const remainingUnits = outstanding
+      .map(code => unitsOf(code, getCourse))
+      .sort((a, b) => a - b)
+      .slice(0, coursesRemaining)
+      .reduce((total, units) => total + units, 0);
+    const padding = Math.max(coursesRemaining - outstanding.length, 0) * DEFAULT_COURSE_UNITS;
+    unitsRequired = sumUnits(used) + remainingUnits + padding;
+  } else {
+    // 'units' and unit-based 'electives': take courses until the minimum is met
+    for (const entry of candidates) {
+      if (sumUnits(used) >= block.minUnits) break;
+      used.push(entry);
+    }
+    unitsRequired = block.minUnits;
+    const unitsShort = Math.max(block.minUnits - sumUnits(used), 0);
+    coursesRemaining = Math.ceil(unitsShort / DEFAULT_COURSE_UNITS);
+    outstanding = unitsShort > 0 ? block.courses.filter(code => !completed.has(code)) : [];
+  }
+
+  for (const entry of used) allocated.add(entry.code);
+
+  const unitsCompleted = sumUnits(used);
+  const satisfied = coursesRemaining === 0;
+  return {
+    name: block.name,
+    kind: block.kind,
+    status: statusOf(satisfied, used),
+    satisfiedBy: used.map(entry => entry.code),
+    outstanding,
+    coursesRemaining,
+    unitsRequired,
+    unitsCompleted,
+    unitsRemaining: satisfied ? 0 : Math.max(unitsRequired - unitsCompleted, 0),
+    // Pool description for electives, so the student knows what else counts
+    pool: block.pool,
+  };
+}
+
+/**
+ * Audit a transcript against a program
+ * @param {import('./requirements').Program} program
+ * @param {TranscriptEntry[]} transcript
+ * @param {(code: string) => any} getCourse - catalog lookup, used for units
+ */
+function auditProgram(program, transcript, getCourse) {
+  const completed = completedCourses(transcript, getCourse);
+  const allocated = new Set();
+  const results = new Array(program.blocks.length);
+
+  for (const kind of ALLOCATION_ORDER) {
+    program.blocks.forEach((block, index) => {
+      if (block.kind === kind) results[index] = auditBlock(block, completed, allocated, getCourse);
+    });
+  }
+
+  const blockUnitsCompleted = results.reduce((total, block) => total + block.unitsCompleted, 0);
+  const blockUnitsRemaining = results.reduce((total, block) => total + block.unitsRemaining, 0);
+  // Every passed course counts toward a stated program minimum, free
+  // electives no block uses included; it can ask for more than the blocks add up to
+  const unitsCompleted = sumUnits(Array.from(completed.values()));
+  const programUnitsRemaining = program.minUnits !== null
+    ? Math.max(program.minUnits - unitsCompleted, 0)
+    : 0;
+
+  return {
+    program: { id: program.id, name: program.name, type: program.type, minUnits: program.minUnits },
+    complete: results.every(block => block.status === 'satisfied') && programUnitsRemaining === 0,
+    blocks: results,
+    summary: {
+      blocksSatisfied: results.filter(block => block.status === 'satisfied').length,
+      blocksTotal: results.length,
+      unitsCompleted,
+      unitsRemaining: Math.max(blockUnitsRemaining, programUnitsRemaining),
+      blockUnitsCompleted,
+      blockUnitsRemaining,
+      programUnitsRemaining,
+    },
+    // Passed courses no block used; they may still count toward university requirements
+    unallocated: Array.from(completed.keys()).filter(code => !allocated.has(code)),
+    // Units were assumed for these; the catalog had no entry or no units for them
+    assumedUnits: Array.from(completed.values()).filter(entry => entry.assumedUnits).map(entry => entry.code),
+  };
+}
+
+module.exports = {
+  NON_PASSING_GRADES,
+  DEFAULT_COURSE_UNITS,
+  completedCourses,
+  inPool,
+  auditProgram,
+};
@@ -0,0 +1,348 @@
+// lib/degree/planner.js
+// Quarter-by-quarter plan for the rest of a program: picks courses for the
+// outstanding requirement blocks, adds the prerequisites they need, and
+// schedules them by prerequisite order, unit cap and terms offered.
+const { splitCourseCode } = require('../catalog/codes');
+const { checkEligibility, missingRequirements } = require('../catalog/eligibility');
+const { coursesIn, formatRequirement, parseRequirement } = require('../catalog/prereqs');
+const { DEFAULT_COURSE_UNITS, auditProgram, completedCourses, inPool } = require('./audit');
+
+const SEASONS = ['Winter', 'Spring', 'Summer', 'Fall'];
+const DEFAULT_MAX_UNITS = 16;
+const DEFAULT_MAX_QUARTERS = 12;
+
+/**
+ * @typedef {Object} Term
+ * @property {'Fall' | 'Winter' | 'Spring' | 'Summer'} season
+ * @property {number} year
+ */
+
+/**
+ * @typedef {Object} PlanOptions
+ * @property {number} [maxUnitsPerQuarter]
+ * @property {Term} [startTerm] - defaults to the next fall quarter
+ * @property {number} [maxQuarters]
+ * @property {boolean} [includeSummer]
+ */
+
+/**
+ * Read "Fall 2026" or "2026 fall" into a term, or null
+ * @param {string} value
+ * @returns {Term | null}
+ */
+function parseTerm(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(fall|winter|spring|summer)\s+(\d{4})$/i)
+    || value.trim().match(/^(\d{4})\s+(fall|winter|spring|summer)$/i);
+  if (!match) return null;
+  const [season, year] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+  return { season: season[0].toUpperCase() + season.slice(1).toLowerCase(), year: parseInt(year, 10) };
+}
+
+function formatTerm(term) {
+  return `${term.season} ${term.year}`;
+}
+
+// The academic year runs Fall, Winter, Spring, Summer; Winter starts a new calendar year
+function nextTerm(term, includeSummer) {
+  let index = SEASONS.indexOf(term.season) + 1;
+  let year = term.year;
+  if (!includeSummer && SEASONS[index] === 'Summer') index++;
+  if (index >= SEASONS.length) {
+    index = 0;
+    year++;
+  }
+  return { season: SEASONS[index], year };
+}
+
+function defaultStartTerm(now = new Date()) {
+  // Planning after fall has started means next fall
+  return { season: 'Fall', year: now.getMonth() >= 8 ? now.getFullYear() + 1 : now.getFullYear() };
+}
+
+// Like isSatisfied, but requirements that are not courses are left to the
+// student and reported as notes instead of blocking the plan
+function coursesMet(node, done) {
+  if (!node) return true;
+  switch (node.type) {
+    case 'course': return done.has(node.code);
+    case 'other': return true;
+    case 'and': return node.children.every(child => coursesMet(child, done));
+    case 'or': return node.children.some(child => coursesMet(child, done));
+  }
+}
+
+/**
+ * Choose courses for every block the audit left unsatisfied
+ * @returns {{ picks: { code: string, requirement: string }[], notes: string[] }}
+ */
+function pickCourses(program, audit, completed, catalog) {
+  const picks = [];
+  const notes = [];
+  const taken = code => completed.has(code) || picks.some(pick => pick.code === code);
+  // Courses in the catalog first, as the prerequisites of the others are
+  // unknown; then fewer prerequisites to take, then lower course numbers
+  const rank = code => {
+    const result = checkEligibility(code, Array.from(completed.keys()), catalog.getCourse);
+    return {
+      code,
+      unknown: result.inCatalog ? 0 : 1,
+      cost: result.chain ? result.chain.length : Infinity,
+      number: parseInt(splitCourseCode(code).number, 10),
+    };
+  };
+  const byRank = codes => codes
+    .map(rank)
+    .sort((a, b) => a.unknown - b.unknown || a.cost - b.cost || a.number - b.number)
+    .map(option => option.code);
+
+  program.blocks.forEach((block, index) => {
+    const result = audit.blocks[index];
+    if (result.status === 'satisfied') return;
+
+    if (block.kind === 'all') {
+      for (const code of result.outstanding) {
+        if (!taken(code)) picks.push({ code, requirement: block.name });
+      }
+      return;
+    }
+
+    let options = block.courses;
+    if (block.kind === 'electives') {
+      const pooled = block.pool.departments.flatMap(department =>
+        catalog.listCourses({ department, limit: 500 }).courses.map(course => course.code));
+      options = [...block.pool.courses, ...pooled].filter(code => inPool(code, block.pool));
+    }
+    options = byRank([...new Set(options)].filter(code => !taken(code)));
+
+    let unitsShort = result.unitsRemaining;
+    let coursesShort = result.coursesRemaining;
+    const byUnits = block.minUnits !== null;
+    for (const code of options) {
+      if (byUnits ? unitsShort <= 0 : coursesShort <= 0) break;
+      const course = catalog.getCourse(code);
+      if (!course) {
+        notes.push(`${block.name}: ${code} is not in the catalog and was picked only because the catalogued options fall short; check the bulletin that it is still offered`);
+      }
+      picks.push({ code, requirement: block.name });
+      unitsShort -= course && course.unitsMin !== null ? course.unitsMin : DEFAULT_COURSE_UNITS;
+      coursesShort--;
+    }
+
+    if (byUnits ? unitsShort > 0 : coursesShort > 0) {
+      notes.push(byUnits
+        ? `${block.name}: ${unitsShort} more units are needed than the catalog offers courses for; check the bulletin for other courses that count`
+        : `${block.name}: ${coursesShort} more course(s) are needed than the catalog lists options for`);
+    }
+  });
+
+  return { picks, notes };
+}
+
+// Courses that meet an unmet corequisite, taking the first option of an "or"
+function corequisiteCourses(node) {
+  if (!node || node.type === 'other') return [];
+  if (node.type === 'course') return [node.code];
+  if (node.type === 'or') return corequisiteCourses(node.children[0]);
+  return node.children.flatMap(corequisiteCourses);
+}
+
+/**
+ * Add the prerequisite chains and corequisites the picked courses need
+ * @returns {{ courses: Map<string, object>, notes: string[], blocked: Map<string, string> }}
+ */
+function withPrerequisites(picks, completed, getCourse) {
+  const courses = new Map();
+  const notes = [];
+  const blocked = new Map();
+  const completedCodes = Array.from(completed.keys());
+
+  const addCourse = (code, requirement, corequisiteOf = null) => {
+    if (courses.has(code) || completed.has(code)) return;
+    const course = getCourse(code);
+    const corequisites = parseRequirement(course && course.corequisites);
+    courses.set(code, {
+      code,
+      title: course ? course.title : null,
+      units: course && course.unitsMin !== null ? course.unitsMin : DEFAULT_COURSE_UNITS,
+      requirement,
+      termsOffered: course ? course.termsOffered : [],
+      prerequisites: parseRequirement(course && course.prerequisites),
+      corequisites,
+      inCatalog: Boolean(course),
+      corequisiteOf,
+    });
+    for (const corequisite of corequisiteCourses(missingRequirements(corequisites, completed))) {
+      addCourse(corequisite, `Corequisite of ${code}`, code);
+    }
+  };
+
+  for (const { code, requirement } of picks) {
+    const eligibility = checkEligibility(code, completedCodes, getCourse);
+    if (!eligibility.chain) {
+      blocked.set(code, 'its prerequisites form a cycle in the bulletin');
+    } else {
+      for (const step of eligibility.chain) addCourse(step.code, `Prerequisite for ${code}`);
+    }
+    addCourse(code, requirement);
+    for (const text of eligibility.needsReview) {
+      notes.push(`${code} also requires: ${text}`);
+    }
+  }
+
+  for (const course of courses.values()) {
+    if (!course.inCatalog) {
+      notes.push(`${course.code} is not in the catalog; its prerequisites, units and terms are unknown`);
+    } else if (course.termsOffered.length === 0) {
+      notes.push(`${course.code} has no terms listed in the bulletin; assumed offered every quarter`);
+    }
+  }
+
+  return { courses, notes, blocked };
+}
+
+// How many planned courses depend on this one, directly or through others
+function dependentCounts(courses) {
+  const counts = new Map();
+  const dependents = code => {
+    if (counts.has(code)) return counts.get(code);
+    counts.set(code, 0);
+    const direct = Array.from(courses.values())
+      .filter(course => coursesIn(course.prerequisites).includes(code))
+      .map(course => course.code);
+    const total = direct.reduce((sum, dependent) => sum + 1 + dependents(dependent), 0);
+    counts.set(code, total);
+    return total;
+  };
+  for (const code of courses.keys()) dependents(code);
+  return counts;
+}
+
+function termCount(course) {
+  return course.termsOffered.length || SEASONS.length;
+}
+
+function offeredIn(course, season) {
+  return course.termsOffered.length === 0 || course.termsOffered.includes(season);
+}
+
+// Why a course could not be placed
+function explain(course, done, options, seasons) {
+  if (course.units > options.maxUnitsPerQuarter) {
+    return `its ${course.units} units exceed the ${options.maxUnitsPerQuarter}-unit quarter cap`;
+  }
+  if (!seasons.some(season => offeredIn(course, season))) {
+    return `it is offered only in ${course.termsOffered.join(', ')}, which the plan does not include`;
+  }
+  if (!coursesMet(course.prerequisites, done)) {
+    return `its prerequisites (${formatRequirement(course.prerequisites)}) are not met within the plan`;
+  }
+  return `it did not fit in ${options.maxQuarters} quarters at ${options.maxUnitsPerQuarter} units per quarter`;
+}
+
+/**
+ * Plan the remaining courses of a program
+ * @param {import('./requirements').Program} program
+ * @param {import('./audit').TranscriptEntry[]} transcript
+ * @param {{ getCourse: (code: string) => any, listCourses: (filters: object) => { courses: any[] } }} catalog
+ * @param {PlanOptions} [planOptions]
+ */
+function planProgram(program, transcript, catalog, planOptions = {}) {
+  const options = {
+    maxUnitsPerQuarter: planOptions.maxUnitsPerQuarter || DEFAULT_MAX_UNITS,
+    startTerm: planOptions.startTerm || defaultStartTerm(),
+    maxQuarters: planOptions.maxQuarters || DEFAULT_MAX_QUARTERS,
+    includeSummer: Boolean(planOptions.includeSummer),
+  };
+
+  const completed = completedCourses(transcript, catalog.getCourse);
+  const audit = auditProgram(program, transcript, catalog.getCourse);
+  const picked = pickCourses(program, audit, completed, catalog);
+  const { courses, notes, blocked } = withPrerequisites(picked.picks, completed, catalog.getCourse);
+  const priority = dependentCounts(courses);
+
+  const done = new Set(completed.keys());
+  const remaining = Array.from(courses.values())
+    .filter(course => !blocked.has(course.code))
+    // Courses that unlock the most go first, then those offered in the fewest terms
+    .sort((a, b) => priority.get(b.code) - priority.get(a.code) || termCount(a) - termCount(b));
+  const quarters = [];
+  const seasons = [];
+  let term = options.startTerm;
+  let idleQuarters = 0;
+
+  for (let index = 0; index < options.maxQuarters && remaining.length > 0; index++) {
+    if (!seasons.includes(term.season)) seasons.push(term.season);
+    const placed = [];
+    let units = 0;
+
+    const placeable = course => offeredIn(course, term.season) && coursesMet(course.prerequisites, done);
+    for (const course of [...remaining]) {
+      if (placed.includes(course) || !placeable(course)) continue;
+      // A course added only as a corequisite goes in with the course that needs it
+      if (course.corequisiteOf && !done.has(course.corequisiteOf)) continue;
+
+      // Corequisites may be taken the same quarter; place unmet ones alongside
+      const group = [course];
+      const sameQuarter = new Set([...done, ...placed.map(c => c.code)]);
+      if (!coursesMet(course.corequisites, sameQuarter)) {
+        const partners = remaining.filter(other =>
+          other !== course && !placed.includes(other)
+          && coursesIn(course.corequisites).includes(other.code) && placeable(other));
+        group.push(...partners);
+        partners.forEach(partner => sameQuarter.add(partner.code));
+        if (!coursesMet(course.corequisites, sameQuarter)) continue;
+      }
+
+      const groupUnits = group.reduce((total, c) => total + c.units, 0);
+      if (units + groupUnits > options.maxUnitsPerQuarter) continue;
+      placed.push(...group);
+      units += groupUnits;
+    }
+
+    for (const course of placed) {
+      remaining.splice(remaining.indexOf(course), 1);
+      done.add(course.code);
+    }
+    quarters.push({
+      term: formatTerm(term),
+      season: term.season,
+      year: term.year,
+      units,
+      courses: placed.map(({ code, title, units: courseUnits, requirement }) => ({ code, title, units: courseUnits, requirement })),
+    });
+
+    // A full year with nothing placed means nothing else can be placed
+    idleQuarters = placed.length === 0 ? idleQuarters + 1 : 0;
+    if (idleQuarters >= (options.includeSummer ? 4 : 3)) break;
+    term = nextTerm(term, options.includeSummer);
+  }
+
+  // Trailing quarters with nothing in them are not part of the plan
+  while (quarters.length > 0 && quarters[quarters.length - 1].courses.length === 0) quarters.pop();
+
+  const unscheduled = [
+    ...Array.from(blocked, ([code, reason]) => ({ code, reason })),
+    ...remaining.map(course => ({ code: course.code, reason: explain(course, done, options, seasons) })),
+  ];
+
+  return {
+    program: audit.program,
+    options: { ...options, startTerm: formatTerm(options.startTerm) },
+    quarters,
+    unscheduled,
+    notes: [...new Set([...picked.notes, ...notes])],
+    summary: {
+      quarters: quarters.length,
+      courses: quarters.reduce((total, quarter) => total + quarter.courses.length, 0),
+      units: quarters.reduce((total, quarter) => total + quarter.units, 0),
+      complete: unscheduled.length === 0 && picked.notes.length === 0,
+    },
+  };
+}
+
+module.exports = {
+  parseTerm,
+  formatTerm,
+  planProgram,
+};
@@ -0,0 +1,275 @@
+// lib/degree/requirements.js
+// Degree-requirements model and the parser that reads it out of bulletin
+// "Major", "Minor" and "Concentration" sections.
+const { extractCourseCodes } = require('../catalog/codes');
+
+/**
+ * @typedef {Object} CoursePool
+ * @property {string[]} departments - any course in these departments counts
+ * @property {number | null} minNumber - e.g. 100 for upper-division courses
+ * @property {string[]} courses - explicitly listed courses that also count
+ */
+
+/**
+ * @typedef {Object} RequirementBlock
+ * @property {string} name
+ * @property {'all' | 'choose' | 'units' | 'electives'} kind
+ *   all: every listed course; choose: `choose` of the listed courses;
+ *   units: at least `minUnits` from the listed courses;
+ *   electives: `minUnits` (or `choose` courses) from the pool
+ * @property {string[]} courses
+ * @property {number | null} choose
+ * @property {number | null} minUnits
+ * @property {CoursePool | null} pool
+ * @property {string} text - the bulletin text the block was read from
+ */
+
+/**
+ * @typedef {Object} Program
+ * @property {string} id - slug of the name and the source file, e.g.
+ *   "major-in-computer-science-and-engineering--engineering"
+ * @property {string} name
+ * @property {'major' | 'minor' | 'concentration'} type
+ * @property {string | null} source
+ * @property {number | null} minUnits - total units the program requires, when stated
+ * @property {RequirementBlock[]} blocks
+ */
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+const COUNT = '(\\d+|one|two|three|four|five|six|seven|eight|nine|ten)';
+
+const CHOOSE_PATTERNS = [
+  new RegExp(`^${COUNT}\\s+of\\b`, 'i'),
+  new RegExp(`\\b(?:choose|select|complete|take)\\s+(?:any\\s+)?${COUNT}\\b`, 'i'),
+  new RegExp(`\\b${COUNT}\\s+(?:additional\\s+)?(?:courses?\\s+)?(?:of|from)\\s+(?:the\\s+)?(?:following|list)`, 'i'),
+  new RegExp(`\\b${COUNT}\\s+courses?\\s+(?:from|in|of)\\b`, 'i'),
+  new RegExp(`\\b${COUNT}\\s+(?:additional\\s+|more\\s+)?(?:[A-Z]{2,4}\\s+)?(?:upper-division\\s+)?(?:courses|electives)\\b`, 'i'),
+];
+// A line that states its own rule ("One of PHYS 31 or PHYS 32") inside a larger block
+const OWN_RULE_LINE = new RegExp(`^(?:${COUNT}\\s+(?:of|from)\\b|(?:choose|select)\\s+${COUNT}\\b|either\\b)`, 'i');
+// "a minimum of 180 units including:" states the program total, not a block rule
+const PROGRAM_UNITS = /\b(?:minimum\s+of|at\s+least|a\s+total\s+of)\s+(\d+)\s+units\s+(?:including|in\s+the\s+(?:major|minor|concentration))\b/i;
+// "A minimum of 175 units is required for the degree" under the program heading
+// states the program total too, unless it counts units of some courses
+const TOTAL_UNITS = /\b(?:minimum\s+of|at\s+least|a\s+total\s+of)\s+(\d+)\s+units\b(?!\s+(?:of|in|from|chosen)\b)/i;
+const ANY_ONE = /\b(?:any\s+one|either)\s+(?:of\s+)?/i;
+const MIN_UNITS = /\b(?:minimum\s+of|at\s+least|a\s+total\s+of)\s+(\d+)\s+units\b|\b(\d+)\s+(?:upper-division\s+|lower-division\s+)?units\s+(?:of|in|from|chosen)\b/i;
+const UPPER_DIVISION = /\bupper[- ]division\b|\bnumbered\s+100\s+or\s+(?:above|higher)\b/i;
+const ELECTIVE = /\belectives?\b/i;
+const POOL_DEPARTMENT = /\b([A-Z]{2,4})\s+(?:courses|electives)\b|\bcourses?\s+in\s+([A-Z]{2,4})\b/g;
+
+// "Computer Science and Engineering Major Requirements", "Minor in Mathematics",
+// "Requirements for the Major in Biology"
+const PROGRAM_HEADING = /^(?:[A-Z][A-Za-z&,-]*\s+|and\s+|of\s+|in\s+|for\s+|the\s+)*(Major|Minor|Concentration)\b(?:\s+(?:in|Requirements|Program)\b.*)?$/;
+// A heading that names no subject, e.g. "Major Requirements" in a department's file
+const GENERIC_PROGRAM = /^(?:Major|Minor|Concentration)(?:\s+Program)?$/i;
+// "Department of Mathematics", "School of Engineering", "Mathematics Department"
+const DEPARTMENT_HEADING = /^(?:(?:Department|School|College|Division)\s+of\s+(?:the\s+)?(.+)|([A-Z][A-Za-z&,-]*(?:\s+(?:[A-Z][A-Za-z&,-]*|and|of))*)\s+Department)$/;
+// Where the course entries start, which ends the requirements
+const COURSE_LIST_HEADING = /^(?:Lower|Upper)-Division\s+Courses$|^Course\s+Descriptions?$/i;
+
+function toCount(word) {
+  const lower = word.toLowerCase();
+  return NUMBER_WORDS[lower] || parseInt(lower, 10);
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function isProgramHeading(line) {
+  return line.length < 100 && !/[.]$/.test(line) && PROGRAM_HEADING.test(line);
+}
+
+// A short line with no sentence punctuation that is not a course entry
+function isBlockHeading(line) {
+  return line.length > 0
+    && line.length < 80
+    && !/[.]$/.test(line)
+    && !/^[A-Z]{2,4}\s+\d/.test(line)
+    && !/^[-•*]/.test(line)
+    && (/:$/.test(line) || /^[A-Z][A-Za-z-]*(?:\s+(?:[A-Z][A-Za-z-]*|and|of|in|for|the|or|\(.*\)))*$/.test(line));
+}
+
+// The program a heading names; a generic one is named after the department
+// or section it appears under
+function programName(heading, context) {
+  const name = heading
+    .replace(/\s*Requirements?\b/i, '')
+    .trim()
+    .replace(/^for\s+the\s+/i, '')
+    .replace(/\s+/g, ' ');
+  if (!GENERIC_PROGRAM.test(name) || !context) return name;
+  return `${name.split(' ')[0].replace(/^./, letter => letter.toUpperCase())} in ${context}`;
+}
+
+// Ids carry the source file, so programs of the same name in different files stay apart
+function programId(name, source) {
+  return `${slugify(name)}--${slugify(source.replace(/\.[^.]+$/, ''))}`;
+}
+
+/**
+ * Classify one block of requirement text
+ * @returns {RequirementBlock}
+ */
+function parseBlock(name, text) {
+  const courses = extractCourseCodes(text);
+  const unitsMatch = text.match(MIN_UNITS);
+  const minUnits = unitsMatch ? parseInt(unitsMatch[1] || unitsMatch[2], 10) : null;
+
+  let choose = null;
+  for (const pattern of CHOOSE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      choose = toCount(match[1]);
+      break;
+    }
+  }
+  if (choose === null && ANY_ONE.test(text)) {
+    choose = 1;
+  }
+  // "Complete 3" in a block listing exactly 3 courses is still "all of them"
+  if (choose !== null && choose >= courses.length && courses.length > 0) {
+    choose = null;
+  }
+
+  const block = { name, kind: 'all', courses, choose: null, minUnits: null, pool: null, text };
+
+  if (ELECTIVE.test(`${name} ${text}`) && (minUnits !== null || choose !== null || courses.length === 0)) {
+    const departments = new Set();
+    for (const match of text.matchAll(POOL_DEPARTMENT)) {
+      departments.add(match[1] || match[2]);
+    }
+    block.kind = 'electives';
+    block.choose = minUnits === null ? choose : null;
+    block.minUnits = minUnits;
+    block.pool = {
+      departments: Array.from(departments),
+      minNumber: UPPER_DIVISION.test(`${name} ${text}`) ? 100 : null,
+      courses,
+    };
+  } else if (minUnits !== null) {
+    block.kind = 'units';
+    block.minUnits = minUnits;
+  } else if (choose !== null) {
+    block.kind = 'choose';
+    block.choose = choose;
+  }
+
+  return block;
+}
+
+function addBlock(blocks, name, text) {
+  if (!text) return;
+  const block = parseBlock(name, text);
+  if (block.courses.length > 0 || block.kind === 'electives' || block.minUnits !== null) {
+    blocks.push(block);
+  }
+}
+
+// Close the running block, keeping it only if it requires something. Lines
+// with a rule of their own ("One of PHYS 31 or PHYS 32") become separate blocks.
+// `heading` is null for the lines straight under the program heading.
+function pushBlock(program, heading, lines) {
+  const name = heading || 'Required courses';
+  const shared = [];
+  const ownRules = [];
+
+  for (const line of lines) {
+    const unitsMatch = line.match(PROGRAM_UNITS);
+    if (unitsMatch) {
+      program.minUnits = parseInt(unitsMatch[1], 10);
+    }
+    const totalMatch = !unitsMatch && !heading && !ELECTIVE.test(line) && extractCourseCodes(line).length === 0
+      && line.match(TOTAL_UNITS);
+    if (totalMatch) {
+      program.minUnits = parseInt(totalMatch[1], 10);
+      continue;
+    }
+    if (OWN_RULE_LINE.test(line)) ownRules.push(line);
+    else shared.push(line);
+  }
+
+  const sharedText = shared.join('\n').replace(PROGRAM_UNITS, '').trim();
+  if (ownRules.length === 1 && extractCourseCodes(sharedText).length === 0) {
+    // The whole block is one rule, e.g. "Choose two of the following: ..."
+    addBlock(program.blocks, name, lines.join('\n').trim());
+    return;
+  }
+
+  addBlock(program.blocks, name, sharedText);
+  for (const line of ownRules) {
+    const label = line.length > 50 ? `${line.substring(0, 47)}...` : line;
+    addBlock(program.blocks, `${name}: ${label}`, line);
+  }
+}
+
+/**
+ * Parse every program section in a bulletin file
+ * @param {string} text - raw bulletin text
+ * @param {string} source - file name recorded on each program
+ * @returns {Program[]}
+ */
+function parsePrograms(text, source) {
+  const lines = text.replace(/\r\n?/g, '\n').replace(/[^\x20-\x7E\n\t]/g, ' ').split('\n').map(line => line.trim());
+  const programs = [];
+  let program = null;
+  let blockName = null;
+  let blockLines = [];
+  // The department, or else the last heading, that program headings appear under
+  let department = null;
+  let section = null;
+
+  const closeProgram = () => {
+    if (!program) return;
+    pushBlock(program, blockName, blockLines);
+    if (program.blocks.length > 0) programs.push(program);
+    program = null;
+  };
+
+  for (const line of lines) {
+    const departmentMatch = line.match(DEPARTMENT_HEADING);
+    if (departmentMatch && line.length < 100) {
+      closeProgram();
+      department = (departmentMatch[1] || departmentMatch[2]).trim();
+      section = null;
+    } else if (isProgramHeading(line)) {
+      closeProgram();
+      const name = programName(line, department || section);
+      const type = line.match(PROGRAM_HEADING)[1].toLowerCase();
+      program = { id: programId(name, source), name, type, source, minUnits: null, blocks: [] };
+      blockName = null;
+      blockLines = [];
+    } else if (!program) {
+      if (isBlockHeading(line)) section = COURSE_LIST_HEADING.test(line) ? null : line.replace(/:$/, '');
+      continue;
+    } else if (isBlockHeading(line)) {
+      // A course-catalog heading ends the requirements section
+      if (COURSE_LIST_HEADING.test(line)) {
+        closeProgram();
+        section = null;
+        continue;
+      }
+      pushBlock(program, blockName, blockLines);
+      const unitsMatch = line.match(PROGRAM_UNITS);
+      if (unitsMatch) {
+        // "Students must complete a minimum of 28 units including:"
+        program.minUnits = parseInt(unitsMatch[1], 10);
+        blockName = 'Required courses';
+      } else {
+        blockName = line.replace(/:$/, '');
+      }
+      blockLines = [];
+    } else {
+      blockLines.push(line);
+    }
+  }
+  closeProgram();
+
+  return programs;
+}
+
+module.exports = {
+  parseBlock,
+  parsePrograms,
+};
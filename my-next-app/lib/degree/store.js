@@ -0,0 +1,71 @@
+// lib/degree/store.js
+// Degree program persistence in the local SQLite database
+const { getDb } = require('../db');
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    minUnits: row.min_units,
+    blocks: JSON.parse(row.blocks),
+    source: row.source,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Insert or replace programs. Programs of the same source files that were
+ * not parsed again, such as ones stored under an id that has since changed,
+ * are dropped.
+ * @param {import('./requirements').Program[]} programs
+ */
+function upsertPrograms(programs) {
+  const db = getDb();
+  const statement = db.prepare(`
+    INSERT INTO programs (id, name, type, min_units, blocks, source, updated_at)
+    VALUES (@id, @name, @type, @minUnits, @blocks, @source, @updatedAt)
+    ON CONFLICT (id) DO UPDATE SET
+      name = excluded.name,
+      type = excluded.type,
+      min_units = excluded.min_units,
+      blocks = excluded.blocks,
+      source = excluded.source,
+      updated_at = excluded.updated_at
+  `);
+
+  const remove = db.prepare('DELETE FROM programs WHERE source = ? AND id NOT IN (SELECT value FROM json_each(?))');
+
+  const updatedAt = new Date().toISOString();
+  db.transaction(() => {
+    for (const source of new Set(programs.map(program => program.source))) {
+      const ids = programs.filter(program => program.source === source).map(program => program.id);
+      remove.run(source, JSON.stringify(ids));
+    }
+    for (const program of programs) {
+      statement.run({ ...program, blocks: JSON.stringify(program.blocks), updatedAt });
+    }
+  })();
+
+  return programs.length;
+}
+
+// Programs without their blocks, optionally of one type
+function listPrograms(type) {
+  const db = getDb();
+  const rows = type
+    ? db.prepare('SELECT id, name, type, min_units, source FROM programs WHERE type = ? ORDER BY name').all(type)
+    : db.prepare('SELECT id, name, type, min_units, source FROM programs ORDER BY type, name').all();
+  return rows.map(({ min_units, ...row }) => ({ ...row, minUnits: min_units }));
+}
+
+function getProgram(id) {
+  const row = getDb().prepare('SELECT * FROM programs WHERE id = ?').get(id);
+  return row ? fromRow(row) : null;
+}
+
+module.exports = {
+  upsertPrograms,
+  listPrograms,
+  getProgram,
+};
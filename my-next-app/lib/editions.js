@@ -0,0 +1,284 @@
+// lib/editions.js
+// Bulletin editions. Students follow the catalog year they entered under, so
+// each year ("2024-25") is indexed into its own collection and keeps a
+// copy of its parsed courses and programs for comparing editions.
+const { config, isCatalogYear } = require('./config');
+const { getDb } = require('./db');
+
+// Course fields compared between editions; source and timestamps always differ
+const COURSE_FIELDS = ['title', 'unitsMin', 'unitsMax', 'description', 'prerequisites', 'corequisites', 'termsOffered'];
+const PROGRAM_FIELDS = ['name', 'type', 'minUnits'];
+const BLOCK_FIELDS = ['kind', 'choose', 'minUnits', 'pool'];
+
+/**
+ * @typedef {Object} Edition
+ * @property {string} catalogYear
+ * @property {string} collection - vector store collection holding its chunks
+ * @property {string | null} ingestedAt - last ingest into the collection
+ * @property {string | null} catalogBuiltAt - last `advisor catalog` run
+ */
+
+// A catalogYear parameter that is not an academic year
+class EditionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EditionError';
+  }
+}
+
+class EditionNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EditionNotFoundError';
+  }
+}
+
+/**
+ * Validate an optional catalogYear parameter
+ * @param {any} value
+ * @returns {string | undefined}
+ */
+function parseCatalogYear(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (!isCatalogYear(value)) {
+    throw new EditionError(`catalogYear must be an academic year such as "2024-25", got ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+// Default collection for an edition, e.g. scu_bulletins_2024-25
+function editionCollection(catalogYear) {
+  return `${config.chroma.collection}_${catalogYear}`;
+}
+
+function fromRow(row) {
+  return {
+    catalogYear: row.catalog_year,
+    collection: row.collection,
+    ingestedAt: row.ingested_at,
+    catalogBuiltAt: row.catalog_built_at,
+  };
+}
+
+/**
+ * Every known edition, newest first
+ * @returns {Edition[]}
+ */
+function listEditions() {
+  return getDb().prepare('SELECT * FROM editions ORDER BY catalog_year DESC').all().map(fromRow);
+}
+
+function getEdition(catalogYear) {
+  const row = getDb().prepare('SELECT * FROM editions WHERE catalog_year = ?').get(catalogYear);
+  return row ? fromRow(row) : null;
+}
+
+// Create the edition if needed; `collection` is only set on creation or ingest
+function touchEdition(catalogYear, column, collection) {
+  getDb().prepare(`
+    INSERT INTO editions (catalog_year, collection, ${column})
+    VALUES (@catalogYear, @collection, @now)
+    ON CONFLICT (catalog_year) DO UPDATE SET
+      ${column} = excluded.${column}
+      ${column === 'ingested_at' ? ', collection = excluded.collection' : ''}
+  `).run({ catalogYear, collection, now: new Date().toISOString() });
+}
+
+/**
+ * Record that an edition's bulletin was indexed into `collection`
+ * @param {string} catalogYear
+ * @param {string} collection
+ */
+function recordIngest(catalogYear, collection) {
+  touchEdition(catalogYear, 'ingested_at', collection);
+}
+
+// After a collection is dropped its edition can no longer be searched
+function forgetIngest(collection) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare('UPDATE editions SET ingested_at = NULL WHERE collection = ?').run(collection);
+    db.prepare('DELETE FROM editions WHERE ingested_at IS NULL AND catalog_built_at IS NULL').run();
+  })();
+}
+
+/**
+ * The edition to search: the requested catalog year, or else the latest one
+ * ingested. Before any edition is ingested, the configured collection.
+ * @param {string} [catalogYear]
+ * @returns {{ catalogYear: string | null, collection: string }}
+ */
+function resolveEdition(catalogYear) {
+  const ingested = listEditions().filter(edition => edition.ingestedAt);
+
+  if (catalogYear) {
+    const edition = ingested.find(candidate => candidate.catalogYear === catalogYear);
+    if (!edition) {
+      const available = ingested.map(candidate => candidate.catalogYear).join(', ') || 'none';
+      throw new EditionNotFoundError(`The ${catalogYear} catalog has not been ingested (available: ${available})`);
+    }
+    return { catalogYear, collection: edition.collection };
+  }
+
+  if (ingested.length > 0) {
+    return { catalogYear: ingested[0].catalogYear, collection: ingested[0].collection };
+  }
+  return { catalogYear: null, collection: config.chroma.collection };
+}
+
+/**
+ * Replace an edition's copy of the catalog with freshly parsed records
+ * @param {string} catalogYear
+ * @param {import('./catalog/parser').CourseRecord[]} courses
+ * @param {import('./degree/requirements').Program[]} programs
+ */
+function saveEditionCatalog(catalogYear, courses, programs) {
+  const db = getDb();
+  const insertCourse = db.prepare('INSERT OR REPLACE INTO edition_courses (catalog_year, code, record) VALUES (?, ?, ?)');
+  const insertProgram = db.prepare('INSERT OR REPLACE INTO edition_programs (catalog_year, id, record) VALUES (?, ?, ?)');
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM edition_courses WHERE catalog_year = ?').run(catalogYear);
+    db.prepare('DELETE FROM edition_programs WHERE catalog_year = ?').run(catalogYear);
+    for (const course of courses) insertCourse.run(catalogYear, course.code, JSON.stringify(course));
+    for (const program of programs) insertProgram.run(catalogYear, program.id, JSON.stringify(program));
+    touchEdition(catalogYear, 'catalog_built_at', editionCollection(catalogYear));
+  })();
+}
+
+// The newest edition with a parsed catalog, which the live catalog tables follow
+function latestCatalogYear() {
+  const row = getDb()
+    .prepare('SELECT catalog_year FROM editions WHERE catalog_built_at IS NOT NULL ORDER BY catalog_year DESC LIMIT 1')
+    .get();
+  return row ? row.catalog_year : null;
+}
+
+function loadEditionCatalog(catalogYear) {
+  const edition = getEdition(catalogYear);
+  if (!edition || !edition.catalogBuiltAt) {
+    throw new EditionNotFoundError(
+      `No catalog has been built for ${catalogYear}; run "advisor catalog --catalog-year ${catalogYear}"`
+    );
+  }
+
+  const db = getDb();
+  const records = table => new Map(
+    db.prepare(`SELECT record FROM ${table} WHERE catalog_year = ? ORDER BY rowid`).all(catalogYear)
+      .map(({ record }) => JSON.parse(record))
+      .map(record => [record.code || record.id, record])
+  );
+  return { courses: records('edition_courses'), programs: records('edition_programs') };
+}
+
+// { field: { from, to } } for each listed field whose value differs
+function fieldChanges(before, after, fields) {
+  const changes = {};
+  for (const field of fields) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Records only in `after`, only in `before`, and in both with changes
+ * @param {Map<string, Object>} before
+ * @param {Map<string, Object>} after
+ * @param {(before: Object, after: Object) => Object | null} compare - null when unchanged
+ */
+function diffRecords(before, after, compare) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, record] of after) {
+    if (!before.has(key)) {
+      added.push(record);
+    } else {
+      const difference = compare(before.get(key), record);
+      if (difference) changed.push(difference);
+    }
+  }
+  for (const [key, record] of before) {
+    if (!after.has(key)) removed.push(record);
+  }
+  return { added, removed, changed };
+}
+
+function compareCourses(before, after) {
+  const changes = fieldChanges(before, after, COURSE_FIELDS);
+  return Object.keys(changes).length > 0 ? { code: after.code, title: after.title, changes } : null;
+}
+
+function compareBlocks(before, after) {
+  const changes = fieldChanges(before, after, BLOCK_FIELDS);
+  const coursesAdded = after.courses.filter(code => !before.courses.includes(code));
+  const coursesRemoved = before.courses.filter(code => !after.courses.includes(code));
+  if (Object.keys(changes).length === 0 && coursesAdded.length === 0 && coursesRemoved.length === 0) {
+    return null;
+  }
+  return { name: after.name, changes, coursesAdded, coursesRemoved };
+}
+
+function comparePrograms(before, after) {
+  const changes = fieldChanges(before, after, PROGRAM_FIELDS);
+  const byName = program => new Map(program.blocks.map(block => [block.name, block]));
+  const blocks = diffRecords(byName(before), byName(after), compareBlocks);
+  if (Object.keys(changes).length === 0 && blocks.added.length + blocks.removed.length + blocks.changed.length === 0) {
+    return null;
+  }
+  return {
+    id: after.id,
+    name: after.name,
+    changes,
+    blocks: {
+      added: blocks.added.map(block => block.name),
+      removed: blocks.removed.map(block => block.name),
+      changed: blocks.changed,
+    },
+  };
+}
+
+/**
+ * Courses and program requirements that differ between two editions
+ * @param {string} from - catalog year, e.g. "2023-24"
+ * @param {string} to
+ */
+function diffEditions(from, to) {
+  const before = loadEditionCatalog(from);
+  const after = loadEditionCatalog(to);
+  const courses = diffRecords(before.courses, after.courses, compareCourses);
+  const programs = diffRecords(before.programs, after.programs, comparePrograms);
+  const courseSummary = ({ code, title }) => ({ code, title });
+  const programSummary = ({ id, name, type }) => ({ id, name, type });
+
+  return {
+    from,
+    to,
+    courses: {
+      added: courses.added.map(courseSummary),
+      removed: courses.removed.map(courseSummary),
+      changed: courses.changed,
+    },
+    programs: {
+      added: programs.added.map(programSummary),
+      removed: programs.removed.map(programSummary),
+      changed: programs.changed,
+    },
+  };
+}
+
+module.exports = {
+  EditionError,
+  EditionNotFoundError,
+  parseCatalogYear,
+  editionCollection,
+  listEditions,
+  recordIngest,
+  forgetIngest,
+  resolveEdition,
+  saveEditionCatalog,
+  latestCatalogYear,
+  diffEditions,
+};
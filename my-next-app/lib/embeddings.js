@@ -0,0 +1,77 @@
+// lib/embeddings.js
+// Shared embedding service used by the indexer and every query path, so that
+// search queries land in the same vector space as the stored bulletin chunks.
+
+const { getEmbeddingProvider } = require('./providers');
+
+const MAX_EMBED_CHARS = 2000;
+
+// Cache of collection name -> stored embedding dimension
+const storedDimensions = new Map();
+
+// Raised when a query vector cannot be compared with the stored vectors
+class EmbeddingDimensionError extends Error {
+  constructor(expected, actual, collectionName) {
+    const model = getEmbeddingProvider().model;
+    super(
+      `Query embedding from ${model} has ${actual} dimensions, but collection ` +
+      `"${collectionName}" stores ${expected}-dimension vectors. Re-index the collection ` +
+      `with ${model} or query with the model that was used at ingest.`
+    );
+    this.name = 'EmbeddingDimensionError';
+    this.expected = expected;
+    this.actual = actual;
+    this.collectionName = collectionName;
+  }
+}
+
+// Clean text for embedding
+function cleanText(text) {
+  return text.replace(/[^\x20-\x7E\r\n\t]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Get embeddings from the configured provider
+async function getEmbedding(text) {
+  const cleanedText = cleanText(text);
+  const truncatedText = cleanedText.length > MAX_EMBED_CHARS
+    ? cleanedText.substring(0, MAX_EMBED_CHARS)
+    : cleanedText;
+
+  return getEmbeddingProvider().embed(truncatedText);
+}
+
+// Look up the dimension of the vectors already stored in a collection.
+// Returns null when the collection is empty.
+async function getStoredDimension(collection) {
+  if (storedDimensions.has(collection.name)) {
+    return storedDimensions.get(collection.name);
+  }
+
+  const [sample] = await collection.get({ limit: 1 });
+  const dimension = sample && sample.embedding.length > 0 ? sample.embedding.length : null;
+
+  if (dimension !== null) {
+    storedDimensions.set(collection.name, dimension);
+  }
+  return dimension;
+}
+
+// Embed a search query and make sure it matches the collection's vectors
+async function embedQuery(query, collection) {
+  const embedding = await getEmbedding(query);
+  const expected = await getStoredDimension(collection);
+
+  if (expected !== null && expected !== embedding.length) {
+    throw new EmbeddingDimensionError(expected, embedding.length, collection.name);
+  }
+
+  return embedding;
+}
+
+module.exports = {
+  EmbeddingDimensionError,
+  cleanText,
+  getEmbedding,
+  getStoredDimension,
+  embedQuery,
+};
@@ -0,0 +1,146 @@
+// lib/eval/answers.js
+// Answer evaluation: run each gold question through the whole advising turn
+// (rewrite, retrieval, prompt, generation with the configured provider) and
+// check the answer: every claim supported by the passages, the expected
+// course codes and unit counts stated, and a refusal exactly when the
+// bulletin cannot answer.
+const { extractCitations } = require('../citations');
+const { extractCourseCodes } = require('../catalog/codes');
+const { prepareTurn } = require('../advisor');
+const { config } = require('../config');
+const { generate, getEmbeddingProvider, getGenerationProvider } = require('../providers');
+const { parseRerankOptions } = require('../rerank');
+const { checkClaim, splitClaims } = require('./faithfulness');
+const { normalizeUnits } = require('./goldset');
+
+// How answers say the passages do not cover the question; the prompt asks for
+// "it is not in the bulletin"
+const REFUSAL = /\bnot (?:in|covered (?:in|by)|mentioned in|found in|included in|listed in|addressed in) the (?:bulletin|passages|provided (?:passages|context))\b|\b(?:bulletin|passages|context) (?:does|do) not (?:contain|say|mention|cover|include|address|specify)\b|\bno information\b|\b(?:cannot|can't|could not|couldn't) (?:find|answer)\b/i;
+
+// "4 units", "1-5 units", "(2 quarter units)"
+const UNITS = /(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s+(?:quarter\s+|semester\s+)?units?\b/gi;
+
+function isRefusal(text) {
+  return REFUSAL.test(text);
+}
+
+function unitsMentioned(answer) {
+  const units = new Set();
+  for (const match of answer.matchAll(UNITS)) {
+    units.add(normalizeUnits(match[2] ? `${match[1]}-${match[2]}` : match[1]));
+  }
+  return units;
+}
+
+// A session that is never saved, so each question starts a fresh conversation
+function scratchSession() {
+  const now = new Date().toISOString();
+  return { id: 'eval', title: 'Evaluation', createdAt: now, updatedAt: now, summary: '', summarizedThrough: 0, messages: [] };
+}
+
+/**
+ * @typedef {Object} AnswerEvalOptions
+ * @property {number} [lexicalWeight]
+ * @property {Object} [rerank] - from parseRerankOptions
+ * @property {string} [label]
+ * @property {string | null} [catalogYear]
+ * @property {(result: Object, index: number) => void} [onQuestion]
+ */
+
+/**
+ * Answer and check every question in a gold set
+ * @param {import('../vectorstore').VectorStore} collection
+ * @param {import('./goldset').GoldSet} goldSet - loaded in 'answers' mode
+ * @param {AnswerEvalOptions} options
+ */
+async function evaluateAnswers(collection, goldSet, options) {
+  const lexicalWeight = options.lexicalWeight ?? config.retrieval.lexicalWeight;
+  const rerankOptions = options.rerank || parseRerankOptions(undefined);
+  const catalogYear = options.catalogYear || null;
+  const questions = [];
+
+  for (const [index, gold] of goldSet.questions.entries()) {
+    const { sources, prompt } = await prepareTurn(collection, scratchSession(), gold.question, {
+      lexicalWeight,
+      filters: gold.filters,
+      rerank: rerankOptions,
+    }, catalogYear);
+    const answer = await generate(prompt);
+    const refused = isRefusal(answer);
+
+    const claims = splitClaims(answer)
+      .filter(claim => !isRefusal(claim.text))
+      .map(claim => checkClaim(claim, sources, catalogYear || ''));
+    const supported = claims.filter(claim => claim.supported).length;
+
+    const codesFound = extractCourseCodes(answer);
+    const unitsFound = unitsMentioned(answer);
+    const missingCodes = gold.expectedCodes.filter(code => !codesFound.includes(code));
+    const missingUnits = gold.expectedUnits.filter(units => !unitsFound.has(units));
+
+    const failures = [];
+    if (supported < claims.length) failures.push(`${claims.length - supported} of ${claims.length} claims unsupported`);
+    if (gold.answerable && refused) failures.push('said the bulletin does not answer it');
+    if (!gold.answerable && !refused) failures.push('answered instead of saying it is not in the bulletin');
+    if (missingCodes.length > 0) failures.push(`missing ${missingCodes.join(', ')}`);
+    if (missingUnits.length > 0) failures.push(`missing ${missingUnits.map(units => `${units} units`).join(', ')}`);
+
+    const result = {
+      id: gold.id,
+      question: gold.question,
+      answerable: gold.answerable,
+      answer,
+      refused,
+      faithfulness: claims.length > 0 ? supported / claims.length : 1,
+      claims,
+      citations: extractCitations(answer, sources).map(citation => ({ marker: citation.marker, chunkId: citation.chunkId })),
+      sources: sources.map(source => source.id),
+      missingCodes,
+      missingUnits,
+      passed: failures.length === 0,
+      failures,
+    };
+    questions.push(result);
+    if (options.onQuestion) options.onQuestion(result, index);
+  }
+
+  const answerable = questions.filter(question => question.answerable);
+  const unanswerable = questions.filter(question => !question.answerable);
+  const share = (list, test) => (list.length > 0 ? list.filter(test).length / list.length : null);
+  const withCodes = goldSet.questions.filter(gold => gold.expectedCodes.length > 0).map(gold => gold.id);
+  const withUnits = goldSet.questions.filter(gold => gold.expectedUnits.length > 0).map(gold => gold.id);
+  const embedder = getEmbeddingProvider();
+  const generator = getGenerationProvider();
+
+  return {
+    kind: 'answers',
+    label: options.label || collection.name,
+    createdAt: new Date().toISOString(),
+    goldSet: goldSet.file,
+    collection: collection.name,
+    catalogYear,
+    settings: {
+      generation: `${generator.name} ${generator.model}`,
+      embedding: `${embedder.name} ${embedder.model}`,
+      lexicalWeight,
+      rerank: rerankOptions.skip ? null : rerankOptions.model,
+    },
+    metrics: {
+      passRate: share(questions, question => question.passed),
+      faithfulness: questions.reduce((sum, question) => sum + question.faithfulness, 0) / questions.length,
+      // Questions with expected codes or units that state all of them
+      codeRecall: share(questions.filter(question => withCodes.includes(question.id)), question => question.missingCodes.length === 0),
+      unitRecall: share(questions.filter(question => withUnits.includes(question.id)), question => question.missingUnits.length === 0),
+      // Unanswerable questions refused, and answerable ones refused by mistake
+      refusalAccuracy: share(unanswerable, question => question.refused),
+      falseRefusals: share(answerable, question => question.refused),
+    },
+    warnings: [],
+    questions,
+  };
+}
+
+module.exports = {
+  isRefusal,
+  evaluateAnswers,
+};
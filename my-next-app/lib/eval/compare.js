@@ -0,0 +1,70 @@
+// lib/eval/compare.js
+// Compare two evaluation reports of the same kind. Reports are plain JSON, so
+// a run under one configuration (chunker, embedding model, prompt, generation
+// model) can be compared with a later run under another.
+
+// Per-question scores that count as a change, by report kind
+const QUESTION_SCORES = {
+  retrieval: ['recall', 'reciprocalRank', 'ndcg'],
+  answers: ['faithfulness', 'passed'],
+};
+
+// Two reports that cannot be compared
+class EvalReportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EvalReportError';
+  }
+}
+
+function pick(question, fields) {
+  return Object.fromEntries(fields.map(field => [field, question[field]]));
+}
+
+/**
+ * Metric changes from `before` to `after`, and the questions whose scores moved
+ * @param {Object} before - report from evaluateRetrieval or evaluateAnswers
+ * @param {Object} after
+ */
+function compareReports(before, after) {
+  const fields = QUESTION_SCORES[after.kind];
+  if (!fields || before.kind !== after.kind) {
+    throw new EvalReportError(`Cannot compare a ${before.kind || 'unknown'} report with a ${after.kind || 'unknown'} report`);
+  }
+  if (before.k !== after.k) {
+    throw new EvalReportError(`The reports score different cutoffs (k=${before.k} and k=${after.k}); re-run with --k ${before.k}`);
+  }
+
+  const metrics = {};
+  for (const [metric, value] of Object.entries(after.metrics)) {
+    const previous = before.metrics[metric] ?? null;
+    metrics[metric] = { before: previous, after: value, change: previous === null || value === null ? null : value - previous };
+  }
+
+  const earlier = new Map(before.questions.map(question => [question.id, question]));
+  const changed = [];
+  for (const question of after.questions) {
+    const previous = earlier.get(question.id);
+    if (previous && fields.some(field => previous[field] !== question[field])) {
+      changed.push({ id: question.id, question: question.question, before: pick(previous, fields), after: pick(question, fields) });
+    }
+  }
+
+  const later = new Set(after.questions.map(question => question.id));
+  return {
+    kind: after.kind,
+    before: before.label,
+    after: after.label,
+    k: after.k,
+    metrics,
+    changed,
+    // Questions in only one gold set are left out of `changed` but do count in the averages
+    onlyBefore: before.questions.filter(question => !later.has(question.id)).map(question => question.id),
+    onlyAfter: after.questions.filter(question => !earlier.has(question.id)).map(question => question.id),
+  };
+}
+
+module.exports = {
+  EvalReportError,
+  compareReports,
+};
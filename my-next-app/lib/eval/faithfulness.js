@@ -0,0 +1,83 @@
+// lib/eval/faithfulness.js
+// Lexical checks on a generated answer against the passages it was given.
+// Each sentence is a claim; a claim is supported when most of its content
+// words, and every course code and number in it, appear in the passages it
+// cites (or, if it cites none, anywhere in the context). This needs no model,
+// so it scores a fake or local provider the same way. It cannot tell a
+// paraphrase from an invention, so treat a low score as a prompt to read the
+// answer, not as proof.
+const { extractCourseCodes } = require('../catalog/codes');
+const { MARKER_PATTERN } = require('../citations');
+
+// Share of a claim's content words that must appear in its passages
+const MIN_SUPPORT = 0.6;
+
+// Function words, and words answers use to talk about the passages themselves
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has',
+  'have', 'if', 'in', 'is', 'it', 'its', 'may', 'must', 'not', 'of', 'on', 'or', 'that', 'the', 'their',
+  'then', 'there', 'these', 'this', 'those', 'to', 'was', 'were', 'which', 'will', 'with', 'you', 'your',
+  'also', 'both', 'each', 'only', 'should', 'than', 'they', 'what', 'when', 'where', 'who', 'would',
+  'according', 'bulletin', 'passage', 'passages', 'catalog', 'states', 'stated', 'mentions', 'listed', 'lists',
+]);
+
+// Lowercase words with stopwords removed; numbers are kept for the number check
+function contentWords(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => !STOPWORDS.has(word) && (word.length > 2 || /^\d+$/.test(word)));
+}
+
+/**
+ * An answer's sentences with the citation markers in each
+ * @param {string} answer
+ * @returns {{ text: string, markers: number[] }[]}
+ */
+function splitClaims(answer) {
+  return (answer.match(/[^.!?\n]+(?:[.!?]+(?:\s*\[[\d,\s]+\])*|$)/g) || [])
+    .map(sentence => {
+      const markers = [];
+      for (const match of sentence.matchAll(MARKER_PATTERN)) {
+        markers.push(...match[1].split(',').map(marker => parseInt(marker, 10)));
+      }
+      return { text: sentence.replace(MARKER_PATTERN, '').replace(/\s+([.,;:!?])/g, '$1').trim(), markers };
+    })
+    .filter(claim => /[a-z0-9]/i.test(claim.text));
+}
+
+/**
+ * Check one claim against the retrieved passages
+ * @param {{ text: string, markers: number[] }} claim
+ * @param {{ id: string, document: string }[]} sources - in prompt order, [1] first
+ * @param {string} [extraContext] - text the prompt stated besides the passages, such as the catalog year
+ */
+function checkClaim(claim, sources, extraContext = '') {
+  const invalid = claim.markers.filter(marker => !sources[marker - 1]);
+  const cited = claim.markers.map(marker => sources[marker - 1]).filter(Boolean);
+  const passages = (cited.length > 0 ? cited : sources).map(source => source.document || '');
+  const context = `${passages.join('\n')}\n${extraContext}`;
+  const contextWords = new Set(contentWords(context));
+  const contextCodes = new Set(extractCourseCodes(context));
+
+  const words = contentWords(claim.text);
+  const matched = words.filter(word => contextWords.has(word)).length;
+  const support = words.length > 0 ? matched / words.length : 1;
+  const unsupported = [
+    ...extractCourseCodes(claim.text).filter(code => !contextCodes.has(code)),
+    ...Array.from(new Set(words.filter(word => /^\d+$/.test(word) && !contextWords.has(word)))),
+    ...invalid.map(marker => `[${marker}]`),
+  ];
+
+  return {
+    text: claim.text,
+    markers: claim.markers,
+    cited: cited.map(source => source.id),
+    support: Math.round(support * 1000) / 1000,
+    supported: support >= MIN_SUPPORT && unsupported.length === 0,
+    unsupported,
+  };
+}
+
+module.exports = {
+  MIN_SUPPORT,
+  splitClaims,
+  checkClaim,
+};
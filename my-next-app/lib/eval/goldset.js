@@ -0,0 +1,171 @@
+// lib/eval/goldset.js
+// Gold question sets: advisor questions with the chunks or courses a good
+// retrieval should return, and what a good answer should contain. Written as
+// JSON or YAML, either a bare list of questions or { k, questions }:
+//
+//   k: 5
+//   questions:
+//     - id: csen146-prereqs
+//       question: What do I need before taking CSEN 146?
+//       expectedCodes: [CSEN 146]
+//       expectedChunks: [engineering_2]
+//       expectedUnits: [4]
+//       filters: { department: CSEN }
+//     - id: parking
+//       question: Where do I buy a parking permit?
+//       answerable: false
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { normalizeCourseCode } = require('../catalog/codes');
+const { FilterError, parseFilters } = require('../filters');
+
+/**
+ * @typedef {Object} GoldQuestion
+ * @property {string} id
+ * @property {string} question
+ * @property {string[]} expectedChunks - chunk ids, exact
+ * @property {string[]} expectedCodes - normalized course codes; any chunk about the course counts
+ * @property {string[]} expectedUnits - unit counts the answer should state, "4" or "1-5"
+ * @property {boolean} answerable - false when the bulletin does not answer the question
+ * @property {Object} filters - parsed as in /api/search
+ */
+
+/**
+ * @typedef {Object} GoldSet
+ * @property {string} file
+ * @property {number | undefined} k
+ * @property {GoldQuestion[]} questions
+ */
+
+// A gold set file that cannot be used, with every problem found
+class GoldSetError extends Error {
+  constructor(file, problems) {
+    super(`Invalid gold set ${file}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'GoldSetError';
+    this.problems = problems;
+  }
+}
+
+function parseFile(file) {
+  const text = fs.readFileSync(file, 'utf-8');
+  const extension = path.extname(file).toLowerCase();
+  try {
+    return extension === '.yaml' || extension === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new GoldSetError(file, [`could not parse: ${error.message}`]);
+  }
+}
+
+// 4 -> "4", "1 - 5" -> "1-5"; null when not a unit count
+function normalizeUnits(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?$/);
+  if (!match) return null;
+  return match[2] ? `${Number(match[1])}-${Number(match[2])}` : String(Number(match[1]));
+}
+
+function stringList(value) {
+  if (value === undefined) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.every(item => typeof item === 'string' && item.trim() !== '') ? list.map(item => item.trim()) : null;
+}
+
+/**
+ * Read and validate a gold set. For retrieval, questions the bulletin cannot
+ * answer are left out and every other question needs expected chunks or
+ * codes; for answers, a question may check only faithfulness.
+ * @param {string} file - .json, .yaml or .yml
+ * @param {'retrieval' | 'answers'} [mode]
+ * @returns {GoldSet}
+ */
+function loadGoldSet(file, mode = 'retrieval') {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) {
+    throw new GoldSetError(resolved, ['file does not exist']);
+  }
+
+  const parsed = parseFile(resolved);
+  const entries = Array.isArray(parsed) ? parsed : parsed && parsed.questions;
+  const problems = [];
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new GoldSetError(resolved, ['expected a list of questions, or an object with a "questions" list']);
+  }
+
+  const k = Array.isArray(parsed) ? undefined : parsed.k;
+  if (k !== undefined && !(Number.isInteger(k) && k > 0)) {
+    problems.push(`k must be a positive integer, got ${JSON.stringify(k)}`);
+  }
+
+  const seen = new Set();
+  const questions = entries.map((entry, index) => {
+    const label = `question ${index + 1}`;
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`${label} is not an object`);
+      return null;
+    }
+
+    const id = entry.id === undefined ? `q${index + 1}` : String(entry.id);
+    if (seen.has(id)) problems.push(`${label} repeats the id "${id}"`);
+    seen.add(id);
+
+    if (typeof entry.question !== 'string' || entry.question.trim() === '') {
+      problems.push(`${label} (${id}) has no question text`);
+    }
+
+    const expectedChunks = stringList(entry.expectedChunks);
+    const codes = stringList(entry.expectedCodes);
+    if (expectedChunks === null) problems.push(`${label} (${id}): expectedChunks must be a list of chunk ids`);
+    if (codes === null) problems.push(`${label} (${id}): expectedCodes must be a list of course codes`);
+    const expectedCodes = (codes || []).map(code => {
+      const normalized = normalizeCourseCode(code);
+      if (!normalized) problems.push(`${label} (${id}): "${code}" is not a course code`);
+      return normalized;
+    });
+
+    const answerable = entry.answerable === undefined ? true : entry.answerable;
+    if (typeof answerable !== 'boolean') problems.push(`${label} (${id}): answerable must be true or false`);
+    if (mode === 'retrieval' && answerable === true && expectedChunks && codes && expectedChunks.length + expectedCodes.length === 0) {
+      problems.push(`${label} (${id}) needs expectedChunks or expectedCodes`);
+    }
+
+    const units = entry.expectedUnits === undefined ? [] : [].concat(entry.expectedUnits);
+    const expectedUnits = units.map(value => {
+      const normalized = normalizeUnits(value);
+      if (!normalized) problems.push(`${label} (${id}): ${JSON.stringify(value)} is not a unit count such as 4 or "1-5"`);
+      return normalized;
+    });
+
+    let filters = {};
+    try {
+      filters = parseFilters(entry.filters);
+    } catch (error) {
+      if (!(error instanceof FilterError)) throw error;
+      problems.push(`${label} (${id}): ${error.message}`);
+    }
+
+    return {
+      id,
+      question: typeof entry.question === 'string' ? entry.question.trim() : '',
+      expectedChunks: expectedChunks || [],
+      expectedCodes: Array.from(new Set(expectedCodes)),
+      expectedUnits,
+      answerable,
+      filters,
+    };
+  });
+
+  if (problems.length > 0) {
+    throw new GoldSetError(resolved, problems);
+  }
+  const scored = mode === 'retrieval' ? questions.filter(question => question.answerable) : questions;
+  if (scored.length === 0) {
+    throw new GoldSetError(resolved, ['every question is marked answerable: false, so there is no retrieval to score']);
+  }
+  return { file: resolved, k, questions: scored };
+}
+
+module.exports = {
+  GoldSetError,
+  normalizeUnits,
+  loadGoldSet,
+};
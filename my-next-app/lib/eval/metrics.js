@@ -0,0 +1,67 @@
+// lib/eval/metrics.js
+// Ranking metrics over one question's hits. Relevance is binary, and each
+// expected item (a chunk id or course code) counts once: a second chunk about
+// an already-found course adds nothing.
+
+/**
+ * Which expected items each hit covers, best hit first
+ * @param {{ id: string, document: string, metadata: Object }[]} hits
+ * @param {import('./goldset').GoldQuestion} gold
+ * @param {(hit: Object) => string[]} codesOf - course codes a hit is about
+ * @returns {string[][]}
+ */
+function coverage(hits, gold, codesOf) {
+  return hits.map(hit => {
+    const items = gold.expectedChunks.includes(hit.id) ? [`chunk:${hit.id}`] : [];
+    const codes = codesOf(hit);
+    for (const code of gold.expectedCodes) {
+      if (codes.includes(code)) items.push(`code:${code}`);
+    }
+    return items;
+  });
+}
+
+/**
+ * recall@k, reciprocal rank and nDCG@k for one question
+ * @param {string[][]} covered - from coverage(), already cut to k hits
+ * @param {number} expectedCount - expected chunks plus expected codes
+ * @param {number} k
+ */
+function scoreRanking(covered, expectedCount, k) {
+  const found = new Set();
+  let firstRelevant = null;
+  let dcg = 0;
+
+  covered.forEach((items, index) => {
+    const fresh = items.filter(item => !found.has(item));
+    if (fresh.length === 0) return;
+    if (firstRelevant === null) firstRelevant = index + 1;
+    fresh.forEach(item => found.add(item));
+    dcg += 1 / Math.log2(index + 2);
+  });
+
+  let idealDcg = 0;
+  for (let index = 0; index < Math.min(expectedCount, k); index++) {
+    idealDcg += 1 / Math.log2(index + 2);
+  }
+
+  return {
+    recall: expectedCount > 0 ? found.size / expectedCount : 0,
+    reciprocalRank: firstRelevant === null ? 0 : 1 / firstRelevant,
+    ndcg: idealDcg > 0 ? dcg / idealDcg : 0,
+    firstRelevant,
+    found: Array.from(found),
+  };
+}
+
+// Mean of each metric over the questions
+function averageMetrics(scores) {
+  const mean = key => (scores.length > 0 ? scores.reduce((sum, score) => sum + score[key], 0) / scores.length : 0);
+  return { recall: mean('recall'), mrr: mean('reciprocalRank'), ndcg: mean('ndcg') };
+}
+
+module.exports = {
+  coverage,
+  scoreRanking,
+  averageMetrics,
+};
@@ -0,0 +1,133 @@
+// lib/eval/report.js
+// Plain-text and Markdown rendering of evaluation reports, for the terminal
+// and for pasting into a PR or issue
+
+const METRIC_NAMES = {
+  recall: 'recall@k',
+  mrr: 'MRR',
+  ndcg: 'nDCG@k',
+  passRate: 'pass rate',
+  faithfulness: 'faithfulness',
+  codeRecall: 'course codes',
+  unitRecall: 'unit counts',
+  refusalAccuracy: 'refusals',
+  falseRefusals: 'false refusals',
+};
+
+const SCORE_NAMES = { recall: 'recall', reciprocalRank: 'RR', ndcg: 'nDCG', faithfulness: 'faithfulness', passed: 'result' };
+
+function metricName(metric, k) {
+  return (METRIC_NAMES[metric] || metric).replace('@k', `@${k}`);
+}
+
+// 0.833, "pass"/"fail" for booleans, "n/a" when a metric had nothing to measure
+function formatValue(value) {
+  if (value === null || value === undefined) return 'n/a';
+  if (typeof value === 'boolean') return value ? 'pass' : 'fail';
+  return value.toFixed(3);
+}
+
+function formatChange(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(3)}`;
+}
+
+/**
+ * One line per changed question: "id: RR 0.500 -> 1.000, recall ..."
+ * @param {Object} change - an entry of compareReports().changed
+ */
+function formatQuestionChange({ id, before, after }) {
+  const scores = Object.keys(after).map(field => `${SCORE_NAMES[field] || field} ${formatValue(before[field])} -> ${formatValue(after[field])}`);
+  return `${id}: ${scores.join(', ')}`;
+}
+
+function table(headers, rows) {
+  const escape = cell => String(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escape).join(' | ')} |`),
+  ].join('\n');
+}
+
+function comparisonSection(comparison, k) {
+  const sections = [`## Compared with ${comparison.before}`];
+  sections.push(table(
+    ['Metric', comparison.before, comparison.after, 'Change'],
+    Object.entries(comparison.metrics).map(([metric, { before, after, change }]) =>
+      [metricName(metric, k), formatValue(before), formatValue(after), formatChange(change)])
+  ));
+  sections.push(comparison.changed.length > 0
+    ? comparison.changed.map(change => `- ${formatQuestionChange(change)}`).join('\n')
+    : 'No question scored differently.');
+  return sections;
+}
+
+function questionRows(report) {
+  if (report.kind === 'retrieval') {
+    return table(
+      ['Id', 'Question', 'Recall', 'RR', 'nDCG', 'Missing'],
+      report.questions.map(question => [
+        question.id,
+        question.question,
+        formatValue(question.recall),
+        formatValue(question.reciprocalRank),
+        formatValue(question.ndcg),
+        question.missing.join(', ') || '-',
+      ])
+    );
+  }
+  return table(
+    ['Id', 'Question', 'Result', 'Faithfulness', 'Failures', 'Answer'],
+    report.questions.map(question => [
+      question.id,
+      question.question,
+      formatValue(question.passed),
+      formatValue(question.faithfulness),
+      question.failures.join('; ') || '-',
+      question.answer,
+    ])
+  );
+}
+
+/**
+ * A retrieval or answer report, with its comparison when it has one
+ * @param {Object} report - from evaluateRetrieval or evaluateAnswers, optionally with `comparison`
+ * @returns {string}
+ */
+function formatMarkdown(report) {
+  const { k, settings } = report;
+  const title = report.kind === 'answers' ? 'Answer evaluation' : 'Retrieval evaluation';
+  const sections = [
+    `# ${title}: ${report.label}`,
+    [
+      `- Gold set: \`${report.goldSet}\` (${report.questions.length} questions)`,
+      `- Collection: \`${report.collection}\`${report.catalogYear ? ` (${report.catalogYear} catalog)` : ''}${settings.vectorStore ? ` in ${settings.vectorStore}` : ''}`,
+      ...(settings.generation ? [`- Generation: ${settings.generation}`] : []),
+      `- Embeddings: ${settings.embedding}`,
+      `- Lexical weight: ${settings.lexicalWeight}, reranker: ${settings.rerank || 'off'}`,
+      `- Run at ${report.createdAt}`,
+    ].join('\n'),
+  ];
+
+  if (report.comparison) sections.push(...comparisonSection(report.comparison, k));
+
+  sections.push('## Metrics');
+  sections.push(table(['Metric', 'Value'], Object.entries(report.metrics).map(([metric, value]) => [metricName(metric, k), formatValue(value)])));
+
+  sections.push('## Questions');
+  sections.push(questionRows(report));
+
+  if (report.warnings.length > 0) {
+    sections.push(`## Warnings\n\n${report.warnings.map(warning => `- ${warning}`).join('\n')}`);
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+module.exports = {
+  metricName,
+  formatValue,
+  formatChange,
+  formatQuestionChange,
+  formatMarkdown,
+};
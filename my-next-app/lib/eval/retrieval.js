@@ -0,0 +1,95 @@
+// lib/eval/retrieval.js
+// Retrieval evaluation: run a gold set through the same hybrid retrieval the
+// app uses and score each question's top k
+const { extractCourseCodes, normalizeCourseCode } = require('../catalog/codes');
+const { config } = require('../config');
+const { getEmbeddingProvider } = require('../providers');
+const { parseRerankOptions } = require('../rerank');
+const { retrieve } = require('../retrieval');
+const { getBackend } = require('../vectorstore');
+const { averageMetrics, coverage, scoreRanking } = require('./metrics');
+
+/**
+ * @typedef {Object} RetrievalEvalOptions
+ * @property {number} k - hits scored per question
+ * @property {number} [lexicalWeight] - default retrieval.lexicalWeight
+ * @property {Object} [rerank] - from parseRerankOptions
+ * @property {string} [label] - names the run in comparisons; default the collection
+ * @property {string | null} [catalogYear]
+ * @property {(result: Object, index: number) => void} [onQuestion] - progress
+ */
+
+// Course codes a chunk is about: its indexed code and every code it mentions
+function codesOf(hit) {
+  const codes = extractCourseCodes(hit.document || '');
+  const indexed = normalizeCourseCode(hit.metadata && hit.metadata.course_code);
+  return indexed && !codes.includes(indexed) ? [indexed, ...codes] : codes;
+}
+
+/**
+ * Score every question in a gold set
+ * @param {import('../vectorstore').VectorStore} collection
+ * @param {import('./goldset').GoldSet} goldSet
+ * @param {RetrievalEvalOptions} options
+ */
+async function evaluateRetrieval(collection, goldSet, options) {
+  const { k } = options;
+  const lexicalWeight = options.lexicalWeight ?? config.retrieval.lexicalWeight;
+  const rerankOptions = options.rerank || parseRerankOptions(undefined);
+  const embedder = getEmbeddingProvider();
+  const warnings = new Set();
+  const questions = [];
+
+  for (const [index, gold] of goldSet.questions.entries()) {
+    const { results, rerank } = await retrieve(collection, gold.question, {
+      nResults: k,
+      lexicalWeight,
+      filters: gold.filters,
+      rerank: rerankOptions,
+    });
+    if (rerank.error) warnings.add(`Reranking failed, fused order scored: ${rerank.error}`);
+
+    const expected = [
+      ...gold.expectedChunks.map(id => `chunk:${id}`),
+      ...gold.expectedCodes.map(code => `code:${code}`),
+    ];
+    const covered = coverage(results, gold, codesOf);
+    const score = scoreRanking(covered, expected.length, k);
+    const result = {
+      id: gold.id,
+      question: gold.question,
+      recall: score.recall,
+      reciprocalRank: score.reciprocalRank,
+      ndcg: score.ndcg,
+      firstRelevant: score.firstRelevant,
+      found: score.found,
+      missing: expected.filter(item => !score.found.includes(item)),
+      hits: results.map((hit, rank) => ({ id: hit.id, courseCode: hit.metadata.course_code || null, covers: covered[rank] })),
+    };
+    questions.push(result);
+    if (options.onQuestion) options.onQuestion(result, index);
+  }
+
+  return {
+    kind: 'retrieval',
+    label: options.label || collection.name,
+    createdAt: new Date().toISOString(),
+    goldSet: goldSet.file,
+    collection: collection.name,
+    catalogYear: options.catalogYear || null,
+    k,
+    settings: {
+      vectorStore: getBackend().name,
+      embedding: `${embedder.name} ${embedder.model}`,
+      lexicalWeight,
+      rerank: rerankOptions.skip ? null : rerankOptions.model,
+    },
+    metrics: averageMetrics(questions),
+    warnings: Array.from(warnings),
+    questions,
+  };
+}
+
+module.exports = {
+  evaluateRetrieval,
+};
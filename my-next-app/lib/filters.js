@@ -0,0 +1,199 @@
+// lib/filters.js
+// Structured filters over the chunk metadata written at ingest
+// (department_code, credits, source, has_prerequisites, chunk_type), and
+// facet counts over a set of hits.
+
+/**
+ * @typedef {Object} ChunkFilters
+ * @property {string[]} [department] - department codes, e.g. ["CSEN", "ELEN"]
+ * @property {number} [minUnits]
+ * @property {number} [maxUnits]
+ * @property {string[]} [source] - bulletin file names
+ * @property {boolean} [hasPrerequisites]
+ * @property {string[]} [chunkType]
+ */
+
+class FilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FilterError';
+  }
+}
+
+// Filter name -> metadata key written by the indexer
+const METADATA_KEYS = {
+  department: 'department_code',
+  units: 'credits',
+  source: 'source',
+  hasPrerequisites: 'has_prerequisites',
+  chunkType: 'chunk_type',
+};
+
+function toList(name, value) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || list.some(item => typeof item !== 'string' || item.trim() === '')) {
+    throw new FilterError(`filters.${name} must be a string or an array of strings`);
+  }
+  return list.map(item => item.trim());
+}
+
+function toUnits(name, value) {
+  if (typeof value !== 'number' || !(value >= 0)) {
+    throw new FilterError(`filters.${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+/**
+ * Validate filters from a request body. Throws FilterError on bad input.
+ * @param {any} input
+ * @returns {ChunkFilters}
+ */
+function parseFilters(input) {
+  if (input === undefined || input === null) return {};
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new FilterError('filters must be an object');
+  }
+
+  const filters = {};
+  for (const [name, value] of Object.entries(input)) {
+    if (value === undefined || value === null) continue;
+    switch (name) {
+      case 'department':
+        filters.department = toList(name, value).map(code => code.toUpperCase());
+        break;
+      case 'source':
+      case 'chunkType':
+        filters[name] = toList(name, value);
+        break;
+      case 'minUnits':
+      case 'maxUnits':
+        filters[name] = toUnits(name, value);
+        break;
+      case 'hasPrerequisites':
+        if (typeof value !== 'boolean') {
+          throw new FilterError('filters.hasPrerequisites must be true or false');
+        }
+        filters.hasPrerequisites = value;
+        break;
+      default:
+        throw new FilterError(`Unknown filter "${name}"`);
+    }
+  }
+
+  if (filters.minUnits !== undefined && filters.maxUnits !== undefined && filters.minUnits > filters.maxUnits) {
+    throw new FilterError('filters.minUnits cannot be larger than filters.maxUnits');
+  }
+  return filters;
+}
+
+function hasFilters(filters) {
+  return Boolean(filters) && Object.keys(filters).length > 0;
+}
+
+function oneOf(key, values) {
+  return values.length === 1 ? { [key]: { $eq: values[0] } } : { [key]: { $in: values } };
+}
+
+/**
+ * Chroma-style `where` clause for the filters, as every lib/vectorstore
+ * backend accepts, or undefined when there are none.
+ * `hasPrerequisites: false` is left out: the indexer omits the key instead of
+ * storing false, and Chroma cannot match a missing key. matchesFilters
+ * applies it afterwards.
+ * @param {ChunkFilters} filters
+ */
+function toChromaWhere(filters) {
+  const clauses = [];
+  if (filters.department) clauses.push(oneOf(METADATA_KEYS.department, filters.department));
+  if (filters.source) clauses.push(oneOf(METADATA_KEYS.source, filters.source));
+  if (filters.chunkType) clauses.push(oneOf(METADATA_KEYS.chunkType, filters.chunkType));
+  if (filters.minUnits !== undefined) clauses.push({ [METADATA_KEYS.units]: { $gte: filters.minUnits } });
+  if (filters.maxUnits !== undefined) clauses.push({ [METADATA_KEYS.units]: { $lte: filters.maxUnits } });
+  if (filters.hasPrerequisites === true) clauses.push({ [METADATA_KEYS.hasPrerequisites]: { $eq: true } });
+
+  if (clauses.length === 0) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * SQL conditions over the JSON metadata column of the keyword index
+ * @param {ChunkFilters} filters
+ * @returns {{ conditions: string[], params: Object }}
+ */
+function toSqlConditions(filters) {
+  const conditions = [];
+  const params = {};
+  const field = key => `json_extract(chunks.metadata, '$.${key}')`;
+  const inList = (name, key, values) => {
+    const placeholders = values.map((value, index) => {
+      params[`${name}${index}`] = value;
+      return `@${name}${index}`;
+    });
+    conditions.push(`${field(key)} IN (${placeholders.join(', ')})`);
+  };
+
+  if (filters.department) inList('department', METADATA_KEYS.department, filters.department);
+  if (filters.source) inList('source', METADATA_KEYS.source, filters.source);
+  if (filters.chunkType) inList('chunkType', METADATA_KEYS.chunkType, filters.chunkType);
+  if (filters.minUnits !== undefined) {
+    conditions.push(`${field(METADATA_KEYS.units)} >= @minUnits`);
+    params.minUnits = filters.minUnits;
+  }
+  if (filters.maxUnits !== undefined) {
+    conditions.push(`${field(METADATA_KEYS.units)} <= @maxUnits`);
+    params.maxUnits = filters.maxUnits;
+  }
+  if (filters.hasPrerequisites !== undefined) {
+    conditions.push(`IFNULL(${field(METADATA_KEYS.hasPrerequisites)}, 0) = ${filters.hasPrerequisites ? 1 : 0}`);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Whether chunk metadata passes every filter
+ * @param {Object} metadata
+ * @param {ChunkFilters} filters
+ */
+function matchesFilters(metadata, filters) {
+  const value = key => metadata[METADATA_KEYS[key]];
+  if (filters.department && !filters.department.includes(value('department'))) return false;
+  if (filters.source && !filters.source.includes(value('source'))) return false;
+  if (filters.chunkType && !filters.chunkType.includes(value('chunkType'))) return false;
+  if (filters.minUnits !== undefined && !(value('units') >= filters.minUnits)) return false;
+  if (filters.maxUnits !== undefined && !(value('units') <= filters.maxUnits)) return false;
+  if (filters.hasPrerequisites !== undefined && Boolean(value('hasPrerequisites')) !== filters.hasPrerequisites) return false;
+  return true;
+}
+
+/**
+ * Value counts per facet over a set of hits, most common first. Chunks
+ * without a value for a facet are not counted under it.
+ * @param {{ metadata: Object }[]} hits
+ */
+function facetCounts(hits) {
+  const facets = {};
+  for (const name of Object.keys(METADATA_KEYS)) {
+    const counts = new Map();
+    for (const hit of hits) {
+      let value = hit.metadata[METADATA_KEYS[name]];
+      if (name === 'hasPrerequisites') value = Boolean(value);
+      if (value === undefined || value === null || value === '') continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    facets[name] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  }
+  return facets;
+}
+
+module.exports = {
+  FilterError,
+  parseFilters,
+  hasFilters,
+  toChromaWhere,
+  toSqlConditions,
+  matchesFilters,
+  facetCounts,
+};
@@ -0,0 +1,326 @@
+// lib/indexer.js
+// Incremental, idempotent indexing of the bulletin files (.txt, .pdf, .html)
+// into the vector store and the keyword index. A manifest in SQLite records a content hash for every file
+// and chunk already embedded, so a re-run only embeds what changed and
+// removes chunks whose text or source file is gone. Plans are carried out by
+// ingest jobs (see lib/jobs).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { config } = require('./config');
+const { getDb } = require('./db');
+const { getEmbedding } = require('./embeddings');
+const { indexChunks, removeChunks } = require('./lexical');
+const { chunkText, resolveChunking } = require('./chunkers');
+const { LOADER_VERSION, isSupported, loadDocument, locate } = require('./loaders');
+const { getEmbeddingProvider } = require('./providers');
+
+// Bump when chunking or metadata extraction changes, so every file is
+// re-chunked on the next run even though its text did not change
+const CHUNKER_VERSION = 1;
+
+/**
+ * @typedef {Object} PlannedChunk
+ * @property {string} id
+ * @property {string} document
+ * @property {Object} metadata
+ * @property {string} hash
+ */
+
+/**
+ * @typedef {Object} FilePlan
+ * @property {string} source - file name, also stored as metadata.source
+ * @property {'new' | 'changed' | 'unchanged'} status
+ * @property {string} hash
+ * @property {number} chunkCount - chunks in the file after this run
+ * @property {PlannedChunk[]} upserts - new or changed chunks to embed
+ * @property {string[]} deletes - chunk ids no longer produced by the file
+ */
+
+/**
+ * @typedef {Object} IndexPlan
+ * @property {string} collection
+ * @property {FilePlan[]} files
+ * @property {{ source: string, deletes: string[] }[]} removed - files that disappeared
+ * @property {{ files: number, new: number, changed: number, unchanged: number, removed: number, upserts: number, deletes: number }} summary
+ */
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest('hex');
+}
+
+// The chunking settings are part of the file hash, so switching strategy
+// re-chunks every file; the embedding provider and model are part of both
+// hashes, so switching either re-embeds everything
+function fileHash(content, chunking) {
+  const settings = JSON.stringify({ version: CHUNKER_VERSION, loader: LOADER_VERSION, ...chunking });
+  return sha256(`${settings}\n${getEmbeddingProvider().id}\n`, content);
+}
+
+function chunkHash(document, metadata) {
+  return sha256(`${getEmbeddingProvider().id}\n${JSON.stringify({ document, metadata })}`);
+}
+
+function chunkId(source, index) {
+  return `${source.replace(/\.txt$/, '')}_${index}`;
+}
+
+/**
+ * Bulletin files to index, sorted by name
+ * @param {string} [dir]
+ */
+function listSourceFiles(dir = config.ingest.bulletinDir) {
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Bulletin directory not found: ${dir}`);
+  }
+  return fs.readdirSync(dir)
+    .filter(file => isSupported(file))
+    .sort()
+    .map(file => ({ source: file, path: path.join(dir, file) }));
+}
+
+function readManifest(collection) {
+  const db = getDb();
+  const files = new Map(
+    db.prepare('SELECT source, hash FROM indexed_files WHERE collection = ?')
+      .all(collection)
+      .map(row => [row.source, row.hash])
+  );
+
+  const chunks = new Map();
+  const rows = db.prepare('SELECT id, source, hash FROM indexed_chunks WHERE collection = ? ORDER BY id')
+    .all(collection);
+  for (const row of rows) {
+    if (!chunks.has(row.source)) chunks.set(row.source, new Map());
+    chunks.get(row.source).set(row.id, row.hash);
+  }
+
+  return { files, chunks };
+}
+
+/**
+ * Compare the bulletin files with the manifest and work out what has to be
+ * embedded or deleted. Reads files and the manifest only; nothing is written.
+ * Unchanged files are neither loaded nor chunked.
+ * @param {string} collection - vector store collection name
+ * @param {{ source: string, path: string }[]} sourceFiles
+ * @param {{ force?: boolean, chunker?: string, chunkSize?: number, chunkOverlap?: number, catalogYear?: string }} [options] -
+ *   force re-embeds every chunk; chunker is a strategy from lib/chunkers,
+ *   defaulting to the configured one; catalogYear tags every chunk with the
+ *   edition it belongs to
+ * @returns {Promise<IndexPlan>}
+ */
+async function planIndex(collection, sourceFiles, { force = false, chunker, chunkSize, chunkOverlap, catalogYear } = {}) {
+  const chunking = resolveChunking(chunker, { chunkSize, chunkOverlap });
+  const manifest = readManifest(collection);
+  const files = [];
+
+  for (const file of sourceFiles) {
+    const hash = fileHash(fs.readFileSync(file.path), { ...chunking, catalogYear });
+    const indexed = manifest.chunks.get(file.source) || new Map();
+    const previousHash = manifest.files.get(file.source);
+
+    if (!force && previousHash === hash) {
+      files.push({ source: file.source, status: 'unchanged', hash, chunkCount: indexed.size, upserts: [], deletes: [] });
+      continue;
+    }
+
+    const document = await loadDocument(file.path);
+    const chunks = chunkText(chunking.strategy, document.text, file.source, chunking).map(({ text, metadata: chunkMetadata }, index) => {
+      const metadata = { ...chunkMetadata, ...locate(document, chunkMetadata.char_start, chunkMetadata.char_end) };
+      if (document.title) metadata.source_title = document.title;
+      if (catalogYear) metadata.catalog_year = catalogYear;
+      return { id: chunkId(file.source, index), document: text, metadata, hash: chunkHash(text, metadata) };
+    });
+    const ids = new Set(chunks.map(chunk => chunk.id));
+
+    files.push({
+      source: file.source,
+      status: previousHash === undefined && indexed.size === 0 ? 'new' : 'changed',
+      hash,
+      chunkCount: chunks.length,
+      upserts: chunks.filter(chunk => force || indexed.get(chunk.id) !== chunk.hash),
+      deletes: Array.from(indexed.keys()).filter(id => !ids.has(id)),
+    });
+  }
+
+  const present = new Set(sourceFiles.map(file => file.source));
+  const removed = Array.from(new Set([...manifest.files.keys(), ...manifest.chunks.keys()]))
+    .filter(source => !present.has(source))
+    .sort()
+    .map(source => ({ source, deletes: Array.from((manifest.chunks.get(source) || new Map()).keys()) }));
+
+  const count = status => files.filter(file => file.status === status).length;
+  return {
+    collection,
+    files,
+    removed,
+    summary: {
+      files: files.length,
+      new: count('new'),
+      changed: count('changed'),
+      unchanged: count('unchanged'),
+      removed: removed.length,
+      upserts: files.reduce((total, file) => total + file.upserts.length, 0),
+      deletes: files.reduce((total, file) => total + file.deletes.length, 0)
+        + removed.reduce((total, file) => total + file.deletes.length, 0),
+    },
+  };
+}
+
+/**
+ * Human-readable diff of a plan, one line per file that has work to do
+ * @param {IndexPlan} plan
+ * @returns {string}
+ */
+function describePlan(plan) {
+  const lines = [];
+  for (const file of plan.files) {
+    if (file.status === 'unchanged') {
+      lines.push(`  = ${file.source} (unchanged, ${file.chunkCount} chunks)`);
+      continue;
+    }
+    const marker = file.status === 'new' ? '+' : '~';
+    lines.push(`  ${marker} ${file.source} (${file.status}: ${file.upserts.length} to embed, ` +
+      `${file.deletes.length} to delete, ${file.chunkCount - file.upserts.length} unchanged)`);
+    for (const chunk of file.upserts) lines.push(`      upsert ${chunk.id}`);
+    for (const id of file.deletes) lines.push(`      delete ${id}`);
+  }
+  for (const file of plan.removed) {
+    lines.push(`  - ${file.source} (source removed, ${file.deletes.length} chunks to delete)`);
+  }
+
+  const { summary } = plan;
+  lines.push('');
+  lines.push(`${summary.files} files: ${summary.new} new, ${summary.changed} changed, ` +
+    `${summary.unchanged} unchanged, ${summary.removed} removed`);
+  lines.push(`${summary.upserts} chunks to embed, ${summary.deletes} to delete`);
+  return lines.join('\n');
+}
+
+function recordChunk(collection, source, chunk) {
+  getDb().prepare(`
+    INSERT INTO indexed_chunks (collection, id, source, hash, indexed_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (collection, id) DO UPDATE SET
+      source = excluded.source,
+      hash = excluded.hash,
+      indexed_at = excluded.indexed_at
+  `).run(collection, chunk.id, source, chunk.hash, new Date().toISOString());
+}
+
+function forgetChunks(collection, ids) {
+  const db = getDb();
+  const statement = db.prepare('DELETE FROM indexed_chunks WHERE collection = ? AND id = ?');
+  db.transaction(() => {
+    for (const id of ids) statement.run(collection, id);
+  })();
+}
+
+/**
+ * Record a file as indexed. Only done once every chunk it produces is stored,
+ * so a file with a failed chunk is planned again by the next ingest.
+ * @param {string} collection
+ * @param {{ source: string, hash: string, chunkCount: number }} file
+ */
+function recordFile(collection, file) {
+  getDb().prepare(`
+    INSERT INTO indexed_files (collection, source, hash, chunk_count, indexed_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (collection, source) DO UPDATE SET
+      hash = excluded.hash,
+      chunk_count = excluded.chunk_count,
+      indexed_at = excluded.indexed_at
+  `).run(collection, file.source, file.hash, file.chunkCount, new Date().toISOString());
+}
+
+// A file that is gone from the bulletin directory
+function forgetFile(collection, source) {
+  getDb().prepare('DELETE FROM indexed_files WHERE collection = ? AND source = ?').run(collection, source);
+}
+
+/**
+ * Manifest entry for one chunk, or null when the indexer never wrote it
+ * @param {string} collection
+ * @param {string} id
+ * @returns {{ id: string, source: string, hash: string, indexedAt: string } | null}
+ */
+function getIndexedChunk(collection, id) {
+  const row = getDb().prepare(`
+    SELECT id, source, hash, indexed_at AS indexedAt
+    FROM indexed_chunks WHERE collection = ? AND id = ?
+  `).get(collection, id);
+  return row || null;
+}
+
+/**
+ * Files recorded in the manifest for a collection, with their chunk counts
+ * @param {string} collection
+ * @returns {{ source: string, chunkCount: number, indexedAt: string | null, complete: boolean }[]}
+ */
+function listIndexedFiles(collection) {
+  return getDb().prepare(`
+    SELECT sources.source,
+      (SELECT COUNT(*) FROM indexed_chunks c WHERE c.collection = @collection AND c.source = sources.source) AS chunkCount,
+      f.indexed_at AS indexedAt,
+      f.hash IS NOT NULL AS complete
+    FROM (
+      SELECT source FROM indexed_files WHERE collection = @collection
+      UNION SELECT source FROM indexed_chunks WHERE collection = @collection
+    ) AS sources
+    LEFT JOIN indexed_files f ON f.collection = @collection AND f.source = sources.source
+    ORDER BY sources.source
+  `).all({ collection }).map(row => ({ ...row, complete: Boolean(row.complete) }));
+}
+
+// Drop every manifest entry for a collection, e.g. after deleting it
+function forgetCollection(collection) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare('DELETE FROM indexed_chunks WHERE collection = ?').run(collection);
+    db.prepare('DELETE FROM indexed_files WHERE collection = ?').run(collection);
+  })();
+}
+
+/**
+ * Delete chunks from the vector store, the keyword index and the manifest.
+ * A chunk deleted on its own comes back when its file changes or on a forced run.
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {string[]} ids
+ */
+async function deleteChunks(collection, ids) {
+  if (ids.length === 0) return;
+  await collection.delete(ids);
+  removeChunks(collection.name, ids);
+  forgetChunks(collection.name, ids);
+}
+
+/**
+ * Embed one planned chunk and store it in the vector store, the keyword index
+ * and the manifest. Safe to repeat: the chunk is upserted.
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {string} source - the chunk's file
+ * @param {PlannedChunk} chunk
+ */
+async function indexChunk(collection, source, chunk) {
+  const embedding = await getEmbedding(chunk.document);
+  await collection.upsert([{ id: chunk.id, embedding, metadata: chunk.metadata, document: chunk.document }]);
+  // Same chunk into the keyword index used by hybrid search
+  indexChunks(collection.name, [{ id: chunk.id, document: chunk.document, metadata: chunk.metadata }]);
+  recordChunk(collection.name, source, chunk);
+}
+
+module.exports = {
+  listSourceFiles,
+  planIndex,
+  describePlan,
+  indexChunk,
+  deleteChunks,
+  recordFile,
+  forgetFile,
+  getIndexedChunk,
+  listIndexedFiles,
+  forgetCollection,
+};
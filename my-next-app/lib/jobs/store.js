@@ -0,0 +1,477 @@
+// lib/jobs/store.js
+// The ingest job queue in the local SQLite database. A job plans once and
+// saves the plan as its checkpoint: every chunk to embed and every file to
+// finish. Workers (lib/jobs/worker.js) then mark chunks done, schedule them
+// for a retry or dead-letter them, so an interrupted job resumes where it
+// stopped instead of starting over.
+const crypto = require('crypto');
+const os = require('os');
+const { getDb } = require('../db');
+
+// ingest: embed new and changed chunks; reindex: re-embed every chunk;
+// keyword: rebuild the keyword index from the stored chunks
+const JOB_KINDS = ['ingest', 'reindex', 'keyword'];
+
+// A running job whose worker has not been heard from for this long, or whose
+// worker process on this machine has exited, was interrupted and any worker
+// may resume it
+const STALE_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+// Finished jobs kept for their history and dead letters
+const KEPT_JOBS = 50;
+
+/**
+ * @typedef {Object} JobProgress
+ * @property {number} total - chunks to embed, or to index for a keyword job
+ * @property {number} done
+ * @property {number} dead - chunks that used up their attempts
+ * @property {number} pending
+ * @property {number} percent - done and dead chunks out of the total
+ * @property {number | null} etaSeconds - while running, from the pace since the job was last started or resumed
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {'ingest' | 'reindex' | 'keyword'} kind
+ * @property {string} collection
+ * @property {string | null} catalogYear
+ * @property {Object} options - dir, chunking, concurrency and delayMs
+ * @property {'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled'} status
+ * @property {boolean} interrupted - running, but its worker stopped answering
+ * @property {string | null} createdBy - email of whoever queued it
+ * @property {string} createdAt
+ * @property {string | null} startedAt
+ * @property {string | null} finishedAt
+ * @property {string | null} plannedAt - when the checkpoint was saved
+ * @property {Object | null} plan - the plan summary (see lib/indexer)
+ * @property {JobProgress} progress
+ * @property {string | null} error - why the job failed
+ */
+
+// A job that cannot be queued or changed as asked
+class JobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobError';
+  }
+}
+
+class JobConflictError extends Error {
+  constructor(job, message = `Job ${job.id} (${job.kind}) for ${job.collection} has not finished yet`) {
+    super(message);
+    this.name = 'JobConflictError';
+    this.job = job;
+  }
+}
+
+class JobNotFoundError extends Error {
+  constructor(id) {
+    super(`Job ${id} was not found`);
+    this.name = 'JobNotFoundError';
+  }
+}
+
+const now = () => new Date().toISOString();
+
+// Workers are named <hostname>:<pid>:<random>
+function workerExited(worker) {
+  const match = /^(.*):(\d+):[^:]+$/.exec(worker || '');
+  if (!match || match[1] !== os.hostname()) return false;
+  try {
+    process.kill(Number(match[2]), 0);
+    return false;
+  } catch (error) {
+    return error.code === 'ESRCH';
+  }
+}
+
+function isStale(row) {
+  return !row.heartbeat_at || Date.now() - Date.parse(row.heartbeat_at) > STALE_MS || workerExited(row.worker);
+}
+
+function progressOf(row) {
+  const total = row.total_chunks;
+  const processed = row.done_chunks + row.dead_chunks;
+  const pending = Math.max(total - processed, 0);
+  let percent = total > 0 ? Math.round((processed / total) * 1000) / 10 : 0;
+  if (row.status === 'succeeded') percent = 100;
+
+  let etaSeconds = null;
+  const sinceResume = processed - row.done_at_resume;
+  if (row.status === 'running' && !isStale(row) && row.resumed_at && sinceResume > 0) {
+    const elapsed = Date.now() - Date.parse(row.resumed_at);
+    etaSeconds = Math.round((elapsed / sinceResume) * pending / 1000);
+  }
+  return { total, done: row.done_chunks, dead: row.dead_chunks, pending, percent, etaSeconds };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    collection: row.collection,
+    catalogYear: row.catalog_year,
+    options: JSON.parse(row.options),
+    status: row.status,
+    interrupted: row.status === 'running' && isStale(row),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    plannedAt: row.planned_at,
+    plan: row.plan ? JSON.parse(row.plan) : null,
+    progress: progressOf(row),
+    error: row.error,
+  };
+}
+
+function getRow(id) {
+  const row = getDb().prepare('SELECT * FROM index_jobs WHERE id = ?').get(id);
+  if (!row) throw new JobNotFoundError(id);
+  return row;
+}
+
+/**
+ * @param {string} id
+ * @returns {Job}
+ */
+function getJob(id) {
+  return fromRow(getRow(id));
+}
+
+/**
+ * The latest jobs, newest first
+ * @param {{ limit?: number }} [options]
+ * @returns {Job[]}
+ */
+function listJobs({ limit = 20 } = {}) {
+  return getDb().prepare('SELECT * FROM index_jobs ORDER BY created_at DESC LIMIT ?').all(limit).map(fromRow);
+}
+
+/**
+ * The queued or running job for a collection, if any
+ * @param {string} collection
+ * @returns {Job | null}
+ */
+function findUnfinishedJob(collection) {
+  const row = getDb().prepare(`
+    SELECT * FROM index_jobs WHERE collection = ? AND status IN ('queued', 'running')
+    ORDER BY created_at LIMIT 1
+  `).get(collection);
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * Whether any job is waiting for a worker or held by one
+ */
+function hasUnfinishedJobs() {
+  return Boolean(getDb().prepare("SELECT 1 FROM index_jobs WHERE status IN ('queued', 'running') LIMIT 1").get());
+}
+
+/**
+ * Queue a job. Each collection has at most one unfinished job.
+ * @param {{ kind: string, collection: string, catalogYear?: string | null, options?: Object }} job
+ * @param {{ email: string } | null} [user] - who queued it
+ * @returns {Job}
+ */
+function createJob({ kind, collection, catalogYear = null, options = {} }, user = null) {
+  if (!JOB_KINDS.includes(kind)) throw new JobError(`kind must be one of ${JOB_KINDS.join(', ')}`);
+  const db = getDb();
+  const id = crypto.randomUUID();
+
+  db.transaction(() => {
+    const unfinished = findUnfinishedJob(collection);
+    if (unfinished) throw new JobConflictError(unfinished);
+    db.prepare(`
+      INSERT INTO index_jobs (id, kind, collection, catalog_year, options, status, created_by, created_at)
+      VALUES (?, ?, ?, ?, ?, 'queued', ?, ?)
+    `).run(id, kind, collection, catalogYear, JSON.stringify(options), user ? user.email : null, now());
+  })();
+  return getJob(id);
+}
+
+/**
+ * Take a job for `worker`: the given one, or else the oldest queued or
+ * interrupted job. A job is never taken while another worker is running a
+ * job for the same collection.
+ * @param {string} worker
+ * @param {string} [id]
+ * @returns {Job | null} null when nothing can be taken
+ */
+function claimJob(worker, id) {
+  const db = getDb();
+  return db.transaction(() => {
+    const candidates = id
+      ? [getRow(id)]
+      : db.prepare("SELECT * FROM index_jobs WHERE status IN ('queued', 'running') ORDER BY created_at").all();
+    const busy = new Set(
+      db.prepare("SELECT * FROM index_jobs WHERE status = 'running'").all()
+        .filter(row => !isStale(row))
+        .map(row => row.collection)
+    );
+
+    const row = candidates.find(candidate =>
+      (candidate.status === 'queued' || (candidate.status === 'running' && isStale(candidate)))
+      && !busy.has(candidate.collection));
+    if (!row) return null;
+
+    const timestamp = now();
+    db.prepare(`
+      UPDATE index_jobs SET status = 'running', worker = @worker, heartbeat_at = @timestamp,
+        started_at = COALESCE(started_at, @timestamp), resumed_at = @timestamp,
+        done_at_resume = done_chunks + dead_chunks
+      WHERE id = @id
+    `).run({ id: row.id, worker, timestamp });
+    return getJob(row.id);
+  })();
+}
+
+/**
+ * Record that `worker` is still running the job
+ * @returns {boolean} false once the job was cancelled or taken over, so the worker should stop
+ */
+function touchJob(id, worker) {
+  return getDb().prepare(`
+    UPDATE index_jobs SET heartbeat_at = ? WHERE id = ? AND worker = ? AND status = 'running'
+  `).run(now(), id, worker).changes === 1;
+}
+
+/**
+ * Save a job's plan as its checkpoint: the files with work to do and the chunks to embed
+ * @param {string} id
+ * @param {import('../indexer').IndexPlan} plan
+ */
+function savePlan(id, plan) {
+  const db = getDb();
+  const insertFile = db.prepare(`
+    INSERT INTO index_job_files (job_id, source, hash, chunk_count, deletes, status)
+    VALUES (?, ?, ?, ?, ?, 'pending')
+  `);
+  const insertChunk = db.prepare(`
+    INSERT INTO index_job_chunks (job_id, id, seq, source, document, metadata, hash, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending')
+  `);
+
+  db.transaction(() => {
+    let seq = 0;
+    for (const file of plan.files.filter(candidate => candidate.status !== 'unchanged')) {
+      insertFile.run(id, file.source, file.hash, file.chunkCount, JSON.stringify(file.deletes));
+      for (const chunk of file.upserts) {
+        insertChunk.run(id, chunk.id, seq++, file.source, chunk.document, JSON.stringify(chunk.metadata), chunk.hash);
+      }
+    }
+    // A removed file has no hash; finishing it forgets it
+    for (const file of plan.removed) {
+      insertFile.run(id, file.source, null, 0, JSON.stringify(file.deletes));
+    }
+    db.prepare('UPDATE index_jobs SET planned_at = ?, plan = ?, total_chunks = ? WHERE id = ?')
+      .run(now(), JSON.stringify(plan.summary), plan.summary.upserts, id);
+  })();
+}
+
+/**
+ * Pending chunks whose retry, if any, is due, in plan order
+ * @param {string} id
+ * @returns {{ id: string, source: string, document: string, metadata: Object, hash: string, attempts: number }[]}
+ */
+function dueChunks(id) {
+  return getDb().prepare(`
+    SELECT id, source, document, metadata, hash, attempts FROM index_job_chunks
+    WHERE job_id = ? AND status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= ?)
+    ORDER BY seq
+  `).all(id, now()).map(row => ({ ...row, metadata: JSON.parse(row.metadata) }));
+}
+
+/**
+ * When the next chunk waiting for a retry is due, or null when none is waiting
+ * @param {string} id
+ * @returns {string | null}
+ */
+function nextRetryAt(id) {
+  return getDb().prepare(`
+    SELECT MIN(next_attempt_at) AS at FROM index_job_chunks WHERE job_id = ? AND status = 'pending'
+  `).get(id).at;
+}
+
+function markChunkDone(id, chunkId) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare("UPDATE index_job_chunks SET status = 'done', last_error = NULL WHERE job_id = ? AND id = ?").run(id, chunkId);
+    db.prepare('UPDATE index_jobs SET done_chunks = done_chunks + 1 WHERE id = ?').run(id);
+  })();
+}
+
+/**
+ * Count a failed attempt: retry the chunk after an exponential backoff, or
+ * dead-letter it once it has used up its attempts
+ * @param {string} id
+ * @param {{ id: string, attempts: number }} chunk
+ * @param {Error} error
+ * @param {{ maxAttempts: number, retryDelayMs: number }} retry
+ * @returns {{ dead: boolean, retryAt: string | null }}
+ */
+function markChunkFailed(id, chunk, error, { maxAttempts, retryDelayMs }) {
+  const db = getDb();
+  const attempts = chunk.attempts + 1;
+  const dead = attempts >= maxAttempts;
+  const delay = Math.min(retryDelayMs * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+  const retryAt = dead ? null : new Date(Date.now() + delay).toISOString();
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE index_job_chunks SET status = ?, attempts = ?, next_attempt_at = ?, last_error = ?
+      WHERE job_id = ? AND id = ?
+    `).run(dead ? 'dead' : 'pending', attempts, retryAt, error.message, id, chunk.id);
+    if (dead) db.prepare('UPDATE index_jobs SET dead_chunks = dead_chunks + 1 WHERE id = ?').run(id);
+  })();
+  return { dead, retryAt };
+}
+
+/**
+ * Files whose chunks have all been embedded or dead-lettered, and are ready
+ * to have their stale chunks deleted and be recorded
+ * @param {string} id
+ * @returns {{ source: string, hash: string | null, chunkCount: number, deletes: string[], dead: number }[]}
+ */
+function finishableFiles(id) {
+  return getDb().prepare(`
+    SELECT f.source, f.hash, f.chunk_count AS chunkCount, f.deletes,
+      (SELECT COUNT(*) FROM index_job_chunks c WHERE c.job_id = f.job_id AND c.source = f.source AND c.status = 'dead') AS dead
+    FROM index_job_files f
+    WHERE f.job_id = ? AND f.status = 'pending' AND NOT EXISTS (
+      SELECT 1 FROM index_job_chunks c WHERE c.job_id = f.job_id AND c.source = f.source AND c.status = 'pending'
+    )
+    ORDER BY f.source
+  `).all(id).map(row => ({ ...row, deletes: JSON.parse(row.deletes) }));
+}
+
+function markFileDone(id, source) {
+  getDb().prepare("UPDATE index_job_files SET status = 'done' WHERE job_id = ? AND source = ?").run(id, source);
+}
+
+// Progress of a keyword job, which has no plan
+function setProgress(id, total, done) {
+  getDb().prepare('UPDATE index_jobs SET total_chunks = ?, done_chunks = ? WHERE id = ?').run(total, done, id);
+}
+
+/**
+ * End a job. The text of embedded chunks is no longer needed, only the dead
+ * letters are kept; the oldest finished jobs are dropped.
+ * @param {string} id
+ * @param {'succeeded' | 'failed'} status
+ * @param {string | null} [error]
+ */
+function finishJob(id, status, error = null) {
+  const db = getDb();
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE index_jobs SET status = ?, error = ?, finished_at = ?, worker = NULL, heartbeat_at = NULL
+      WHERE id = ? AND status = 'running'
+    `).run(status, error, now(), id);
+    db.prepare("DELETE FROM index_job_chunks WHERE job_id = ? AND status = 'done'").run(id);
+    db.prepare(`
+      DELETE FROM index_jobs WHERE status NOT IN ('queued', 'running') AND id NOT IN (
+        SELECT id FROM index_jobs ORDER BY created_at DESC LIMIT ?
+      )
+    `).run(KEPT_JOBS);
+  })();
+}
+
+/**
+ * Stop a queued or running job; its worker stops after the chunk in hand.
+ * What was embedded stays, and the next ingest plans the rest again.
+ * @param {string} id
+ * @returns {Job}
+ */
+function cancelJob(id) {
+  const row = getRow(id);
+  if (row.status !== 'queued' && row.status !== 'running') {
+    throw new JobError(`Job ${id} has already ${row.status === 'cancelled' ? 'been cancelled' : 'finished'}`);
+  }
+  getDb().prepare(`
+    UPDATE index_jobs SET status = 'cancelled', finished_at = ?, worker = NULL, heartbeat_at = NULL WHERE id = ?
+  `).run(now(), id);
+  return getJob(id);
+}
+
+/**
+ * Queue a finished job again: its dead letters get fresh attempts, and a
+ * failed or cancelled job carries on from its checkpoint. Only the latest job
+ * of a collection can be retried; a newer one has already changed what the
+ * checkpoint's plan was worked out against.
+ * @param {string} id
+ * @returns {Job}
+ */
+function retryJob(id) {
+  const db = getDb();
+  db.transaction(() => {
+    const row = getRow(id);
+    if (row.status === 'queued' || row.status === 'running') throw new JobError(`Job ${id} has not finished yet`);
+    if (row.status === 'succeeded') throw new JobError(`Job ${id} succeeded; there is nothing to retry`);
+    const unfinished = findUnfinishedJob(row.collection);
+    if (unfinished) throw new JobConflictError(unfinished);
+    // rowid, as jobs queued within the same millisecond share created_at
+    const newer = db.prepare(`
+      SELECT * FROM index_jobs WHERE collection = ? AND rowid > (SELECT rowid FROM index_jobs WHERE id = ?)
+      ORDER BY rowid DESC LIMIT 1
+    `).get(row.collection, id);
+    if (newer) {
+      throw new JobConflictError(fromRow(newer),
+        `Job ${newer.id} (${newer.kind}) for ${row.collection} came after this one, so its plan is out of date; queue a new job instead`);
+    }
+
+    db.prepare(`
+      UPDATE index_job_files SET status = 'pending' WHERE job_id = ? AND source IN (
+        SELECT source FROM index_job_chunks WHERE job_id = ? AND status = 'dead'
+      )
+    `).run(id, id);
+    db.prepare(`
+      UPDATE index_job_chunks SET status = 'pending', attempts = 0, next_attempt_at = NULL
+      WHERE job_id = ? AND status = 'dead'
+    `).run(id);
+    db.prepare(`
+      UPDATE index_jobs SET status = 'queued', dead_chunks = 0, error = NULL, finished_at = NULL WHERE id = ?
+    `).run(id);
+  })();
+  return getJob(id);
+}
+
+/**
+ * Chunks of a job that used up their attempts, with the last error of each
+ * @param {string} id
+ * @returns {{ id: string, source: string, attempts: number, error: string | null }[]}
+ */
+function listDeadLetters(id) {
+  getRow(id);
+  return getDb().prepare(`
+    SELECT id, source, attempts, last_error AS error FROM index_job_chunks
+    WHERE job_id = ? AND status = 'dead' ORDER BY seq
+  `).all(id);
+}
+
+module.exports = {
+  JOB_KINDS,
+  JobError,
+  JobConflictError,
+  JobNotFoundError,
+  getJob,
+  listJobs,
+  findUnfinishedJob,
+  hasUnfinishedJobs,
+  createJob,
+  claimJob,
+  touchJob,
+  savePlan,
+  dueChunks,
+  nextRetryAt,
+  markChunkDone,
+  markChunkFailed,
+  finishableFiles,
+  markFileDone,
+  setProgress,
+  finishJob,
+  cancelJob,
+  retryJob,
+  listDeadLetters,
+};
@@ -0,0 +1,275 @@
+// lib/jobs/worker.js
+// Runs ingest jobs from the queue in lib/jobs/store.js. A failed chunk is
+// retried with exponential backoff while the job carries on with the rest,
+// and dead-lettered after ingest.maxAttempts tries. The `advisor` CLI runs
+// its own jobs in the foreground; the Next.js server works the queue in the
+// background and resumes interrupted jobs when it starts.
+const crypto = require('crypto');
+const os = require('os');
+const { bulletinDir } = require('../bulletins');
+const { resolveChunking } = require('../chunkers');
+const { config } = require('../config');
+const { editionCollection, parseCatalogYear, recordIngest, resolveEdition } = require('../editions');
+const {
+  listSourceFiles, planIndex, indexChunk, deleteChunks, recordFile, forgetFile, listIndexedFiles,
+} = require('../indexer');
+const { clearIndex, indexChunks } = require('../lexical');
+const { openOrCreateStore, openStore } = require('../vectorstore');
+const {
+  JOB_KINDS, JobError, claimJob, createJob, touchJob, savePlan, dueChunks, nextRetryAt, markChunkDone, markChunkFailed,
+  finishableFiles, markFileDone, setProgress, finishJob, getJob, hasUnfinishedJobs,
+} = require('./store');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+const HEARTBEAT_MS = 15 * 1000;
+// How often an idle server worker looks for jobs held by a worker that may have died
+const IDLE_POLL_MS = 30 * 1000;
+const PAGE_SIZE = 500;
+
+/**
+ * @typedef {Object} JobCallbacks
+ * @property {(plan: import('../indexer').IndexPlan) => void} [onPlan] - the job was just planned
+ * @property {(job: import('./store').Job) => void} [onResume] - the job carries on from its checkpoint
+ * @property {(chunk: { id: string, source: string }, error: Error | null, failure?: { dead: boolean, retryAt: string | null }) => void} [onChunk]
+ * @property {(done: number, total: number) => void} [onPage] - keyword jobs
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown inside a job once it was cancelled or another worker took it over
+class JobStoppedError extends Error {}
+
+async function rebuildKeywordIndex(job, { onPage = () => {} }, check) {
+  const collection = await openStore(job.collection);
+  const total = await collection.count();
+  setProgress(job.id, total, 0);
+  clearIndex(collection.name);
+  for (let offset = 0; offset < total; offset += PAGE_SIZE) {
+    check();
+    const page = await collection.get({ limit: PAGE_SIZE, offset });
+    indexChunks(collection.name, page.map(({ id, document, metadata }) => ({ id, document, metadata })));
+    const done = Math.min(offset + PAGE_SIZE, total);
+    setProgress(job.id, total, done);
+    onPage(done, total);
+  }
+}
+
+// Delete the stale chunks of every file whose chunks are all settled, and
+// record the file unless one of its chunks was dead-lettered
+async function finishFiles(job, collection) {
+  for (const file of finishableFiles(job.id)) {
+    await deleteChunks(collection, file.deletes);
+    if (file.hash === null) forgetFile(collection.name, file.source);
+    else if (file.dead === 0) recordFile(collection.name, file);
+    markFileDone(job.id, file.source);
+  }
+}
+
+async function attemptChunk(job, collection, chunk, onChunk) {
+  try {
+    await indexChunk(collection, chunk.source, chunk);
+    markChunkDone(job.id, chunk.id);
+    onChunk(chunk, null);
+    await sleep(job.options.delayMs);
+  } catch (error) {
+    const failure = markChunkFailed(job.id, chunk, error, config.ingest);
+    onChunk(chunk, error, failure);
+  }
+}
+
+async function applyJob(job, { onPlan = () => {}, onResume = () => {}, onChunk = () => {} }, check) {
+  const { dir, chunking, concurrency } = job.options;
+  const collection = await openOrCreateStore(job.collection);
+
+  if (!job.plannedAt) {
+    const plan = await planIndex(job.collection, listSourceFiles(dir), {
+      force: job.kind === 'reindex',
+      chunker: chunking.strategy,
+      chunkSize: chunking.chunkSize,
+      chunkOverlap: chunking.chunkOverlap,
+      catalogYear: job.catalogYear || undefined,
+    });
+    check();
+    savePlan(job.id, plan);
+    onPlan(plan);
+  } else {
+    onResume(job);
+  }
+
+  while (true) {
+    check();
+    const due = dueChunks(job.id);
+    if (due.length === 0) {
+      await finishFiles(job, collection);
+      const retryAt = nextRetryAt(job.id);
+      if (!retryAt) break;
+      // Only chunks waiting for their retry are left; wake up now and then to notice a cancel
+      await sleep(Math.min(Math.max(Date.parse(retryAt) - Date.now(), 0), HEARTBEAT_MS));
+      continue;
+    }
+
+    // Files in parallel, each file's chunks one after another
+    const bySource = new Map();
+    for (const chunk of due) {
+      if (!bySource.has(chunk.source)) bySource.set(chunk.source, []);
+      bySource.get(chunk.source).push(chunk);
+    }
+    const files = Array.from(bySource.values());
+    for (let i = 0; i < files.length; i += concurrency) {
+      await Promise.all(files.slice(i, i + concurrency).map(async chunks => {
+        for (const chunk of chunks) {
+          check();
+          await attemptChunk(job, collection, chunk, onChunk);
+        }
+      }));
+    }
+    await finishFiles(job, collection);
+  }
+
+  // The edition can be searched once at least one of its files is indexed in full
+  if (job.catalogYear && listIndexedFiles(job.collection).some(file => file.complete)) {
+    recordIngest(job.catalogYear, job.collection);
+  }
+}
+
+// Work a job this worker has claimed until it succeeds, fails or is stopped.
+// A job that dead-lettered chunks fails, so it is not mistaken for a complete index.
+async function workJob(job, callbacks) {
+  let stopped = false;
+  const heartbeat = setInterval(() => {
+    if (!touchJob(job.id, WORKER_ID)) stopped = true;
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  const check = () => {
+    if (stopped || !touchJob(job.id, WORKER_ID)) {
+      stopped = true;
+      throw new JobStoppedError();
+    }
+  };
+
+  try {
+    if (job.kind === 'keyword') await rebuildKeywordIndex(job, callbacks, check);
+    else await applyJob(job, callbacks, check);
+    const { dead } = getJob(job.id).progress;
+    if (dead > 0) finishJob(job.id, 'failed', `${dead} chunk(s) were dead-lettered`);
+    else finishJob(job.id, 'succeeded');
+  } catch (error) {
+    if (!(error instanceof JobStoppedError)) {
+      console.error(`Job ${job.id} failed:`, error);
+      finishJob(job.id, 'failed', error.message);
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+  return getJob(job.id);
+}
+
+/**
+ * Run one job in this process until it finishes: a queued one, or one whose
+ * worker was interrupted, resuming from its checkpoint
+ * @param {string} id
+ * @param {JobCallbacks} [callbacks]
+ * @returns {Promise<import('./store').Job>} the job once it stopped
+ */
+async function runJob(id, callbacks = {}) {
+  const job = claimJob(WORKER_ID, id);
+  if (!job) {
+    const current = getJob(id);
+    throw new JobError(current.status === 'running'
+      ? `Job ${id} is being run by another process`
+      : `Job ${id} is ${current.status}${current.status === 'queued' ? ' behind another job for the same collection' : ''}`);
+  }
+  return workJob(job, callbacks);
+}
+
+/**
+ * Run queued and interrupted jobs one after another until none is left
+ * @param {JobCallbacks & { onStart?: (job: import('./store').Job) => void }} [callbacks]
+ * @returns {Promise<import('./store').Job[]>} the jobs run
+ */
+async function runQueue(callbacks = {}) {
+  const jobs = [];
+  let job;
+  while ((job = claimJob(WORKER_ID))) {
+    if (callbacks.onStart) callbacks.onStart(job);
+    jobs.push(await workJob(job, callbacks));
+  }
+  return jobs;
+}
+
+// Next.js bundles each route separately, so whether the server's worker is
+// running has to be kept outside this module
+const state = globalThis.__advisorJobWorker || (globalThis.__advisorJobWorker = { running: false, wanted: false, wake: null });
+
+/**
+ * Work the queue in the background of this process, if not already doing so,
+ * and look at it again after a job was queued. While jobs held by other
+ * workers are unfinished it keeps checking back, to resume them should their
+ * worker have died.
+ */
+function startWorker() {
+  state.wanted = true;
+  if (state.wake) state.wake();
+  if (state.running) return;
+
+  state.running = true;
+  (async () => {
+    try {
+      while (true) {
+        state.wanted = false;
+        await runQueue();
+        if (state.wanted) continue;
+        if (!hasUnfinishedJobs()) break;
+        await new Promise(resolve => {
+          state.wake = resolve;
+          setTimeout(resolve, IDLE_POLL_MS).unref();
+        });
+        state.wake = null;
+      }
+    } catch (error) {
+      console.error('Job worker stopped:', error);
+    } finally {
+      state.running = false;
+    }
+  })();
+}
+
+/**
+ * Queue a job with the configured ingest settings and have this process's
+ * worker run it. ingest and reindex index the bulletin files of the given
+ * catalog year (ingest.catalogYear by default); keyword rebuilds the keyword
+ * index of that edition, or of the latest one.
+ * @param {{ kind: string, catalogYear?: string }} spec
+ * @param {{ email: string } | null} [user] - who queued it
+ * @returns {import('./store').Job}
+ */
+function queueJob({ kind, catalogYear }, user = null) {
+  if (!JOB_KINDS.includes(kind)) throw new JobError(`kind must be one of ${JOB_KINDS.join(', ')}`);
+  let job;
+  if (kind === 'keyword') {
+    job = createJob({ kind, ...resolveEdition(catalogYear) }, user);
+  } else {
+    const year = parseCatalogYear(catalogYear) || config.ingest.catalogYear;
+    if (!year) throw new JobError('Name the bulletin edition to index with catalogYear (e.g. "2024-25")');
+    job = createJob({
+      kind,
+      collection: editionCollection(year),
+      catalogYear: year,
+      options: {
+        dir: bulletinDir(year),
+        chunking: resolveChunking(),
+        concurrency: config.ingest.concurrentFiles,
+        delayMs: config.ingest.delayMs,
+      },
+    }, user);
+  }
+  startWorker();
+  return job;
+}
+
+module.exports = {
+  queueJob,
+  runJob,
+  runQueue,
+  startWorker,
+};
@@ -0,0 +1,140 @@
+// lib/lexical.js
+// BM25 keyword index over bulletin chunks, kept in SQLite (FTS5) next to the
+// course catalog. Catches exact lookups such as "CSEN 146" that embedding
+// search tends to rank low.
+const { getDb } = require('./db');
+const { toSqlConditions } = require('./filters');
+
+// Words that match nearly every chunk and only add noise to BM25
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'can', 'do', 'does', 'for', 'from', 'how', 'i',
+  'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'should', 'the', 'to', 'what', 'when',
+  'where', 'which', 'who', 'with', 'you',
+]);
+
+const COURSE_CODE = /\b([a-z]{2,4})\s*(\d{1,3}[a-z]?)\b/gi;
+
+/**
+ * @typedef {Object} IndexedChunk
+ * @property {string} id - same id as the chunk in the vector store
+ * @property {string} document
+ * @property {Object} metadata
+ */
+
+/**
+ * Turn free text into an FTS5 query: every term is quoted so user input can
+ * never be read as FTS syntax, and course codes become phrases so "CSEN 146"
+ * ranks chunks with both tokens side by side first.
+ * @param {string} query
+ * @returns {string | null} null when nothing searchable is left
+ */
+function toMatchQuery(query) {
+  const terms = new Set();
+
+  for (const [, department, number] of query.matchAll(COURSE_CODE)) {
+    terms.add(`"${department.toLowerCase()} ${number.toLowerCase()}"`);
+  }
+
+  // "csen146" is one token to FTS5; split it the way the code phrase does
+  const words = query.toLowerCase().replace(COURSE_CODE, '$1 $2').match(/[a-z0-9]+/g) || [];
+  for (const word of words) {
+    if (!STOPWORDS.has(word)) terms.add(`"${word}"`);
+  }
+
+  return terms.size > 0 ? Array.from(terms).join(' OR ') : null;
+}
+
+/**
+ * Add or replace chunks in a collection's index
+ * @param {string} collection - collection the chunks belong to
+ * @param {IndexedChunk[]} chunks
+ */
+function indexChunks(collection, chunks) {
+  const db = getDb();
+  const statement = db.prepare(`
+    INSERT INTO chunks (collection, id, document, metadata, source, updated_at)
+    VALUES (@collection, @id, @document, @metadata, @source, @updatedAt)
+    ON CONFLICT (collection, id) DO UPDATE SET
+      document = excluded.document,
+      metadata = excluded.metadata,
+      source = excluded.source,
+      updated_at = excluded.updated_at
+  `);
+
+  const updatedAt = new Date().toISOString();
+  db.transaction(() => {
+    for (const chunk of chunks) {
+      statement.run({
+        collection,
+        id: chunk.id,
+        document: chunk.document,
+        metadata: JSON.stringify(chunk.metadata || {}),
+        source: (chunk.metadata && chunk.metadata.source) || null,
+        updatedAt,
+      });
+    }
+  })();
+
+  return chunks.length;
+}
+
+function removeChunks(collection, ids) {
+  const db = getDb();
+  const statement = db.prepare('DELETE FROM chunks WHERE collection = ? AND id = ?');
+  db.transaction(() => {
+    for (const id of ids) statement.run(collection, id);
+  })();
+}
+
+function getChunk(collection, id) {
+  const row = getDb()
+    .prepare('SELECT id, document, metadata FROM chunks WHERE collection = ? AND id = ?')
+    .get(collection, id);
+  return row ? { ...row, metadata: JSON.parse(row.metadata) } : null;
+}
+
+function clearIndex(collection) {
+  getDb().prepare('DELETE FROM chunks WHERE collection = ?').run(collection);
+}
+
+function countChunks(collection) {
+  return getDb().prepare('SELECT COUNT(*) AS count FROM chunks WHERE collection = ?').get(collection).count;
+}
+
+/**
+ * Best BM25 matches for a query in one collection's chunks, best first
+ * @param {string} collection
+ * @param {string} query
+ * @param {number} limit
+ * @param {import('./filters').ChunkFilters} [filters]
+ * @returns {{ id: string, document: string, metadata: Object, score: number }[]}
+ */
+function searchChunks(collection, query, limit, filters = {}) {
+  const match = toMatchQuery(query);
+  if (!match) return [];
+
+  const { conditions, params } = toSqlConditions(filters);
+  const where = ['chunks_fts MATCH @match', 'chunks.collection = @collection', ...conditions].join(' AND ');
+
+  // bm25() is lower-is-better; flip it so a larger score is a better match
+  const rows = getDb().prepare(`
+    SELECT chunks.id, chunks.document, chunks.metadata, -bm25(chunks_fts) AS score
+    FROM chunks_fts
+    JOIN chunks ON chunks.rowid = chunks_fts.rowid
+    WHERE ${where}
+    ORDER BY bm25(chunks_fts)
+    LIMIT @limit
+  `).all({ ...params, match, collection, limit });
+
+  return rows.map(row => ({ ...row, metadata: JSON.parse(row.metadata) }));
+}
+
+module.exports = {
+  toMatchQuery,
+  indexChunks,
+  removeChunks,
+  getChunk,
+  clearIndex,
+  countChunks,
+  searchChunks,
+};
@@ -0,0 +1,121 @@
+// lib/loaders/html.js
+// Saved catalog web pages. Block elements become lines, headings are marked
+// for the chunkers, table rows keep their cells apart with " | ", and every
+// element id (or <a name>) is recorded as an anchor at its text offset.
+const fs = require('fs');
+const { parse, NodeType } = require('node-html-parser');
+const { headingLine } = require('../chunkers/text');
+
+// Page furniture that is never bulletin content
+const SKIPPED = new Set(['script', 'style', 'noscript', 'template', 'svg', 'nav', 'header', 'footer', 'form', 'button']);
+const BLOCKS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'thead', 'tfoot', 'ul',
+]);
+const HEADING = /^h([1-6])$/;
+const COURSE_LINE = /^[A-Z]{2,4}\s+\d/;
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+class TextBuilder {
+  constructor() {
+    this.text = '';
+    this.anchors = [];
+    this.line = '';
+  }
+
+  get offset() {
+    return this.text.length + this.line.length;
+  }
+
+  write(text) {
+    const words = text.replace(/\s+/g, ' ');
+    if (words.trim() === '') {
+      if (this.line && !this.line.endsWith(' ')) this.line += ' ';
+      return;
+    }
+    this.line += this.line === '' || this.line.endsWith(' ') ? words.trimStart() : words;
+  }
+
+  // End the current line; `blank` leaves an empty line after it
+  breakLine(blank = false) {
+    const line = this.line.trim();
+    this.line = '';
+    if (line) this.text += `${line}\n`;
+    if (blank && this.text && !this.text.endsWith('\n\n')) this.text += '\n';
+  }
+
+  anchor(id) {
+    if (id && !this.anchors.some(anchor => anchor.id === id)) {
+      this.anchors.push({ id, start: this.offset });
+    }
+  }
+}
+
+function walk(node, out) {
+  if (node.nodeType === NodeType.TEXT_NODE) {
+    out.write(node.text);
+    return;
+  }
+  if (node.nodeType !== NodeType.ELEMENT_NODE) return;
+
+  const tag = (node.rawTagName || '').toLowerCase();
+  if (SKIPPED.has(tag)) return;
+  out.anchor(node.getAttribute('id') || (tag === 'a' ? node.getAttribute('name') : null));
+
+  const heading = tag.match(HEADING);
+  if (heading) {
+    const title = collapse(node.text);
+    if (!title) return;
+    out.breakLine(true);
+    // A course entry written as a heading stays a plain line for the course chunker
+    out.write(COURSE_LINE.test(title) ? title : headingLine(title, Number(heading[1])));
+    out.breakLine(!COURSE_LINE.test(title));
+    return;
+  }
+
+  if (tag === 'br') {
+    out.breakLine();
+    return;
+  }
+  if (tag === 'tr') {
+    out.breakLine();
+    const cells = node.childNodes
+      .filter(child => child.nodeType === NodeType.ELEMENT_NODE && ['td', 'th'].includes(child.rawTagName.toLowerCase()))
+      .map(cell => collapse(cell.text));
+    out.write(cells.join(' | '));
+    out.breakLine();
+    return;
+  }
+
+  const block = BLOCKS.has(tag);
+  if (block) out.breakLine(tag === 'p' || tag === 'table');
+  if (tag === 'li') out.write('- ');
+  for (const child of node.childNodes) walk(child, out);
+  if (block) out.breakLine(tag === 'p' || tag === 'table');
+}
+
+async function load(filePath) {
+  const root = parse(fs.readFileSync(filePath, 'utf-8'), { comment: false });
+  const title = root.querySelector('title');
+  // Prefer the page's main content over its site chrome
+  const content = root.querySelector('main') || root.querySelector('[role=main]') || root.querySelector('body') || root;
+
+  const out = new TextBuilder();
+  walk(content, out);
+  out.breakLine();
+
+  return {
+    text: out.text.trimEnd(),
+    title: title ? collapse(title.text) || null : null,
+    pages: [],
+    anchors: out.anchors,
+  };
+}
+
+module.exports = {
+  extensions: ['.html', '.htm'],
+  load,
+};
@@ -0,0 +1,90 @@
+// lib/loaders/index.js
+// Bulletin file loaders, chosen by extension. A loader turns a file into the
+// plain text the chunkers split, plus where each page and anchor begins in
+// that text, so every chunk can be traced back to "p. 213" or "#csen-146".
+const path = require('path');
+
+/**
+ * @typedef {Object} LoadedDocument
+ * @property {string} text - text for the chunkers; headings the source marks
+ *   explicitly are written as "## Title" lines
+ * @property {string | null} title - document title (PDF info, HTML <title>)
+ * @property {{ number: number, start: number }[]} pages - page starts, in order
+ * @property {{ id: string, start: number }[]} anchors - anchor starts, in order
+ */
+
+/**
+ * @typedef {Object} Loader
+ * @property {string[]} extensions - lower-case, with the dot
+ * @property {(filePath: string) => Promise<LoadedDocument>} load
+ */
+
+/** @type {Loader[]} */
+const LOADERS = [require('./plain'), require('./pdf'), require('./html')];
+
+// Bump when a loader's output changes, so loaded files are re-chunked
+const LOADER_VERSION = 1;
+
+const SUPPORTED_EXTENSIONS = LOADERS.flatMap(loader => loader.extensions);
+
+function loaderFor(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  return LOADERS.find(loader => loader.extensions.includes(extension)) || null;
+}
+
+function isSupported(filePath) {
+  return loaderFor(filePath) !== null;
+}
+
+/**
+ * Load a bulletin file
+ * @param {string} filePath
+ * @returns {Promise<LoadedDocument>}
+ */
+async function loadDocument(filePath) {
+  const loader = loaderFor(filePath);
+  if (!loader) {
+    throw new Error(`No loader for ${path.basename(filePath)} (supported: ${SUPPORTED_EXTENSIONS.join(', ')})`);
+  }
+  return loader.load(filePath);
+}
+
+// Last entry starting at or before the offset
+function lastBefore(entries, offset) {
+  let found = null;
+  for (const entry of entries) {
+    if (entry.start > offset) break;
+    found = entry;
+  }
+  return found;
+}
+
+/**
+ * Metadata locating a span of loaded text in its source: `page` (and
+ * `page_end` when the span crosses pages) and `anchor`. Plain-text files
+ * have neither, so the result is empty.
+ * @param {LoadedDocument} document
+ * @param {number} start
+ * @param {number} end
+ * @returns {{ page?: number, page_end?: number, anchor?: string }}
+ */
+function locate(document, start, end) {
+  const location = {};
+  const first = lastBefore(document.pages, start);
+  if (first) {
+    location.page = first.number;
+    const last = lastBefore(document.pages, Math.max(start, end - 1));
+    if (last && last.number !== first.number) location.page_end = last.number;
+  }
+  const anchor = lastBefore(document.anchors, start);
+  if (anchor) location.anchor = anchor.id;
+  return location;
+}
+
+module.exports = {
+  LOADER_VERSION,
+  SUPPORTED_EXTENSIONS,
+  isSupported,
+  loadDocument,
+  locate,
+};
@@ -0,0 +1,141 @@
+// lib/loaders/pdf.js
+// PDF bulletins through pdfjs-dist. Text items are regrouped into lines by
+// their position on the page; wide horizontal gaps become " | " so table
+// columns stay apart, and lines set noticeably larger than the body text are
+// marked as headings. Each page's starting offset is recorded for citations.
+const fs = require('fs');
+const { headingLine } = require('../chunkers/text');
+
+// Relative to the font size of the line
+const SAME_LINE = 0.5;
+const WORD_GAP = 0.15;
+const COLUMN_GAP = 2;
+const PARAGRAPH_GAP = 1.5;
+// Relative to the most common (body) font size in the document
+const HEADING_SIZE = 1.15;
+const TITLE_SIZE = 1.5;
+const MAX_HEADING_CHARS = 120;
+
+/**
+ * @typedef {Object} PdfLine
+ * @property {string} text
+ * @property {number} y - baseline, from the bottom of the page
+ * @property {number} size - largest font size on the line
+ */
+
+function toItem(item) {
+  const [, , c, d, x, y] = item.transform;
+  return { str: item.str, x, y, width: item.width, size: Math.hypot(c, d) || item.height || 1 };
+}
+
+/**
+ * Group a page's text items into lines, top to bottom
+ * @returns {PdfLine[]}
+ */
+function toLines(items) {
+  const sorted = items
+    .filter(item => item.str.trim() !== '')
+    .map(toItem)
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const rows = [];
+  for (const item of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= row.size * SAME_LINE) {
+      row.items.push(item);
+      row.size = Math.max(row.size, item.size);
+    } else {
+      rows.push({ y: item.y, size: item.size, items: [item] });
+    }
+  }
+
+  return rows.map(row => {
+    const items = row.items.sort((a, b) => a.x - b.x);
+    let text = '';
+    items.forEach((item, index) => {
+      if (index > 0) {
+        const previous = items[index - 1];
+        const gap = item.x - (previous.x + previous.width);
+        if (gap > row.size * COLUMN_GAP) text += ' | ';
+        else if (gap > row.size * WORD_GAP && !text.endsWith(' ') && !item.str.startsWith(' ')) text += ' ';
+      }
+      text += item.str;
+    });
+    return { text: text.replace(/\s+/g, ' ').trim(), y: row.y, size: row.size };
+  });
+}
+
+// Font size covering the most characters, i.e. the body text
+function bodySize(pages) {
+  const characters = new Map();
+  for (const lines of pages) {
+    for (const line of lines) {
+      const size = Math.round(line.size * 2) / 2;
+      characters.set(size, (characters.get(size) || 0) + line.text.length);
+    }
+  }
+  let best = 0;
+  let bestCount = -1;
+  for (const [size, count] of characters) {
+    if (count > bestCount) {
+      best = size;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+function isHeadingLine(line, body) {
+  return body > 0
+    && line.size >= body * HEADING_SIZE
+    && line.text.length <= MAX_HEADING_CHARS
+    && !/[.;,]$/.test(line.text);
+}
+
+async function load(filePath) {
+  // ESM-only package; the legacy build runs in Node without a DOM
+  const pdfjs = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  const document = await pdfjs.getDocument({
+    data: new Uint8Array(fs.readFileSync(filePath)),
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let number = 1; number <= document.numPages; number++) {
+      const page = await document.getPage(number);
+      const content = await page.getTextContent();
+      pages.push(toLines(content.items));
+      page.cleanup();
+    }
+
+    const body = bodySize(pages);
+    let text = '';
+    const pageStarts = [];
+    pages.forEach((lines, index) => {
+      if (text) text += '\n\n';
+      pageStarts.push({ number: index + 1, start: text.length });
+      lines.forEach((line, lineIndex) => {
+        const previous = lines[lineIndex - 1];
+        const heading = isHeadingLine(line, body);
+        if (previous && (heading || isHeadingLine(previous, body) || previous.y - line.y > previous.size * (1 + PARAGRAPH_GAP))) {
+          text += '\n';
+        }
+        text += `${heading ? headingLine(line.text, line.size >= body * TITLE_SIZE ? 1 : 2) : line.text}\n`;
+      });
+    });
+
+    const { info } = await document.getMetadata().catch(() => ({ info: {} }));
+    const title = info && typeof info.Title === 'string' && info.Title.trim() ? info.Title.trim() : null;
+    return { text: text.trimEnd(), title, pages: pageStarts, anchors: [] };
+  } finally {
+    await document.destroy();
+  }
+}
+
+module.exports = {
+  extensions: ['.pdf'],
+  load,
+};
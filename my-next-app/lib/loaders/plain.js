@@ -0,0 +1,8 @@
+// lib/loaders/plain.js
+// Plain-text bulletin files, used as they are
+const fs = require('fs');
+
+module.exports = {
+  extensions: ['.txt'],
+  load: async (filePath) => ({ text: fs.readFileSync(filePath, 'utf-8'), title: null, pages: [], anchors: [] }),
+};
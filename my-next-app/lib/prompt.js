@@ -0,0 +1,80 @@
+// lib/prompt.js
+// Prompt templates for the SCU advisor
+const { sourceLabel } = require('./citations');
+
+// Label each chunk with the marker the model should cite it by
+function formatContext(chunks) {
+  return chunks
+    .map((chunk, index) => {
+      const source = sourceLabel(chunk.metadata || {}) || 'unknown';
+      return `[${index + 1}] (id: ${chunk.id}, source: ${source})\n${chunk.document}`;
+    })
+    .join('\n\n');
+}
+
+// Earlier turns of the conversation, if any
+function formatHistory(history) {
+  if (!history || (!history.summary && !history.transcript)) {
+    return '';
+  }
+
+  const parts = [];
+  if (history.summary) parts.push(`Summary of earlier conversation: ${history.summary}`);
+  if (history.transcript) parts.push(history.transcript);
+  return `Conversation so far:\n${parts.join('\n')}\n`;
+}
+
+// Requirements differ between editions, so the answer should say which one it used
+function formatEdition(catalogYear) {
+  return catalogYear
+    ? `The passages are from the ${catalogYear} catalog. Say so when answering about requirements, since other catalog years may differ.\n`
+    : '';
+}
+
+const STATUS_TEXT = {
+  completed: 'completed',
+  'in-progress': 'taking now',
+  eligible: 'may take it now',
+  'missing-prerequisites': 'not yet eligible',
+  unknown: 'prerequisites unknown',
+};
+
+// The student asking, from lib/students/context.js; course statuses are
+// worked out from the transcript so the model does not have to
+function formatStudent(student) {
+  if (!student) return '';
+
+  const courseList = courses => courses.map(({ code, grade }) => (grade ? `${code} (${grade})` : code)).join(', ') || 'none';
+  const lines = ['The student asking:'];
+  if (student.major) lines.push(`Major: ${student.major}`);
+  if (student.minor) lines.push(`Minor: ${student.minor}`);
+  if (student.catalogYear) lines.push(`Follows the ${student.catalogYear} catalog`);
+  lines.push(`Completed: ${courseList(student.completed)}`);
+  if (student.inProgress.length > 0) lines.push(`Taking now: ${student.inProgress.join(', ')}`);
+  if (student.notPassed.length > 0) lines.push(`Attempted without passing: ${courseList(student.notPassed)}`);
+  if (student.courses.length > 0) {
+    const statuses = student.courses.map(({ code, status, missing }) =>
+      `${code} - ${STATUS_TEXT[status]}${missing ? `, needs ${missing}` : ''}`);
+    lines.push(`Courses in the passages: ${statuses.join('; ')}`);
+  }
+  return `${lines.join('\n')}
+When you mention a course, say whether the student has completed it or may take it now.
+`;
+}
+
+// Build the grounded RAG prompt from retrieved chunks, optional history, the
+// catalog year the chunks come from and the student's profile
+function buildAdvisorPrompt(query, chunks, history, catalogYear = null, student = null) {
+  return `You are an academic advisor for SCU (Santa Clara University).
+Use only the following numbered passages from the university bulletin to answer the question.
+${formatEdition(catalogYear)}After each claim, cite the passage it comes from with its number in square brackets, like [2].
+If the passages do not contain the answer, say that it is not in the bulletin.
+Context:
+${formatContext(chunks)}
+${formatStudent(student)}${formatHistory(history)}Question: ${query}
+Answer:`;
+}
+
+module.exports = {
+  buildAdvisorPrompt,
+};
@@ -0,0 +1,93 @@
+// lib/providers/fake.js
+// Deterministic stand-ins for tests and offline development. Nothing is
+// downloaded or called, and the same input always gives the same output.
+//   embeddings - hashed bag of words, so texts sharing words land close together
+//   generation - answers from the first numbered passage in the prompt, cited
+//                as [1]; says it is not in the bulletin when that passage
+//                shares no words with the question, and echoes the question
+//                when there are no passages
+
+/**
+ * @typedef {Object} FakeSettings
+ * @property {number} dimensions - length of the embedding vectors
+ */
+
+// 32-bit FNV-1a
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+}
+
+/**
+ * @param {FakeSettings} settings
+ * @returns {import('./index').EmbeddingProvider}
+ */
+function createEmbeddingProvider(settings) {
+  const { dimensions } = settings;
+  return {
+    name: 'fake',
+    model: `hashed-words-${dimensions}`,
+    id: `fake:${dimensions}`,
+    location: 'local',
+    ping: async () => {},
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+      for (const word of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+        vector[hash(word) % dimensions] += 1;
+      }
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return norm > 0 ? vector.map(value => value / norm) : vector;
+    },
+  };
+}
+
+// "[1] (id: ..., source: ...)" followed by the passage, as lib/prompt.js writes them
+const FIRST_PASSAGE = /^\[1\] \(id: [^\n]*\)\n([^\n]+)/m;
+const QUESTION = /(?:^|\n)(?:Latest question|Question): ([^\n]+)/;
+
+// Words of four letters or more, enough to tell an unrelated passage apart
+function longWords(text) {
+  return new Set((text.toLowerCase().match(/[a-z0-9]+/g) || []).filter(word => word.length > 3));
+}
+
+function fakeAnswer(prompt) {
+  const passage = prompt.match(FIRST_PASSAGE);
+  const question = prompt.match(QUESTION);
+  if (passage) {
+    const passageWords = longWords(passage[1]);
+    if (question && ![...longWords(question[1])].some(word => passageWords.has(word))) {
+      return 'That is not in the bulletin.';
+    }
+    const sentence = passage[1].match(/^.*?[.!?](?=\s|$)/);
+    return `${(sentence ? sentence[0] : passage[1]).trim()} [1]`;
+  }
+  return question ? question[1].trim() : 'Fake response.';
+}
+
+/**
+ * @returns {import('./index').GenerationProvider}
+ */
+function createGenerationProvider() {
+  return {
+    name: 'fake',
+    model: 'first-passage',
+    location: 'local',
+    ping: async () => {},
+    generate: async prompt => fakeAnswer(prompt),
+    async* stream(prompt) {
+      // Word by word, keeping the spaces, so clients see several tokens
+      for (const token of fakeAnswer(prompt).match(/\S+\s*/g) || []) {
+        yield token;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createGenerationProvider,
+};
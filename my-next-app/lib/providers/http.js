@@ -0,0 +1,143 @@
+// lib/providers/http.js
+// HTTP plumbing shared by the remote providers: a timeout on every attempt and
+// retries with exponential backoff for failures that may pass on their own
+// (connection errors, timeouts, 429 and 5xx responses).
+
+// Wait before retry n (0-based): 500 ms, 1 s, 2 s, ...
+const BACKOFF_MS = 500;
+
+// A provider answered with an error status, or not at all in time
+class ProviderError extends Error {
+  /**
+   * @param {string} message
+   * @param {number | null} status - HTTP status, null for a timeout
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+// The provider is up but does not have the configured model
+class ModelUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ModelUnavailableError';
+  }
+}
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} label - names the request in errors, e.g. "Ollama embeddings"
+ * @property {number} timeoutMs - per attempt; for streams, until the response starts
+ * @property {number} retries - further attempts after the first
+ * @property {Record<string, string>} [headers]
+ */
+
+function retryable(error) {
+  if (!(error instanceof ProviderError)) return true;
+  return error.status === null || error.status === 429 || error.status >= 500;
+}
+
+async function attempt(url, init, { label, timeoutMs, headers }, read) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const text = (await response.text().catch(() => '')).slice(0, 500);
+      throw new ProviderError(`${label} failed with status ${response.status}${text ? `: ${text}` : ''}`, response.status);
+    }
+    return await read(response);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw new ProviderError(`${label} did not answer within ${timeoutMs} ms`, null);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function request(url, init, options, read) {
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt(url, init, options, read);
+    } catch (error) {
+      if (retry >= options.retries || !retryable(error)) throw error;
+      await new Promise(resolve => setTimeout(resolve, BACKOFF_MS * 2 ** retry));
+    }
+  }
+}
+
+/**
+ * GET a JSON document
+ * @param {string} url
+ * @param {RequestOptions} options
+ */
+function getJson(url, options) {
+  return request(url, { method: 'GET' }, options, response => response.json());
+}
+
+/**
+ * POST a JSON body and parse the JSON answer
+ * @param {string} url
+ * @param {Object} body
+ * @param {RequestOptions} options
+ */
+function postJson(url, body, options) {
+  return request(url, { method: 'POST', body: JSON.stringify(body) }, options, response => response.json());
+}
+
+/**
+ * POST a form-encoded body, as OAuth token endpoints expect, and parse the JSON answer
+ * @param {string} url
+ * @param {Record<string, string>} form
+ * @param {RequestOptions} options
+ */
+function postForm(url, form, options) {
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', ...options.headers };
+  return request(url, { method: 'POST', body: new URLSearchParams(form).toString() }, { ...options, headers }, response => response.json());
+}
+
+/**
+ * POST a JSON body and yield the answer line by line as it arrives. Only
+ * starting the stream is retried; tokens already yielded cannot be taken back.
+ * @param {string} url
+ * @param {Object} body
+ * @param {RequestOptions} options
+ * @returns {AsyncGenerator<string>}
+ */
+async function* postLines(url, body, options) {
+  const response = await request(url, { method: 'POST', body: JSON.stringify(body) }, options, response => response);
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffered += decoder.decode(value, { stream: true });
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield line;
+    }
+  }
+  if (buffered.trim()) yield buffered;
+}
+
+module.exports = {
+  ModelUnavailableError,
+  ProviderError,
+  getJson,
+  postJson,
+  postForm,
+  postLines,
+};
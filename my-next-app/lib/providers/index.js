@@ -0,0 +1,120 @@
+// lib/providers/index.js
+// Model providers. Embedding and generation each go through a provider chosen
+// in configuration (providers.embedding, providers.generation), with model
+// names, timeouts and retries set in that provider's own section:
+//   ollama - an Ollama server at ollama.url
+//   openai - an OpenAI-compatible HTTP API at openai.url
+//   xenova - embeddings only, computed in-process with @xenova/transformers
+//   fake   - deterministic and offline; for tests
+const path = require('path');
+const { config } = require('../config');
+const { ModelUnavailableError, ProviderError } = require('./http');
+
+/**
+ * @typedef {Object} EmbeddingProvider
+ * @property {string} name
+ * @property {string} model
+ * @property {string} id - provider and model; stored chunks embedded under
+ *   another id are re-embedded by the indexer
+ * @property {string} location - server URL or "local", for messages
+ * @property {() => Promise<void>} ping - rejects when the provider or model is unavailable
+ * @property {(text: string) => Promise<number[]>} embed
+ */
+
+/**
+ * @typedef {Object} GenerationProvider
+ * @property {string} name
+ * @property {string} model
+ * @property {string} location
+ * @property {() => Promise<void>} ping
+ * @property {(prompt: string) => Promise<string>} generate - the complete answer
+ * @property {(prompt: string) => AsyncIterable<string>} stream - answer tokens as they are produced
+ */
+
+let embeddingProvider = null;
+let generationProvider = null;
+
+/**
+ * The configured embedding provider, created on first use
+ * @returns {EmbeddingProvider}
+ */
+function getEmbeddingProvider() {
+  if (!embeddingProvider) {
+    switch (config.providers.embedding) {
+      case 'ollama':
+        embeddingProvider = require('./ollama').createEmbeddingProvider(config.ollama);
+        break;
+      case 'openai':
+        embeddingProvider = require('./openai').createEmbeddingProvider(config.openai);
+        break;
+      case 'xenova':
+        embeddingProvider = require('./xenova').createEmbeddingProvider({
+          embedModel: config.xenova.embedModel,
+          cacheDir: path.join(config.storage.dataDir, 'models'),
+        });
+        break;
+      case 'fake':
+        embeddingProvider = require('./fake').createEmbeddingProvider(config.fake);
+        break;
+      default:
+        throw new Error(`Unknown embedding provider "${config.providers.embedding}"`);
+    }
+  }
+  return embeddingProvider;
+}
+
+/**
+ * The configured generation provider, created on first use
+ * @returns {GenerationProvider}
+ */
+function getGenerationProvider() {
+  if (!generationProvider) {
+    switch (config.providers.generation) {
+      case 'ollama':
+        generationProvider = require('./ollama').createGenerationProvider(config.ollama);
+        break;
+      case 'openai':
+        generationProvider = require('./openai').createGenerationProvider(config.openai);
+        break;
+      case 'fake':
+        generationProvider = require('./fake').createGenerationProvider();
+        break;
+      default:
+        throw new Error(`Unknown generation provider "${config.providers.generation}"`);
+    }
+  }
+  return generationProvider;
+}
+
+/**
+ * Generate a complete answer in one response
+ * @param {string} prompt
+ */
+function generate(prompt) {
+  return getGenerationProvider().generate(prompt);
+}
+
+/**
+ * Yield answer tokens as the provider produces them
+ * @param {string} prompt
+ */
+function streamGenerate(prompt) {
+  return getGenerationProvider().stream(prompt);
+}
+
+// "ollama at http://localhost:11434" for connection error messages
+function describeProviders() {
+  const described = [getEmbeddingProvider(), getGenerationProvider()]
+    .map(provider => (provider.location === 'local' ? `${provider.name} (local)` : `${provider.name} at ${provider.location}`));
+  return Array.from(new Set(described)).join(' and ');
+}
+
+module.exports = {
+  ModelUnavailableError,
+  ProviderError,
+  getEmbeddingProvider,
+  getGenerationProvider,
+  generate,
+  streamGenerate,
+  describeProviders,
+};
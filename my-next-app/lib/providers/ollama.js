@@ -0,0 +1,91 @@
+// lib/providers/ollama.js
+// Embeddings and generation through an Ollama server
+const { ModelUnavailableError, getJson, postJson, postLines } = require('./http');
+
+/**
+ * @typedef {Object} OllamaSettings
+ * @property {string} url
+ * @property {string} embedModel
+ * @property {string} generateModel
+ * @property {number} timeoutMs
+ * @property {number} retries
+ */
+
+function requestOptions(settings, label) {
+  return { label, timeoutMs: settings.timeoutMs, retries: settings.retries };
+}
+
+// Ollama lists models with their tag; "llama3.2" means "llama3.2:latest"
+function hasModel(models, name) {
+  const wanted = name.includes(':') ? name : `${name}:latest`;
+  return models.some(model => model.name === wanted || model.name === name);
+}
+
+// Rejects unless the server is up and has pulled the model
+async function pingModel(settings, model) {
+  const { models = [] } = await getJson(`${settings.url}/api/tags`, requestOptions(settings, 'Ollama model list'));
+  if (!hasModel(models, model)) {
+    throw new ModelUnavailableError(`${model} is not pulled; run "ollama pull ${model}"`);
+  }
+}
+
+/**
+ * @param {OllamaSettings} settings
+ * @returns {import('./index').EmbeddingProvider}
+ */
+function createEmbeddingProvider(settings) {
+  const model = settings.embedModel;
+  return {
+    name: 'ollama',
+    model,
+    // Just the model, as manifests recorded before providers were configurable
+    id: model,
+    location: settings.url,
+    ping: () => pingModel(settings, model),
+    async embed(text) {
+      const { embedding } = await postJson(`${settings.url}/api/embeddings`, { model, prompt: text },
+        requestOptions(settings, `Ollama embeddings (${model})`));
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error(`Embedding model ${model} returned no vector`);
+      }
+      return embedding;
+    },
+  };
+}
+
+/**
+ * @param {OllamaSettings} settings
+ * @returns {import('./index').GenerationProvider}
+ */
+function createGenerationProvider(settings) {
+  const model = settings.generateModel;
+  const options = requestOptions(settings, `Ollama generate (${model})`);
+  return {
+    name: 'ollama',
+    model,
+    location: settings.url,
+    ping: () => pingModel(settings, model),
+    async generate(prompt) {
+      const data = await postJson(`${settings.url}/api/generate`, { model, prompt, stream: false }, options);
+      return data.response;
+    },
+    // Ollama streams one JSON object per line, each carrying the next piece of the response
+    async* stream(prompt) {
+      for await (const line of postLines(`${settings.url}/api/generate`, { model, prompt, stream: true }, options)) {
+        const data = JSON.parse(line);
+        if (data.error) {
+          throw new Error(`Ollama generate failed: ${data.error}`);
+        }
+        if (data.response) {
+          yield data.response;
+        }
+        if (data.done) return;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createGenerationProvider,
+};
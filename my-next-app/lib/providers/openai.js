@@ -0,0 +1,95 @@
+// lib/providers/openai.js
+// Embeddings and chat completions through an OpenAI-compatible HTTP API: the
+// OpenAI API itself, or a local server such as vLLM or llama.cpp that speaks it
+const { ModelUnavailableError, getJson, postJson, postLines } = require('./http');
+
+/**
+ * @typedef {Object} OpenAISettings
+ * @property {string} url - base URL including the version, e.g. https://api.openai.com/v1
+ * @property {string | null} apiKey - sent as a bearer token; local servers often need none
+ * @property {string} embedModel
+ * @property {string} generateModel
+ * @property {number} timeoutMs
+ * @property {number} retries
+ */
+
+function requestOptions(settings, label) {
+  return {
+    label,
+    timeoutMs: settings.timeoutMs,
+    retries: settings.retries,
+    headers: settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {},
+  };
+}
+
+// Rejects unless the server answers and serves the model
+async function pingModel(settings, model) {
+  const { data = [] } = await getJson(`${settings.url}/models`, requestOptions(settings, 'OpenAI model list'));
+  if (!data.some(entry => entry.id === model)) {
+    throw new ModelUnavailableError(`${model} is not served by ${settings.url}`);
+  }
+}
+
+/**
+ * @param {OpenAISettings} settings
+ * @returns {import('./index').EmbeddingProvider}
+ */
+function createEmbeddingProvider(settings) {
+  const model = settings.embedModel;
+  return {
+    name: 'openai',
+    model,
+    id: `openai:${model}`,
+    location: settings.url,
+    ping: () => pingModel(settings, model),
+    async embed(text) {
+      const { data } = await postJson(`${settings.url}/embeddings`, { model, input: text },
+        requestOptions(settings, `OpenAI embeddings (${model})`));
+      const embedding = data && data[0] && data[0].embedding;
+      if (!Array.isArray(embedding) || embedding.length === 0) {
+        throw new Error(`Embedding model ${model} returned no vector`);
+      }
+      return embedding;
+    },
+  };
+}
+
+/**
+ * @param {OpenAISettings} settings
+ * @returns {import('./index').GenerationProvider}
+ */
+function createGenerationProvider(settings) {
+  const model = settings.generateModel;
+  const options = requestOptions(settings, `OpenAI chat completion (${model})`);
+  const body = (prompt, stream) => ({ model, messages: [{ role: 'user', content: prompt }], stream });
+
+  return {
+    name: 'openai',
+    model,
+    location: settings.url,
+    ping: () => pingModel(settings, model),
+    async generate(prompt) {
+      const { choices } = await postJson(`${settings.url}/chat/completions`, body(prompt, false), options);
+      return (choices && choices[0] && choices[0].message.content) || '';
+    },
+    // Server-sent events: "data: {json}" lines, ending with "data: [DONE]"
+    async* stream(prompt) {
+      for await (const line of postLines(`${settings.url}/chat/completions`, body(prompt, true), options)) {
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice('data:'.length).trim();
+        if (payload === '[DONE]') return;
+        const data = JSON.parse(payload);
+        if (data.error) {
+          throw new Error(`OpenAI chat completion failed: ${data.error.message || JSON.stringify(data.error)}`);
+        }
+        const token = data.choices && data.choices[0] && data.choices[0].delta && data.choices[0].delta.content;
+        if (token) yield token;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  createGenerationProvider,
+};
@@ -0,0 +1,52 @@
+// lib/providers/xenova.js
+// Embeddings computed in-process with @xenova/transformers (CPU, ONNX), so
+// indexing and search need no model server. Weights are downloaded from the
+// Hugging Face hub on first use into <dataDir>/models, like the reranker's.
+const path = require('path');
+
+/**
+ * @typedef {Object} XenovaSettings
+ * @property {string} embedModel - a feature-extraction model, e.g. Xenova/all-MiniLM-L6-v2
+ * @property {string} cacheDir
+ */
+
+/**
+ * @param {XenovaSettings} settings
+ * @returns {import('./index').EmbeddingProvider}
+ */
+function createEmbeddingProvider(settings) {
+  const model = settings.embedModel;
+  let loading = null;
+
+  // Shared by concurrent callers, and dropped if loading fails so it is retried
+  const load = () => {
+    if (!loading) {
+      loading = (async () => {
+        // ESM-only package
+        const { env, pipeline } = await import('@xenova/transformers');
+        env.cacheDir = path.resolve(settings.cacheDir);
+        return pipeline('feature-extraction', model);
+      })();
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  };
+
+  return {
+    name: 'xenova',
+    model,
+    id: `xenova:${model}`,
+    location: 'local',
+    ping: async () => { await load(); },
+    async embed(text) {
+      const extractor = await load();
+      // One normalized vector: the mean of the token embeddings
+      const output = await extractor(text, { pooling: 'mean', normalize: true });
+      return Array.from(output.data);
+    },
+  };
+}
+
+module.exports = {
+  createEmbeddingProvider,
+};
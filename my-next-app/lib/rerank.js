@@ -0,0 +1,149 @@
+// lib/rerank.js
+// Cross-encoder reranking: score each (query, chunk) pair with a local model
+// from @xenova/transformers (CPU, ONNX) and reorder the fused candidates.
+const path = require('path');
+const { config } = require('./config');
+
+// Pairs scored per forward pass; bounds memory on long candidate pools
+const BATCH_SIZE = 16;
+const MAX_POOL_SIZE = 200;
+// Models kept loaded at once; the least recently used one is dropped first
+const MAX_LOADED_MODELS = 2;
+
+/**
+ * @typedef {Object} RerankOptions
+ * @property {boolean} [skip] - return the fused order unchanged
+ * @property {number} [poolSize] - how many fused candidates to score
+ * @property {string} [model] - cross-encoder model id: rerank.model or one of rerank.models
+ */
+
+class RerankOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RerankOptionsError';
+  }
+}
+
+/**
+ * Validate per-request rerank options and fill in the configured defaults
+ * @param {any} input
+ * @returns {{ skip: boolean, poolSize: number, model: string }}
+ */
+function parseRerankOptions(input) {
+  const options = {
+    skip: !config.rerank.enabled,
+    poolSize: config.rerank.poolSize,
+    model: config.rerank.model,
+  };
+  if (input === undefined || input === null) return options;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new RerankOptionsError('rerank must be an object');
+  }
+
+  const { skip, poolSize, model, ...unknown } = input;
+  if (Object.keys(unknown).length > 0) {
+    throw new RerankOptionsError(`Unknown rerank option "${Object.keys(unknown)[0]}"`);
+  }
+  if (skip !== undefined) {
+    if (typeof skip !== 'boolean') throw new RerankOptionsError('rerank.skip must be true or false');
+    options.skip = skip;
+  }
+  if (poolSize !== undefined) {
+    if (!(Number.isInteger(poolSize) && poolSize > 0 && poolSize <= MAX_POOL_SIZE)) {
+      throw new RerankOptionsError(`rerank.poolSize must be an integer from 1 to ${MAX_POOL_SIZE}`);
+    }
+    options.poolSize = poolSize;
+  }
+  if (model !== undefined) {
+    // Only configured models, as loading one downloads it and keeps it in memory
+    const allowed = [config.rerank.model, ...config.rerank.models];
+    if (!allowed.includes(model)) {
+      throw new RerankOptionsError(`rerank.model must be one of ${allowed.join(', ')}`);
+    }
+    options.model = model;
+  }
+  return options;
+}
+
+// Loaded models by id, least recently used first. Loading downloads the
+// weights on first use, so the promise is shared by concurrent requests and
+// dropped if it fails. A model dropped to make room is freed once the
+// requests still scoring with it finish.
+const crossEncoders = new Map();
+
+function loadCrossEncoder(modelId) {
+  if (crossEncoders.has(modelId)) {
+    const loading = crossEncoders.get(modelId);
+    crossEncoders.delete(modelId);
+    crossEncoders.set(modelId, loading);
+  } else {
+    const loading = (async () => {
+      // ESM-only package
+      const { AutoModelForSequenceClassification, AutoTokenizer, env } = await import('@xenova/transformers');
+      env.cacheDir = path.join(config.storage.dataDir, 'models');
+      const [tokenizer, model] = await Promise.all([
+        AutoTokenizer.from_pretrained(modelId),
+        AutoModelForSequenceClassification.from_pretrained(modelId),
+      ]);
+      return { tokenizer, model };
+    })();
+    loading.catch(() => {
+      if (crossEncoders.get(modelId) === loading) crossEncoders.delete(modelId);
+    });
+    crossEncoders.set(modelId, loading);
+    if (crossEncoders.size > MAX_LOADED_MODELS) {
+      crossEncoders.delete(crossEncoders.keys().next().value);
+    }
+  }
+  return crossEncoders.get(modelId);
+}
+
+/**
+ * Relevance score for each document against the query, higher is better
+ * @param {string} query
+ * @param {string[]} documents
+ * @param {string} modelId
+ * @returns {Promise<number[]>}
+ */
+async function scorePairs(query, documents, modelId) {
+  const { tokenizer, model } = await loadCrossEncoder(modelId);
+  const scores = [];
+
+  for (let start = 0; start < documents.length; start += BATCH_SIZE) {
+    const batch = documents.slice(start, start + BATCH_SIZE);
+    const inputs = tokenizer(batch.map(() => query), {
+      text_pair: batch,
+      padding: true,
+      truncation: true,
+    });
+    const { logits } = await model(inputs);
+    // One relevance logit per pair, or [not relevant, relevant] for two-label models
+    const labels = logits.dims[1];
+    for (let row = 0; row < batch.length; row++) {
+      scores.push(logits.data[row * labels + labels - 1]);
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Reorder hits by cross-encoder score. Each hit gains `rerankScore`.
+ * @template {{ document: string }} T
+ * @param {string} query
+ * @param {T[]} hits
+ * @param {string} modelId
+ * @returns {Promise<(T & { rerankScore: number })[]>}
+ */
+async function rerank(query, hits, modelId) {
+  const scores = await scorePairs(query, hits.map(hit => hit.document), modelId);
+  return hits
+    .map((hit, index) => ({ ...hit, rerankScore: scores[index] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+}
+
+module.exports = {
+  RerankOptionsError,
+  parseRerankOptions,
+  rerank,
+};
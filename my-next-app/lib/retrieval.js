@@ -0,0 +1,174 @@
+// lib/retrieval.js
+// Retrieval step shared by search, answer generation and the Express server.
+// Runs embedding search and the BM25 keyword index side by side, fuses their
+// rankings with reciprocal rank fusion, then reranks with a cross-encoder.
+const { config } = require('./config');
+const { embedQuery } = require('./embeddings');
+const { facetCounts, matchesFilters, toChromaWhere } = require('./filters');
+const { searchChunks } = require('./lexical');
+const { parseRerankOptions, rerank } = require('./rerank');
+
+const DEFAULT_RESULTS = 5;
+
+/**
+ * @typedef {Object} RetrievalOptions
+ * @property {number} [nResults]
+ * @property {number} [lexicalWeight] - 0 = embeddings only, 1 = keyword index only
+ * @property {import('./filters').ChunkFilters} [filters]
+ * @property {{ skip: boolean, poolSize: number, model: string }} [rerank] - from parseRerankOptions
+ */
+
+/**
+ * @typedef {Object} RetrievedChunk
+ * @property {string} id
+ * @property {string} document
+ * @property {Object} metadata
+ * @property {number | null} distance - embedding distance, null for keyword-only hits
+ * @property {number} score - fused score, higher is better
+ * @property {('vector' | 'lexical')[]} retrievers - which retrievers returned the chunk
+ * @property {{ vector?: number, lexical?: number }} ranks - 1-based rank in each
+ * @property {number} [rerankScore] - cross-encoder score, when reranked
+ */
+
+// A per-request lexicalWeight is optional, but must be a fraction when given
+function isValidWeight(value) {
+  return value === undefined || value === null || (typeof value === 'number' && value >= 0 && value <= 1);
+}
+
+async function vectorSearch(collection, query, limit, filters) {
+  const embedding = await embedQuery(query, collection);
+  const hits = await collection.query(embedding, { nResults: limit, where: toChromaWhere(filters) });
+  // The store applies what it can; this catches the rest (see toChromaWhere)
+  return hits.filter(hit => matchesFilters(hit.metadata, filters));
+}
+
+/**
+ * Reciprocal rank fusion: each list adds weight / (k + rank) to the score of
+ * every chunk it contains, so chunks ranked well by both retrievers rise.
+ * @param {Record<string, { id: string }[]>} rankings - retriever name -> hits, best first
+ * @param {Record<string, number>} weights
+ * @param {number} k
+ */
+function fuseRankings(rankings, weights, k) {
+  const fused = new Map();
+
+  for (const [retriever, hits] of Object.entries(rankings)) {
+    hits.forEach((hit, index) => {
+      const entry = fused.get(hit.id) || {
+        id: hit.id,
+        document: hit.document,
+        metadata: hit.metadata,
+        distance: null,
+        score: 0,
+        retrievers: [],
+        ranks: {},
+      };
+      entry.score += weights[retriever] / (k + index + 1);
+      entry.retrievers.push(retriever);
+      entry.ranks[retriever] = index + 1;
+      if (hit.distance !== undefined) entry.distance = hit.distance;
+      fused.set(hit.id, entry);
+    });
+  }
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Run both retrievers, fuse, then rerank the top of the fused list with the
+ * cross-encoder. Reports how long each stage took, in milliseconds.
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {string} query
+ * @param {RetrievalOptions} [options]
+ */
+async function retrieve(collection, query, options = {}) {
+  const started = performance.now();
+  const timings = {};
+  const timed = async (stage, run) => {
+    const start = performance.now();
+    try {
+      return await run();
+    } finally {
+      timings[stage] = Math.round(performance.now() - start);
+    }
+  };
+
+  const nResults = options.nResults || DEFAULT_RESULTS;
+  const lexicalWeight = options.lexicalWeight ?? config.retrieval.lexicalWeight;
+  const filters = options.filters || {};
+  const rerankOptions = options.rerank || parseRerankOptions(undefined);
+  const poolSize = rerankOptions.skip ? nResults : Math.max(rerankOptions.poolSize, nResults);
+  const candidates = Math.max(config.retrieval.candidates, poolSize);
+
+  // A retriever with no weight is skipped entirely, so a keyword-only search
+  // works without the embedding provider and an embeddings-only search without the index
+  const [vector, lexical] = await Promise.all([
+    lexicalWeight < 1 ? timed('vector', () => vectorSearch(collection, query, candidates, filters)) : [],
+    lexicalWeight > 0 ? timed('lexical', () => searchChunks(collection.name, query, candidates, filters)) : [],
+  ]);
+
+  const fused = await timed('fusion', () => fuseRankings(
+    { vector, lexical },
+    { vector: 1 - lexicalWeight, lexical: lexicalWeight },
+    config.retrieval.rrfK
+  ));
+
+  const rerankReport = { applied: false, model: rerankOptions.model, poolSize, error: null };
+  let ranked = fused;
+  if (!rerankOptions.skip && fused.length > 1) {
+    try {
+      const pool = await timed('rerank', () => rerank(query, fused.slice(0, poolSize), rerankOptions.model));
+      ranked = [...pool, ...fused.slice(poolSize)];
+      rerankReport.applied = true;
+    } catch (error) {
+      // The fused order is still a usable ranking
+      console.error('Reranking failed, using the fused order:', error.message);
+      rerankReport.error = error.message.trim().split('\n')[0];
+    }
+  }
+
+  timings.total = Math.round(performance.now() - started);
+  return {
+    results: ranked.slice(0, nResults),
+    candidates: fused,
+    timings,
+    rerank: rerankReport,
+  };
+}
+
+/**
+ * Return the best bulletin chunks for a query
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {string} query
+ * @param {RetrievalOptions} [options]
+ * @returns {Promise<RetrievedChunk[]>}
+ */
+async function retrieveChunks(collection, query, options = {}) {
+  return (await retrieve(collection, query, options)).results;
+}
+
+/**
+ * The best chunks plus facet counts over every candidate that matched the
+ * query and filters, so the counts show what narrowing further would leave
+ * @param {import('./vectorstore').VectorStore} collection
+ * @param {string} query
+ * @param {RetrievalOptions} [options]
+ */
+async function searchWithFacets(collection, query, options = {}) {
+  const { results, candidates, timings, rerank: rerankReport } = await retrieve(collection, query, options);
+  return {
+    results,
+    facets: facetCounts(candidates),
+    matched: candidates.length,
+    timings,
+    rerank: rerankReport,
+  };
+}
+
+module.exports = {
+  isValidWeight,
+  fuseRankings,
+  retrieve,
+  retrieveChunks,
+  searchWithFacets,
+};
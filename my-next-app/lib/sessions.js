@@ -0,0 +1,163 @@
+// lib/sessions.js
+// File-backed store for advising conversations. Each session is one JSON file
+// under <dataDir>/sessions, so history survives server restarts. A
+// conversation is private to the account that started it (and admins);
+// functions taking a `user` enforce that, scripts pass none.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canWrite } = require('./auth/access');
+const { config } = require('./config');
+
+const SESSIONS_DIR = path.join(config.storage.dataDir, 'sessions');
+const SESSION_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+/**
+ * @typedef {Object} SessionMessage
+ * @property {'user' | 'assistant'} role
+ * @property {string} content
+ * @property {string} createdAt
+ * @property {string} [retrievalQuery] - standalone query used for retrieval (user turns)
+ * @property {Object[]} [sources] - retrieved chunks (assistant turns)
+ * @property {Object[]} [citations] - citations in the answer (assistant turns)
+ */
+
+/**
+ * @typedef {Object} Session
+ * @property {string} id
+ * @property {string} title
+ * @property {string | null} [ownerId] - the account that started it; absent for conversations made before accounts
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string} summary - rolling summary of turns no longer sent verbatim
+ * @property {number} summarizedThrough - number of leading messages folded into the summary
+ * @property {SessionMessage[]} messages
+ */
+
+class SessionNotFoundError extends Error {
+  constructor(id) {
+    super(`Session ${id} was not found`);
+    this.name = 'SessionNotFoundError';
+    this.id = id;
+  }
+}
+
+function sessionPath(id) {
+  // Ids end up in file paths, so never accept anything but our own format
+  if (!SESSION_ID_PATTERN.test(id)) {
+    throw new SessionNotFoundError(id);
+  }
+  return path.join(SESSIONS_DIR, `${id}.json`);
+}
+
+/**
+ * @param {import('./auth/users').User | null} [owner]
+ * @returns {Session}
+ */
+function createSession(owner = null) {
+  const now = new Date().toISOString();
+  const session = {
+    id: crypto.randomUUID(),
+    title: 'New conversation',
+    ownerId: owner ? owner.id : null,
+    createdAt: now,
+    updatedAt: now,
+    summary: '',
+    summarizedThrough: 0,
+    messages: [],
+  };
+  saveSession(session);
+  return session;
+}
+
+/**
+ * @param {string} id
+ * @param {import('./auth/users').User | null} [user] - other users' conversations are not found
+ * @returns {Session}
+ */
+function getSession(id, user = null) {
+  const filePath = sessionPath(id);
+  if (!fs.existsSync(filePath)) {
+    throw new SessionNotFoundError(id);
+  }
+  const session = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  if (user && !canWrite(user, session.ownerId || null)) {
+    throw new SessionNotFoundError(id);
+  }
+  return session;
+}
+
+/** @param {Session} session */
+function saveSession(session) {
+  fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+  session.updatedAt = new Date().toISOString();
+
+  // Write then rename so a crash never leaves a half-written session
+  const filePath = sessionPath(session.id);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(session, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * List sessions, most recently updated first, without their messages
+ * @param {import('./auth/users').User | null} [user] - only the conversations this user started
+ */
+function listSessions(user = null) {
+  if (!fs.existsSync(SESSIONS_DIR)) {
+    return [];
+  }
+
+  return fs.readdirSync(SESSIONS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(SESSIONS_DIR, file), 'utf-8')))
+    .filter(session => !user || session.ownerId === user.id)
+    .map(({ id, title, createdAt, updatedAt, messages }) => ({
+      id, title, createdAt, updatedAt, messageCount: messages.length,
+    }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * @param {string} id
+ * @param {import('./auth/users').User | null} [user]
+ */
+function deleteSession(id, user = null) {
+  getSession(id, user);
+  fs.unlinkSync(sessionPath(id));
+}
+
+/**
+ * Append messages to a session and persist it
+ * @param {Session} session
+ * @param {Omit<SessionMessage, 'createdAt'>[]} messages
+ */
+function appendMessages(session, messages) {
+  const createdAt = new Date().toISOString();
+  for (const message of messages) {
+    session.messages.push({ ...message, createdAt });
+  }
+
+  // Name the conversation after its first question
+  if (session.title === 'New conversation') {
+    const firstQuestion = session.messages.find(message => message.role === 'user');
+    if (firstQuestion) {
+      session.title = firstQuestion.content.length > 60
+        ? `${firstQuestion.content.substring(0, 57)}...`
+        : firstQuestion.content;
+    }
+  }
+
+  saveSession(session);
+  return session;
+}
+
+module.exports = {
+  SessionNotFoundError,
+  createSession,
+  getSession,
+  saveSession,
+  listSessions,
+  deleteSession,
+  appendMessages,
+};
@@ -0,0 +1,41 @@
+// lib/sse.ts
+// Minimal Server-Sent Events helpers for streaming routes and the browser
+
+export type StreamEvent = {
+  event: string;
+  data: any;
+};
+
+// Encode one event in the text/event-stream wire format
+export function encodeEvent(event: string, data: unknown): string {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Read events from a fetch() response body. Only the `event` and single-line
+// `data` fields are used, which is all encodeEvent ever writes.
+export async function* readEvents(body: ReadableStream<Uint8Array>): AsyncGenerator<StreamEvent> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffered += decoder.decode(value, { stream: true });
+    const messages = buffered.split('\n\n');
+    buffered = messages.pop() || '';
+
+    for (const message of messages) {
+      let event = 'message';
+      let data = '';
+      for (const line of message.split('\n')) {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data = line.slice(6);
+      }
+      if (data) {
+        yield { event, data: JSON.parse(data) };
+      }
+    }
+  }
+}
@@ -0,0 +1,125 @@
+// lib/students/context.js
+// Personalized search and answers: mark the courses a hit or passage is about
+// as completed, in progress or eligible for the student, and summarize the
+// profile for the advisor prompt
+const { extractCourseCodes, normalizeCourseCode } = require('../catalog/codes');
+const { checkEligibility } = require('../catalog/eligibility');
+const { getCourse } = require('../catalog/store');
+const { completedCourses } = require('../degree/audit');
+const { getProgram } = require('../degree/store');
+const { listEditions, resolveEdition } = require('../editions');
+
+/**
+ * @typedef {Object} CourseStatus
+ * @property {string} code
+ * @property {'completed' | 'in-progress' | 'eligible' | 'missing-prerequisites' | 'unknown'} status
+ *   unknown: the catalog has no entry, so its prerequisites cannot be checked
+ * @property {string | null} [grade] - completed courses
+ * @property {string | null} [missing] - prerequisites still needed, as text
+ */
+
+/**
+ * What the student has passed, is taking, and attempted without passing
+ * @param {import('./store').Profile} profile
+ */
+function studentStanding(profile) {
+  const completed = completedCourses(profile.courses, getCourse);
+  const inProgress = new Set(profile.courses.filter(course => course.grade === 'IP').map(course => course.code));
+  const notPassed = profile.courses.filter(course => course.grade !== 'IP' && !completed.has(course.code));
+  return { profile, completed, inProgress, notPassed, statuses: new Map() };
+}
+
+/**
+ * @param {string} code - normalized
+ * @param {ReturnType<typeof studentStanding>} standing
+ * @returns {CourseStatus}
+ */
+function courseStatus(code, standing) {
+  if (standing.statuses.has(code)) return standing.statuses.get(code);
+
+  let status;
+  if (standing.completed.has(code)) {
+    status = { code, status: 'completed', grade: standing.completed.get(code).grade };
+  } else if (standing.inProgress.has(code)) {
+    status = { code, status: 'in-progress' };
+  } else {
+    const eligibility = checkEligibility(code, Array.from(standing.completed.keys()), getCourse);
+    if (!eligibility.inCatalog) {
+      status = { code, status: 'unknown' };
+    } else if (eligibility.eligible) {
+      status = { code, status: 'eligible' };
+    } else {
+      status = { code, status: 'missing-prerequisites', missing: eligibility.prerequisites.missingText };
+    }
+  }
+  standing.statuses.set(code, status);
+  return status;
+}
+
+// The chunk's own course first, then every other course its text mentions
+function codesIn(hit) {
+  const own = normalizeCourseCode(hit.metadata && hit.metadata.course_code);
+  return Array.from(new Set([own, ...extractCourseCodes(hit.document || '')].filter(Boolean)));
+}
+
+/**
+ * Add `courseStatus` to each search hit or retrieved passage
+ * @param {Object[]} hits - changed in place
+ * @param {ReturnType<typeof studentStanding>} standing
+ */
+function annotateHits(hits, standing) {
+  for (const hit of hits) {
+    hit.courseStatus = codesIn(hit).map(code => courseStatus(code, standing));
+  }
+  return hits;
+}
+
+function programName(id) {
+  if (!id) return null;
+  const program = getProgram(id);
+  return program ? program.name : id;
+}
+
+/**
+ * The profile as the advisor prompt presents it, with the status of every
+ * course in the retrieved passages (annotateHits first)
+ * @param {ReturnType<typeof studentStanding>} standing
+ * @param {Object[]} sources
+ */
+function studentContext(standing, sources) {
+  const { profile } = standing;
+  const courses = new Map();
+  for (const source of sources) {
+    for (const status of source.courseStatus || []) courses.set(status.code, status);
+  }
+
+  return {
+    major: programName(profile.major),
+    minor: programName(profile.minor),
+    catalogYear: profile.catalogYear,
+    completed: Array.from(standing.completed.values()).map(({ code, grade }) => ({ code, grade })),
+    inProgress: Array.from(standing.inProgress),
+    notPassed: standing.notPassed.map(({ code, grade }) => ({ code, grade })),
+    courses: Array.from(courses.values()),
+  };
+}
+
+/**
+ * The edition to answer from: the one requested, else the student's catalog
+ * year when it has been ingested, else the latest
+ * @param {import('./store').Profile | null} profile
+ * @param {string} [catalogYear] - from the request
+ */
+function resolveStudentEdition(profile, catalogYear) {
+  if (catalogYear || !profile || !profile.catalogYear) return resolveEdition(catalogYear);
+  const ingested = listEditions().some(edition => edition.catalogYear === profile.catalogYear && edition.ingestedAt);
+  return resolveEdition(ingested ? profile.catalogYear : undefined);
+}
+
+module.exports = {
+  studentStanding,
+  courseStatus,
+  annotateHits,
+  studentContext,
+  resolveStudentEdition,
+};
@@ -0,0 +1,78 @@
+// lib/students/route.ts
+// The student a degree audit or plan is about, read from the request body:
+// a saved profile, or a transcript sent along with the program
+
+import { NextResponse } from 'next/server';
+import { authenticate, requireRole } from '../auth/access';
+import { authErrorResponse } from '../auth/route';
+import { normalizeCourseCode } from '../catalog/codes';
+import { getProgram } from '../degree/store';
+import { getProfile, ProfileNotFoundError } from './store';
+
+export type TranscriptEntry = { code: string; grade?: string; units?: number };
+
+export type StudentRequest = {
+  body: any;
+  profile: ReturnType<typeof getProfile> | null;
+  program: NonNullable<ReturnType<typeof getProgram>>;
+  transcript: TranscriptEntry[];
+};
+
+const badRequest = (error: string) => NextResponse.json({ error }, { status: 400 });
+
+// Read { programId, transcript | completed } or { profileId, programId? }.
+// A profile brings its courses and major (programId still overrides it) and
+// needs a signed-in user who may read it, so advisors can see their assigned
+// students. Without a transcript, the student has completed nothing unless
+// `transcriptRequired`. Returns the response to send when the body is
+// malformed, names a profile or program that does not exist, or the user may
+// not read the profile.
+export async function readStudentRequest(
+  request: Request,
+  { transcriptRequired = false }: { transcriptRequired?: boolean } = {}
+): Promise<StudentRequest | Response> {
+  const body = await request.json().catch(() => undefined);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return badRequest('The request body must be a JSON object');
+  }
+  const { completed, profileId } = body;
+
+  let profile = null;
+  if (profileId !== undefined) {
+    try {
+      profile = getProfile(profileId, requireRole(authenticate(request)));
+    } catch (error: any) {
+      if (error instanceof ProfileNotFoundError) {
+        return NextResponse.json({ error: error.message }, { status: 404 });
+      }
+      const response = authErrorResponse(error);
+      if (response) return response;
+      throw error;
+    }
+  }
+
+  const programId = body.programId || (profile && profile.major);
+  const transcript: TranscriptEntry[] | undefined = profile ? profile.courses : body.transcript
+    || (Array.isArray(completed) ? completed.map((code: string) => ({ code })) : undefined)
+    || (transcriptRequired ? undefined : []);
+
+  if (typeof programId !== 'string' || !programId) {
+    return badRequest(profile ? 'The profile has no major; send programId' : 'programId is required');
+  }
+
+  if (!Array.isArray(transcript)) {
+    return badRequest('transcript must be an array of { code, grade?, units? } entries');
+  }
+
+  const invalid = transcript.filter(entry => !entry || !normalizeCourseCode(entry.code));
+  if (invalid.length > 0) {
+    return badRequest(`Not course codes: ${invalid.map(entry => JSON.stringify(entry && entry.code)).join(', ')}`);
+  }
+
+  const program = getProgram(programId);
+  if (!program) {
+    return NextResponse.json({ error: `Program ${programId} not found` }, { status: 404 });
+  }
+
+  return { body, profile, program, transcript };
+}
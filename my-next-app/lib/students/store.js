@@ -0,0 +1,253 @@
+// lib/students/store.js
+// Student profiles in the local SQLite database: major, minor, catalog year
+// and the courses from an imported transcript. Each belongs to the account
+// that created it; functions taking a `user` only see the profiles that user
+// may read (lib/auth/access), and scripts pass none to see them all.
+const crypto = require('crypto');
+const { canRead, canWrite, ForbiddenError } = require('../auth/access');
+const { isCatalogYear } = require('../config');
+const { getDb } = require('../db');
+const { getProgram } = require('../degree/store');
+const { parseCourseEntries } = require('./transcript');
+
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id
+ * @property {string | null} name
+ * @property {string | null} major - program id, see /api/programs
+ * @property {string | null} minor - program id
+ * @property {string | null} catalogYear - the edition the student follows, e.g. "2023-24"
+ * @property {string | null} ownerId - the account it belongs to; null for profiles made before accounts
+ * @property {string | null} ownerEmail
+ * @property {import('./transcript').TranscriptCourse[]} courses
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ */
+
+// A profile field that is missing or malformed
+class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+class ProfileNotFoundError extends Error {
+  constructor(id) {
+    super(`Profile ${id} was not found`);
+    this.name = 'ProfileNotFoundError';
+    this.id = id;
+  }
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    major: row.major,
+    minor: row.minor,
+    catalogYear: row.catalog_year,
+    ownerId: row.owner_id,
+    ownerEmail: row.owner_email,
+    courses: JSON.parse(row.courses),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function parseProgramId(value, field) {
+  if (value === null || value === '') return null;
+  if (typeof value !== 'string') throw new ProfileError(`${field} must be a program id from /api/programs`);
+  if (!getProgram(value)) throw new ProfileError(`${field}: program ${value} not found`);
+  return value;
+}
+
+/**
+ * Validate the fields present in a create or update body; absent fields are left out
+ * @param {Object} body
+ * @returns {Partial<Profile>}
+ */
+function parseProfileFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new ProfileError('The profile must be an object');
+  }
+
+  const fields = {};
+  if (body.name !== undefined) {
+    if (body.name !== null && (typeof body.name !== 'string' || body.name.length > MAX_NAME_LENGTH)) {
+      throw new ProfileError(`name must be a string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    fields.name = body.name ? body.name.trim() : null;
+  }
+  if (body.major !== undefined) fields.major = parseProgramId(body.major, 'major');
+  if (body.minor !== undefined) fields.minor = parseProgramId(body.minor, 'minor');
+  if (body.catalogYear !== undefined) {
+    if (body.catalogYear !== null && body.catalogYear !== '' && !isCatalogYear(body.catalogYear)) {
+      throw new ProfileError(`catalogYear must be an academic year such as "2024-25", got ${JSON.stringify(body.catalogYear)}`);
+    }
+    fields.catalogYear = body.catalogYear || null;
+  }
+  if (body.courses !== undefined) {
+    if (!Array.isArray(body.courses)) throw new ProfileError('courses must be a list of { code, grade?, units?, term? }');
+    fields.courses = parseCourses(body.courses);
+  }
+  return fields;
+}
+
+// Courses sent directly must all be valid; an import reports skipped lines instead
+function parseCourses(entries) {
+  const { courses, skipped } = parseCourseEntries(entries);
+  if (skipped.length > 0) {
+    throw new ProfileError(`courses[${skipped[0].line - 1}]: ${skipped[0].reason}`);
+  }
+  return courses;
+}
+
+/**
+ * Add imported courses to a course list. An entry for the same course and
+ * term replaces the earlier one, so importing a transcript twice changes
+ * nothing, while a retake in a later term is kept alongside the first attempt.
+ * @param {import('./transcript').TranscriptCourse[]} existing
+ * @param {import('./transcript').TranscriptCourse[]} imported
+ */
+function mergeCourses(existing, imported) {
+  const key = course => `${course.code}|${course.term || ''}`;
+  const merged = new Map(existing.map(course => [key(course), course]));
+  for (const course of imported) merged.set(key(course), course);
+  return Array.from(merged.values());
+}
+
+const SELECT_PROFILES = `
+  SELECT profiles.*, users.email AS owner_email
+  FROM profiles LEFT JOIN users ON users.id = profiles.owner_id
+`;
+
+function saveProfile(profile) {
+  getDb().prepare(`
+    INSERT INTO profiles (id, name, major, minor, catalog_year, courses, owner_id, created_at, updated_at)
+    VALUES (@id, @name, @major, @minor, @catalogYear, @courses, @ownerId, @createdAt, @updatedAt)
+    ON CONFLICT (id) DO UPDATE SET
+      name = excluded.name,
+      major = excluded.major,
+      minor = excluded.minor,
+      catalog_year = excluded.catalog_year,
+      courses = excluded.courses,
+      updated_at = excluded.updated_at
+  `).run({ ...profile, courses: JSON.stringify(profile.courses) });
+  return profile;
+}
+
+/**
+ * @param {Object} body - name, major, minor, catalogYear and courses, all optional
+ * @param {import('../auth/users').User | null} [owner]
+ * @returns {Profile}
+ */
+function createProfile(body = {}, owner = null) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  saveProfile({
+    id,
+    name: null,
+    major: null,
+    minor: null,
+    catalogYear: null,
+    courses: [],
+    ...parseProfileFields(body),
+    ownerId: owner ? owner.id : null,
+    createdAt: now,
+    updatedAt: now,
+  });
+  return getProfile(id);
+}
+
+/**
+ * A profile the user may read. Profiles they may not read are reported as
+ * not found, so ids of other students' profiles reveal nothing.
+ * @param {string} id
+ * @param {import('../auth/users').User | null} [user]
+ * @returns {Profile}
+ */
+function getProfile(id, user = null) {
+  const row = getDb().prepare(`${SELECT_PROFILES} WHERE profiles.id = ?`).get(id);
+  if (!row || (user && !canRead(user, row.owner_id))) throw new ProfileNotFoundError(id);
+  return fromRow(row);
+}
+
+/**
+ * A profile the user may change: ForbiddenError when they may only read it
+ * @param {string} id
+ * @param {import('../auth/users').User | null} user
+ */
+function getWritableProfile(id, user) {
+  const profile = getProfile(id, user);
+  if (user && !canWrite(user, profile.ownerId)) {
+    throw new ForbiddenError(`Profile ${id} belongs to ${profile.ownerEmail}; advisors can view it but not change it`);
+  }
+  return profile;
+}
+
+/**
+ * Profiles the user may read, without their courses, most recently updated
+ * first: their own, and for advisors those of their assigned students
+ * @param {import('../auth/users').User | null} [user]
+ */
+function listProfiles(user = null) {
+  return getDb().prepare(`${SELECT_PROFILES} ORDER BY profiles.updated_at DESC`).all()
+    .filter(row => !user || canRead(user, row.owner_id))
+    .map(fromRow)
+    .map(({ courses, ...profile }) => ({ ...profile, courseCount: courses.length }));
+}
+
+/**
+ * Change the fields present in `body`; `courses` replaces the whole list
+ * @param {string} id
+ * @param {Object} body
+ * @param {import('../auth/users').User | null} [user]
+ * @returns {Profile}
+ */
+function updateProfile(id, body, user = null) {
+  const profile = getWritableProfile(id, user);
+  const fields = parseProfileFields(body);
+  saveProfile({ ...profile, ...fields, updatedAt: new Date().toISOString() });
+  return getProfile(id);
+}
+
+/**
+ * Add transcript courses to a profile, or replace its courses with them
+ * @param {string} id
+ * @param {import('./transcript').TranscriptCourse[]} courses - from parseTranscript
+ * @param {{ replace?: boolean }} [options]
+ * @param {import('../auth/users').User | null} [user]
+ * @returns {Profile}
+ */
+function importCourses(id, courses, options = {}, user = null) {
+  const profile = getWritableProfile(id, user);
+  saveProfile({
+    ...profile,
+    courses: options.replace ? mergeCourses([], courses) : mergeCourses(profile.courses, courses),
+    updatedAt: new Date().toISOString(),
+  });
+  return getProfile(id);
+}
+
+/**
+ * @param {string} id
+ * @param {import('../auth/users').User | null} [user]
+ */
+function deleteProfile(id, user = null) {
+  getWritableProfile(id, user);
+  getDb().prepare('DELETE FROM profiles WHERE id = ?').run(id);
+}
+
+module.exports = {
+  ProfileError,
+  ProfileNotFoundError,
+  createProfile,
+  getProfile,
+  listProfiles,
+  updateProfile,
+  importCourses,
+  deleteProfile,
+};
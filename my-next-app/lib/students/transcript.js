@@ -0,0 +1,321 @@
+// lib/students/transcript.js
+// Transcript import: CSV exports, JSON, or unofficial-transcript text pasted
+// from the student portal, read into course entries with codes in the
+// "DEPT NNN" form the rest of the app uses
+const { normalizeCourseCode } = require('../catalog/codes');
+
+const FORMATS = ['csv', 'json', 'text'];
+
+// Letter grades plus pass/no pass, withdrawals, incompletes and in progress
+const GRADE_PATTERN = /^(?:[A-D][+-]?|F|P|NP|W|WF|I|IP|CR|NC|S|U|AU)$/;
+
+// CSV header names, after lowercasing and collapsing punctuation to spaces
+const COLUMNS = {
+  code: ['course', 'code', 'course code', 'course id', 'class'],
+  department: ['subject', 'subject code', 'department', 'dept'],
+  number: ['number', 'catalog', 'catalog number', 'catalog nbr', 'course number', 'nbr'],
+  title: ['title', 'course title', 'description', 'name', 'course name'],
+  grade: ['grade', 'final grade', 'official grade'],
+  units: ['units', 'unit', 'credits', 'credit', 'units earned', 'earned', 'units attempted', 'attempted'],
+  term: ['term', 'quarter', 'semester', 'session'],
+};
+
+// "Fall 2023", "Winter Quarter 2024", "2024 Spring" as a heading in pasted text
+const TERM_HEADING = /^(?:(fall|winter|spring|summer)\s+(?:quarter\s+|semester\s+)?(\d{4})|(\d{4})\s+(fall|winter|spring|summer))\b/i;
+// A pasted line that starts with a course code; the rest holds title, units and grade
+const COURSE_LINE = /^([A-Za-z]{2,4})[\s-]*(\d{1,3}[A-Za-z]?)\b[\s.,:-]*(.*)$/;
+// Summary lines shaped like course lines ("GPA 3.50", "Total 45.00")
+const NOT_DEPARTMENTS = new Set(['GPA', 'CUM', 'TERM', 'TOTAL', 'PAGE', 'UNIT', 'UNITS']);
+
+/**
+ * @typedef {Object} TranscriptCourse
+ * @property {string} code - normalized, e.g. "CSEN 146"
+ * @property {string | null} title
+ * @property {string | null} grade - uppercase; null when the source gave none
+ * @property {number | null} units
+ * @property {string | null} term - e.g. "Fall 2023"
+ */
+
+/**
+ * @typedef {Object} SkippedEntry
+ * @property {number} line - 1-based line, or array position for JSON
+ * @property {string} text
+ * @property {string} reason
+ */
+
+// Input that cannot be read as a transcript at all
+class TranscriptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TranscriptError';
+  }
+}
+
+function normalizeGrade(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const grade = String(value).trim().toUpperCase().replace(/^IN PROGRESS$/, 'IP');
+  return GRADE_PATTERN.test(grade) ? grade : undefined;
+}
+
+function normalizeUnits(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const units = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(units) && units >= 0 ? units : undefined;
+}
+
+function formatTerm(season, year) {
+  return `${season.charAt(0).toUpperCase()}${season.slice(1).toLowerCase()} ${year}`;
+}
+
+/**
+ * One entry from loosely named fields, or a reason it was not usable
+ * @returns {{ course: TranscriptCourse } | { reason: string }}
+ */
+function toCourse({ code, department, number, title, grade, units, term }) {
+  const raw = code || (department && number ? `${department} ${number}` : '');
+  const normalized = normalizeCourseCode(String(raw));
+  if (!normalized) return { reason: raw ? `${JSON.stringify(String(raw))} is not a course code` : 'no course code' };
+
+  const normalizedGrade = normalizeGrade(grade);
+  if (normalizedGrade === undefined) return { reason: `${JSON.stringify(String(grade))} is not a grade` };
+  const normalizedUnits = normalizeUnits(units);
+  if (normalizedUnits === undefined) return { reason: `${JSON.stringify(String(units))} is not a unit count` };
+
+  return {
+    course: {
+      code: normalized,
+      title: title ? String(title).trim() || null : null,
+      grade: normalizedGrade,
+      units: normalizedUnits,
+      term: term ? String(term).trim() || null : null,
+    },
+  };
+}
+
+// Rows of cells, honouring quoted fields ("Data Structures, Lab")
+function splitDelimited(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      quoted = true;
+      cell = '';
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n') {
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else if (char !== '\r') {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+  return rows;
+}
+
+// Column index for each field named in the header row, or null without a usable header
+function readHeader(cells) {
+  const columns = {};
+  cells.forEach((cell, index) => {
+    const name = cell.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    for (const [field, aliases] of Object.entries(COLUMNS)) {
+      if (columns[field] === undefined && aliases.includes(name)) columns[field] = index;
+    }
+  });
+  const hasCode = columns.code !== undefined || (columns.department !== undefined && columns.number !== undefined);
+  return hasCode ? columns : null;
+}
+
+/**
+ * @param {string} content
+ * @returns {{ courses: TranscriptCourse[], skipped: SkippedEntry[] }}
+ */
+function parseCsv(content) {
+  const firstLine = content.split('\n', 1)[0];
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  const rows = splitDelimited(content, delimiter);
+  const columns = readHeader(rows[0]);
+
+  // Without a header each row is read like a pasted line
+  if (!columns) return parseText(rows.map(row => row.join(' ')).join('\n'));
+
+  const courses = [];
+  const skipped = [];
+  rows.slice(1).forEach((cells, index) => {
+    if (cells.every(cell => cell === '')) return;
+    const fields = Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, cells[column]]));
+    const result = toCourse(fields);
+    if (result.course) courses.push(result.course);
+    else skipped.push({ line: index + 2, text: cells.join(delimiter), reason: result.reason });
+  });
+  return { courses, skipped };
+}
+
+/**
+ * Accepts a list of entries or course codes, or an object holding one under
+ * `courses`, `transcript` or `completed`
+ * @param {string | Object | any[]} content
+ */
+function parseJson(content) {
+  let value = content;
+  if (typeof content === 'string') {
+    try {
+      value = JSON.parse(content);
+    } catch (error) {
+      throw new TranscriptError(`Transcript is not valid JSON: ${error.message}`);
+    }
+  }
+  const entries = Array.isArray(value) ? value : value && (value.courses || value.transcript || value.completed);
+  if (!Array.isArray(entries)) {
+    throw new TranscriptError('A JSON transcript must be a list of courses, or an object with a "courses" list');
+  }
+
+  return parseCourseEntries(entries);
+}
+
+/**
+ * A list of `{ code, grade?, units?, term?, title? }` entries or course codes,
+ * with the position and reason of each one that is not usable
+ * @param {any[]} entries
+ * @returns {{ courses: TranscriptCourse[], skipped: SkippedEntry[] }}
+ */
+function parseCourseEntries(entries) {
+  const courses = [];
+  const skipped = [];
+  entries.forEach((entry, index) => {
+    const fields = typeof entry === 'string'
+      ? { code: entry }
+      : entry && typeof entry === 'object'
+        ? { ...entry, code: entry.code || entry.course, units: entry.units ?? entry.credits, department: entry.department || entry.subject }
+        : {};
+    const result = toCourse(fields);
+    if (result.course) courses.push(result.course);
+    else skipped.push({ line: index + 1, text: JSON.stringify(entry), reason: result.reason });
+  });
+  return { courses, skipped };
+}
+
+/**
+ * Title, units and grade from what follows the code on a pasted line, e.g.
+ * "Computer Networks 4.00 4.00 A- 14.80". The grade is the last grade-like
+ * token in the trailing run of numbers and grades, and the units the first
+ * number in it. A lone "I" only counts as a grade after a number, so
+ * "Calculus I 4.00" is an ungraded Calculus I rather than an incomplete.
+ */
+function readCourseLine(rest) {
+  const tokens = rest.replace(/\bin[\s-]progress\b/gi, 'IP').split(/[\s,]+/).filter(Boolean);
+  const isNumber = token => /^\d+(?:\.\d+)?$/.test(token);
+
+  let start = tokens.length;
+  while (start > 0 && (isNumber(tokens[start - 1]) || GRADE_PATTERN.test(tokens[start - 1].toUpperCase()))) start--;
+
+  const trailing = tokens.slice(start);
+  let gradeIndex = -1;
+  for (let i = trailing.length - 1; i >= 0; i--) {
+    const token = trailing[i].toUpperCase();
+    if (!GRADE_PATTERN.test(token)) continue;
+    if (token === 'I' && !trailing.slice(0, i).some(isNumber)) continue;
+    gradeIndex = i;
+    break;
+  }
+
+  // Grade-like words ahead of the grade or the first number belong to the title ("Physics II A 4")
+  const firstNumber = trailing.findIndex(isNumber);
+  const titleEnd = Math.min(gradeIndex >= 0 ? gradeIndex : trailing.length, firstNumber >= 0 ? firstNumber : trailing.length);
+  const title = [...tokens.slice(0, start), ...trailing.slice(0, titleEnd)].join(' ');
+
+  return {
+    title: title.replace(/^[\s.:-]+/, '') || null,
+    grade: gradeIndex >= 0 ? trailing[gradeIndex].toUpperCase() : null,
+    units: firstNumber >= 0 ? Number(trailing[firstNumber]) : null,
+  };
+}
+
+/**
+ * Unofficial transcript text: term headings followed by one course per line.
+ * Lines that do not start with a course code are ignored.
+ * @param {string} content
+ */
+function parseText(content) {
+  const courses = [];
+  const skipped = [];
+  let term = null;
+
+  content.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    const heading = line.match(TERM_HEADING);
+    if (heading) {
+      term = heading[1] ? formatTerm(heading[1], heading[2]) : formatTerm(heading[4], heading[3]);
+      return;
+    }
+
+    const match = line.match(COURSE_LINE);
+    if (!match || NOT_DEPARTMENTS.has(match[1].toUpperCase())) return;
+
+    const { title, grade, units } = readCourseLine(match[3]);
+    const result = toCourse({ code: `${match[1]} ${match[2]}`, title, grade, units, term });
+    if (result.course) courses.push(result.course);
+    else skipped.push({ line: index + 1, text: line, reason: result.reason });
+  });
+  return { courses, skipped };
+}
+
+function detectFormat(content) {
+  if (typeof content !== 'string') return 'json';
+  const trimmed = content.trim();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+  const firstLine = trimmed.split('\n', 1)[0];
+  const delimiter = firstLine.includes('\t') && !firstLine.includes(',') ? '\t' : ',';
+  return firstLine.includes(delimiter) && readHeader(splitDelimited(firstLine, delimiter)[0]) ? 'csv' : 'text';
+}
+
+/**
+ * Read a transcript into course entries
+ * @param {string | Object | any[]} content - file or pasted text; JSON may also be a parsed value
+ * @param {'csv' | 'json' | 'text'} [format] - detected from the content when omitted
+ * @returns {{ format: string, courses: TranscriptCourse[], skipped: SkippedEntry[] }}
+ */
+function parseTranscript(content, format) {
+  if (format !== undefined && !FORMATS.includes(format)) {
+    throw new TranscriptError(`format must be one of ${FORMATS.join(', ')}`);
+  }
+  if (content === undefined || content === null || (typeof content === 'string' && content.trim() === '')) {
+    throw new TranscriptError('The transcript is empty');
+  }
+
+  const resolved = format || detectFormat(content);
+  if (resolved !== 'json' && typeof content !== 'string') {
+    throw new TranscriptError(`A ${resolved} transcript must be text`);
+  }
+  const normalized = typeof content === 'string' ? content.replace(/^﻿/, '') : content;
+  const parsed = resolved === 'csv' ? parseCsv(normalized) : resolved === 'json' ? parseJson(normalized) : parseText(normalized);
+
+  if (parsed.courses.length === 0) {
+    const reason = parsed.skipped.length > 0 ? `; ${parsed.skipped[0].reason} on line ${parsed.skipped[0].line}` : '';
+    throw new TranscriptError(`No courses found in the ${resolved} transcript${reason}`);
+  }
+  return { format: resolved, ...parsed };
+}
+
+module.exports = {
+  TranscriptError,
+  parseCourseEntries,
+  parseTranscript,
+};
@@ -0,0 +1,85 @@
+// lib/vectorstore/chroma.js
+// VectorStore backend over a ChromaDB server
+const { ChromaClient } = require('chromadb');
+
+// Chroma must never embed on its own: queries and documents are always
+// embedded through lib/embeddings so they share the ingest model.
+const externalEmbedder = {
+  generate: async () => {
+    throw new Error('Embeddings must be computed with lib/embeddings before calling ChromaDB');
+  }
+};
+
+const INCLUDE = ['documents', 'metadatas', 'embeddings'];
+
+// Chroma answers with parallel arrays; the store works with records
+function toRecords(response) {
+  return response.ids.map((id, index) => ({
+    id,
+    document: (response.documents && response.documents[index]) || '',
+    metadata: (response.metadatas && response.metadatas[index]) || {},
+    embedding: response.embeddings && response.embeddings[index] ? Array.from(response.embeddings[index]) : [],
+  }));
+}
+
+function toColumns(records) {
+  return {
+    ids: records.map(record => record.id),
+    embeddings: records.map(record => record.embedding),
+    metadatas: records.map(record => record.metadata),
+    documents: records.map(record => record.document),
+  };
+}
+
+/**
+ * @param {import('chromadb').Collection} collection
+ * @returns {import('./index').VectorStore}
+ */
+function wrap(collection) {
+  return {
+    name: collection.name,
+    add: async records => { await collection.add(toColumns(records)); },
+    upsert: async records => { await collection.upsert(toColumns(records)); },
+    async query(embedding, { nResults, where }) {
+      const response = await collection.query({ queryEmbeddings: [embedding], nResults, where });
+      const ids = response.ids[0] || [];
+      return ids.map((id, index) => ({
+        id,
+        document: (response.documents && response.documents[0][index]) || '',
+        metadata: (response.metadatas && response.metadatas[0][index]) || {},
+        distance: (response.distances && response.distances[0][index]) || 0,
+      }));
+    },
+    delete: async ids => { await collection.delete({ ids }); },
+    count: () => collection.count(),
+    async get({ ids, limit, offset } = {}) {
+      return toRecords(await collection.get({ ids, limit, offset, include: INCLUDE }));
+    },
+  };
+}
+
+/**
+ * @param {string} url - ChromaDB server
+ * @returns {import('./index').VectorBackend}
+ */
+function createChromaBackend(url) {
+  const client = new ChromaClient({ path: url });
+
+  return {
+    name: 'chroma',
+    location: url,
+    ping: async () => { await client.heartbeat(); },
+    open: async name => wrap(await client.getCollection({ name, embeddingFunction: externalEmbedder })),
+    // Writers create the collection with cosine distance on first use
+    openOrCreate: async name => wrap(await client.getOrCreateCollection({
+      name,
+      metadata: { 'hnsw:space': 'cosine' },
+      embeddingFunction: externalEmbedder,
+    })),
+    drop: async name => { await client.deleteCollection({ name }); },
+  };
+}
+
+module.exports = {
+  createChromaBackend,
+};
@@ -0,0 +1,100 @@
+// lib/vectorstore/index.js
+// Where embedded chunks live. Every caller goes through a VectorStore, one per
+// collection, so the backend is a configuration choice (vectors.backend):
+//   chroma - a ChromaDB server at chroma.url
+//   file   - embedded, persisted under <dataDir>/vectors (see ./local.js)
+//   memory - embedded, gone when the process exits; for tests
+const path = require('path');
+const { config } = require('../config');
+
+/**
+ * @typedef {Object} VectorRecord
+ * @property {string} id
+ * @property {number[]} embedding
+ * @property {string} document
+ * @property {Object} metadata
+ */
+
+/**
+ * @typedef {Object} VectorHit
+ * @property {string} id
+ * @property {string} document
+ * @property {Object} metadata
+ * @property {number} distance - cosine distance, 0 = same direction
+ */
+
+/**
+ * @typedef {Object} VectorStore
+ * @property {string} name - collection name
+ * @property {(records: VectorRecord[]) => Promise<void>} add - fails on an existing id
+ * @property {(records: VectorRecord[]) => Promise<void>} upsert
+ * @property {(embedding: number[], options: { nResults: number, where?: Object }) => Promise<VectorHit[]>} query -
+ *   nearest first; `where` is a Chroma-style metadata filter
+ * @property {(ids: string[]) => Promise<void>} delete
+ * @property {() => Promise<number>} count
+ * @property {(options?: { ids?: string[], limit?: number, offset?: number }) => Promise<VectorRecord[]>} get
+ */
+
+/**
+ * @typedef {Object} VectorBackend
+ * @property {string} name
+ * @property {string} location - server URL or directory, for messages
+ * @property {() => Promise<void>} ping - rejects when the backend is unreachable
+ * @property {(name: string) => Promise<VectorStore>} open - rejects when the collection does not exist
+ * @property {(name: string) => Promise<VectorStore>} openOrCreate
+ * @property {(name: string) => Promise<void>} drop
+ */
+
+let backend = null;
+
+/**
+ * The configured backend, created on first use
+ * @returns {VectorBackend}
+ */
+function getBackend() {
+  if (!backend) {
+    switch (config.vectors.backend) {
+      case 'chroma':
+        backend = require('./chroma').createChromaBackend(config.chroma.url);
+        break;
+      case 'file':
+        backend = require('./local').createLocalBackend(path.join(config.storage.dataDir, 'vectors'));
+        break;
+      case 'memory':
+        backend = require('./local').createLocalBackend(null);
+        break;
+      default:
+        throw new Error(`Unknown vector backend "${config.vectors.backend}"`);
+    }
+  }
+  return backend;
+}
+
+/**
+ * An existing collection
+ * @param {string} name
+ * @returns {Promise<VectorStore>}
+ */
+function openStore(name) {
+  return getBackend().open(name);
+}
+
+/**
+ * For writers: the collection, created on first use
+ * @param {string} name
+ * @returns {Promise<VectorStore>}
+ */
+function openOrCreateStore(name) {
+  return getBackend().openOrCreate(name);
+}
+
+function dropStore(name) {
+  return getBackend().drop(name);
+}
+
+module.exports = {
+  getBackend,
+  openStore,
+  openOrCreateStore,
+  dropStore,
+};
@@ -0,0 +1,247 @@
+// lib/vectorstore/local.js
+// Embedded VectorStore backend: exact cosine search over vectors held in
+// memory, so the app runs without a vector database. With a directory, each
+// collection is persisted as an append-only log of upserts and deletes,
+// <dir>/<name>.jsonl, replayed on open. Other processes' appends (the CLI
+// ingesting while the app serves) are picked up before every read.
+const fs = require('fs');
+const path = require('path');
+
+// Compact the log on open once it holds this many times more entries than records
+const COMPACT_RATIO = 2;
+
+/**
+ * Whether metadata passes a Chroma-style `where` filter: { key: value },
+ * { key: { $eq | $ne | $gt | $gte | $lt | $lte | $in | $nin: value } },
+ * { $and: [...] } and { $or: [...] }
+ * @param {Object} metadata
+ * @param {Object} [where]
+ */
+function matchesWhere(metadata, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object') return value === condition;
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$gt': return value > operand;
+        case '$gte': return value >= operand;
+        case '$lt': return value < operand;
+        case '$lte': return value <= operand;
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        default: throw new Error(`Unsupported where operator ${operator}`);
+      }
+    });
+  });
+}
+
+function norm(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i++) sum += vector[i] * vector[i];
+  return Math.sqrt(sum);
+}
+
+// Same measure as Chroma's cosine space: 0 for the same direction, up to 2
+function cosineDistance(query, queryNorm, entry) {
+  if (queryNorm === 0 || entry.norm === 0) return 1;
+  let dot = 0;
+  for (let i = 0; i < query.length; i++) dot += query[i] * entry.vector[i];
+  return 1 - dot / (queryNorm * entry.norm);
+}
+
+function toEntry(record) {
+  const vector = Float32Array.from(record.embedding);
+  return { id: record.id, document: record.document || '', metadata: record.metadata || {}, vector, norm: norm(vector) };
+}
+
+function toRecord(entry) {
+  return { id: entry.id, document: entry.document, metadata: entry.metadata, embedding: Array.from(entry.vector) };
+}
+
+class LocalCollection {
+  /**
+   * @param {string} name
+   * @param {string | null} file - log file, or null to keep everything in memory
+   */
+  constructor(name, file) {
+    this.name = name;
+    this.file = file;
+    /** @type {Map<string, ReturnType<typeof toEntry>>} */
+    this.entries = new Map();
+    this.logLines = 0;
+    this.offset = 0;
+    this.inode = null;
+  }
+
+  // Replay log lines appended since the last read; a replaced file is re-read whole
+  refresh() {
+    if (!this.file || !fs.existsSync(this.file)) return;
+    const stat = fs.statSync(this.file);
+    if (stat.ino !== this.inode || stat.size < this.offset) {
+      this.entries.clear();
+      this.logLines = 0;
+      this.offset = 0;
+      this.inode = stat.ino;
+    }
+    if (stat.size === this.offset) return;
+
+    const descriptor = fs.openSync(this.file, 'r');
+    try {
+      const buffer = Buffer.alloc(stat.size - this.offset);
+      fs.readSync(descriptor, buffer, 0, buffer.length, this.offset);
+      // A writer may be part-way through a line; leave it for the next read
+      const complete = buffer.lastIndexOf('\n') + 1;
+      for (const line of buffer.subarray(0, complete).toString('utf-8').split('\n')) {
+        if (line) this.replay(JSON.parse(line));
+      }
+      this.offset += complete;
+    } finally {
+      fs.closeSync(descriptor);
+    }
+  }
+
+  replay(entry) {
+    this.logLines++;
+    if (entry.op === 'upsert') {
+      for (const record of entry.records) this.entries.set(record.id, toEntry(record));
+    } else if (entry.op === 'delete') {
+      for (const id of entry.ids) this.entries.delete(id);
+    }
+  }
+
+  // Apply a change here and append it to the log
+  write(entry) {
+    this.refresh();
+    this.replay(entry);
+    if (!this.file) return;
+    const line = `${JSON.stringify(entry)}\n`;
+    fs.appendFileSync(this.file, line);
+    this.offset += Buffer.byteLength(line);
+    this.inode = fs.statSync(this.file).ino;
+  }
+
+  // Rewrite the log as one upsert per record, dropping replaced and deleted ones
+  compact() {
+    if (!this.file || this.logLines <= COMPACT_RATIO * Math.max(this.entries.size, 1)) return;
+    const temporary = `${this.file}.tmp`;
+    const lines = Array.from(this.entries.values(), entry => JSON.stringify({ op: 'upsert', records: [toRecord(entry)] }));
+    fs.writeFileSync(temporary, lines.map(line => `${line}\n`).join(''));
+    fs.renameSync(temporary, this.file);
+    this.inode = null;
+    this.refresh();
+  }
+
+  async add(records) {
+    this.refresh();
+    const existing = records.find(record => this.entries.has(record.id));
+    if (existing) throw new Error(`Chunk ${existing.id} already exists in ${this.name}`);
+    this.write({ op: 'upsert', records });
+  }
+
+  async upsert(records) {
+    this.write({ op: 'upsert', records });
+  }
+
+  async delete(ids) {
+    this.write({ op: 'delete', ids });
+  }
+
+  async count() {
+    this.refresh();
+    return this.entries.size;
+  }
+
+  async get({ ids, limit = Infinity, offset = 0 } = {}) {
+    this.refresh();
+    const entries = ids
+      ? ids.map(id => this.entries.get(id)).filter(Boolean)
+      : Array.from(this.entries.values()).slice(offset, offset + limit);
+    return entries.map(toRecord);
+  }
+
+  async query(embedding, { nResults, where }) {
+    this.refresh();
+    const first = this.entries.values().next().value;
+    if (first && first.vector.length !== embedding.length) {
+      throw new Error(`Query embedding has ${embedding.length} dimensions, collection ${this.name} stores ${first.vector.length}`);
+    }
+
+    const queryNorm = norm(embedding);
+    const hits = [];
+    for (const entry of this.entries.values()) {
+      if (!matchesWhere(entry.metadata, where)) continue;
+      hits.push({ entry, distance: cosineDistance(embedding, queryNorm, entry) });
+    }
+    hits.sort((a, b) => a.distance - b.distance);
+
+    return hits.slice(0, nResults).map(({ entry, distance }) => ({
+      id: entry.id,
+      document: entry.document,
+      metadata: entry.metadata,
+      distance,
+    }));
+  }
+}
+
+/**
+ * @param {string | null} dir - where collections are persisted; null keeps
+ *   them in memory for the life of the process
+ * @returns {import('./index').VectorBackend}
+ */
+function createLocalBackend(dir) {
+  /** @type {Map<string, LocalCollection>} */
+  const collections = new Map();
+  const fileFor = name => (dir ? path.join(dir, `${encodeURIComponent(name)}.jsonl`) : null);
+
+  const load = (name, create) => {
+    let collection = collections.get(name);
+    const file = fileFor(name);
+    if (!collection) {
+      if (file && !fs.existsSync(file)) {
+        if (!create) throw new Error(`Collection ${name} does not exist in ${dir}`);
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, '');
+      } else if (!file && !create) {
+        throw new Error(`Collection ${name} does not exist in memory`);
+      }
+      collection = new LocalCollection(name, file);
+      collections.set(name, collection);
+    } else if (file && !fs.existsSync(file)) {
+      // Dropped by another process
+      collections.delete(name);
+      return load(name, create);
+    }
+    collection.refresh();
+    return collection;
+  };
+
+  return {
+    name: dir ? 'file' : 'memory',
+    location: dir || 'memory',
+    ping: async () => {},
+    open: async name => load(name, false),
+    openOrCreate: async name => {
+      const collection = load(name, true);
+      collection.compact();
+      return collection;
+    },
+    drop: async name => {
+      const file = fileFor(name);
+      if (!collections.delete(name) && !(file && fs.existsSync(file))) {
+        throw new Error(`Collection ${name} does not exist`);
+      }
+      if (file && fs.existsSync(file)) fs.unlinkSync(file);
+    },
+  };
+}
+
+module.exports = {
+  matchesWhere,
+  createLocalBackend,
+};
@@ -1,7 +1,8 @@
 import type { NextConfig } from "next";
 
 const nextConfig: NextConfig = {
-  /* config options here */
+  // Loaded at runtime from node_modules: ESM-only with native ONNX bindings
+  serverExternalPackages: ["@xenova/transformers"],
 };
 
 export default nextConfig;
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// advisor.js
+// Command line tool for the bulletin index: ingest, inspect, evaluate and diagnose,
+// and for the accounts that sign in to the advisor.
+//
+//   npm run advisor -- <command> [options]
+//   npm run advisor -- help <command>
+//
+// Exits 0 on success, 1 when the command failed and 2 on bad arguments.
+const { parseArgs } = require('util');
+const { UsageError } = require('./commands/shared');
+
+const COMMANDS = {
+  ingest: require('./commands/ingest'),
+  reindex: require('./commands/reindex'),
+  jobs: require('./commands/jobs'),
+  stats: require('./commands/stats'),
+  search: require('./commands/search'),
+  inspect: require('./commands/inspect'),
+  drop: require('./commands/drop'),
+  editions: require('./commands/editions'),
+  catalog: require('./commands/catalog'),
+  eval: require('./commands/eval'),
+  users: require('./commands/users'),
+  doctor: require('./commands/doctor'),
+};
+
+function printHelp() {
+  console.log('Usage: advisor <command> [options]\n\nCommands:');
+  for (const [name, command] of Object.entries(COMMANDS)) {
+    console.log(`  ${name.padEnd(10)} ${command.description}`);
+  }
+  console.log('\nRun "advisor help <command>" for its options.');
+}
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    const topic = COMMANDS[rest[0]];
+    if (topic) console.log(`Usage: ${topic.usage}`);
+    else printHelp();
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command "${name}"\n`);
+    printHelp();
+    return 2;
+  }
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: rest,
+      options: command.options,
+      allowPositionals: Boolean(command.allowPositionals),
+    });
+    return await command.run({ values, positionals });
+  } catch (error) {
+    // parseArgs reports unknown or malformed flags with an ERR_PARSE_ARGS_* code
+    if (error instanceof UsageError || (error.code && error.code.startsWith('ERR_PARSE_ARGS'))) {
+      console.error(`${error.message}\n\nUsage: ${command.usage}`);
+      return 2;
+    }
+    console.error('Error:', error.message);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then(status => {
+  process.exitCode = status;
+});
@@ -0,0 +1,77 @@
+// scripts/commands/catalog.js
+// advisor catalog: parse course entries and degree programs out of the
+// bulletin files into the local course catalog. With a catalog year, the
+// edition keeps its own copy for /api/editions/diff, and the live catalog is
+// only updated from the newest edition.
+const fs = require('fs');
+const path = require('path');
+const { bulletinDir } = require('../../lib/bulletins');
+const { parseCourses } = require('../../lib/catalog/parser');
+const { listDepartments, upsertCourses } = require('../../lib/catalog/store');
+const { stripHeadingMarks } = require('../../lib/chunkers/text');
+const { config } = require('../../lib/config');
+const { parsePrograms } = require('../../lib/degree/requirements');
+const { upsertPrograms } = require('../../lib/degree/store');
+const { latestCatalogYear, saveEditionCatalog } = require('../../lib/editions');
+const { isSupported, loadDocument } = require('../../lib/loaders');
+const { catalogYearOption } = require('./shared');
+
+async function catalog({ values }) {
+  const catalogYear = catalogYearOption(values) || config.ingest.catalogYear;
+  const dir = values.dir || bulletinDir(catalogYear);
+  if (!fs.existsSync(dir)) {
+    throw new Error(`Bulletin directory not found: ${dir}`);
+  }
+
+  const files = fs.readdirSync(dir).filter(file => isSupported(file)).sort();
+  console.log(`Found ${files.length} files in ${dir}${catalogYear ? ` for the ${catalogYear} catalog` : ''}`);
+
+  const courses = [];
+  const programs = [];
+  for (const file of files) {
+    // Same text the indexer chunks, whatever the file format
+    const content = stripHeadingMarks((await loadDocument(path.join(dir, file))).text);
+    const fileCourses = parseCourses(content, file);
+    const filePrograms = parsePrograms(content, file);
+    courses.push(...fileCourses);
+    programs.push(...filePrograms);
+    console.log(`${file}: ${fileCourses.length} courses, ${filePrograms.length} programs`);
+  }
+
+  if (catalogYear) {
+    saveEditionCatalog(catalogYear, courses, programs);
+    console.log(`\nSaved the ${catalogYear} edition`);
+    if (latestCatalogYear() !== catalogYear) {
+      console.log(`Live catalog left as is: ${latestCatalogYear()} is the newest edition`);
+      return 0;
+    }
+  }
+  upsertCourses(courses);
+  upsertPrograms(programs);
+
+  console.log(`\nCatalog updated with ${courses.length} course entries`);
+  console.log(`Programs: ${programs.length}`);
+  for (const program of programs) {
+    console.log(`  ${program.name} (${program.type}): ${program.blocks.length} requirement blocks`);
+  }
+  console.log('Courses per department:');
+  for (const { department, courseCount } of listDepartments()) {
+    console.log(`  ${department}: ${courseCount}`);
+  }
+  return 0;
+}
+
+module.exports = {
+  description: 'Parse courses and degree programs out of the bulletin files into the catalog',
+  usage: `advisor catalog [options]
+
+  --catalog-year <y>   edition the files belong to (default ingest.catalogYear); its parsed
+                       catalog is kept for /api/editions/diff
+  --dir <path>         bulletin directory (default <ingest.bulletinDir>/<year> when it
+                       exists, else ingest.bulletinDir)`,
+  options: {
+    'catalog-year': { type: 'string' },
+    dir: { type: 'string' },
+  },
+  run: catalog,
+};
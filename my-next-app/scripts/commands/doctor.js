@@ -0,0 +1,122 @@
+// scripts/commands/doctor.js
+// advisor doctor: check that the vector store, the model providers and the
+// local database are reachable and consistent with each other
+const { config } = require('../../lib/config');
+const { getEmbedding, getStoredDimension } = require('../../lib/embeddings');
+const { listIndexedFiles } = require('../../lib/indexer');
+const { countChunks } = require('../../lib/lexical');
+const { ModelUnavailableError, getEmbeddingProvider, getGenerationProvider } = require('../../lib/providers');
+const { getBackend } = require('../../lib/vectorstore');
+const { COMMON_OPTIONS, collectionName } = require('./shared');
+
+const TIMEOUT_MS = 10000;
+
+async function withTimeout(promise) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer in ${TIMEOUT_MS} ms`)), TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function doctor({ values }) {
+  const name = collectionName(values);
+  const checks = [];
+  const report = (status, label, detail) => {
+    checks.push({ status, label, detail });
+    console.log(`[${status.padEnd(4)}] ${label}${detail ? ` - ${detail}` : ''}`);
+  };
+
+  const backend = getBackend();
+  const embedder = getEmbeddingProvider();
+  const generator = getGenerationProvider();
+  console.log(`Vectors  ${backend.name} (${backend.location}), collection ${name}`);
+  console.log(`Embed    ${embedder.name} (${embedder.location}), model ${embedder.model}`);
+  console.log(`Generate ${generator.name} (${generator.location}), model ${generator.model}`);
+  console.log(`Data     ${config.storage.dataDir}\n`);
+
+  let collection = null;
+  let stored = null;
+  try {
+    await withTimeout(backend.ping());
+    report('ok', 'Vector store reachable');
+    try {
+      collection = await backend.open(name);
+      stored = await collection.count();
+      report(stored > 0 ? 'ok' : 'warn', `Collection ${name}`, `${stored} chunks`);
+    } catch (error) {
+      collection = null;
+      report('fail', `Collection ${name}`, 'missing; run "advisor ingest"');
+    }
+  } catch (error) {
+    report('fail', 'Vector store reachable', `${error.message}; is the ChromaDB container running and the port exposed? (or set VECTOR_BACKEND=file)`);
+  }
+
+  let embedderReady = false;
+  for (const [role, provider] of [['Embedding', embedder], ['Generation', generator]]) {
+    const local = provider.location === 'local';
+    try {
+      // A local model may be downloading on first use, which takes longer
+      await (local ? provider.ping() : withTimeout(provider.ping()));
+      report('ok', `${role} model ${provider.model}`, provider.name);
+      if (provider === embedder) embedderReady = true;
+    } catch (error) {
+      const hint = local || error instanceof ModelUnavailableError ? '' : `; is ${provider.name} running at ${provider.location}?`;
+      report('fail', `${role} model ${provider.model}`, `${error.message}${hint}`);
+    }
+  }
+
+  if (embedderReady) {
+    try {
+      const embedding = await getEmbedding('course prerequisites');
+      const dimension = collection ? await getStoredDimension(collection) : null;
+      if (dimension !== null && dimension !== embedding.length) {
+        report('fail', 'Embedding dimension', `model returns ${embedding.length}, collection stores ${dimension}; re-run "advisor reindex"`);
+      } else {
+        report('ok', 'Embedding dimension', `${embedding.length}`);
+      }
+    } catch (error) {
+      report('fail', 'Embedding request', error.message);
+    }
+  }
+
+  if (collection && stored > 0) {
+    try {
+      const [sample] = await collection.get({ limit: 1 });
+      const zeros = sample.embedding.every(value => value === 0);
+      report(zeros ? 'fail' : 'ok', 'Stored embeddings', zeros ? 'all zeros; every query will return the same chunks' : '');
+    } catch (error) {
+      report('fail', 'Stored embeddings', error.message);
+    }
+  }
+
+  try {
+    const keywordChunks = countChunks(name);
+    const files = listIndexedFiles(name);
+    const incomplete = files.filter(file => !file.complete).length;
+    report('ok', 'Local database', `${config.storage.dataDir}/advisor.db`);
+
+    report(stored === null || stored === keywordChunks ? 'ok' : 'warn', 'Keyword index',
+      `${keywordChunks} chunks${stored !== null && stored !== keywordChunks ? `, collection has ${stored}; run "advisor reindex --keyword-only"` : ''}`);
+    report(incomplete === 0 ? 'ok' : 'warn', 'Indexer manifest',
+      `${files.length} files${incomplete > 0 ? `, ${incomplete} with failed chunks; re-run "advisor ingest"` : ''}`);
+  } catch (error) {
+    report('fail', 'Local database', error.message);
+  }
+
+  const failed = checks.filter(check => check.status === 'fail').length;
+  const warned = checks.filter(check => check.status === 'warn').length;
+  console.log(`\n${checks.length} checks: ${failed} failed, ${warned} warnings`);
+  return failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+  description: 'Check the vector store, model providers and the local indexes',
+  usage: 'advisor doctor [--catalog-year <year> | --collection <name>]',
+  options: COMMON_OPTIONS,
+  run: doctor,
+};
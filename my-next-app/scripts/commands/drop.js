@@ -0,0 +1,34 @@
+// scripts/commands/drop.js
+// advisor drop: delete a collection with its keyword index entries and manifest
+const { forgetIngest } = require('../../lib/editions');
+const { forgetCollection } = require('../../lib/indexer');
+const { clearIndex } = require('../../lib/lexical');
+const { dropStore } = require('../../lib/vectorstore');
+const { COMMON_OPTIONS, collectionName, openCollection } = require('./shared');
+
+async function drop({ values }) {
+  const name = collectionName(values);
+  const collection = await openCollection(name);
+  const total = await collection.count();
+
+  if (!values.yes) {
+    console.error(`This deletes collection ${name} (${total} chunks) and its keyword index entries.`);
+    console.error('Re-run with --yes to confirm.');
+    return 1;
+  }
+
+  await dropStore(name);
+  clearIndex(name);
+  forgetCollection(name);
+  forgetIngest(name);
+
+  console.log(`Dropped collection ${name}: ${total} chunks removed`);
+  return 0;
+}
+
+module.exports = {
+  description: 'Delete the collection, its keyword index entries and manifest',
+  usage: 'advisor drop --yes [--catalog-year <year> | --collection <name>]',
+  options: { ...COMMON_OPTIONS, yes: { type: 'boolean', default: false } },
+  run: drop,
+};
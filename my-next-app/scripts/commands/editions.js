@@ -0,0 +1,33 @@
+// scripts/commands/editions.js
+// advisor editions: the catalog years that have been ingested or parsed
+const { listEditions, resolveEdition } = require('../../lib/editions');
+
+async function editions({ values }) {
+  const list = listEditions();
+  const latest = resolveEdition().catalogYear;
+
+  if (values.json) {
+    console.log(JSON.stringify({ latest, editions: list }, null, 2));
+    return 0;
+  }
+
+  if (list.length === 0) {
+    console.log('No editions yet; run "advisor ingest --catalog-year <year>"');
+    return 0;
+  }
+  for (const edition of list) {
+    const marker = edition.catalogYear === latest ? ' (latest)' : '';
+    console.log(`${edition.catalogYear}${marker}`);
+    console.log(`  collection:  ${edition.collection}`);
+    console.log(`  ingested:    ${edition.ingestedAt || 'never'}`);
+    console.log(`  catalog:     ${edition.catalogBuiltAt ? `built ${edition.catalogBuiltAt}` : 'not built'}`);
+  }
+  return 0;
+}
+
+module.exports = {
+  description: 'List the catalog years that have been ingested or parsed',
+  usage: 'advisor editions [--json]',
+  options: { json: { type: 'boolean', default: false } },
+  run: editions,
+};
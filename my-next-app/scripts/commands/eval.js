@@ -0,0 +1,150 @@
+// scripts/commands/eval.js
+// advisor eval: score retrieval, or with --answers the generated answers,
+// against a gold question set, optionally next to an earlier run, and write a report
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../../lib/config');
+const { resolveEdition } = require('../../lib/editions');
+const { evaluateAnswers } = require('../../lib/eval/answers');
+const { compareReports } = require('../../lib/eval/compare');
+const { loadGoldSet } = require('../../lib/eval/goldset');
+const { formatChange, formatMarkdown, formatQuestionChange, formatValue, metricName } = require('../../lib/eval/report');
+const { evaluateRetrieval } = require('../../lib/eval/retrieval');
+const { parseRerankOptions } = require('../../lib/rerank');
+const { isValidWeight } = require('../../lib/retrieval');
+const { UsageError, COMMON_OPTIONS, catalogYearOption, openCollection, toInteger, preview } = require('./shared');
+
+const DEFAULT_K = 5;
+
+function readReport(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    throw new UsageError(`--against must name a JSON report from an earlier "advisor eval": ${error.message}`);
+  }
+}
+
+function defaultReportPath(kind) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(config.storage.dataDir, 'eval', `${kind}-${stamp}.json`);
+}
+
+function printComparison(comparison) {
+  const width = Math.max(comparison.before.length, comparison.after.length, 8);
+  console.log(`\n${'Metric'.padEnd(16)} ${comparison.before.padStart(width)} ${comparison.after.padStart(width)}   change`);
+  for (const [metric, { before, after, change }] of Object.entries(comparison.metrics)) {
+    console.log(`${metricName(metric, comparison.k).padEnd(16)} ${formatValue(before).padStart(width)} ${formatValue(after).padStart(width)}   ${formatChange(change)}`);
+  }
+
+  if (comparison.changed.length === 0) {
+    console.log('\nNo question scored differently');
+  } else {
+    console.log(`\n${comparison.changed.length} questions changed:`);
+    for (const change of comparison.changed) console.log(`  ${formatQuestionChange(change)}`);
+  }
+  if (comparison.onlyBefore.length + comparison.onlyAfter.length > 0) {
+    console.log(`Not in both gold sets: ${[...comparison.onlyBefore, ...comparison.onlyAfter].join(', ')}`);
+  }
+}
+
+function printRetrievalResult(result) {
+  const rank = result.firstRelevant === null ? 'miss' : `first relevant at ${result.firstRelevant}`;
+  console.log(`  ${result.id.padEnd(24)} recall ${result.recall.toFixed(2)}  RR ${result.reciprocalRank.toFixed(2)}  nDCG ${result.ndcg.toFixed(2)}  ${rank}`);
+}
+
+function printAnswerResult(result) {
+  console.log(`  ${result.id.padEnd(24)} ${result.passed ? 'pass' : 'FAIL'}  faithfulness ${result.faithfulness.toFixed(2)}  ${preview(result.answer, 80)}`);
+  for (const failure of result.failures) console.log(`  ${''.padEnd(24)} - ${failure}`);
+}
+
+async function evaluate({ values, positionals }) {
+  if (positionals.length !== 1) throw new UsageError('eval needs one gold set file');
+  const kind = values.answers ? 'answers' : 'retrieval';
+  const lexicalWeight = values['lexical-weight'] === undefined ? undefined : Number(values['lexical-weight']);
+  if (!isValidWeight(lexicalWeight) || Number.isNaN(lexicalWeight)) {
+    throw new UsageError('--lexical-weight must be a number from 0 to 1');
+  }
+  if (values.answers && values.k !== undefined) {
+    throw new UsageError('--k applies to retrieval; answers use the passages the app would send');
+  }
+  const previous = values.against ? readReport(path.resolve(values.against)) : null;
+  if (previous && previous.kind !== kind) {
+    throw new UsageError(`${values.against} is from ${previous.kind === 'answers' ? 'an answer' : 'a retrieval'} evaluation; ${kind === 'answers' ? 'drop' : 'add'} --answers to compare with it`);
+  }
+
+  const goldSet = loadGoldSet(positionals[0], kind);
+  const k = kind === 'retrieval' ? toInteger(values.k, 'k', 1) ?? goldSet.k ?? DEFAULT_K : undefined;
+  if (previous && previous.k !== k) {
+    throw new UsageError(`${values.against} scored the top ${previous.k} hits; run with --k ${previous.k} to compare`);
+  }
+  const rerank = parseRerankOptions(values['no-rerank'] ? { skip: true } : undefined);
+  const edition = values.collection
+    ? { catalogYear: null, collection: values.collection }
+    : resolveEdition(catalogYearOption(values));
+  const collection = await openCollection(edition.collection);
+
+  if (!values.json) {
+    const cutoff = k ? `, k=${k}` : '';
+    console.log(`Evaluating ${kind} for ${goldSet.questions.length} questions from ${goldSet.file} against ${collection.name}${cutoff}\n`);
+  }
+  const options = {
+    lexicalWeight,
+    rerank,
+    label: values.label,
+    catalogYear: edition.catalogYear,
+    onQuestion: values.json ? undefined : kind === 'answers' ? printAnswerResult : printRetrievalResult,
+  };
+  const report = kind === 'answers'
+    ? await evaluateAnswers(collection, goldSet, options)
+    : await evaluateRetrieval(collection, goldSet, { ...options, k });
+  if (previous) report.comparison = compareReports(previous, report);
+
+  const reportPath = path.resolve(values.report || defaultReportPath(kind));
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, reportPath.toLowerCase().endsWith('.md')
+    ? formatMarkdown(report)
+    : `${JSON.stringify(report, null, 2)}\n`);
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  const summary = Object.entries(report.metrics).map(([metric, value]) => `${metricName(metric, k)} ${formatValue(value)}`);
+  console.log(`\n${summary.join('  ')}`);
+  for (const warning of report.warnings) console.log(`Warning: ${warning}`);
+  if (report.comparison) printComparison(report.comparison);
+  console.log(`\nReport written to ${reportPath}`);
+  return 0;
+}
+
+module.exports = {
+  description: 'Score retrieval (recall@k, MRR, nDCG) or answers against a gold question set',
+  usage: [
+    'advisor eval <gold-set.json|.yaml> [options]',
+    '',
+    '  --answers                generate an answer to each question and check it, instead of scoring retrieval',
+    '  --k <count>              hits scored per question (default the gold set\'s k, else 5)',
+    '  --lexical-weight <w>     0 = embeddings only, 1 = keywords only (default retrieval.lexicalWeight)',
+    '  --no-rerank              score the fused order',
+    '  --label <name>           name for this run in comparisons (default the collection)',
+    '  --against <report.json>  compare with the JSON report of an earlier run',
+    '  --report <path>          report file, Markdown if it ends in .md (default <dataDir>/eval/<kind>-<time>.json)',
+    '  --json                   print the report instead of the summary',
+    '  --catalog-year <year>    edition to search, e.g. 2024-25 (default the latest ingested)',
+    '  --collection <name>      search this collection instead',
+  ].join('\n'),
+  options: {
+    ...COMMON_OPTIONS,
+    answers: { type: 'boolean', default: false },
+    k: { type: 'string' },
+    'lexical-weight': { type: 'string' },
+    'no-rerank': { type: 'boolean', default: false },
+    label: { type: 'string' },
+    against: { type: 'string' },
+    report: { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+  allowPositionals: true,
+  run: evaluate,
+};
@@ -0,0 +1,87 @@
+// scripts/commands/ingest.js
+// advisor ingest: incrementally index the bulletin files into the vector
+// store and the keyword index (see lib/indexer.js), as an ingest job run in
+// the foreground (see lib/jobs)
+const { bulletinDir } = require('../../lib/bulletins');
+const { CHUNKERS, ChunkerError, resolveChunking } = require('../../lib/chunkers');
+const { config } = require('../../lib/config');
+const { describePlan, listSourceFiles, planIndex } = require('../../lib/indexer');
+const { queueJob, runInForeground } = require('./jobs');
+const { UsageError, COMMON_OPTIONS, indexTarget, toInteger } = require('./shared');
+
+const INDEX_OPTIONS = {
+  ...COMMON_OPTIONS,
+  'dry-run': { type: 'boolean', default: false },
+  chunker: { type: 'string' },
+  'chunk-size': { type: 'string' },
+  'chunk-overlap': { type: 'string' },
+  concurrency: { type: 'string' },
+  delay: { type: 'string' },
+  dir: { type: 'string' },
+};
+
+const INDEX_USAGE = [
+  '  --catalog-year <y>   edition being indexed, e.g. 2024-25 (default ingest.catalogYear);',
+  '                       indexed into <chroma.collection>_<year>',
+  '  --dry-run            print the planned changes and exit',
+  `  --chunker <name>     chunking strategy (default ${config.ingest.chunker}):`,
+  ...Object.values(CHUNKERS).map(chunker => `                         ${chunker.name.padEnd(9)}${chunker.description}`),
+  `  --chunk-size <n>     maximum characters per chunk (default ${config.ingest.chunkSize})`,
+  `  --chunk-overlap <n>  characters shared by neighbouring chunks (default ${config.ingest.chunkOverlap})`,
+  `  --concurrency <n>    files indexed at once (default ${config.ingest.concurrentFiles})`,
+  `  --delay <ms>         pause after each embedded chunk (default ${config.ingest.delayMs})`,
+  '  --dir <path>         bulletin directory (default <ingest.bulletinDir>/<year> when it',
+  '                       exists, else ingest.bulletinDir)',
+  '  --collection <name>  index into this collection instead'
+].join('\n');
+
+/**
+ * Queue an ingest or reindex job and run it here, or resume the collection's
+ * unfinished job of the same kind. Shared with `advisor reindex`.
+ * @param {Object} values - parsed INDEX_OPTIONS
+ * @param {'ingest' | 'reindex'} kind
+ * @returns {Promise<number>} exit status
+ */
+async function runIndex(values, kind) {
+  let chunking;
+  try {
+    chunking = resolveChunking(values.chunker, {
+      chunkSize: toInteger(values['chunk-size'], 'chunk-size', 1),
+      chunkOverlap: toInteger(values['chunk-overlap'], 'chunk-overlap', 0),
+    });
+  } catch (error) {
+    throw error instanceof ChunkerError ? new UsageError(error.message) : error;
+  }
+  const concurrency = toInteger(values.concurrency, 'concurrency', 1) ?? config.ingest.concurrentFiles;
+  const delayMs = toInteger(values.delay, 'delay', 0) ?? config.ingest.delayMs;
+  const { collection: name, catalogYear } = indexTarget(values);
+  const dir = values.dir || bulletinDir(catalogYear);
+
+  if (values['dry-run']) {
+    const files = listSourceFiles(dir);
+    console.log(`Found ${files.length} files in ${dir}${catalogYear ? ` for the ${catalogYear} catalog` : ''}`);
+    const plan = await planIndex(name, files, {
+      force: kind === 'reindex',
+      chunker: chunking.strategy,
+      chunkSize: chunking.chunkSize,
+      chunkOverlap: chunking.chunkOverlap,
+      catalogYear,
+    });
+    console.log(`Planned changes for collection ${name}:`);
+    console.log(describePlan(plan));
+    return 0;
+  }
+
+  const job = queueJob({ kind, collection: name, catalogYear, options: { dir, chunking, concurrency, delayMs } });
+  return runInForeground(job);
+}
+
+module.exports = {
+  INDEX_OPTIONS,
+  INDEX_USAGE,
+  runIndex,
+  description: 'Embed new and changed bulletin chunks, delete stale ones',
+  usage: `advisor ingest [options]\n\n${INDEX_USAGE}\n  --force              re-embed every chunk`,
+  options: { ...INDEX_OPTIONS, force: { type: 'boolean', default: false } },
+  run: ({ values }) => runIndex(values, values.force ? 'reindex' : 'ingest'),
+};
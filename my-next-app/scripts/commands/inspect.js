@@ -0,0 +1,46 @@
+// scripts/commands/inspect.js
+// advisor inspect <id>: everything stored for one chunk, in the vector store, the
+// keyword index and the indexer manifest
+const { ChunkNotFoundError, inspectChunk } = require('../../lib/corpus');
+const { UsageError, COMMON_OPTIONS, collectionName, openCollection } = require('./shared');
+
+async function inspect({ values, positionals }) {
+  if (positionals.length !== 1) throw new UsageError('inspect needs exactly one chunk id');
+  const [id] = positionals;
+  const name = collectionName(values);
+
+  const collection = await openCollection(name);
+  let report;
+  try {
+    report = await inspectChunk(collection, id);
+  } catch (error) {
+    if (!(error instanceof ChunkNotFoundError)) throw error;
+    console.error(error.message);
+    return 1;
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  console.log(`Chunk ${id} in ${name}\n`);
+  console.log('Metadata:');
+  for (const [key, value] of Object.entries(report.metadata)) console.log(`  ${key}: ${value}`);
+  console.log(`\nEmbedding: ${report.embedding.dimension} dimensions, first values ${report.embedding.head.join(', ')}`);
+  if (report.embedding.allZeros) console.log('WARNING: every embedding value is zero; every query will rank this chunk the same');
+  console.log(`Keyword index: ${report.keywordIndex ? 'present' : 'missing (run "advisor reindex --keyword-only")'}`);
+  console.log(report.manifest
+    ? `Manifest: from ${report.manifest.source}, indexed ${report.manifest.indexedAt}, hash ${report.manifest.hash.substring(0, 12)}`
+    : 'Manifest: not recorded (written by an older script)');
+  console.log(`\n${report.document}`);
+  return 0;
+}
+
+module.exports = {
+  description: 'Show the document, metadata and embedding stored for a chunk',
+  usage: 'advisor inspect <id> [--catalog-year <year> | --collection <name>] [--json]',
+  options: { ...COMMON_OPTIONS, json: { type: 'boolean', default: false } },
+  allowPositionals: true,
+  run: inspect,
+};
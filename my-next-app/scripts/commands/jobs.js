@@ -0,0 +1,204 @@
+// scripts/commands/jobs.js
+// advisor jobs: the ingest job queue (see lib/jobs): list jobs, show one with
+// its dead letters, retry or cancel it, or run whatever is queued
+const { describePlan } = require('../../lib/indexer');
+const {
+  cancelJob, createJob, findUnfinishedJob, getJob, listDeadLetters, listJobs, retryJob,
+} = require('../../lib/jobs/store');
+const { runJob, runQueue } = require('../../lib/jobs/worker');
+const { countChunks } = require('../../lib/lexical');
+const { UsageError } = require('./shared');
+
+const ACTIONS = ['list', 'show', 'retry', 'cancel', 'work'];
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+function describeStatus(job) {
+  if (job.interrupted) return 'interrupted';
+  const { progress } = job;
+  if (job.status === 'running' && job.kind !== 'keyword' && !job.plannedAt) return 'running, planning';
+  if (job.status !== 'running') return job.status;
+  const eta = progress.etaSeconds === null ? '' : `, about ${formatDuration(progress.etaSeconds)} left`;
+  return `running, ${progress.percent}%${eta}`;
+}
+
+/**
+ * Queue a job for this command, or pick up the collection's unfinished job
+ * of the same kind, e.g. one interrupted by a crash
+ * @param {{ kind: string, collection: string, catalogYear?: string, options?: Object }} spec
+ */
+function queueJob(spec) {
+  const unfinished = findUnfinishedJob(spec.collection);
+  if (!unfinished) {
+    const job = createJob(spec);
+    console.log(`Queued job ${job.id}`);
+    return job;
+  }
+  if (unfinished.kind !== spec.kind) {
+    throw new Error(`Job ${unfinished.id} (${unfinished.kind}) for ${spec.collection} has not finished; ` +
+      `finish it with "advisor jobs work" or stop it with "advisor jobs cancel ${unfinished.id}"`);
+  }
+  console.log(`Resuming job ${unfinished.id} from ${unfinished.createdAt}, with the options it was queued with`);
+  return unfinished;
+}
+
+/**
+ * Run a job here, printing its progress
+ * @param {import('../../lib/jobs/store').Job} job
+ * @returns {Promise<number>} exit status
+ */
+async function runInForeground(job) {
+  let processed = 0;
+  let total = job.progress.total;
+
+  const finished = await runJob(job.id, {
+    onPlan: plan => {
+      total = plan.summary.upserts;
+      console.log(`Planned changes for collection ${job.collection}:`);
+      console.log(describePlan(plan));
+    },
+    onResume: resumed => {
+      processed = resumed.progress.done + resumed.progress.dead;
+      console.log(`Carrying on from its checkpoint: ${resumed.progress.done} of ${total} chunks embedded, ` +
+        `${resumed.progress.dead} dead-lettered`);
+    },
+    onChunk: (chunk, error, failure) => {
+      if (!error) {
+        processed++;
+        process.stdout.write('.');
+      } else if (failure.dead) {
+        processed++;
+        console.error(`\nChunk ${chunk.id} dead-lettered: ${error.message.substring(0, 100)}`);
+      } else {
+        console.error(`\nChunk ${chunk.id} failed, retrying at ${failure.retryAt}: ${error.message.substring(0, 100)}`);
+      }
+      if (!error && processed % 20 === 0) process.stdout.write(`[${processed}/${total}]`);
+    },
+    onPage: (done, pageTotal) => console.log(`Indexed ${done}/${pageTotal} chunks`),
+  });
+
+  const { progress, plan } = finished;
+  if (finished.status === 'failed') {
+    console.error(`\nJob ${finished.id} failed: ${finished.error}`);
+    if (progress.dead > 0) {
+      console.error(`See the dead letters with "advisor jobs show ${finished.id}"; "advisor jobs retry ${finished.id}" ` +
+        'tries them again, and the next ingest plans their files again');
+    } else {
+      console.error(`"advisor jobs retry ${finished.id}" carries it on from its checkpoint`);
+    }
+    return 1;
+  }
+  if (finished.status !== 'succeeded') {
+    console.error(`\nJob ${finished.id} was ${finished.status} before it finished`);
+    return 1;
+  }
+  if (finished.kind === 'keyword') {
+    console.log(`\nKeyword index now holds ${countChunks(finished.collection)} chunks for ${finished.collection}`);
+    return 0;
+  }
+  if (plan.new + plan.changed + plan.removed === 0) {
+    console.log('\nNothing to do, the index is up to date');
+    return 0;
+  }
+
+  console.log(`\n\nIndexing complete: ${progress.done} chunks embedded, ${plan.deletes} deleted`);
+  return 0;
+}
+
+function list(values) {
+  const jobs = listJobs({ limit: 50 });
+  if (values.json) {
+    console.log(JSON.stringify(jobs, null, 2));
+    return 0;
+  }
+  if (jobs.length === 0) {
+    console.log('No jobs yet');
+    return 0;
+  }
+  for (const job of jobs) {
+    const dead = job.progress.dead ? `, ${job.progress.dead} dead-lettered` : '';
+    console.log(`${job.id}  ${job.kind.padEnd(8)} ${job.collection}  ${job.createdAt}  ` +
+      `${describeStatus(job)} (${job.progress.done}/${job.progress.total}${dead})`);
+  }
+  return 0;
+}
+
+function show(values, id) {
+  const job = getJob(id);
+  const deadLetters = listDeadLetters(id);
+  if (values.json) {
+    console.log(JSON.stringify({ ...job, deadLetters }, null, 2));
+    return 0;
+  }
+
+  console.log(`Job ${job.id}: ${job.kind} of ${job.collection}`);
+  console.log(`Status:   ${describeStatus(job)}${job.error ? ` (${job.error})` : ''}`);
+  console.log(`Queued:   ${job.createdAt}${job.createdBy ? ` by ${job.createdBy}` : ''}`);
+  if (job.startedAt) console.log(`Started:  ${job.startedAt}`);
+  if (job.finishedAt) console.log(`Finished: ${job.finishedAt}`);
+  console.log(`Chunks:   ${job.progress.done} of ${job.progress.total} done, ${job.progress.pending} pending, ${job.progress.dead} dead-lettered`);
+  if (deadLetters.length > 0) {
+    console.log('\nDead letters:');
+    for (const letter of deadLetters) {
+      console.log(`  ${letter.id} (${letter.attempts} attempts): ${letter.error}`);
+    }
+  }
+  return 0;
+}
+
+async function jobs({ values, positionals }) {
+  const [action = 'list', id] = positionals;
+  if (!ACTIONS.includes(action)) throw new UsageError(`Unknown action "${action}"; use one of ${ACTIONS.join(', ')}`);
+  if (['show', 'retry', 'cancel'].includes(action) && !id) throw new UsageError(`${action} needs a job id`);
+
+  switch (action) {
+    case 'list':
+      return list(values);
+    case 'show':
+      return show(values, id);
+    case 'retry':
+      return runInForeground(retryJob(id));
+    case 'cancel':
+      cancelJob(id);
+      console.log(`Cancelled job ${id}; what it embedded stays`);
+      return 0;
+    case 'work': {
+      let status = 0;
+      const run = await runQueue({
+        onStart: job => console.log(`Running job ${job.id}: ${job.kind} of ${job.collection}`),
+        onChunk: (chunk, error) => process.stdout.write(error ? 'x' : '.'),
+        onPage: (done, total) => console.log(`Indexed ${done}/${total} chunks`),
+      });
+      for (const job of run) {
+        console.log(`\nJob ${job.id}: ${describeStatus(job)}, ${job.progress.done} done, ${job.progress.dead} dead-lettered`);
+        if (job.status !== 'succeeded') status = 1;
+      }
+      if (run.length === 0) console.log('No queued or interrupted jobs');
+      return status;
+    }
+  }
+}
+
+module.exports = {
+  queueJob,
+  runInForeground,
+  description: 'List ingest jobs, show their dead letters, retry, cancel or run them',
+  usage: `advisor jobs [list] [--json]
+       advisor jobs show <id> [--json]
+       advisor jobs retry <id>
+       advisor jobs cancel <id>
+       advisor jobs work
+
+retry gives a job's dead-lettered chunks fresh attempts, or carries a failed
+or cancelled job on from its checkpoint, and runs it here. work runs queued
+jobs and resumes interrupted ones until none is left.`,
+  options: {
+    json: { type: 'boolean', default: false },
+  },
+  allowPositionals: true,
+  run: jobs,
+};
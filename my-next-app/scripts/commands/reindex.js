@@ -0,0 +1,23 @@
+// scripts/commands/reindex.js
+// advisor reindex: re-embed every chunk, or rebuild only the keyword index
+// from the chunks already in the vector store
+const { INDEX_OPTIONS, INDEX_USAGE, runIndex } = require('./ingest');
+const { queueJob, runInForeground } = require('./jobs');
+const { collectionName, openCollection } = require('./shared');
+
+async function keywordOnly(name, dryRun) {
+  const collection = await openCollection(name);
+  console.log(`Collection ${name} holds ${await collection.count()} chunks`);
+  if (dryRun) return 0;
+
+  return runInForeground(queueJob({ kind: 'keyword', collection: name }));
+}
+
+module.exports = {
+  description: 'Re-embed every chunk, or rebuild the keyword index from the vector store',
+  usage: `advisor reindex [options]\n\n${INDEX_USAGE}\n  --keyword-only       only rebuild the keyword index from the stored chunks`,
+  options: { ...INDEX_OPTIONS, 'keyword-only': { type: 'boolean', default: false } },
+  run: ({ values }) => values['keyword-only']
+    ? keywordOnly(collectionName(values), values['dry-run'])
+    : runIndex(values, 'reindex'),
+};
@@ -0,0 +1,69 @@
+// scripts/commands/search.js
+// advisor search: run the same hybrid retrieval the app uses and print the hits
+const { parseFilters } = require('../../lib/filters');
+const { parseRerankOptions } = require('../../lib/rerank');
+const { isValidWeight, retrieve } = require('../../lib/retrieval');
+const { UsageError, COMMON_OPTIONS, collectionName, openCollection, toInteger, preview } = require('./shared');
+
+async function search({ values, positionals }) {
+  const query = positionals.join(' ').trim();
+  if (!query) throw new UsageError('search needs a query');
+
+  const nResults = toInteger(values.n, 'n', 1) ?? 5;
+  const lexicalWeight = values['lexical-weight'] === undefined ? undefined : Number(values['lexical-weight']);
+  if (!isValidWeight(lexicalWeight) || Number.isNaN(lexicalWeight)) {
+    throw new UsageError('--lexical-weight must be a number from 0 to 1');
+  }
+  const filters = parseFilters(values.department ? { department: values.department } : undefined);
+  const rerank = parseRerankOptions(values['no-rerank'] ? { skip: true } : undefined);
+
+  const collection = await openCollection(collectionName(values));
+  const { results, timings, rerank: rerankReport } = await retrieve(collection, query, {
+    nResults,
+    lexicalWeight,
+    filters,
+    rerank,
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify({ query, results, timings, rerank: rerankReport }, null, 2));
+    return 0;
+  }
+
+  results.forEach((hit, index) => {
+    const distance = hit.distance === null ? '' : ` distance ${hit.distance.toFixed(4)}`;
+    console.log(`\n${index + 1}. ${hit.id} [${hit.retrievers.join('+')}] score ${hit.score.toFixed(4)}${distance}`);
+    console.log(`   ${hit.metadata.source || 'unknown'}${hit.metadata.course_code ? ` - ${hit.metadata.course_code}` : ''}`);
+    console.log(`   ${preview(hit.document, 200)}`);
+  });
+  if (results.length === 0) console.log('No results');
+
+  const rerankNote = rerankReport.applied ? `reranked with ${rerankReport.model}` : `not reranked${rerankReport.error ? ` (${rerankReport.error})` : ''}`;
+  console.log(`\n${results.length} results in ${timings.total} ms, ${rerankNote}`);
+  return 0;
+}
+
+module.exports = {
+  description: 'Search the bulletin chunks with hybrid retrieval',
+  usage: [
+    'advisor search <query> [options]',
+    '',
+    '  --n <count>             results to show (default 5)',
+    '  --lexical-weight <w>    0 = embeddings only, 1 = keywords only (default retrieval.lexicalWeight)',
+    '  --department <code>     only this department; repeat for several',
+    '  --no-rerank             keep the fused order',
+    '  --json                  print the raw results',
+    '  --catalog-year <year>   edition to search, e.g. 2024-25 (default the latest ingested)',
+    '  --collection <name>     search this collection instead',
+  ].join('\n'),
+  options: {
+    ...COMMON_OPTIONS,
+    n: { type: 'string' },
+    'lexical-weight': { type: 'string' },
+    department: { type: 'string', multiple: true },
+    'no-rerank': { type: 'boolean', default: false },
+    json: { type: 'boolean', default: false },
+  },
+  allowPositionals: true,
+  run: search,
+};
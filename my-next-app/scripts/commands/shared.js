@@ -0,0 +1,87 @@
+// scripts/commands/shared.js
+// Helpers shared by the advisor CLI subcommands
+const { config } = require('../../lib/config');
+const { EditionError, editionCollection, parseCatalogYear, resolveEdition } = require('../../lib/editions');
+const { getBackend, openStore } = require('../../lib/vectorstore');
+
+// Bad arguments: the CLI prints the command's usage and exits with status 2
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// Options every subcommand accepts
+const COMMON_OPTIONS = {
+  collection: { type: 'string' },
+  'catalog-year': { type: 'string' },
+};
+
+function catalogYearOption(values) {
+  try {
+    return parseCatalogYear(values['catalog-year']);
+  } catch (error) {
+    throw error instanceof EditionError ? new UsageError(`--catalog-year must be an academic year such as 2024-25`) : error;
+  }
+}
+
+// Collection to read: --collection, else the --catalog-year edition, else the latest one
+function collectionName(values) {
+  return values.collection || resolveEdition(catalogYearOption(values)).collection;
+}
+
+/**
+ * Collection to index into and the catalog year to tag it with. Every ingest
+ * names its edition, unless --collection picks a collection outright.
+ * @returns {{ collection: string, catalogYear: string | undefined }}
+ */
+function indexTarget(values) {
+  const catalogYear = catalogYearOption(values) || config.ingest.catalogYear || undefined;
+  if (values.collection) return { collection: values.collection, catalogYear };
+  if (!catalogYear) {
+    throw new UsageError('Name the bulletin edition with --catalog-year (e.g. 2024-25) or ingest.catalogYear');
+  }
+  return { collection: editionCollection(catalogYear), catalogYear };
+}
+
+// Open an existing collection, with a clear message when it is missing
+async function openCollection(name) {
+  try {
+    return await openStore(name);
+  } catch (error) {
+    throw new Error(`Could not open collection "${name}" in ${getBackend().location}: ${error.message}\n` +
+      'Run "advisor doctor" to check the connection, or "advisor ingest" to create the collection.');
+  }
+}
+
+/**
+ * Parse a flag that must be a whole number
+ * @param {string | undefined} value
+ * @param {string} flag - for the error message
+ * @param {number} min
+ */
+function toInteger(value, flag, min) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new UsageError(`--${flag} must be an integer of at least ${min}`);
+  }
+  return number;
+}
+
+function preview(text, length = 100) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.substring(0, length)}...` : flat;
+}
+
+module.exports = {
+  UsageError,
+  COMMON_OPTIONS,
+  catalogYearOption,
+  collectionName,
+  indexTarget,
+  openCollection,
+  toInteger,
+  preview,
+};
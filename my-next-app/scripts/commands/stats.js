@@ -0,0 +1,45 @@
+// scripts/commands/stats.js
+// advisor stats: sizes of the collection, keyword index and manifest, and how
+// many chunks carry each metadata key
+const { collectionStats } = require('../../lib/corpus');
+const { getBackend } = require('../../lib/vectorstore');
+const { COMMON_OPTIONS, collectionName, openCollection } = require('./shared');
+
+async function stats({ values }) {
+  const collection = await openCollection(collectionName(values));
+  const { collection: name, ...sizes } = await collectionStats(collection);
+  const report = {
+    collection: name,
+    vectorStore: `${getBackend().name} (${getBackend().location})`,
+    ...sizes,
+  };
+  const { files } = report;
+
+  if (values.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return 0;
+  }
+
+  console.log(`Collection:      ${report.collection} in ${report.vectorStore}`);
+  console.log(`Chunks:          ${report.chunks}`);
+  console.log(`Dimension:       ${report.dimension ?? 'n/a (empty)'}`);
+  console.log(`Embed model:     ${report.embedModel}`);
+  console.log(`Keyword index:   ${report.keywordIndexChunks} chunks`);
+  console.log('Metadata coverage:');
+  for (const { key, chunks, percent } of report.metadata) {
+    console.log(`  ${key.padEnd(24)} ${String(chunks).padStart(5)} chunks  ${percent}%`);
+  }
+  console.log(`Indexed files:   ${files.length}`);
+  for (const file of files) {
+    const state = file.complete ? `indexed ${file.indexedAt}` : 'incomplete, retried on next ingest';
+    console.log(`  ${file.source.padEnd(40)} ${String(file.chunkCount).padStart(5)} chunks  ${state}`);
+  }
+  return 0;
+}
+
+module.exports = {
+  description: 'Show chunk counts and metadata coverage for the collection, keyword index and manifest',
+  usage: 'advisor stats [--catalog-year <year> | --collection <name>] [--json]',
+  options: { ...COMMON_OPTIONS, json: { type: 'boolean', default: false } },
+  run: stats,
+};
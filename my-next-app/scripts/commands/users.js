@@ -0,0 +1,115 @@
+// scripts/commands/users.js
+// advisor users: manage accounts from the server, e.g. to create the first admin
+const { generatePassword } = require('../../lib/auth/passwords');
+const {
+  ROLES, createUser, findUserByEmail, listUsers, updateUser, deleteUser,
+} = require('../../lib/auth/users');
+const { UsageError } = require('./shared');
+
+const ACTIONS = ['list', 'add', 'role', 'password', 'assign', 'unassign', 'remove'];
+
+function userByEmail(email) {
+  if (!email) throw new UsageError('Name the account by its email');
+  const user = findUserByEmail(email);
+  if (!user) throw new Error(`No account for ${email}`);
+  return user;
+}
+
+function describe(user, emails) {
+  const name = user.name ? ` (${user.name})` : '';
+  const signIn = [user.hasPassword && 'password', user.sso && 'sso'].filter(Boolean).join(', ') || 'no sign-in';
+  const students = user.students ? `, advises ${user.students.map(id => emails.get(id)).join(', ') || 'nobody'}` : '';
+  return `${user.email}${name}: ${user.role}, ${signIn}${students}`;
+}
+
+function list(values) {
+  const users = listUsers({ role: values.role });
+  if (values.json) {
+    console.log(JSON.stringify(users, null, 2));
+    return 0;
+  }
+  if (users.length === 0) {
+    console.log('No accounts yet; create an admin with "advisor users add <email> --role admin"');
+    return 0;
+  }
+  const emails = new Map(listUsers().map(user => [user.id, user.email]));
+  for (const user of users) console.log(describe(user, emails));
+  return 0;
+}
+
+async function add(values, [email]) {
+  if (!email) throw new UsageError('Give the email of the new account');
+  const password = values.password || generatePassword();
+  const user = await createUser({ email, name: values.name, role: values.role || 'student', password });
+  console.log(`Created ${user.role} account ${user.email}`);
+  if (!values.password) console.log(`Password: ${password}`);
+  return 0;
+}
+
+// Students to add to or take from an advisor's list
+async function assign(advisorEmail, studentEmails, add) {
+  const advisor = userByEmail(advisorEmail);
+  if (studentEmails.length === 0) throw new UsageError('Name at least one student by email');
+  const ids = studentEmails.map(email => userByEmail(email).id);
+  const students = add
+    ? Array.from(new Set([...(advisor.students || []), ...ids]))
+    : (advisor.students || []).filter(id => !ids.includes(id));
+  const updated = await updateUser(advisor.id, { students });
+  console.log(`${updated.email} now advises ${updated.students.length} student(s)`);
+  return 0;
+}
+
+async function users({ values, positionals }) {
+  const [action = 'list', ...args] = positionals;
+  if (!ACTIONS.includes(action)) throw new UsageError(`Unknown action "${action}"; use one of ${ACTIONS.join(', ')}`);
+  if (values.role && !ROLES.includes(values.role)) throw new UsageError(`--role must be one of ${ROLES.join(', ')}`);
+
+  switch (action) {
+    case 'list':
+      return list(values);
+    case 'add':
+      return await add(values, args);
+    case 'role': {
+      const [email, role] = args;
+      if (!ROLES.includes(role)) throw new UsageError(`Give the new role: ${ROLES.join(', ')}`);
+      const user = await updateUser(userByEmail(email).id, { role });
+      console.log(`${user.email} is now ${user.role === 'admin' ? 'an' : 'a'} ${user.role}`);
+      return 0;
+    }
+    case 'password': {
+      const user = userByEmail(args[0]);
+      const password = values.password || generatePassword();
+      await updateUser(user.id, { password });
+      console.log(`Changed the password of ${user.email}; its logins were ended`);
+      if (!values.password) console.log(`Password: ${password}`);
+      return 0;
+    }
+    case 'assign':
+    case 'unassign':
+      return await assign(args[0], args.slice(1), action === 'assign');
+    case 'remove':
+      deleteUser(userByEmail(args[0]).id);
+      console.log(`Removed ${args[0]} with its profiles`);
+      return 0;
+  }
+}
+
+module.exports = {
+  description: 'Create accounts, change roles and passwords, assign students to advisors',
+  usage: `advisor users [list] [--role <role>] [--json]
+       advisor users add <email> [--role student|advisor|admin] [--name <name>] [--password <password>]
+       advisor users role <email> <role>
+       advisor users password <email> [--password <password>]
+       advisor users assign|unassign <advisor-email> <student-email>...
+       advisor users remove <email>
+
+Without --password, a random password is generated and printed.`,
+  options: {
+    role: { type: 'string' },
+    name: { type: 'string' },
+    password: { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+  allowPositionals: true,
+  run: users,
+};
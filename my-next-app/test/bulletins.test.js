@@ -0,0 +1,37 @@
+// test/bulletins.test.js
+require('./setup');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { describe, it } = require('node:test');
+const { config } = require('../lib/config');
+const { BulletinFileError, bulletinDir, listBulletinFiles, saveBulletinFile } = require('../lib/bulletins');
+
+const names = catalogYear => listBulletinFiles(catalogYear).files.map(file => file.name);
+
+describe('bulletin files', () => {
+  it('reads an edition without its own folder from the shared one', () => {
+    saveBulletinFile('courses.txt', Buffer.from('CSEN 10. Introduction (4 units)'));
+    saveBulletinFile('policies.txt', Buffer.from('Students may repeat a course once.'));
+    assert.equal(bulletinDir('2024-25'), config.ingest.bulletinDir);
+    assert.deepEqual(names('2024-25'), ['courses.txt', 'policies.txt']);
+  });
+
+  it('starts an edition folder with the shared files, so none of them goes missing', () => {
+    saveBulletinFile('courses.txt', Buffer.from('CSEN 10. Introduction to Programming (4 units)'), '2024-25');
+    saveBulletinFile('majors.txt', Buffer.from('Computer Science and Engineering'), '2024-25');
+
+    assert.equal(bulletinDir('2024-25'), path.join(config.ingest.bulletinDir, '2024-25'));
+    assert.deepEqual(names('2024-25'), ['courses.txt', 'majors.txt', 'policies.txt']);
+    assert.match(fs.readFileSync(path.join(bulletinDir('2024-25'), 'courses.txt'), 'utf-8'), /Programming/);
+    // The shared folder and the editions still reading it are untouched
+    assert.deepEqual(names('2023-24'), ['courses.txt', 'policies.txt']);
+    assert.doesNotMatch(fs.readFileSync(path.join(config.ingest.bulletinDir, 'courses.txt'), 'utf-8'), /Programming/);
+  });
+
+  it('rejects unsafe names and unsupported files', () => {
+    assert.throws(() => saveBulletinFile('../escape.txt', Buffer.from('x')), BulletinFileError);
+    assert.throws(() => saveBulletinFile('notes.docx', Buffer.from('x')), BulletinFileError);
+    assert.throws(() => saveBulletinFile('courses.txt', Buffer.from('x'), '2024'), BulletinFileError);
+  });
+});
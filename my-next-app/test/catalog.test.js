@@ -0,0 +1,52 @@
+// test/catalog.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseCourses } = require('../lib/catalog/parser');
+
+const BULLETIN = `Department of Mathematics
+
+MATH 12. Calculus II
+Integration and series. Prerequisite: MATH 11. Offered in fall and winter. (4 units)
+
+Also listed as AMTH 12.
+
+MATH 13. Calculus III
+Multivariable calculus.
+Prerequisite: MATH 12.
+(4 units)
+
+Major Requirements
+A minimum of 175 units is required for the Bachelor of Science.
+
+Mathematics Courses:
+MATH 11, 12, 13 and 14
+`;
+
+describe('parseCourses', () => {
+  const courses = parseCourses(BULLETIN, 'math.txt');
+  const byCode = Object.fromEntries(courses.map(course => [course.code, course]));
+
+  it('reads the heading, units, clauses and terms of each entry', () => {
+    assert.deepEqual(courses.map(course => course.code), ['MATH 12', 'MATH 13']);
+    assert.deepEqual(byCode['MATH 12'], {
+      code: 'MATH 12',
+      department: 'MATH',
+      number: '12',
+      title: 'Calculus II',
+      unitsMin: 4,
+      unitsMax: 4,
+      description: 'Integration and series. Also listed as AMTH 12.',
+      prerequisites: 'MATH 11',
+      corequisites: null,
+      termsOffered: ['Fall', 'Winter'],
+      source: 'math.txt',
+    });
+  });
+
+  it('ends the last course of a list at the next section heading', () => {
+    const math13 = byCode['MATH 13'];
+    assert.equal(math13.description, 'Multivariable calculus.');
+    assert.equal(math13.prerequisites, 'MATH 12');
+    assert.equal(math13.unitsMax, 4);
+  });
+});
@@ -0,0 +1,82 @@
+// test/config.test.js
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, describe, it } = require('node:test');
+const { ConfigError, isCatalogYear, loadConfig } = require('../lib/config');
+
+describe('loadConfig', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'advisor-config-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Loads with a config file holding `values`, so a local advisor.config.json is not read
+  const load = (env = {}, values = {}) => {
+    const file = path.join(dir, 'advisor.config.json');
+    fs.writeFileSync(file, JSON.stringify(values));
+    return loadConfig({ ADVISOR_CONFIG: file, ...env });
+  };
+
+  const problemsOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      assert.ok(error instanceof ConfigError);
+      return error.problems;
+    }
+    assert.fail('expected a ConfigError');
+  };
+
+  it('lets the environment override the config file', () => {
+    const config = load({ CHUNK_SIZE: '800', RERANK_ENABLED: 'false' }, { ingest: { chunkSize: 600, chunkOverlap: 50 } });
+    assert.equal(config.ingest.chunkSize, 800);
+    assert.equal(config.ingest.chunkOverlap, 50);
+    assert.equal(config.rerank.enabled, false);
+    assert.ok(path.isAbsolute(config.storage.dataDir));
+  });
+
+  it('reports every invalid value at once', () => {
+    const problems = problemsOf(() => load(
+      { SERVER_PORT: '70000', CHROMA_URL: 'ftp://chroma', LEXICAL_WEIGHT: '2' },
+      { ingest: { chunkSize: 'big' } },
+    ));
+    assert.equal(problems.length, 4);
+    assert.match(problems[0], /"ingest.chunkSize" .* is not a valid positive/);
+    assert.ok(problems.some(problem => problem.startsWith('SERVER_PORT is not a valid port')));
+  });
+
+  it('rejects unknown keys, backends and providers', () => {
+    const problems = problemsOf(() => load({ VECTOR_BACKEND: 'pinecone', EMBED_PROVIDER: 'magic' }, { cache: {}, ingest: { size: 1 } }));
+    assert.deepEqual(problems.map(problem => problem.split(' ').slice(0, 3).join(' ')), [
+      'Unknown config section',
+      'Unknown config key',
+      'vectors.backend must be',
+      'providers.embedding must be',
+    ]);
+  });
+
+  it('reads a list of model ids and rejects anything else', () => {
+    assert.deepEqual(load({ RERANK_MODELS: 'Xenova/a, Xenova/b' }).rerank.models, ['Xenova/a', 'Xenova/b']);
+    assert.deepEqual(load({}, { rerank: { models: ['Xenova/a'] } }).rerank.models, ['Xenova/a']);
+    assert.match(problemsOf(() => load({ RERANK_MODELS: '../models/local' }))[0], /RERANK_MODELS is not a valid models/);
+  });
+
+  it('checks settings against each other', () => {
+    assert.match(problemsOf(() => load({ CHUNK_SIZE: '100', CHUNK_OVERLAP: '100' }))[0], /must be smaller than/);
+    assert.match(problemsOf(() => load({ OIDC_ISSUER: 'https://id.example.edu' }))[0], /must be set together/);
+  });
+
+  it('fails when ADVISOR_CONFIG names a missing file', () => {
+    assert.match(problemsOf(() => loadConfig({ ADVISOR_CONFIG: path.join(dir, 'missing.json') }))[0], /does not exist/);
+  });
+});
+
+describe('isCatalogYear', () => {
+  it('accepts consecutive years written the bulletin way', () => {
+    assert.equal(isCatalogYear('2024-25'), true);
+    assert.equal(isCatalogYear('2099-00'), true);
+    assert.equal(isCatalogYear('2024-26'), false);
+    assert.equal(isCatalogYear('2024-2025'), false);
+    assert.equal(isCatalogYear(2024), false);
+  });
+});
@@ -0,0 +1,76 @@
+// test/eval.test.js
+require('./setup');
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { isRefusal } = require('../lib/eval/answers');
+const { checkClaim, splitClaims } = require('../lib/eval/faithfulness');
+const { averageMetrics, coverage, scoreRanking } = require('../lib/eval/metrics');
+
+describe('ranking metrics', () => {
+  const gold = { expectedChunks: ['c2'], expectedCodes: ['CSEN 12'] };
+  const hits = [
+    { id: 'c1', metadata: { codes: [] } },
+    { id: 'c2', metadata: { codes: ['CSEN 12'] } },
+    { id: 'c3', metadata: { codes: ['CSEN 12'] } },
+  ];
+  const codesOf = hit => hit.metadata.codes;
+
+  it('counts each expected item once', () => {
+    const covered = coverage(hits, gold, codesOf);
+    assert.deepEqual(covered, [[], ['chunk:c2', 'code:CSEN 12'], ['code:CSEN 12']]);
+
+    const score = scoreRanking(covered, 2, 3);
+    assert.equal(score.recall, 1);
+    assert.equal(score.firstRelevant, 2);
+    assert.equal(score.reciprocalRank, 0.5);
+    // One relevant hit at rank 2 against an ideal of two at ranks 1 and 2
+    assert.equal(score.ndcg, (1 / Math.log2(3)) / (1 + 1 / Math.log2(3)));
+  });
+
+  it('scores zero when nothing relevant was found', () => {
+    const score = scoreRanking([[], []], 1, 2);
+    assert.deepEqual([score.recall, score.reciprocalRank, score.ndcg, score.firstRelevant], [0, 0, 0, null]);
+  });
+
+  it('averages over questions', () => {
+    const scores = [
+      { recall: 1, reciprocalRank: 1, ndcg: 1 },
+      { recall: 0, reciprocalRank: 0.5, ndcg: 0.5 },
+    ];
+    assert.deepEqual(averageMetrics(scores), { recall: 0.5, mrr: 0.75, ndcg: 0.75 });
+    assert.deepEqual(averageMetrics([]), { recall: 0, mrr: 0, ndcg: 0 });
+  });
+});
+
+describe('faithfulness', () => {
+  const sources = [
+    { id: 'a', document: 'CSEN 12 Data Structures (4 units). Prerequisite: CSEN 11.' },
+    { id: 'b', document: 'MATH 13 Calculus III (4 units).' },
+  ];
+
+  it('splits an answer into claims with their citation markers', () => {
+    assert.deepEqual(splitClaims('CSEN 12 is worth 4 units [1]. It requires CSEN 11 [1, 2].'), [
+      { text: 'CSEN 12 is worth 4 units.', markers: [1] },
+      { text: 'It requires CSEN 11.', markers: [1, 2] },
+    ]);
+  });
+
+  it('supports a claim whose words, codes and numbers are in the cited passage', () => {
+    const result = checkClaim({ text: 'CSEN 12 Data Structures is 4 units.', markers: [1] }, sources);
+    assert.equal(result.supported, true);
+    assert.deepEqual(result.cited, ['a']);
+  });
+
+  it('flags codes and numbers missing from the cited passage, and markers without a passage', () => {
+    const result = checkClaim({ text: 'CSEN 12 Data Structures is 5 units.', markers: [1, 3] }, sources);
+    assert.equal(result.supported, false);
+    assert.deepEqual(result.unsupported, ['5', '[3]']);
+    assert.ok(checkClaim({ text: 'CSEN 12 requires MATH 13.', markers: [1] }, sources).unsupported.includes('MATH 13'));
+  });
+
+  it('recognizes refusals', () => {
+    assert.equal(isRefusal('That is not in the bulletin.'), true);
+    assert.equal(isRefusal('The passages do not mention a minor in music.'), true);
+    assert.equal(isRefusal('CSEN 12 is 4 units.'), false);
+  });
+});
@@ -0,0 +1,81 @@
+// test/indexer.test.js
+const { dataDir } = require('./setup');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { before, describe, it } = require('node:test');
+const { indexChunk, listSourceFiles, planIndex, recordFile } = require('../lib/indexer');
+const { openOrCreateStore } = require('../lib/vectorstore');
+
+const dir = path.join(dataDir, 'plan');
+const COLLECTION = 'plan_test';
+
+const COURSES = `CSEN 10. Introduction to Programming (4 units)
+Variables, loops and functions.
+
+CSEN 11. Advanced Programming (4 units)
+Recursion and data abstraction. Prerequisite: CSEN 10.
+`;
+
+// Small chunks, so each course is one
+const planDir = (options = {}) => planIndex(COLLECTION, listSourceFiles(dir), {
+  chunker: 'section', chunkSize: 100, chunkOverlap: 0, catalogYear: '2024-25', ...options,
+});
+
+// Store every planned chunk and record its file, as a finished job does
+async function apply({ files }) {
+  const collection = await openOrCreateStore(COLLECTION);
+  for (const file of files) {
+    for (const chunk of file.upserts) await indexChunk(collection, file.source, chunk);
+    recordFile(COLLECTION, file);
+  }
+}
+
+describe('planIndex', () => {
+  before(() => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'courses.txt'), COURSES);
+    fs.writeFileSync(path.join(dir, 'policies.txt'), 'Students may repeat a course once.\n');
+    fs.writeFileSync(path.join(dir, 'notes.xyz'), 'not a bulletin file');
+  });
+
+  it('lists the supported files in order', () => {
+    assert.deepEqual(listSourceFiles(dir).map(file => file.source), ['courses.txt', 'policies.txt']);
+  });
+
+  it('plans every chunk of files never indexed', async () => {
+    const plan = await planDir();
+    assert.deepEqual(plan.files.map(file => file.status), ['new', 'new']);
+    assert.equal(plan.summary.upserts, plan.files.reduce((total, file) => total + file.chunkCount, 0));
+    assert.equal(plan.summary.deletes, 0);
+    assert.ok(plan.files[0].upserts.every(chunk => chunk.metadata.catalog_year === '2024-25'));
+    await apply(plan);
+  });
+
+  it('leaves indexed files alone until they change', async () => {
+    const plan = await planDir();
+    assert.deepEqual(plan.files.map(file => file.status), ['unchanged', 'unchanged']);
+    assert.equal(plan.summary.upserts, 0);
+  });
+
+  it('re-embeds only the changed chunks and deletes those of removed files', async () => {
+    fs.writeFileSync(path.join(dir, 'courses.txt'), COURSES.replace('Recursion', 'Recursion, testing'));
+    fs.unlinkSync(path.join(dir, 'policies.txt'));
+
+    const plan = await planDir();
+    const [courses] = plan.files;
+    assert.equal(courses.status, 'changed');
+    assert.equal(courses.chunkCount, 2);
+    assert.deepEqual(courses.upserts.map(chunk => chunk.document.includes('testing')), [true]);
+    assert.deepEqual(plan.removed.map(file => file.source), ['policies.txt']);
+    assert.ok(plan.removed[0].deletes.length > 0);
+  });
+
+  it('plans every chunk again when forced or when the chunking changes', async () => {
+    const forced = await planDir({ force: true });
+    assert.equal(forced.summary.upserts, forced.files[0].chunkCount);
+
+    const rechunked = await planDir({ chunkSize: 60 });
+    assert.equal(rechunked.files[0].status, 'changed');
+  });
+});
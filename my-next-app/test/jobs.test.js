@@ -0,0 +1,151 @@
+// test/jobs.test.js
+const { dataDir } = require('./setup');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { before, describe, it, mock } = require('node:test');
+
+process.env.INGEST_MAX_ATTEMPTS = '2';
+process.env.INGEST_RETRY_DELAY_MS = '0';
+
+const { resolveChunking } = require('../lib/chunkers');
+const {
+  JobConflictError, JobError, cancelJob, claimJob, createJob, dueChunks, finishJob, finishableFiles, getJob,
+  listDeadLetters, markChunkDone, markChunkFailed, markFileDone, retryJob, savePlan,
+} = require('../lib/jobs/store');
+const { runJob } = require('../lib/jobs/worker');
+const { listEditions } = require('../lib/editions');
+const { listIndexedFiles } = require('../lib/indexer');
+const { openOrCreateStore } = require('../lib/vectorstore');
+
+const RETRY = { maxAttempts: 2, retryDelayMs: 0 };
+
+const chunk = id => ({ id, document: `text of ${id}`, metadata: {}, hash: `hash-${id}` });
+const plan = {
+  collection: 'states',
+  files: [
+    { source: 'a.txt', status: 'new', hash: 'a1', chunkCount: 2, upserts: [chunk('a#0'), chunk('a#1')], deletes: [] },
+    { source: 'b.txt', status: 'unchanged', hash: 'b1', chunkCount: 1, upserts: [], deletes: [] },
+  ],
+  removed: [{ source: 'c.txt', deletes: ['c#0'] }],
+  summary: { files: 2, new: 1, changed: 0, unchanged: 1, removed: 1, upserts: 2, deletes: 1 },
+};
+
+describe('job store', () => {
+  it('allows one unfinished job per collection', () => {
+    const job = createJob({ kind: 'ingest', collection: 'one' });
+    assert.equal(job.status, 'queued');
+    assert.throws(() => createJob({ kind: 'reindex', collection: 'one' }), JobConflictError);
+    assert.throws(() => createJob({ kind: 'rebuild', collection: 'two' }), JobError);
+    cancelJob(job.id);
+    assert.throws(() => cancelJob(job.id), /already been cancelled/);
+    createJob({ kind: 'reindex', collection: 'one' });
+  });
+
+  it('checkpoints the plan and finishes files once their chunks are settled', () => {
+    const job = createJob({ kind: 'ingest', collection: 'states' });
+    assert.equal(claimJob('test:1:a', job.id).status, 'running');
+    // A running job is not taken again while its worker is alive
+    assert.equal(claimJob('test:2:b', job.id), null);
+
+    savePlan(job.id, plan);
+    assert.deepEqual(dueChunks(job.id).map(due => due.id), ['a#0', 'a#1']);
+    // The removed file has nothing to embed and can be finished right away
+    assert.deepEqual(finishableFiles(job.id).map(file => [file.source, file.hash]), [['c.txt', null]]);
+    markFileDone(job.id, 'c.txt');
+
+    markChunkDone(job.id, 'a#0');
+    assert.equal(markChunkFailed(job.id, { id: 'a#1', attempts: 0 }, new Error('timeout'), RETRY).dead, false);
+    assert.deepEqual(dueChunks(job.id).map(due => [due.id, due.attempts]), [['a#1', 1]]);
+    assert.deepEqual(finishableFiles(job.id), []);
+
+    assert.equal(markChunkFailed(job.id, { id: 'a#1', attempts: 1 }, new Error('timeout'), RETRY).dead, true);
+    assert.deepEqual(dueChunks(job.id), []);
+    const [a] = finishableFiles(job.id);
+    assert.deepEqual([a.source, a.dead], ['a.txt', 1]);
+    markFileDone(job.id, 'a.txt');
+
+    const { progress } = getJob(job.id);
+    assert.deepEqual([progress.total, progress.done, progress.dead, progress.percent], [2, 1, 1, 100]);
+    assert.deepEqual(listDeadLetters(job.id), [{ id: 'a#1', source: 'a.txt', attempts: 2, error: 'timeout' }]);
+
+    // Dead letters get fresh attempts once the job has finished
+    assert.throws(() => retryJob(job.id), /has not finished yet/);
+    finishJob(job.id, 'failed', '1 chunk(s) were dead-lettered');
+    const retried = retryJob(job.id);
+    assert.deepEqual([retried.status, retried.progress.dead], ['queued', 0]);
+    assert.deepEqual(dueChunks(job.id).map(due => [due.id, due.attempts]), [['a#1', 0]]);
+    assert.deepEqual(finishableFiles(job.id), []);
+    claimJob('test:1:a', job.id);
+    markChunkDone(job.id, 'a#1');
+    assert.deepEqual(finishableFiles(job.id).map(file => [file.source, file.dead]), [['a.txt', 0]]);
+
+    finishJob(job.id, 'succeeded');
+    assert.throws(() => retryJob(job.id), /nothing to retry/);
+  });
+
+  it('only retries the latest job of a collection', () => {
+    const old = createJob({ kind: 'ingest', collection: 'replan' });
+    claimJob('test:1:a', old.id);
+    finishJob(old.id, 'failed', 'Ollama is not reachable');
+    const newer = createJob({ kind: 'ingest', collection: 'replan' });
+
+    assert.throws(() => retryJob(old.id), error => error instanceof JobConflictError && error.job.id === newer.id);
+    cancelJob(newer.id);
+    assert.throws(() => retryJob(old.id), /plan is out of date/);
+    assert.equal(retryJob(newer.id).status, 'queued');
+  });
+});
+
+describe('worker', () => {
+  const dir = path.join(dataDir, 'bulletin-worker');
+  const options = () => ({ dir, chunking: resolveChunking('section', { chunkSize: 100, chunkOverlap: 0 }), concurrency: 1, delayMs: 0 });
+
+  before(() => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'courses.txt'), `CSEN 10. Introduction to Programming (4 units)
+Variables, loops and functions.
+
+CSEN 11. Advanced Programming (4 units)
+Recursion and data abstraction. Prerequisite: CSEN 10.
+`);
+    fs.writeFileSync(path.join(dir, 'policies.txt'), 'Students may repeat a course once.\n');
+  });
+
+  it('indexes every planned chunk and records the files', async () => {
+    const job = await runJob(createJob({ kind: 'ingest', collection: 'worker', options: options() }).id);
+    assert.equal(job.status, 'succeeded');
+    assert.deepEqual([job.progress.done, job.progress.dead], [3, 0]);
+    assert.deepEqual(listIndexedFiles('worker').map(file => file.source), ['courses.txt', 'policies.txt']);
+  });
+
+  // Makes upserts into the collection fail for chunks whose text matches
+  async function failUpserts(name, pattern) {
+    const collection = await openOrCreateStore(name);
+    const upsert = collection.upsert.bind(collection);
+    mock.method(collection, 'upsert', async records => {
+      if (records.some(record => pattern.test(record.document))) throw new Error('embedding timed out');
+      return upsert(records);
+    });
+  }
+
+  it('dead-letters a chunk that keeps failing, leaves its file unrecorded and fails the job', async () => {
+    await failUpserts('flaky', /Recursion/);
+    const job = await runJob(createJob({ kind: 'ingest', collection: 'flaky', catalogYear: '2023-24', options: options() }).id);
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /1 chunk\(s\) were dead-lettered/);
+    assert.deepEqual([job.progress.done, job.progress.dead], [2, 1]);
+    assert.deepEqual(listDeadLetters(job.id).map(letter => [letter.source, letter.attempts]), [['courses.txt', 2]]);
+    assert.deepEqual(listIndexedFiles('flaky').map(file => [file.source, file.complete]), [['courses.txt', false], ['policies.txt', true]]);
+    // policies.txt is indexed in full, so the edition can be searched
+    assert.ok(listEditions().some(edition => edition.catalogYear === '2023-24' && edition.ingestedAt));
+  });
+
+  it('does not make an edition searchable when none of its files was indexed in full', async () => {
+    await failUpserts('broken', /./);
+    const job = await runJob(createJob({ kind: 'ingest', collection: 'broken', catalogYear: '2024-25', options: options() }).id);
+    assert.equal(job.status, 'failed');
+    assert.deepEqual([job.progress.done, job.progress.dead], [0, 3]);
+    assert.ok(!listEditions().some(edition => edition.catalogYear === '2024-25'));
+  });
+});
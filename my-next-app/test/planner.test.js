@@ -0,0 +1,57 @@
+// test/planner.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { checkEligibility } = require('../lib/catalog/eligibility');
+const { parseTerm, planProgram } = require('../lib/degree/planner');
+
+const COURSES = {
+  'MATH 11': { code: 'MATH 11', title: 'Calculus I', unitsMin: 4, prerequisites: '', corequisites: '', termsOffered: [] },
+  'MATH 12': { code: 'MATH 12', title: 'Calculus II', unitsMin: 4, prerequisites: 'MATH 11', corequisites: '', termsOffered: [] },
+  'MATH 13': { code: 'MATH 13', title: 'Calculus III', unitsMin: 4, prerequisites: 'MATH 12', corequisites: '', termsOffered: [] },
+  'CSEN 79': { code: 'CSEN 79', title: 'Data Structures', unitsMin: 4, prerequisites: 'MATH 13 or MATH 14', corequisites: '', termsOffered: [] },
+};
+const catalog = {
+  getCourse: code => COURSES[code] || null,
+  listCourses: () => ({ courses: Object.values(COURSES) }),
+};
+
+const block = (name, fields) => ({ name, kind: 'all', courses: [], choose: null, minUnits: null, pool: null, text: '', ...fields });
+const program = blocks => ({ id: 'test--test', name: 'Test', type: 'major', source: 'test.txt', minUnits: null, blocks });
+const plannedCodes = plan => plan.quarters.flatMap(quarter => quarter.courses.map(course => course.code));
+
+describe('planProgram', () => {
+  const options = { startTerm: parseTerm('Fall 2026') };
+
+  it('fills a choose block with eligible catalogued courses before courses the catalog lacks', () => {
+    const plan = planProgram(program([
+      block('Calculus', { kind: 'choose', courses: ['MATH 53', 'MATH 14', 'MATH 13', 'MATH 12'], choose: 2 }),
+    ]), [{ code: 'MATH 11' }], catalog, options);
+
+    assert.deepEqual(plannedCodes(plan).sort(), ['MATH 12', 'MATH 13']);
+    assert.ok(plan.notes.every(note => !/MATH (14|53)/.test(note)));
+  });
+
+  it('picks an unknown course last and warns about it', () => {
+    const plan = planProgram(program([
+      block('Calculus', { kind: 'choose', courses: ['MATH 53', 'MATH 12'], choose: 2 }),
+    ]), [{ code: 'MATH 11' }], catalog, options);
+
+    assert.deepEqual(plannedCodes(plan), ['MATH 12', 'MATH 53']);
+    assert.ok(plan.notes.some(note => note.startsWith('Calculus: MATH 53 is not in the catalog')));
+  });
+
+  it('meets an "or" prerequisite through catalogued courses', () => {
+    const plan = planProgram(program([block('Core', { courses: ['CSEN 79'] })]), [{ code: 'MATH 11' }], catalog, options);
+
+    assert.deepEqual(plannedCodes(plan), ['MATH 12', 'MATH 13', 'CSEN 79']);
+    assert.equal(plan.summary.complete, true);
+  });
+});
+
+describe('checkEligibility', () => {
+  it('prefers a longer chain of known courses to a course the catalog lacks', () => {
+    const result = checkEligibility('CSEN 79', ['MATH 11'], catalog.getCourse);
+    assert.deepEqual(result.chain.map(step => step.code), ['MATH 12', 'MATH 13']);
+    assert.deepEqual(result.unknownCourses, []);
+  });
+});
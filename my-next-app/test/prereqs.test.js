@@ -0,0 +1,63 @@
+// test/prereqs.test.js
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { checkEligibility, missingRequirements } = require('../lib/catalog/eligibility');
+const { coursesIn, formatRequirement, parseRequirement } = require('../lib/catalog/prereqs');
+
+const course = code => ({ type: 'course', code });
+
+describe('parseRequirement', () => {
+  it('reads parentheses and expands a bare course number', () => {
+    assert.deepEqual(parseRequirement('CSEN 12 and (MATH 13 or 14)'), {
+      type: 'and',
+      children: [course('CSEN 12'), { type: 'or', children: [course('MATH 13'), course('MATH 14')] }],
+    });
+  });
+
+  it('binds "or" tighter than "and" and splits on semicolons', () => {
+    const tree = parseRequirement('COEN 11 or 44; MATH 13');
+    assert.equal(formatRequirement(tree), '(COEN 11 or COEN 44) and MATH 13');
+  });
+
+  it('gives commas the meaning of the conjunction that ends the list', () => {
+    assert.equal(formatRequirement(parseRequirement('CSEN 20, CSEN 21, or CSEN 22')), 'CSEN 20 or CSEN 21 or CSEN 22');
+  });
+
+  it('keeps requirements that are not courses', () => {
+    const tree = parseRequirement('MATH 11 with a grade of C- or better, or instructor approval');
+    assert.deepEqual(tree, { type: 'or', children: [course('MATH 11'), { type: 'other', text: 'instructor approval' }] });
+    assert.deepEqual(coursesIn(tree), ['MATH 11']);
+  });
+
+  it('returns null for no requirement', () => {
+    assert.equal(parseRequirement(''), null);
+  });
+});
+
+describe('checkEligibility', () => {
+  const catalog = {
+    'CSEN 10': { code: 'CSEN 10', title: 'Introduction', prerequisites: '' },
+    'CSEN 11': { code: 'CSEN 11', title: 'Programming', prerequisites: 'CSEN 10' },
+    'CSEN 12': { code: 'CSEN 12', title: 'Data Structures', prerequisites: 'CSEN 11 and (MATH 13 or MATH 14)' },
+    'MATH 13': { code: 'MATH 13', title: 'Calculus III', prerequisites: 'MATH 12' },
+  };
+  const getCourse = code => catalog[code] || null;
+
+  it('is eligible when one branch of each "or" is met', () => {
+    const result = checkEligibility('CSEN 12', ['CSEN 11', 'MATH 14'], getCourse);
+    assert.equal(result.eligible, true);
+    assert.equal(result.prerequisites.missing, null);
+  });
+
+  it('lists what is missing and the courses that are not in the catalog', () => {
+    const result = checkEligibility('CSEN 12', ['CSEN 11'], getCourse);
+    assert.equal(result.eligible, false);
+    assert.equal(result.prerequisites.missingText, 'MATH 13 or MATH 14');
+    assert.deepEqual(result.unknownCourses, ['MATH 14']);
+  });
+
+  it('leaves out the parts of an "and" that are met', () => {
+    const tree = parseRequirement('CSEN 11 and MATH 13 and MATH 12');
+    assert.deepEqual(missingRequirements(tree, new Set(['CSEN 11', 'MATH 12'])), course('MATH 13'));
+  });
+});
@@ -0,0 +1,119 @@
+// test/requirements.test.js
+require('./setup');
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { auditProgram } = require('../lib/degree/audit');
+const { parseBlock, parsePrograms } = require('../lib/degree/requirements');
+const { getProgram, listPrograms, upsertPrograms } = require('../lib/degree/store');
+
+const MATH = `Department of Mathematics
+
+Major Requirements
+A minimum of 175 units is required for the Bachelor of Science.
+
+Lower-Division Mathematics:
+MATH 11, 12, 13 and 14
+One of PHYS 31 or PHYS 32
+
+Upper-Division Electives
+A minimum of 12 units of upper-division MATH courses.
+
+Minor Requirements
+Students must complete a minimum of 28 units including:
+MATH 11, 12, 13
+
+Lower-Division Courses
+MATH 11. Calculus I (4 units)
+`;
+
+const PHYSICS = `Physics Department
+
+Major Requirements
+PHYS 31, 32 and 33
+`;
+
+describe('parsePrograms', () => {
+  const math = parsePrograms(MATH, 'math.txt');
+
+  it('names generic program headings after their department', () => {
+    assert.deepEqual(math.map(program => [program.id, program.name, program.type]), [
+      ['major-in-mathematics--math', 'Major in Mathematics', 'major'],
+      ['minor-in-mathematics--math', 'Minor in Mathematics', 'minor'],
+    ]);
+    const [physics] = parsePrograms(PHYSICS, 'physics.txt');
+    assert.equal(physics.id, 'major-in-physics--physics');
+  });
+
+  it('keeps programs of the same name in different files apart', () => {
+    const [first] = parsePrograms('Major in Biology\nBIOL 1A and BIOL 1B\n', 'biology.txt');
+    const [second] = parsePrograms('Major in Biology\nBIOL 1A\n', 'sciences.txt');
+    assert.notEqual(first.id, second.id);
+  });
+
+  it('reads the program total instead of making it a block', () => {
+    const [major, minor] = math;
+    assert.equal(major.minUnits, 175);
+    assert.deepEqual(major.blocks.map(block => [block.name, block.kind]), [
+      ['Lower-Division Mathematics', 'all'],
+      ['Lower-Division Mathematics: One of PHYS 31 or PHYS 32', 'choose'],
+      ['Upper-Division Electives', 'electives'],
+    ]);
+    assert.deepEqual(major.blocks[2].pool, { departments: ['MATH'], minNumber: 100, courses: [] });
+    assert.equal(minor.minUnits, 28);
+    assert.deepEqual(minor.blocks[0].courses, ['MATH 11', 'MATH 12', 'MATH 13']);
+  });
+});
+
+describe('parseBlock', () => {
+  it('classifies choose-N and unit rules', () => {
+    assert.equal(parseBlock('Advanced Topics', 'Choose two of the following: CSEN 160, CSEN 161, CSEN 162').choose, 2);
+    const units = parseBlock('Science', 'A minimum of 8 units from PHYS 31, PHYS 32, CHEM 11');
+    assert.deepEqual([units.kind, units.minUnits], ['units', 8]);
+  });
+});
+
+describe('upsertPrograms', () => {
+  it('drops the programs a re-parsed file no longer has', () => {
+    const stale = { id: 'major', name: 'Major', type: 'major', source: 'math.txt', minUnits: null, blocks: [] };
+    const other = { ...stale, id: 'major-in-physics--physics', source: 'physics.txt' };
+    upsertPrograms([stale, other]);
+    upsertPrograms(parsePrograms(MATH, 'math.txt'));
+
+    assert.equal(getProgram('major'), null);
+    assert.deepEqual(listPrograms().map(program => program.id).sort(), [
+      'major-in-mathematics--math', 'major-in-physics--physics', 'minor-in-mathematics--math',
+    ]);
+  });
+});
+
+describe('auditProgram', () => {
+  const program = {
+    id: 'test--test',
+    name: 'Test',
+    type: 'major',
+    source: 'test.txt',
+    minUnits: 20,
+    blocks: [{ name: 'Core', kind: 'all', courses: ['MATH 11', 'MATH 12'], choose: null, minUnits: null, pool: null, text: '' }],
+  };
+  const noCatalog = () => null;
+
+  it('counts free electives toward the program total but not toward the blocks', () => {
+    const audit = auditProgram(program, ['MATH 11', 'MATH 12', 'HIST 10', 'ENGL 1'].map(code => ({ code, units: 5 })), noCatalog);
+
+    assert.deepEqual(audit.unallocated, ['HIST 10', 'ENGL 1']);
+    assert.equal(audit.summary.unitsCompleted, 20);
+    assert.equal(audit.summary.blockUnitsCompleted, 10);
+    assert.equal(audit.summary.programUnitsRemaining, 0);
+    assert.equal(audit.summary.unitsRemaining, 0);
+    assert.equal(audit.complete, true);
+  });
+
+  it('reports the larger of the block and program remainders', () => {
+    const audit = auditProgram(program, [{ code: 'MATH 11', units: 5 }, { code: 'HIST 10', units: 5 }], noCatalog);
+
+    assert.equal(audit.summary.blockUnitsRemaining, 4);
+    assert.equal(audit.summary.programUnitsRemaining, 10);
+    assert.equal(audit.summary.unitsRemaining, 10);
+    assert.equal(audit.complete, false);
+  });
+});
@@ -0,0 +1,101 @@
+// test/retrieval.test.js
+require('./setup');
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { config } = require('../lib/config');
+const { FilterError, matchesFilters, parseFilters, toChromaWhere } = require('../lib/filters');
+const { RerankOptionsError, parseRerankOptions } = require('../lib/rerank');
+const { fuseRankings, isValidWeight } = require('../lib/retrieval');
+
+describe('parseFilters', () => {
+  it('normalizes lists and department codes', () => {
+    assert.deepEqual(parseFilters({ department: ' csen ', source: ['a.txt', 'b.txt'], minUnits: 4 }), {
+      department: ['CSEN'],
+      source: ['a.txt', 'b.txt'],
+      minUnits: 4,
+    });
+    assert.deepEqual(parseFilters(undefined), {});
+  });
+
+  it('rejects unknown filters and bad values', () => {
+    assert.throws(() => parseFilters({ level: 'upper' }), FilterError);
+    assert.throws(() => parseFilters({ department: [] }), FilterError);
+    assert.throws(() => parseFilters({ maxUnits: -1 }), FilterError);
+    assert.throws(() => parseFilters({ hasPrerequisites: 'yes' }), FilterError);
+    assert.throws(() => parseFilters({ minUnits: 5, maxUnits: 4 }), /cannot be larger/);
+    assert.throws(() => parseFilters(['CSEN']), FilterError);
+  });
+});
+
+describe('filter matching', () => {
+  const metadata = { department_code: 'CSEN', credits: 4, source: 'engineering.txt', chunk_type: 'course' };
+
+  it('applies every filter to chunk metadata', () => {
+    assert.equal(matchesFilters(metadata, parseFilters({ department: ['MATH', 'CSEN'], maxUnits: 4 })), true);
+    assert.equal(matchesFilters(metadata, parseFilters({ minUnits: 5 })), false);
+    assert.equal(matchesFilters(metadata, parseFilters({ hasPrerequisites: false })), true);
+    assert.equal(matchesFilters(metadata, parseFilters({ hasPrerequisites: true })), false);
+  });
+
+  it('builds a where clause, leaving hasPrerequisites: false to matchesFilters', () => {
+    assert.equal(toChromaWhere({}), undefined);
+    assert.deepEqual(toChromaWhere(parseFilters({ department: 'CSEN', hasPrerequisites: false })), {
+      department_code: { $eq: 'CSEN' },
+    });
+    assert.deepEqual(toChromaWhere(parseFilters({ department: ['CSEN', 'MATH'], minUnits: 2 })), {
+      $and: [{ department_code: { $in: ['CSEN', 'MATH'] } }, { credits: { $gte: 2 } }],
+    });
+  });
+});
+
+describe('fuseRankings', () => {
+  const hit = (id, distance) => ({ id, document: id, metadata: {}, distance });
+
+  it('adds the weighted reciprocal rank from each retriever', () => {
+    const fused = fuseRankings(
+      { vector: [hit('a', 0.1), hit('b', 0.2)], lexical: [{ id: 'b', document: 'b', metadata: {} }, { id: 'c', document: 'c', metadata: {} }] },
+      { vector: 0.5, lexical: 0.5 },
+      60,
+    );
+    assert.deepEqual(fused.map(entry => entry.id), ['b', 'a', 'c']);
+    assert.equal(fused[0].score, 0.5 / 62 + 0.5 / 61);
+    assert.deepEqual(fused[0].ranks, { vector: 2, lexical: 1 });
+    assert.deepEqual(fused[0].retrievers, ['vector', 'lexical']);
+    assert.equal(fused[0].distance, 0.2);
+    assert.equal(fused[2].distance, null);
+  });
+
+  it('lets the weights decide between hits ranked first by one retriever each', () => {
+    const rankings = { vector: [hit('a')], lexical: [hit('b')] };
+    assert.equal(fuseRankings(rankings, { vector: 0.3, lexical: 0.7 }, 60)[0].id, 'b');
+    assert.equal(fuseRankings(rankings, { vector: 0.7, lexical: 0.3 }, 60)[0].id, 'a');
+  });
+
+  it('accepts no weight or a weight between 0 and 1', () => {
+    assert.equal(isValidWeight(undefined), true);
+    assert.equal(isValidWeight(0), true);
+    assert.equal(isValidWeight(1), true);
+    assert.equal(isValidWeight(1.5), false);
+    assert.equal(isValidWeight('0.5'), false);
+  });
+});
+
+describe('parseRerankOptions', () => {
+  it('fills in the configured defaults', () => {
+    assert.deepEqual(parseRerankOptions(undefined), { skip: true, poolSize: config.rerank.poolSize, model: config.rerank.model });
+    assert.equal(parseRerankOptions({ skip: false, poolSize: 10 }).poolSize, 10);
+  });
+
+  it('only accepts configured models', () => {
+    assert.equal(parseRerankOptions({ model: config.rerank.model }).model, config.rerank.model);
+    assert.throws(() => parseRerankOptions({ model: 'someone/huge-model' }), RerankOptionsError);
+
+    const models = config.rerank.models;
+    config.rerank.models = ['someone/huge-model'];
+    try {
+      assert.equal(parseRerankOptions({ model: 'someone/huge-model' }).model, 'someone/huge-model');
+    } finally {
+      config.rerank.models = models;
+    }
+  });
+});
@@ -0,0 +1,22 @@
+// test/setup.js
+// Required first by tests that load lib/ modules reading the configuration:
+// a scratch data directory, offline providers and an in-memory vector store.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'advisor-test-'));
+
+Object.assign(process.env, {
+  DATA_DIR: dataDir,
+  BULLETIN_DIR: path.join(dataDir, 'bulletin'),
+  VECTOR_BACKEND: 'memory',
+  EMBED_PROVIDER: 'fake',
+  GENERATE_PROVIDER: 'fake',
+  RERANK_ENABLED: 'false',
+  INGEST_DELAY_MS: '0',
+});
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { dataDir };